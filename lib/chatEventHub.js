@@ -0,0 +1,129 @@
+/**
+ * Per-project fan-out for the chat SSE stream (GET /api/projects/:id/chat/stream).
+ * Events are rows of project_chat_events (bigint id = SSE event id). Delivery is local-first (publish right after insert)
+ * plus a shared DB poll per project so events written by another server instance also arrive. Subscribers dedupe by id.
+ */
+
+/** Poll re-reads this many ids below the last seen one: bigserial ids can commit out of order under concurrent inserts. */
+const POLL_OVERLAP_IDS = 50;
+const DELIVERED_MEMORY = 500;
+
+/** Format one SSE frame. `id` lets the browser resend it as Last-Event-ID on reconnect. */
+export function formatSseEvent(event) {
+  const lines = [];
+  if (event.id != null) lines.push(`id: ${event.id}`);
+  if (event.type) lines.push(`event: ${event.type}`);
+  const data = JSON.stringify(event.data ?? null);
+  for (const l of data.split('\n')) lines.push(`data: ${l}`);
+  return lines.join('\n') + '\n\n';
+}
+
+/** Last-Event-ID header (sent by EventSource on reconnect) or ?last_event_id= → number, or null. */
+export function parseLastEventId(headerValue, queryValue) {
+  const raw = headerValue != null && String(headerValue).trim() !== '' ? headerValue : queryValue;
+  const n = parseInt(String(raw ?? ''), 10);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+export class ChatEventHub {
+  /**
+   * @param {object} opts
+   * @param {(projectId: string, afterId: number) => Promise<object[]>} opts.fetchSince - events with id > afterId, ascending
+   * @param {number} [opts.pollMs]
+   */
+  constructor({ fetchSince, pollMs = 2000 }) {
+    this.fetchSince = fetchSince;
+    this.pollMs = pollMs;
+    /** @type {Map<string, { subscribers: Set<object>, lastId: number, timer: any, polling: boolean }>} */
+    this.projects = new Map();
+  }
+
+  /**
+   * Live events arriving while `replay` runs are buffered, then everything is delivered in id order — a client that
+   * disconnects mid-way resumes from its Last-Event-ID without gaps.
+   * @param {string} projectId
+   * @param {number} afterId - only events with a larger id are delivered
+   * @param {(event: object) => void} onEvent
+   * @param {(() => Promise<object[]>)|null} [replay] - backlog since afterId (Last-Event-ID reconnect)
+   * @returns {Promise<() => void>} unsubscribe (a rejected replay unsubscribes and rethrows)
+   */
+  async subscribe(projectId, afterId, onEvent, replay = null) {
+    let p = this.projects.get(projectId);
+    if (!p) {
+      p = { subscribers: new Set(), lastId: afterId, timer: null, polling: false };
+      this.projects.set(projectId, p);
+      p.timer = setInterval(() => this._poll(projectId), this.pollMs);
+      if (typeof p.timer.unref === 'function') p.timer.unref();
+    }
+    p.lastId = Math.max(p.lastId, afterId);
+    const sub = { onEvent, minId: afterId, delivered: new Set(), buffer: replay ? [] : null };
+    p.subscribers.add(sub);
+    const unsubscribe = () => {
+      p.subscribers.delete(sub);
+      if (!p.subscribers.size) {
+        clearInterval(p.timer);
+        this.projects.delete(projectId);
+      }
+    };
+    if (replay) {
+      let backlog;
+      try {
+        backlog = (await replay()) || [];
+      } catch (e) {
+        // the caller never gets an unsubscribe to call: drop the subscriber (and the poll, if it was the last) here
+        unsubscribe();
+        throw e;
+      }
+      const live = sub.buffer;
+      sub.buffer = null;
+      for (const ev of [...backlog, ...live].sort((a, b) => Number(a.id) - Number(b.id))) this._deliver(sub, ev);
+    }
+    return unsubscribe;
+  }
+
+  /** Deliver an event just written on this instance (must carry its DB id). */
+  publish(projectId, event) {
+    const p = this.projects.get(projectId);
+    if (!p || event?.id == null) return;
+    p.lastId = Math.max(p.lastId, Number(event.id));
+    for (const sub of p.subscribers) this._deliver(sub, event);
+  }
+
+  _deliver(sub, event) {
+    if (sub.buffer) {
+      sub.buffer.push(event);
+      return;
+    }
+    const id = Number(event.id);
+    if (id <= sub.minId || sub.delivered.has(id)) return;
+    sub.delivered.add(id);
+    if (sub.delivered.size > DELIVERED_MEMORY) sub.delivered.delete(sub.delivered.values().next().value);
+    try {
+      sub.onEvent(event);
+    } catch (_) { /* a broken subscriber must not stop the others */ }
+  }
+
+  async _poll(projectId) {
+    const p = this.projects.get(projectId);
+    if (!p || p.polling) return;
+    p.polling = true;
+    try {
+      const events = await this.fetchSince(projectId, Math.max(0, p.lastId - POLL_OVERLAP_IDS));
+      for (const ev of events || []) {
+        p.lastId = Math.max(p.lastId, Number(ev.id));
+        for (const sub of p.subscribers) this._deliver(sub, ev);
+      }
+    } catch (_) {
+      /* transient DB error: next tick retries */
+    } finally {
+      p.polling = false;
+    }
+  }
+
+  /** Number of open subscriptions (diagnostics). */
+  get size() {
+    let n = 0;
+    for (const p of this.projects.values()) n += p.subscribers.size;
+    return n;
+  }
+}
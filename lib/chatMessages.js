@@ -0,0 +1,123 @@
+/** Project chat message helpers: reactions, soft-delete masking, @mentions, file/experiment attachments (pure). */
+
+export const CHAT_MESSAGE_MAX_LENGTH = 10000;
+
+const PICTOGRAPHIC_RE = /\p{Extended_Pictographic}/u;
+const ALLOWED_REACTION_CHARS_RE = /^[\p{Extended_Pictographic}\p{Emoji_Modifier}\u200d\ufe0f]+$/u;
+
+/** Trimmed emoji if it is a single short emoji sequence (👍, ❤️, 👍🏽, 👩‍🔬), else null. */
+export function normalizeReactionEmoji(value) {
+  const s = String(value || '').trim();
+  if (!s || s.length > 16) return null;
+  if (!PICTOGRAPHIC_RE.test(s) || !ALLOWED_REACTION_CHARS_RE.test(s)) return null;
+  return s;
+}
+
+/** API shape of a message: soft-deleted rows keep their place in threads but lose body (history stays in DB). */
+export function presentChatMessage(row) {
+  if (!row) return row;
+  const out = { ...row, deleted: !!row.deleted_at, edited: !!row.edited_at };
+  if (row.deleted_at) out.body = '';
+  return out;
+}
+
+/**
+ * Group project_chat_reactions rows per message.
+ * @param {object[]} rows - { message_id, emoji, user_id, username }
+ * @param {number|null} currentUserId
+ * @returns {Map<string, { emoji: string, count: number, usernames: string[], mine: boolean }[]>}
+ */
+export function aggregateReactions(rows, currentUserId = null) {
+  const byMessage = new Map();
+  for (const r of rows || []) {
+    if (!byMessage.has(r.message_id)) byMessage.set(r.message_id, new Map());
+    const byEmoji = byMessage.get(r.message_id);
+    if (!byEmoji.has(r.emoji)) byEmoji.set(r.emoji, { emoji: r.emoji, count: 0, usernames: [], mine: false });
+    const agg = byEmoji.get(r.emoji);
+    agg.count++;
+    if (r.username) agg.usernames.push(r.username);
+    if (currentUserId != null && r.user_id === currentUserId) agg.mine = true;
+  }
+  const out = new Map();
+  for (const [messageId, byEmoji] of byMessage) out.set(messageId, [...byEmoji.values()].sort((a, b) => b.count - a.count));
+  return out;
+}
+
+/** @username: letters/digits/_ . - (Hebrew usernames too); not part of an email address (a@b.com) or a longer word. */
+const MENTION_RE = /(^|[^\p{L}\p{N}_.@-])@([\p{L}\p{N}_][\p{L}\p{N}_.-]{0,63})/gu;
+
+/**
+ * Distinct mentioned usernames, lower-cased, in order of first appearance (trailing dots dropped: "@dana." → dana).
+ * Resolving them against project members is the caller's job.
+ * @returns {string[]}
+ */
+export function extractMentions(body) {
+  const out = [];
+  for (const m of String(body || '').matchAll(MENTION_RE)) {
+    const name = m[2].replace(/[.-]+$/, '').toLowerCase();
+    if (name && !out.includes(name)) out.push(name);
+  }
+  return out;
+}
+
+/** Max referenced files + experiments on one message. */
+export const CHAT_ATTACHMENTS_MAX = 10;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Body { file_ids, experiment_ids } → distinct uuid lists. Same-project ownership is checked by the caller (DB).
+ * @returns {{ fileIds: string[], experimentIds: string[] } | { error: string }}
+ */
+export function parseChatAttachmentIds(body) {
+  const out = {};
+  for (const [key, field] of [['fileIds', 'file_ids'], ['experimentIds', 'experiment_ids']]) {
+    const raw = body?.[field];
+    if (raw == null) {
+      out[key] = [];
+      continue;
+    }
+    if (!Array.isArray(raw)) return { error: `${field} must be an array` };
+    const ids = [...new Set(raw.map(v => String(v || '').trim()))];
+    if (ids.some(id => !UUID_RE.test(id))) return { error: `${field} must contain ids` };
+    out[key] = ids;
+  }
+  if (out.fileIds.length + out.experimentIds.length > CHAT_ATTACHMENTS_MAX) {
+    return { error: `At most ${CHAT_ATTACHMENTS_MAX} attachments per message` };
+  }
+  return out;
+}
+
+/**
+ * Previews per message from project_chat_message_links rows and the referenced rows.
+ * @param {object[]} links - { message_id, project_file_id, lab_experiment_id }
+ * @param {Map<string, object>} files - id → project_files row
+ * @param {Map<string, object>} experiments - id → lab_experiments row
+ * @returns {Map<string, object[]>} message_id → [{ type: 'file', id, name, folder } | { type: 'experiment', id, experiment_id, outcome, ... }]
+ */
+export function buildAttachmentPreviews(links, files, experiments) {
+  const out = new Map();
+  for (const l of links || []) {
+    let preview = null;
+    if (l.project_file_id) {
+      const f = files.get(l.project_file_id);
+      if (f) preview = { type: 'file', id: f.id, name: f.original_name, folder: f.folder_display_name || null };
+    } else if (l.lab_experiment_id) {
+      const x = experiments.get(l.lab_experiment_id);
+      if (x) {
+        preview = {
+          type: 'experiment',
+          id: x.id,
+          experiment_id: x.experiment_id,
+          version: x.experiment_version ?? null,
+          technology_domain: x.technology_domain || null,
+          outcome: x.experiment_outcome || null
+        };
+      }
+    }
+    if (!preview) continue;
+    if (!out.has(l.message_id)) out.set(l.message_id, []);
+    out.get(l.message_id).push(preview);
+  }
+  return out;
+}
@@ -0,0 +1,108 @@
+/**
+ * Chat search (GET /api/projects/:id/chat/search): query → light-stemmed terms for ILIKE (pg_trgm index), then
+ * snippets with highlight offsets computed here. Substring matching already covers Hebrew prefixes (ו/ה/ב/ל…) in the text;
+ * stemming trims prefixes / plural / inflection suffixes of the query so "והניסויים" finds "ניסוי" and "experiments" finds "experiment".
+ */
+
+export const CHAT_SEARCH_MAX_TERMS = 8;
+export const CHAT_SEARCH_MIN_TERM = 2;
+
+const HEBREW_RE = /^[א-ת]+$/;
+const LATIN_RE = /^[a-z]+$/;
+const WORD_CHAR_RE = /[\p{L}\p{N}\p{M}_]/u;
+
+/** One query word → substring to look for. */
+export function stemSearchTerm(word) {
+  let w = String(word || '').toLowerCase();
+  if (HEBREW_RE.test(w)) {
+    // up to two prefix letters (ו, ה, ב, ל, מ, ש, כ); dropping one only widens the substring match
+    for (let i = 0; i < 2 && w.length >= 5 && /^[והבלמשכ]/.test(w); i++) w = w.slice(1);
+    if (w.length >= 5 && /(ים|ות)$/.test(w)) w = w.slice(0, -2);
+    return w;
+  }
+  if (LATIN_RE.test(w) && w.length >= 5) {
+    for (const suffix of ['ies', 'ing', 'ed', 'es', 's']) {
+      if (w.endsWith(suffix) && w.length - suffix.length >= 3) return w.slice(0, -suffix.length);
+    }
+  }
+  return w;
+}
+
+/**
+ * Split a query into search terms. "quoted phrases" stay whole (not stemmed); words shorter than CHAT_SEARCH_MIN_TERM are dropped.
+ * @returns {string[]} distinct lower-case terms, at most CHAT_SEARCH_MAX_TERMS
+ */
+export function parseChatSearchQuery(q) {
+  const out = [];
+  const src = String(q || '').slice(0, 500);
+  for (const m of src.matchAll(/"([^"]+)"|(\S+)/g)) {
+    let term;
+    if (m[1] != null) term = m[1].replace(/\s+/g, ' ').trim().toLowerCase();
+    else term = stemSearchTerm(m[2].replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''));
+    if (term.length >= CHAT_SEARCH_MIN_TERM && !out.includes(term)) out.push(term);
+    if (out.length >= CHAT_SEARCH_MAX_TERMS) break;
+  }
+  return out;
+}
+
+/** Escape % _ \ for a literal ILIKE pattern. */
+export function escapeIlike(term) {
+  return String(term).replace(/[\\%_]/g, c => `\\${c}`);
+}
+
+/**
+ * Whole-word ranges of body that contain a term (case-insensitive), merged and sorted.
+ * @returns {{ start: number, end: number }[]} offsets into body (end exclusive)
+ */
+export function findHighlights(body, terms) {
+  const text = String(body || '');
+  const lower = text.toLowerCase();
+  const ranges = [];
+  for (const term of terms || []) {
+    if (!term) continue;
+    let from = 0;
+    let idx;
+    while ((idx = lower.indexOf(term, from)) !== -1) {
+      let start = idx;
+      let end = idx + term.length;
+      while (start > 0 && WORD_CHAR_RE.test(text[start - 1])) start--;
+      while (end < text.length && WORD_CHAR_RE.test(text[end])) end++;
+      ranges.push({ start, end });
+      from = idx + term.length;
+    }
+  }
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+    else merged.push({ ...r });
+  }
+  return merged;
+}
+
+/**
+ * Window of body around the first hit, with highlight offsets relative to the snippet.
+ * @param {string} body
+ * @param {{ start: number, end: number }[]} highlights - findHighlights output
+ * @param {number} [radius] - characters kept on each side of the first hit
+ * @returns {{ snippet: string, highlights: { start: number, end: number }[] }}
+ */
+export function buildSearchSnippet(body, highlights, radius = 80) {
+  const text = String(body || '');
+  const first = highlights?.[0];
+  let from = first ? Math.max(0, first.start - radius) : 0;
+  let to = first ? Math.min(text.length, first.end + radius) : Math.min(text.length, radius * 2);
+  // do not cut words at the edges
+  while (from > 0 && WORD_CHAR_RE.test(text[from - 1]) && first && from < first.start) from++;
+  while (to < text.length && WORD_CHAR_RE.test(text[to]) && first && to > first.end) to--;
+  const prefix = from > 0 ? '…' : '';
+  const suffix = to < text.length ? '…' : '';
+  const shift = prefix.length - from;
+  return {
+    snippet: prefix + text.slice(from, to) + suffix,
+    highlights: (highlights || [])
+      .filter(h => h.start >= from && h.end <= to)
+      .map(h => ({ start: h.start + shift, end: h.end + shift }))
+  };
+}
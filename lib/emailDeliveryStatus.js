@@ -0,0 +1,86 @@
+/**
+ * Delivery status of sent project emails from Resend webhook events (POST /api/webhooks/resend-events).
+ * project_emails.delivery_status is the furthest state reached; delivery_events keeps the history. Pure — DB work in server.js.
+ */
+
+/** Resend event type → delivery status. */
+export const DELIVERY_EVENT_STATUS = {
+  'email.sent': 'sent',
+  'email.delivery_delayed': 'delayed',
+  'email.delivered': 'delivered',
+  'email.opened': 'opened',
+  'email.clicked': 'clicked',
+  'email.bounced': 'bounced',
+  'email.complained': 'complained',
+  'email.failed': 'failed'
+};
+
+/** Statuses that mean the recipient did not (or does not want to) get the mail — surfaced in the emails list and audit log. */
+export const DELIVERY_FAILURE_STATUSES = ['bounced', 'complained', 'failed'];
+
+/** Progress order; a failure always wins, otherwise a late event never moves the status backwards (opened, then delivered). Mirrored in append_email_delivery_event. */
+const STATUS_RANK = { sent: 1, delayed: 2, delivered: 3, opened: 4, clicked: 5 };
+
+export const DELIVERY_HISTORY_MAX = 50;
+
+/** Unmatched events younger than this are answered with a retryable error (the send may not be stored yet). */
+export const UNMATCHED_EVENT_RETRY_SECONDS = 5 * 60;
+
+export function isDeliveryFailure(status) {
+  return DELIVERY_FAILURE_STATUSES.includes(status);
+}
+
+/** Short human detail for the history / audit entry (bounce message, complaint type…). */
+export function deliveryEventDetail(event) {
+  const d = event?.data || {};
+  const bounce = d.bounce || {};
+  const parts = [bounce.type, bounce.subType, bounce.message || d.reason || d.failed?.reason].filter(Boolean).map(String);
+  return parts.length ? parts.join(' · ').slice(0, 500) : null;
+}
+
+/**
+ * History entry for one event ({ status, at, detail?, link? }), or null for types we do not track.
+ * The webhook hands it to append_email_delivery_event (migrations/036), which folds it in under a row lock.
+ */
+export function deliveryEventEntry(event, now = new Date()) {
+  const status = DELIVERY_EVENT_STATUS[event?.type];
+  if (!status) return null;
+  const entry = { status, at: event.created_at || event.data?.created_at || now.toISOString() };
+  const detail = deliveryEventDetail(event);
+  if (detail) entry.detail = detail;
+  if (status === 'clicked' && event.data?.click?.link) entry.link = String(event.data.click.link).slice(0, 500);
+  return entry;
+}
+
+/**
+ * Fold one event into a project_emails row (same rules as append_email_delivery_event).
+ * @param {{ delivery_status?: string|null, delivery_events?: object[] }} row
+ * @param {{ type: string, created_at?: string, data?: object }} event - Resend webhook body
+ * @returns {{ changed: boolean, status: string|null, failure: boolean, update: object|null }}
+ */
+export function applyDeliveryEvent(row, event, now = new Date()) {
+  const entry = deliveryEventEntry(event, now);
+  if (!entry) return { changed: false, status: null, failure: false, update: null };
+  const { status, at } = entry;
+  const history = Array.isArray(row.delivery_events) ? row.delivery_events : [];
+  if (history.some(h => h.status === status && h.at === at)) return { changed: false, status, failure: isDeliveryFailure(status), update: null };
+  const nextHistory = [...history, entry].sort((a, b) => String(a.at).localeCompare(String(b.at))).slice(-DELIVERY_HISTORY_MAX);
+
+  const current = row.delivery_status || null;
+  let nextStatus = current;
+  if (isDeliveryFailure(status)) nextStatus = status;
+  else if (!isDeliveryFailure(current) && (STATUS_RANK[status] || 0) > (STATUS_RANK[current] || 0)) nextStatus = status;
+
+  return {
+    changed: true,
+    status: nextStatus,
+    failure: isDeliveryFailure(status),
+    update: { delivery_status: nextStatus, delivery_events: nextHistory, delivery_updated_at: now.toISOString() }
+  };
+}
+
+/** true → answer an unmatched event with a retryable status so Resend tries again after our insert lands. */
+export function shouldRetryUnmatchedEvent(event, nowMs = Date.now()) {
+  const ms = Date.parse(event?.created_at || '');
+  return Number.isFinite(ms) && nowMs - ms < UNMATCHED_EVENT_RETRY_SECONDS * 1000;
+}
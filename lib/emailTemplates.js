@@ -0,0 +1,129 @@
+/**
+ * Project email templates ({{variable}} substitution) and the scheduled-send queue (scheduled_project_emails).
+ * Pure — variable values are loaded in server.js (buildEmailTemplateVariables), sending stays in sendProjectEmail.
+ */
+
+export const EMAIL_TEMPLATE_NAME_MAX = 120;
+
+/** Scheduled sends: not further ahead than this, retried up to SCHEDULED_EMAIL_MAX_ATTEMPTS with backoff. */
+export const SCHEDULE_MAX_DAYS_AHEAD = 365;
+export const SCHEDULED_EMAIL_MAX_ATTEMPTS = 3;
+export const SCHEDULED_EMAIL_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+
+const VARIABLE_RE = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_.]*)\s*\}\}/g;
+
+/** Variable names used in the given strings (subject, text, html), in first-use order. */
+export function templateVariableNames(...parts) {
+  const out = [];
+  for (const p of parts) {
+    for (const m of String(p || '').matchAll(VARIABLE_RE)) if (!out.includes(m[1])) out.push(m[1]);
+  }
+  return out;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function substitute(str, vars, missing, html) {
+  if (str == null) return str;
+  return String(str).replace(VARIABLE_RE, (whole, name) => {
+    if (!Object.prototype.hasOwnProperty.call(vars, name) || vars[name] == null) {
+      if (!missing.includes(name)) missing.push(name);
+      return whole;
+    }
+    const v = String(vars[name]);
+    return html ? escapeHtml(v).replace(/\n/g, '<br>') : v;
+  });
+}
+
+/**
+ * Fill {{name}} placeholders. Values are escaped in html. Unknown names are left as-is and listed in missing
+ * (callers refuse to send while missing is non-empty).
+ * @param {{ subject?: string, text?: string|null, html?: string|null }} content
+ * @param {Record<string, string|number|null>} vars
+ * @returns {{ subject: string, text: string|null, html: string|null, missing: string[] }}
+ */
+export function renderEmailTemplate(content, vars) {
+  const missing = [];
+  const subject = substitute(content.subject || '', vars, missing, false).replace(/[\r\n]+/g, ' ');
+  const text = content.text ? substitute(content.text, vars, missing, false) : null;
+  const html = content.html ? substitute(content.html, vars, missing, true) : null;
+  return { subject, text, html, missing };
+}
+
+/**
+ * Variable map for a project email.
+ * @param {object} opts
+ * @param {{ name: string, description?: string|null }} opts.project
+ * @param {{ username?: string }} [opts.sender]
+ * @param {{ experiment_id: string }[]} [opts.experiments] - experiments picked for this email
+ * @param {{ title: string, due_date: string|null, completed_at?: string|null }[]} [opts.milestones] - picked ones, or the project's open milestones
+ * @param {Record<string, string>} [opts.custom] - free values from the request, exposed as vars.<key>
+ * @param {Date} [opts.now]
+ */
+export function buildEmailTemplateVariables({ project, sender, experiments = [], milestones = [], custom = {}, now = new Date() }) {
+  const vars = {
+    'project.name': project?.name ?? '',
+    'project.description': project?.description ?? '',
+    'sender.name': sender?.username ?? '',
+    today: now.toISOString().slice(0, 10)
+  };
+  if (experiments.length) {
+    vars.experiment_ids = experiments.map(e => e.experiment_id).join(', ');
+    vars['experiments.count'] = experiments.length;
+  }
+  const dated = [...milestones].sort((a, b) => String(a.due_date || '9999').localeCompare(String(b.due_date || '9999')));
+  if (dated.length) {
+    vars.milestones = dated.map(m => `${m.title}: ${m.due_date || '—'}`).join('\n');
+    const next = dated.find(m => !m.completed_at && m.due_date && m.due_date >= vars.today) || dated.find(m => !m.completed_at);
+    if (next) {
+      vars['next_milestone.title'] = next.title;
+      vars['next_milestone.due_date'] = next.due_date || '';
+    }
+  }
+  for (const [k, v] of Object.entries(custom || {})) {
+    if (/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(k) && v != null && typeof v !== 'object') vars[`vars.${k}`] = String(v);
+  }
+  return vars;
+}
+
+/**
+ * send_at for a scheduled email: ISO date-time in the future, at most SCHEDULE_MAX_DAYS_AHEAD away.
+ * @returns {{ ok: true, sendAt: string } | { ok: false, error: string }}
+ */
+export function validateSendAt(raw, now = Date.now()) {
+  const ms = Date.parse(String(raw || ''));
+  if (!raw || !Number.isFinite(ms)) return { ok: false, error: 'send_at must be an ISO date-time' };
+  if (ms <= now) return { ok: false, error: 'send_at must be in the future' };
+  if (ms > now + SCHEDULE_MAX_DAYS_AHEAD * 86400 * 1000) return { ok: false, error: `send_at must be within ${SCHEDULE_MAX_DAYS_AHEAD} days` };
+  return { ok: true, sendAt: new Date(ms).toISOString() };
+}
+
+/** Minutes before retry n (1-based) of a failed dispatch: 5, 10, 20… */
+export function scheduledRetryDelayMinutes(attempt) {
+  return 5 * 2 ** Math.max(0, attempt - 1);
+}
+
+/**
+ * Outcome of one dispatch attempt → queue row update.
+ * @param {{ attempts?: number }} row
+ * @param {{ ok: boolean, error?: string, permanent?: boolean, resendId?: string|null, emailId?: string|null }} result
+ */
+export function scheduledDispatchUpdate(row, result, now = Date.now()) {
+  const attempts = (row.attempts || 0) + 1;
+  const at = new Date(now).toISOString();
+  if (result.ok) {
+    return { status: 'sent', attempts, sent_at: at, last_error: null, resend_email_id: result.resendId || null, sent_email_id: result.emailId || null, updated_at: at };
+  }
+  if (result.permanent || attempts >= SCHEDULED_EMAIL_MAX_ATTEMPTS) {
+    return { status: 'failed', attempts, last_error: result.error || 'Send failed', updated_at: at };
+  }
+  return {
+    status: 'pending',
+    attempts,
+    last_error: result.error || 'Send failed',
+    send_at: new Date(now + scheduledRetryDelayMinutes(attempts) * 60000).toISOString(),
+    updated_at: at
+  };
+}
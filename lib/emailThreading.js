@@ -0,0 +1,170 @@
+/**
+ * Project email threads: Message-ID / In-Reply-To / References parsing, reply headers, subject fallback
+ * and thread summaries. thread_id on project_emails is the id of the thread's first email. Pure — DB work stays in server.js.
+ */
+import crypto from 'crypto';
+
+/** References kept on a reply (RFC 5322 allows trimming the middle; we keep the root and the most recent ones). */
+export const MAX_REFERENCES = 20;
+
+/** Subject fallback (no matching headers) only joins threads this recent. */
+export const SUBJECT_THREAD_WINDOW_DAYS = 90;
+
+const MSG_ID_RE = /<[^<>\s]+>/g;
+
+/** "<a@b>" form (brackets added when missing), or null. */
+export function normalizeMessageId(raw) {
+  const s = String(raw || '').trim();
+  if (!s) return null;
+  const m = s.match(/<[^<>\s]+>/);
+  if (m) return m[0];
+  return /^[^<>\s]+@[^<>\s]+$/.test(s) ? `<${s}>` : null;
+}
+
+/** References / In-Reply-To value (string or array) → list of "<id>" in order, deduped. */
+export function parseMessageIdList(raw) {
+  const parts = Array.isArray(raw) ? raw : [raw];
+  const out = [];
+  for (const p of parts) {
+    const s = String(p || '');
+    const hits = s.match(MSG_ID_RE) || (normalizeMessageId(s) ? [normalizeMessageId(s)] : []);
+    for (const id of hits) if (!out.includes(id)) out.push(id);
+  }
+  return out;
+}
+
+/** Case-insensitive header lookup: Resend sends headers as an object or as [{ name, value }]. */
+export function headerValue(headers, name) {
+  if (!headers || typeof headers !== 'object') return null;
+  const want = name.toLowerCase();
+  if (Array.isArray(headers)) {
+    const hit = headers.find(h => String(h?.name || h?.key || '').toLowerCase() === want);
+    return hit ? hit.value ?? null : null;
+  }
+  for (const [k, v] of Object.entries(headers)) if (k.toLowerCase() === want) return v;
+  return null;
+}
+
+/**
+ * Threading fields from a Resend receiving payload (top-level message_id when present, else headers).
+ * @returns {{ message_id: string|null, in_reply_to: string|null, reference_ids: string[] }}
+ */
+export function inboundThreadingHeaders(full) {
+  const headers = full?.headers;
+  return {
+    message_id: normalizeMessageId(full?.message_id || headerValue(headers, 'message-id')),
+    in_reply_to: parseMessageIdList(full?.in_reply_to || headerValue(headers, 'in-reply-to'))[0] || null,
+    reference_ids: parseMessageIdList(full?.references || headerValue(headers, 'references'))
+  };
+}
+
+/** Message-ID for an email we send (stored, so replies to it can be threaded). */
+export function generateMessageId(domain) {
+  const d = String(domain || '').trim().replace(/^@/, '') || 'localhost';
+  return `<${crypto.randomUUID()}@${d}>`;
+}
+
+/** Ids to look up when placing a message into a thread: In-Reply-To first, then References newest → oldest. */
+export function threadLookupIds({ in_reply_to: inReplyTo, reference_ids: refs }) {
+  const out = [];
+  if (inReplyTo) out.push(inReplyTo);
+  for (const id of [...(refs || [])].reverse()) if (!out.includes(id)) out.push(id);
+  return out;
+}
+
+/**
+ * Headers for replying to parent (project_emails row).
+ * @returns {{ 'In-Reply-To'?: string, References?: string }}
+ */
+export function buildReplyHeaders(parent) {
+  const parentId = normalizeMessageId(parent?.message_id);
+  if (!parentId) return {};
+  let refs = parseMessageIdList(parent.reference_ids || []).filter(id => id !== parentId);
+  refs.push(parentId);
+  if (refs.length > MAX_REFERENCES) refs = [refs[0], ...refs.slice(refs.length - MAX_REFERENCES + 1)];
+  return { 'In-Reply-To': parentId, References: refs.join(' ') };
+}
+
+const REPLY_PREFIX_RE = /^\s*((re|fw|fwd|aw|sv|השב|תשובה|הועבר|העבר)\s*(\[\d+\])?\s*:\s*)+/i;
+
+/** Subject without Re:/Fwd: (and Hebrew client) prefixes, lower-cased and space-collapsed — for the subject fallback. */
+export function normalizeThreadSubject(subject) {
+  return String(subject || '').replace(REPLY_PREFIX_RE, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+export function replySubject(subject) {
+  const s = String(subject || '').trim();
+  return /^re\s*:/i.test(s) ? s : `Re: ${s}`;
+}
+
+/**
+ * Subject fallback when headers did not match (clients that drop them, or a provider that rewrote our Message-ID):
+ * newest candidate with the same normalized subject that involved the sender, within SUBJECT_THREAD_WINDOW_DAYS.
+ * @param {object[]} candidates - project_emails rows { id, thread_id, subject, from_email, to_emails, created_at }
+ * @param {{ subject: string, from: string }} msg
+ * @returns {string|null} thread_id
+ */
+export function pickThreadBySubject(candidates, msg, now = Date.now()) {
+  const key = normalizeThreadSubject(msg.subject);
+  const from = String(msg.from || '').trim().toLowerCase();
+  if (!key || !from) return null;
+  const minMs = now - SUBJECT_THREAD_WINDOW_DAYS * 86400 * 1000;
+  const hits = (candidates || [])
+    .filter(c => normalizeThreadSubject(c.subject) === key)
+    .filter(c => (Date.parse(c.created_at || '') || 0) >= minMs)
+    .filter(c => {
+      const people = [c.from_email, ...(Array.isArray(c.to_emails) ? c.to_emails : [])].map(a => String(a || '').toLowerCase());
+      return people.some(p => p.includes(from));
+    })
+    .sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')));
+  return hits.length ? hits[0].thread_id || hits[0].id : null;
+}
+
+/**
+ * Recipients of a reply: the other side of parent; reply_all adds parent's other recipients. Our own addresses are dropped.
+ * @param {object} parent - project_emails row
+ * @param {{ replyAll?: boolean, ownAddresses?: string[], parseEmail: (s: string) => string }} opts
+ * @returns {string[]}
+ */
+export function replyRecipients(parent, { replyAll = false, ownAddresses = [], parseEmail }) {
+  const own = new Set(ownAddresses.filter(Boolean).map(a => a.toLowerCase()));
+  const to = (Array.isArray(parent?.to_emails) ? parent.to_emails : []).map(a => parseEmail(String(a)));
+  const from = parseEmail(String(parent?.from_email || ''));
+  const list = parent?.direction === 'received' ? [from, ...(replyAll ? to : [])] : to;
+  const out = [];
+  for (const a of list) {
+    const lower = String(a || '').toLowerCase();
+    if (!lower || own.has(lower) || out.some(x => x.toLowerCase() === lower)) continue;
+    out.push(a);
+  }
+  return out;
+}
+
+/**
+ * Conversation summary for GET .../emails/threads.
+ * @param {object[]} emails - one thread's rows (any order; bodies optional)
+ */
+export function summarizeThread(emails) {
+  const sorted = [...(emails || [])].sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')));
+  const first = sorted[0] || {};
+  const last = sorted[sorted.length - 1] || {};
+  const participants = [];
+  for (const e of sorted) {
+    for (const a of [e.from_email, ...(Array.isArray(e.to_emails) ? e.to_emails : [])]) {
+      const s = String(a || '').trim();
+      if (s && !participants.some(p => p.toLowerCase() === s.toLowerCase())) participants.push(s);
+    }
+  }
+  const preview = String(last.body_text || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+  return {
+    thread_id: first.thread_id || first.id || null,
+    subject: first.subject || '',
+    message_count: sorted.length,
+    received_count: sorted.filter(e => e.direction === 'received').length,
+    participants,
+    has_attachments: sorted.some(e => Array.isArray(e.attachments) && e.attachments.length > 0),
+    first_message_at: first.created_at || null,
+    last_message_at: last.created_at || null,
+    last_message: last.id ? { id: last.id, direction: last.direction, from_email: last.from_email, preview } : null
+  };
+}
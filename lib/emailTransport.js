@@ -0,0 +1,239 @@
+/**
+ * Email transport, picked by EMAIL_TRANSPORT: resend (default, HTTP API), smtp (nodemailer) or file (.eml sink for tests / on-prem).
+ * Messages use the Resend payload shape everywhere:
+ *   { from, to: string[], subject, text?, html?, reply_to?: string[], headers?: object,
+ *     attachments?: { filename, content: base64, content_type? }[] }
+ * Inbound (receiving API): getReceivedEmail / getReceivedAttachment — Resend, or JSON files dropped into the file sink's inbox.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+
+export const EMAIL_TRANSPORTS = ['resend', 'smtp', 'file'];
+
+const RESEND_API = 'https://api.resend.com';
+
+/**
+ * @typedef {{ ok: true, id: string|null } | { ok: false, status: number, error: string, details?: object }} SendResult
+ * status follows HTTP meaning: < 500 = the message was refused (do not retry), >= 500 = transport trouble (retry later).
+ */
+
+function unsupportedInbound(name) {
+  return async () => ({ ok: false, status: 501, error: `Inbound email is not available with the ${name} transport` });
+}
+
+export function createResendTransport({ apiKey }) {
+  const key = String(apiKey || '').trim();
+  const auth = { Authorization: `Bearer ${key}` };
+  return {
+    name: 'resend',
+    configured: !!key,
+    inbound: true,
+    /** @returns {Promise<SendResult>} */
+    async send(message) {
+      if (!key) return { ok: false, status: 503, error: 'no_api_key' };
+      const r = await fetch(`${RESEND_API}/emails`, {
+        method: 'POST',
+        headers: { ...auth, 'Content-Type': 'application/json' },
+        body: JSON.stringify(message)
+      });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok) {
+        const msg = data.message || data.error;
+        return { ok: false, status: r.status, error: typeof msg === 'string' ? msg : `http_${r.status}`, details: data };
+      }
+      return { ok: true, id: data.id || null };
+    },
+    /** Full received email (Resend receiving API payload). */
+    async getReceivedEmail(emailId) {
+      const r = await fetch(`${RESEND_API}/emails/receiving/${encodeURIComponent(emailId)}`, { headers: auth });
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok) return { ok: false, status: r.status, error: data.message || 'Resend receiving API error', details: data };
+      return { ok: true, email: data };
+    },
+    /** Attachment bytes: metadata → short-lived download_url → bytes. */
+    async getReceivedAttachment(emailId, attachmentId) {
+      const r = await fetch(`${RESEND_API}/emails/receiving/${encodeURIComponent(emailId)}/attachments/${encodeURIComponent(attachmentId)}`, { headers: auth });
+      const meta = await r.json().catch(() => ({}));
+      if (!r.ok) {
+        return { ok: false, status: r.status, error: typeof meta.message === 'string' ? meta.message : 'Failed to get attachment from Resend', details: meta };
+      }
+      if (!meta.download_url) return { ok: false, status: 502, error: 'No download_url from Resend (URLs expire ~1h after receipt)' };
+      const bin = await fetch(meta.download_url);
+      if (!bin.ok) return { ok: false, status: 502, error: 'Failed to download attachment bytes' };
+      return {
+        ok: true,
+        buf: Buffer.from(await bin.arrayBuffer()),
+        filename: meta.filename || 'attachment',
+        contentType: meta.content_type || meta.contentType || 'application/octet-stream'
+      };
+    }
+  };
+}
+
+/** Resend-shaped message → nodemailer message options. */
+export function toNodemailerMessage(message) {
+  const headers = { ...(message.headers || {}) };
+  const messageId = headers['Message-ID'];
+  delete headers['Message-ID'];
+  const out = {
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    headers
+  };
+  if (messageId) out.messageId = messageId;
+  if (message.text) out.text = message.text;
+  if (message.html) out.html = message.html;
+  if (message.reply_to?.length) out.replyTo = message.reply_to;
+  if (message.attachments?.length) {
+    out.attachments = message.attachments.map(a => ({
+      filename: a.filename,
+      content: Buffer.from(a.content, 'base64'),
+      ...(a.content_type ? { contentType: a.content_type } : {})
+    }));
+  }
+  return out;
+}
+
+/** RFC 5322 bytes of a message (what the file sink writes). */
+export function buildMimeMessage(message) {
+  return new MailComposer(toNodemailerMessage(message)).compile().build();
+}
+
+/**
+ * @param {{ host: string, port?: number, secure?: boolean, user?: string, pass?: string }} opts
+ * @param {{ createTransport?: Function }} [deps] - nodemailer.createTransport (tests pass a stub)
+ */
+export function createSmtpTransport(opts, deps = {}) {
+  const host = String(opts.host || '').trim();
+  const port = opts.port || 587;
+  let transporter = null;
+  return {
+    name: 'smtp',
+    configured: !!host,
+    inbound: false,
+    /** @returns {Promise<SendResult>} */
+    async send(message) {
+      if (!host) return { ok: false, status: 503, error: 'SMTP_HOST not set' };
+      transporter = transporter || (deps.createTransport || nodemailer.createTransport)({
+        host,
+        port,
+        secure: opts.secure ?? port === 465,
+        ...(opts.user ? { auth: { user: opts.user, pass: opts.pass || '' } } : {})
+      });
+      try {
+        const info = await transporter.sendMail(toNodemailerMessage(message));
+        return { ok: true, id: info.messageId || null };
+      } catch (e) {
+        // 5xx SMTP reply = recipient / message refused; everything else (4xx, connection) is worth a retry
+        const permanent = e.responseCode >= 500 && e.responseCode < 600;
+        return { ok: false, status: permanent ? 422 : 503, error: e.response || e.message || 'SMTP send failed' };
+      }
+    },
+    getReceivedEmail: unsupportedInbound('smtp'),
+    getReceivedAttachment: unsupportedInbound('smtp')
+  };
+}
+
+const SAFE_ID_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,127}$/;
+
+function safeId(id) {
+  const s = String(id || '');
+  return SAFE_ID_RE.test(s) && !s.includes('..') ? s : null;
+}
+
+/**
+ * Local sink: sent mail → <dir>/outbox/<time>-<id>.eml. Inbound: <dir>/inbox/<email_id>.json (receiving API shape,
+ * attachments: [{ id, filename, content_type }]) with bytes in <dir>/inbox/<email_id>/<attachment id>.
+ * @param {{ dir: string }} opts
+ */
+export function createFileTransport({ dir }) {
+  const root = path.resolve(String(dir || '.mail'));
+  const inbox = path.join(root, 'inbox');
+  const readInboundJson = async (emailId) => {
+    const id = safeId(emailId);
+    if (!id) return { ok: false, status: 400, error: 'Invalid email id' };
+    try {
+      return { ok: true, email: JSON.parse(await fs.readFile(path.join(inbox, `${id}.json`), 'utf8')) };
+    } catch (e) {
+      if (e.code === 'ENOENT') return { ok: false, status: 404, error: 'Email not found in file inbox' };
+      return { ok: false, status: 500, error: e.message };
+    }
+  };
+  return {
+    name: 'file',
+    configured: true,
+    inbound: true,
+    dir: root,
+    /** @returns {Promise<SendResult & { path?: string }>} */
+    async send(message) {
+      try {
+        const id = `file_${crypto.randomUUID()}`;
+        const outbox = path.join(root, 'outbox');
+        await fs.mkdir(outbox, { recursive: true });
+        const file = path.join(outbox, `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+        await fs.writeFile(file, await buildMimeMessage(message));
+        return { ok: true, id, path: file };
+      } catch (e) {
+        return { ok: false, status: 503, error: e.message };
+      }
+    },
+    getReceivedEmail: readInboundJson,
+    async getReceivedAttachment(emailId, attachmentId) {
+      const got = await readInboundJson(emailId);
+      if (!got.ok) return got;
+      const attId = safeId(attachmentId);
+      const meta = (got.email.attachments || []).find(a => (a.id || a.attachment_id) === attachmentId);
+      if (!attId || !meta) return { ok: false, status: 404, error: 'Attachment not found' };
+      try {
+        return {
+          ok: true,
+          buf: await fs.readFile(path.join(inbox, safeId(emailId), attId)),
+          filename: meta.filename || 'attachment',
+          contentType: meta.content_type || 'application/octet-stream'
+        };
+      } catch (e) {
+        return { ok: false, status: e.code === 'ENOENT' ? 404 : 500, error: e.code === 'ENOENT' ? 'Attachment file missing' : e.message };
+      }
+    }
+  };
+}
+
+/**
+ * Transport from env: EMAIL_TRANSPORT=resend (RESEND_API_KEY) | smtp (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ * | file (EMAIL_FILE_DIR, default ./.mail).
+ */
+export function emailTransportFromEnv(env = process.env) {
+  const kind = String(env.EMAIL_TRANSPORT || 'resend').trim().toLowerCase();
+  if (kind === 'smtp') {
+    const port = parseInt(String(env.SMTP_PORT || '587'), 10) || 587;
+    const secure = env.SMTP_SECURE == null || env.SMTP_SECURE === '' ? undefined : /^(1|true|yes)$/i.test(env.SMTP_SECURE);
+    return createSmtpTransport({ host: env.SMTP_HOST, port, secure, user: env.SMTP_USER, pass: env.SMTP_PASS });
+  }
+  if (kind === 'file') return createFileTransport({ dir: env.EMAIL_FILE_DIR || '.mail' });
+  if (kind !== 'resend') throw new Error(`EMAIL_TRANSPORT must be one of: ${EMAIL_TRANSPORTS.join(', ')}`);
+  return createResendTransport({ apiKey: env.RESEND_API_KEY });
+}
+
+/**
+ * Transport for the small mail helpers (notifications, invitations, lab completion): an explicit opts.transport,
+ * else Resend with opts.apiKey (their original signature).
+ */
+export function transportFromOpts(opts) {
+  return opts.transport || createResendTransport({ apiKey: opts.apiKey });
+}
+
+/** resendError value those helpers return when the transport cannot send at all. */
+export function transportNotConfiguredError(transport) {
+  return transport.name === 'resend' ? 'no_api_key' : 'transport_not_configured';
+}
+
+/** @returns {Promise<{ sent: boolean, id?: string, resendError?: string }>} */
+export async function deliverSimpleEmail(transport, message) {
+  const out = await transport.send(message);
+  if (!out.ok) return { sent: false, resendError: out.error };
+  return { sent: true, id: out.id || undefined };
+}
@@ -654,6 +654,48 @@ export async function removeProjectFileFromGptRagAndOpenAi(supabase, projectId,
   return { openai_detached: false };
 }
 
+/**
+ * Purge of a soft-deleted project: delete every uploaded file attached to its vector store, then the store itself.
+ * Extra file ids (project_files.openai_file_id not yet attached) are deleted too. 404s count as already gone.
+ * @returns {Promise<{ files_deleted: number, vector_store_deleted: boolean }>}
+ */
+export async function deleteProjectOpenAiVectorStore(vsId, opts) {
+  const openaiApiKey = (opts.openaiApiKey || '').trim();
+  const openaiBase = (opts.openaiBase || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const log = typeof opts.onLog === 'function' ? opts.onLog : () => {};
+  if (!openaiApiKey) return { files_deleted: 0, vector_store_deleted: false };
+  const gone = (e) => e.response?.status === 404;
+
+  const fileIds = new Set((opts.extraFileIds || []).filter(Boolean).map(String));
+  if (vsId) {
+    try {
+      for (const fid of await listCompletedOpenAiFileIdsInVectorStore(openaiBase, openaiApiKey, vsId)) fileIds.add(fid);
+    } catch (e) {
+      if (!gone(e)) log(`list vector store files failed: ${e.message}`);
+    }
+  }
+  let filesDeleted = 0;
+  for (const fid of fileIds) {
+    try {
+      await deleteOpenAiUploadedFile(openaiBase, openaiApiKey, fid);
+      filesDeleted++;
+    } catch (e) {
+      if (!gone(e)) log(`delete OpenAI file ${fid} failed: ${e.message}`);
+    }
+  }
+  let vectorStoreDeleted = !vsId;
+  if (vsId) {
+    try {
+      await axios.delete(`${openaiBase}/vector_stores/${vsId}`, { headers: openAiVectorHeaders(openaiApiKey), timeout: 30000 });
+      vectorStoreDeleted = true;
+    } catch (e) {
+      vectorStoreDeleted = gone(e);
+      if (!vectorStoreDeleted) throw e;
+    }
+  }
+  return { files_deleted: filesDeleted, vector_store_deleted: vectorStoreDeleted };
+}
+
 /**
  * Appended to the user query so the model knows real project file names (scoping + citations).
  * Does not replace file_search — every claim must still be supported by retrieved snippets.
@@ -54,3 +54,106 @@ export function extractProjectIdFromInboundPayload(full, query) {
   if (m2) return m2[1].toLowerCase();
   return null;
 }
+
+const UUID_IN_TEXT_GLOBAL_RE = new RegExp(UUID_IN_TEXT_RE.source, 'gi');
+
+/**
+ * Every project UUID an inbound email could be meant for, in routing order, deduped (lower-case):
+ * ?project_id, then recipients (To/Cc/Bcc), then headers, then subject. Header and subject UUIDs are only hints —
+ * Message-IDs (ours and many clients') are random UUIDs too, so they count only when they name an existing project.
+ * @returns {{ id: string, source: 'query'|'recipient'|'header'|'subject' }[]}
+ */
+export function inboundProjectIdCandidates(full, query) {
+  const out = [];
+  const add = (id, source) => {
+    const v = String(id).toLowerCase();
+    if (!out.some(c => c.id === v)) out.push({ id: v, source });
+  };
+  const rawQ = query && query.project_id != null ? String(query.project_id) : '';
+  const q = rawQ.match(UUID_IN_TEXT_RE);
+  if (q) add(q[1], 'query');
+  for (const list of [full?.to, full?.cc, full?.bcc]) {
+    if (!Array.isArray(list)) continue;
+    for (const a of list) {
+      const hit = parseEmailOnly(typeof a === 'string' ? a : String(a || '')).match(UUID_IN_TEXT_RE);
+      if (hit) add(hit[1], 'recipient');
+    }
+  }
+  if (full?.headers && typeof full.headers === 'object') {
+    let blob = '';
+    try {
+      blob = JSON.stringify(full.headers);
+    } catch (_) {}
+    for (const m of blob.matchAll(UUID_IN_TEXT_GLOBAL_RE)) add(m[1], 'header');
+  }
+  for (const m of String(full?.subject || '').matchAll(UUID_IN_TEXT_GLOBAL_RE)) add(m[1], 'subject');
+  return out;
+}
+
+/**
+ * Routing decision for an inbound email. A project alias always wins; otherwise the first candidate that names an
+ * existing project. When nothing matches, an explicit candidate (?project_id / recipient) is reported as
+ * project_not_found; header / subject UUIDs that name no project are ignored (no_project_match).
+ * @param {{ id: string, source: string }[]} candidates - inboundProjectIdCandidates
+ * @param {string|null} aliasProjectId - project of a recipient alias, if any
+ * @param {Set<string>} existingIds - candidate ids that are projects
+ * @returns {{ projectId: string, via: string } | { projectId: null, reason: 'project_not_found'|'no_project_match', candidate: string|null }}
+ */
+export function pickInboundProject(candidates, aliasProjectId, existingIds) {
+  if (aliasProjectId) return { projectId: aliasProjectId, via: 'alias' };
+  const hit = (candidates || []).find(c => existingIds.has(c.id));
+  if (hit) return { projectId: hit.id, via: hit.source };
+  const explicit = (candidates || []).find(c => c.source === 'query' || c.source === 'recipient');
+  return explicit
+    ? { projectId: null, reason: 'project_not_found', candidate: explicit.id }
+    : { projectId: null, reason: 'no_project_match', candidate: null };
+}
+
+/** Human-friendly inbound alias (local part, e.g. acrylic-2026@inbound.domain): lower-case letters, digits, . _ -; 3–64 chars. */
+export const PROJECT_ALIAS_RE = /^[a-z0-9](?:[a-z0-9._-]{1,62})[a-z0-9]$/;
+
+/** Aliases per project (old names can be kept while senders update their address books). */
+export const PROJECT_ALIASES_MAX = 5;
+
+/** Local parts that mail systems or our own senders use — never project aliases. */
+export const RESERVED_PROJECT_ALIASES = ['postmaster', 'abuse', 'admin', 'root', 'noreply', 'no-reply', 'mailer-daemon', 'bounce', 'bounces', 'support'];
+
+/**
+ * Validate an alias entered by a project owner ("Acrylic-2026" and "acrylic-2026@any.domain" → "acrylic-2026").
+ * @returns {{ ok: true, alias: string } | { ok: false, error: string }}
+ */
+export function normalizeProjectAlias(raw) {
+  const alias = String(raw || '').trim().toLowerCase().split('@')[0];
+  if (!alias) return { ok: false, error: 'alias is required' };
+  if (!PROJECT_ALIAS_RE.test(alias) || /[._-]{2}/.test(alias)) {
+    return { ok: false, error: 'alias must be 3-64 characters: a-z, 0-9, and single . _ - between them' };
+  }
+  if (UUID_IN_TEXT_RE.test(alias)) return { ok: false, error: 'alias must not contain a project UUID' };
+  if (RESERVED_PROJECT_ALIASES.includes(alias)) return { ok: false, error: `"${alias}" is reserved` };
+  return { ok: true, alias };
+}
+
+/**
+ * Recipient local parts (To, Cc, Bcc) at our reply domain that could be project aliases, in order, deduped. Addresses at
+ * other domains are ignored (a Cc to lab@partner.com is not our "lab" alias). Plus tags are dropped
+ * (acrylic-2026+lab@… → acrylic-2026) so senders can label mail without breaking routing.
+ * @param {object} full - received email
+ * @param {string} domain - RESEND_REPLY_DOMAIN; none → no candidates
+ * @returns {string[]}
+ */
+export function inboundAliasCandidates(full, domain) {
+  const out = [];
+  const ours = String(domain || '').trim().toLowerCase();
+  if (!ours) return out;
+  for (const list of [full?.to, full?.cc, full?.bcc]) {
+    if (!Array.isArray(list)) continue;
+    for (const a of list) {
+      const email = parseEmailOnly(typeof a === 'string' ? a : String(a || '')).toLowerCase();
+      const at = email.lastIndexOf('@');
+      if (at < 1 || email.slice(at + 1) !== ours) continue;
+      const local = email.slice(0, at).split('+')[0];
+      if (normalizeProjectAlias(local).ok && !out.includes(local)) out.push(local);
+    }
+  }
+  return out;
+}
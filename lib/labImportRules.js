@@ -0,0 +1,184 @@
+/**
+ * Per-project auto lab import rules (lab_import_rules): which inbound email attachments are imported on email.received
+ * without a manual /emails/:storedEmailId/import-attachment call. Pure matching + validation; the pipeline is in server.js.
+ */
+
+export const LAB_IMPORT_RULE_NAME_MAX = 120;
+export const LAB_IMPORT_SUBJECT_PATTERN_MAX = 200;
+export const LAB_IMPORT_SENDERS_MAX = 50;
+/** Only this much of an inbound subject is matched against subject_pattern. */
+export const LAB_IMPORT_SUBJECT_MATCH_MAX = 1000;
+
+/** Attachments auto-imported per email. */
+export const LAB_AUTO_IMPORT_MAX_ATTACHMENTS = 10;
+
+/** Extensions the pipeline can parse (parseExperimentBufferToText); rules may narrow this list, never widen it. */
+export const LAB_IMPORT_EXTENSIONS = ['xlsx', 'xls', 'csv', 'txt', 'json', 'pdf', 'docx'];
+
+function normalizeSender(s) {
+  const v = String(s || '').trim().toLowerCase();
+  if (!v) return null;
+  if (/^@[^@\s]+\.[^@\s]+$/.test(v)) return v; // whole domain
+  if (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(v)) return v;
+  return null;
+}
+
+function normalizeExtension(e) {
+  return String(e || '').trim().toLowerCase().replace(/^\*?\./, '');
+}
+
+/**
+ * Validate a create / update body. For updates pass the existing rule as base.
+ * @param {object} input - { name, enabled, sender_allowlist, subject_pattern, file_extensions }
+ * @param {object} [base]
+ * @returns {{ ok: true, rule: object } | { ok: false, error: string }}
+ */
+export function normalizeLabImportRule(input, base = {}) {
+  const src = { ...base, ...(input || {}) };
+  const name = String(src.name || '').trim();
+  if (!name) return { ok: false, error: 'name is required' };
+  if (name.length > LAB_IMPORT_RULE_NAME_MAX) return { ok: false, error: `name must be at most ${LAB_IMPORT_RULE_NAME_MAX} characters` };
+
+  const rawSenders = src.sender_allowlist == null ? [] : src.sender_allowlist;
+  if (!Array.isArray(rawSenders)) return { ok: false, error: 'sender_allowlist must be an array' };
+  if (rawSenders.length > LAB_IMPORT_SENDERS_MAX) return { ok: false, error: `At most ${LAB_IMPORT_SENDERS_MAX} senders` };
+  const senders = [];
+  for (const s of rawSenders) {
+    const n = normalizeSender(s);
+    if (!n) return { ok: false, error: `Invalid sender "${s}" (use name@domain.com or @domain.com)` };
+    if (!senders.includes(n)) senders.push(n);
+  }
+  // Auto import without a sender allowlist would accept lab data from anyone who knows the project address.
+  if (!senders.length) return { ok: false, error: 'sender_allowlist must contain at least one address or @domain' };
+
+  const subjectPattern = src.subject_pattern == null ? null : String(src.subject_pattern).trim() || null;
+  if (subjectPattern && subjectPattern.length > LAB_IMPORT_SUBJECT_PATTERN_MAX) {
+    return { ok: false, error: `subject_pattern must be at most ${LAB_IMPORT_SUBJECT_PATTERN_MAX} characters` };
+  }
+
+  const rawExt = src.file_extensions == null ? [] : src.file_extensions;
+  if (!Array.isArray(rawExt)) return { ok: false, error: 'file_extensions must be an array' };
+  const extensions = [...new Set(rawExt.map(normalizeExtension).filter(Boolean))];
+  const unsupported = extensions.filter(e => !LAB_IMPORT_EXTENSIONS.includes(e));
+  if (unsupported.length) return { ok: false, error: `Unsupported file_extensions: ${unsupported.join(', ')}` };
+
+  return {
+    ok: true,
+    rule: {
+      name,
+      enabled: src.enabled === undefined ? true : !!src.enabled,
+      sender_allowlist: senders,
+      subject_pattern: subjectPattern,
+      file_extensions: extensions
+    }
+  };
+}
+
+/** true when from (address or "Name <address>") is listed, or its domain is listed as @domain. */
+export function senderAllowed(allowlist, fromEmail) {
+  const raw = String(fromEmail || '');
+  const addr = (raw.match(/<([^>]+)>/)?.[1] || raw).trim().toLowerCase();
+  if (!addr.includes('@')) return false;
+  const domain = addr.slice(addr.lastIndexOf('@'));
+  return (allowlist || []).some(s => s === addr || s === domain);
+}
+
+export function extensionOf(filename) {
+  const m = String(filename || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+  return m ? m[1] : '';
+}
+
+/**
+ * subject_pattern is a case-insensitive glob, not a regex (the subject is sender-controlled and matched in the
+ * webhook path): `*` = any run of characters, `?` = one character, and the whole subject must match. A pattern
+ * without wildcards matches anywhere in the subject. Linear backtracking over one `*` at a time — no catastrophic cases.
+ */
+export function subjectMatchesPattern(pattern, subject) {
+  const p = [...String(pattern || '').toLowerCase()];
+  const t = [...String(subject || '').slice(0, LAB_IMPORT_SUBJECT_MATCH_MAX).toLowerCase()];
+  if (!p.includes('*') && !p.includes('?')) return t.join('').includes(p.join(''));
+  let pi = 0;
+  let ti = 0;
+  let star = -1;
+  let mark = 0;
+  while (ti < t.length) {
+    if (pi < p.length && (p[pi] === '?' || p[pi] === t[ti])) {
+      pi++;
+      ti++;
+    } else if (pi < p.length && p[pi] === '*') {
+      star = pi++;
+      mark = ti;
+    } else if (star !== -1) {
+      pi = star + 1;
+      ti = ++mark;
+    } else {
+      return false;
+    }
+  }
+  while (pi < p.length && p[pi] === '*') pi++;
+  return pi === p.length;
+}
+
+/** Rule applies to the email (sender + subject) — attachment filter is separate. */
+export function ruleMatchesEmail(rule, email) {
+  if (!rule?.enabled) return false;
+  if (!senderAllowed(rule.sender_allowlist, email.from)) return false;
+  return !rule.subject_pattern || subjectMatchesPattern(rule.subject_pattern, email.subject);
+}
+
+export function attachmentMatchesRule(rule, filename) {
+  const ext = extensionOf(filename);
+  if (!LAB_IMPORT_EXTENSIONS.includes(ext)) return false;
+  return !rule.file_extensions?.length || rule.file_extensions.includes(ext);
+}
+
+/**
+ * Attachments to auto-import, each with the first rule (in `rules` order) that accepts it.
+ * Inline parts (disposition inline) are skipped; at most LAB_AUTO_IMPORT_MAX_ATTACHMENTS.
+ * @param {object[]} rules - lab_import_rules rows
+ * @param {{ from: string, subject: string }} email
+ * @param {{ id: string, filename: string, content_disposition?: string, content_id?: string }[]} attachments
+ * @returns {{ attachment: object, rule: object }[]}
+ */
+export function selectAutoImportAttachments(rules, email, attachments) {
+  const applicable = (rules || []).filter(r => ruleMatchesEmail(r, email));
+  if (!applicable.length) return [];
+  const out = [];
+  for (const a of attachments || []) {
+    if (!a?.id) continue;
+    if (String(a.content_disposition || '').toLowerCase() === 'inline') continue;
+    const rule = applicable.find(r => attachmentMatchesRule(r, a.filename));
+    if (rule) out.push({ attachment: a, rule });
+    if (out.length >= LAB_AUTO_IMPORT_MAX_ATTACHMENTS) break;
+  }
+  return out;
+}
+
+const EXPERIMENT_ID_HEADER_RE = /^(experiment[ _]?id|id)$/i;
+
+/**
+ * Parsed Excel sheets ({ name, rows: string[][] }, first row = header) → rows as header-keyed objects,
+ * the shape the experiment-excel importer reads (sheet + 1-based row number kept for error reporting).
+ * Sheets without an experiment id column (notes, charts data) are skipped rather than reported row by row.
+ */
+export function excelSheetsToRowObjects(sheets) {
+  const out = [];
+  for (const sh of sheets || []) {
+    const rows = sh.rows || [];
+    if (rows.length < 2) continue;
+    const header = rows[0].map(h => String(h ?? '').trim());
+    if (!header.some(h => EXPERIMENT_ID_HEADER_RE.test(h))) continue;
+    for (let r = 1; r < rows.length; r++) {
+      const row = {};
+      let any = false;
+      header.forEach((h, i) => {
+        if (!h) return;
+        const v = rows[r][i] ?? '';
+        row[h] = v;
+        if (String(v).trim() !== '') any = true;
+      });
+      if (any) out.push({ row, sheet: sh.name, rowIndex: r + 1 });
+    }
+  }
+  return out;
+}
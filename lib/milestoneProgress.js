@@ -0,0 +1,51 @@
+/**
+ * Milestone progress from linked tasks (tasks.milestone_id): counts per status category, percent done, open tasks due
+ * after the milestone, and the auto_complete rule. Pure — DB work in server.js.
+ */
+import { taskStatusCategory } from './taskWorkflow.js';
+
+/**
+ * @param {{ due_date?: string|null }} milestone
+ * @param {{ id: string, title?: string, status: string, due_date?: string|null, completed_at?: string|null }[]} tasks - tasks linked to the milestone
+ * @param {object} workflow - the project's task workflow (taskWorkflowFor)
+ * @returns {{ total: number, done: number, open: number, cancelled: number, percent: number|null, all_done: boolean,
+ *   last_completed_at: string|null, late_tasks: object[], at_risk: boolean }}
+ *   percent ignores cancelled tasks (null when nothing is left to count); late_tasks = open tasks due after the milestone.
+ */
+export function milestoneProgress(milestone, tasks, workflow) {
+  const counts = { done: 0, open: 0, cancelled: 0 };
+  let lastCompletedAt = null;
+  const late = [];
+  const milestoneDue = milestone?.due_date ? String(milestone.due_date).slice(0, 10) : null;
+  for (const t of tasks || []) {
+    const category = taskStatusCategory(workflow, t.status);
+    counts[category]++;
+    if (category === 'done' && t.completed_at && (!lastCompletedAt || t.completed_at > lastCompletedAt)) lastCompletedAt = t.completed_at;
+    if (category === 'open' && milestoneDue && t.due_date && String(t.due_date).slice(0, 10) > milestoneDue) {
+      late.push({ id: t.id, title: t.title ?? null, status: t.status, due_date: t.due_date });
+    }
+  }
+  const counted = counts.done + counts.open;
+  late.sort((a, b) => String(b.due_date).localeCompare(String(a.due_date)));
+  return {
+    total: (tasks || []).length,
+    ...counts,
+    percent: counted ? Math.round((counts.done * 100) / counted) : null,
+    all_done: counted > 0 && counts.open === 0,
+    last_completed_at: lastCompletedAt,
+    late_tasks: late,
+    at_risk: late.length > 0
+  };
+}
+
+/**
+ * completed_at to write on an auto_complete milestone after its tasks changed; undefined = leave as is.
+ * All counted tasks done → completed at the latest task completion (or now); an open task again → reopened.
+ * Milestones without auto_complete are only completed by hand.
+ */
+export function milestoneAutoCompletion(milestone, progress, now = new Date()) {
+  if (!milestone?.auto_complete) return undefined;
+  if (progress.all_done) return milestone.completed_at ? undefined : (progress.last_completed_at || now.toISOString());
+  if (milestone.completed_at && progress.open > 0) return null;
+  return undefined;
+}
@@ -0,0 +1,183 @@
+/**
+ * In-app notifications (notifications table, written by notifyUsers in server.js) + the same text sent by email (lib/emailTransport.js).
+ * Join-request, chat-mention, scheduled-email and task texts live here, plus the daily digest (notification_preferences.email_mode = daily_digest).
+ */
+import { transportFromOpts, transportNotConfiguredError, deliverSimpleEmail } from './emailTransport.js';
+
+export const JOIN_REQUEST_MESSAGE_MAX = 2000;
+
+/** Events: created → owners; approved / rejected / expired → requester. */
+export const JOIN_REQUEST_EVENTS = ['created', 'approved', 'rejected', 'expired'];
+
+/**
+ * @param {'created'|'approved'|'rejected'|'expired'} event
+ * @param {{ projectName?: string, requesterName?: string, message?: string|null, reason?: string|null }} ctx
+ * @returns {{ title: string, body: string }}
+ */
+export function joinRequestNotificationText(event, ctx = {}) {
+  const project = `"${ctx.projectName || ''}"`;
+  switch (event) {
+    case 'created':
+      return {
+        title: `בקשת הצטרפות חדשה לפרויקט ${project}`,
+        body: `${ctx.requesterName || 'משתמש'} ביקש/ה להצטרף לפרויקט ${project}.` + (ctx.message ? `\n\nהודעה:\n${ctx.message}` : '')
+      };
+    case 'approved':
+      return { title: `בקשת ההצטרפות אושרה — ${project}`, body: `בקשתך להצטרף לפרויקט ${project} אושרה.` };
+    case 'rejected':
+      return {
+        title: `בקשת ההצטרפות נדחתה — ${project}`,
+        body: `בקשתך להצטרף לפרויקט ${project} נדחתה.` + (ctx.reason ? `\n\nסיבה:\n${ctx.reason}` : '')
+      };
+    case 'expired':
+      return {
+        title: `בקשת ההצטרפות פגה — ${project}`,
+        body: `בקשתך להצטרפות לפרויקט ${project} לא טופלה בזמן ופג תוקפה. ניתן לשלוח בקשה חדשה.`
+      };
+    default:
+      throw new Error(`Unknown join request event: ${event}`);
+  }
+}
+
+/** Chat excerpt shown in mention notifications / emails. */
+const MENTION_EXCERPT_MAX = 300;
+
+/**
+ * @param {{ projectName?: string, authorName?: string, body?: string }} ctx
+ * @returns {{ title: string, body: string }}
+ */
+export function chatMentionNotificationText(ctx = {}) {
+  const project = `"${ctx.projectName || ''}"`;
+  let excerpt = String(ctx.body || '').trim();
+  if (excerpt.length > MENTION_EXCERPT_MAX) excerpt = excerpt.slice(0, MENTION_EXCERPT_MAX - 1) + '…';
+  return {
+    title: `${ctx.authorName || 'משתמש'} הזכיר/ה אותך בצ'אט — ${project}`,
+    body: `${ctx.authorName || 'משתמש'} הזכיר/ה אותך בצ'אט של פרויקט ${project}:\n\n${excerpt}`
+  };
+}
+
+/**
+ * Scheduled project email gave up (permanent error or retries exhausted) → its creator.
+ * @param {{ projectName?: string, subject?: string, error?: string }} ctx
+ * @returns {{ title: string, body: string }}
+ */
+export function scheduledEmailFailedNotificationText(ctx = {}) {
+  const project = `"${ctx.projectName || ''}"`;
+  return {
+    title: `מייל מתוזמן לא נשלח — ${project}`,
+    body: `המייל "${ctx.subject || ''}" שתוזמן בפרויקט ${project} לא נשלח.` + (ctx.error ? `\n\nשגיאה:\n${ctx.error}` : '')
+  };
+}
+
+/**
+ * Task assigned to a member (new assignees only, never the one who assigned).
+ * @param {{ projectName?: string, taskTitle?: string, assignerName?: string, dueDate?: string|null }} ctx
+ * @returns {{ title: string, body: string }}
+ */
+export function taskAssignedNotificationText(ctx = {}) {
+  const project = `"${ctx.projectName || ''}"`;
+  return {
+    title: `שויכה אליך משימה — ${project}`,
+    body: `${ctx.assignerName || 'משתמש'} שייך/ה אליך את המשימה "${ctx.taskTitle || ''}" בפרויקט ${project}.` + (ctx.dueDate ? `\n\nתאריך יעד: ${ctx.dueDate}` : '')
+  };
+}
+
+/**
+ * New comment on a task → its assignees and @mentioned members (not the author).
+ * @param {{ projectName?: string, taskTitle?: string, authorName?: string, body?: string }} ctx
+ * @returns {{ title: string, body: string }}
+ */
+export function taskCommentNotificationText(ctx = {}) {
+  const project = `"${ctx.projectName || ''}"`;
+  let excerpt = String(ctx.body || '').trim();
+  if (excerpt.length > MENTION_EXCERPT_MAX) excerpt = excerpt.slice(0, MENTION_EXCERPT_MAX - 1) + '…';
+  return {
+    title: `תגובה חדשה במשימה "${ctx.taskTitle || ''}" — ${project}`,
+    body: `${ctx.authorName || 'משתמש'} הגיב/ה על המשימה "${ctx.taskTitle || ''}" בפרויקט ${project}:\n\n${excerpt}`
+  };
+}
+
+/**
+ * Task due soon → its assignees (cron task-reminders, once per due date).
+ * @param {{ projectName?: string, taskTitle?: string, dueDate?: string, today?: string }} ctx
+ * @returns {{ title: string, body: string }}
+ */
+export function taskDueSoonNotificationText(ctx = {}) {
+  const project = `"${ctx.projectName || ''}"`;
+  const when = ctx.dueDate && ctx.dueDate === ctx.today ? 'היום' : `ב-${ctx.dueDate || ''}`;
+  return {
+    title: `תזכורת: המשימה "${ctx.taskTitle || ''}" לביצוע ${when} — ${project}`,
+    body: `המשימה "${ctx.taskTitle || ''}" בפרויקט ${project} משויכת אליך ותאריך היעד שלה ${ctx.dueDate || ''}.`
+  };
+}
+
+/**
+ * Daily overdue digest → project owners: open tasks past their due date.
+ * @param {{ projectName?: string, tasks?: { title?: string, due_date?: string, assignees?: string[] }[] }} ctx
+ * @returns {{ title: string, body: string }}
+ */
+export function tasksOverdueDigestNotificationText(ctx = {}) {
+  const project = `"${ctx.projectName || ''}"`;
+  const list = ctx.tasks || [];
+  const lines = list.slice(0, DIGEST_MAX_ITEMS).map(t => `• ${t.title || ''} (יעד ${t.due_date || ''})` + (t.assignees?.length ? ` — ${t.assignees.join(', ')}` : ''));
+  if (list.length > DIGEST_MAX_ITEMS) lines.push(`ועוד ${list.length - DIGEST_MAX_ITEMS} משימות נוספות.`);
+  return {
+    title: `${list.length} משימות באיחור — ${project}`,
+    body: `בפרויקט ${project} יש ${list.length} משימות פתוחות שעבר תאריך היעד שלהן:\n\n${lines.join('\n')}`
+  };
+}
+
+/** notification_preferences.email_mode: immediate = one mail per notification (default), daily_digest = cron summary, off. */
+export const NOTIFICATION_EMAIL_MODES = ['immediate', 'daily_digest', 'off'];
+
+/** Max notifications listed in one digest mail (the rest are counted). */
+export const DIGEST_MAX_ITEMS = 50;
+
+/**
+ * One digest mail for a user's unread, not-yet-emailed notifications (newest first). Null when there is nothing to send.
+ * @param {object[]} rows - notifications rows ({ project_id, title, created_at })
+ * @param {Record<string, string>} [projectNames] - project_id → name
+ * @returns {{ title: string, body: string } | null}
+ */
+export function buildNotificationDigest(rows, projectNames = {}) {
+  const list = rows || [];
+  if (!list.length) return null;
+  const groups = new Map();
+  for (const n of list.slice(0, DIGEST_MAX_ITEMS)) {
+    const key = n.project_id ? projectNames[n.project_id] || 'פרויקט' : 'כללי';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(`• ${n.title}`);
+  }
+  const sections = [...groups].map(([name, lines]) => `${name}:\n${lines.join('\n')}`);
+  if (list.length > DIGEST_MAX_ITEMS) sections.push(`ועוד ${list.length - DIGEST_MAX_ITEMS} התראות נוספות.`);
+  return {
+    title: `סיכום התראות (${list.length})`,
+    body: `יש לך ${list.length} התראות שלא נקראו:\n\n${sections.join('\n\n')}`
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} [opts.transport] - lib/emailTransport.js transport (else Resend with apiKey)
+ * @param {string} [opts.apiKey] - RESEND_API_KEY
+ * @param {string} opts.fromEmail
+ * @param {string} opts.toEmail
+ * @param {string} opts.title
+ * @param {string} opts.body
+ * @returns {Promise<{ sent: boolean, id?: string, resendError?: string }>}
+ */
+export async function sendNotificationEmail(opts) {
+  const transport = transportFromOpts(opts);
+  if (!transport.configured) return { sent: false, resendError: transportNotConfiguredError(transport) };
+  const to = String(opts.toEmail || '').trim();
+  if (!to) return { sent: false, resendError: 'no_recipient' };
+
+  const body = {
+    from: opts.fromEmail,
+    to: [to],
+    subject: opts.title,
+    text: `שלום,\n\n${opts.body}\n\nבברכה,\nהמערכת (הודעה אוטומטית)`
+  };
+
+  return deliverSimpleEmail(transport, body);
+}
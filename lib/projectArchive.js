@@ -0,0 +1,156 @@
+/**
+ * Portable project archive (GET /api/projects/:id/export → ZIP, POST /api/projects/import).
+ * Layout: manifest.json, project.json, data/<table>.json, files/<file_id>/<name>.
+ * Pure helpers for the table list and id remapping — DB / storage I/O stays in server.js.
+ */
+import crypto from 'crypto';
+import { Readable } from 'stream';
+
+export const PROJECT_ARCHIVE_FORMAT = 'maneger-project-archive';
+export const PROJECT_ARCHIVE_VERSION = 1;
+
+/**
+ * Exported tables in insert order (parents before children).
+ * scope: 'project' → rows with project_id; otherwise { column, table } → rows whose column points at an exported row of table.
+ * refs: columns holding ids of other exported rows (remapped on import; a ref to a row not in the archive becomes null,
+ * or drops the row when the column is listed in required).
+ * clear: columns reset on import (ids that are only valid in the source environment).
+ */
+export const ARCHIVE_TABLES = [
+  { table: 'milestones', scope: 'project' },
+  { table: 'tasks', scope: 'project', refs: ['parent_task_id', 'milestone_id', 'recurrence_source_id'], clear: ['reminder_sent_for'] },
+  { table: 'task_comments', scope: 'project', refs: ['task_id'], required: ['task_id'] },
+  { table: 'task_dependencies', scope: 'project', refs: ['predecessor_id', 'successor_id'], required: ['predecessor_id', 'successor_id'] },
+  { table: 'documents', scope: 'project' },
+  { table: 'notes', scope: 'project' },
+  { table: 'project_chat_messages', scope: 'project', refs: ['parent_id'] },
+  { table: 'project_emails', scope: 'project', refs: ['thread_id'], clear: ['resend_email_id'] },
+  { table: 'project_email_templates', scope: 'project' },
+  { table: 'research_sessions', scope: 'project' },
+  { table: 'material_library', scope: 'project' },
+  { table: 'lab_experiments', scope: 'project', refs: ['research_session_id', 'parent_experiment_id'] },
+  { table: 'experiment_materials', scope: { column: 'experiment_id', table: 'lab_experiments' }, refs: ['experiment_id'], required: ['experiment_id'] },
+  {
+    table: 'experiment_relations',
+    scope: { column: 'source_experiment_id', table: 'lab_experiments' },
+    refs: ['source_experiment_id', 'target_experiment_id'],
+    required: ['source_experiment_id', 'target_experiment_id']
+  },
+  {
+    table: 'project_chat_message_links',
+    scope: 'project',
+    refs: ['message_id', 'project_file_id', 'lab_experiment_id'],
+    required: ['message_id', 'project_file_id', 'lab_experiment_id']
+  },
+  { table: 'runs', scope: 'project' },
+  { table: 'run_fsm_trace', scope: { column: 'run_id', table: 'runs' }, refs: ['run_id'], required: ['run_id'] },
+  { table: 'audit_log', scope: 'project' }
+];
+
+/** Zip entry name for a stored file (ids keep names unique; the name segment is only for humans). */
+export function archiveFilePath(fileId, originalName) {
+  const name = String(originalName || 'file').replace(/[\\/\u0000-\u001f]/g, '_').slice(0, 180) || 'file';
+  return `files/${fileId}/${name}`;
+}
+
+/**
+ * Zip entry body that calls load() only when the zip writer reaches the entry (JSZip reads Node streams lazily), so an
+ * export holds one stored file in memory at a time. load resolves to a Buffer, or null for an empty entry.
+ * @param {() => Promise<Buffer|null>} load
+ */
+export function lazyArchiveEntry(load) {
+  let started = false;
+  return new Readable({
+    read() {
+      if (started) return;
+      started = true;
+      load().then(buf => {
+        if (buf?.length) this.push(buf);
+        this.push(null);
+      }, err => this.destroy(err));
+    }
+  });
+}
+
+/**
+ * Validate manifest.json from an uploaded archive.
+ * @returns {{ ok: true } | { ok: false, error: string }}
+ */
+export function checkArchiveManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object') return { ok: false, error: 'manifest.json missing or invalid' };
+  if (manifest.format !== PROJECT_ARCHIVE_FORMAT) return { ok: false, error: 'Not a project archive (unknown format)' };
+  if (!Number.isInteger(manifest.version) || manifest.version > PROJECT_ARCHIVE_VERSION) {
+    return { ok: false, error: `Unsupported archive version ${manifest.version}` };
+  }
+  return { ok: true };
+}
+
+/** New uuid for every exported row id (one map across tables — uuids do not collide). */
+export function buildIdMap(dataByTable, extraIds = []) {
+  const map = new Map();
+  for (const rows of Object.values(dataByTable || {})) {
+    for (const r of rows || []) if (r?.id && !map.has(r.id)) map.set(r.id, crypto.randomUUID());
+  }
+  for (const id of extraIds) if (id && !map.has(id)) map.set(id, crypto.randomUUID());
+  return map;
+}
+
+/** Order rows so a row referencing another row of the same table (parent_experiment_id, chat parent_id, parent_task_id) comes after it. */
+export function orderParentsFirst(rows, parentColumn) {
+  const byId = new Map(rows.map(r => [r.id, r]));
+  const out = [];
+  const seen = new Set();
+  const visit = (r, depth) => {
+    if (seen.has(r.id) || depth > rows.length) return;
+    const parent = r[parentColumn] ? byId.get(r[parentColumn]) : null;
+    if (parent) visit(parent, depth + 1);
+    seen.add(r.id);
+    out.push(r);
+  };
+  for (const r of rows) visit(r, 0);
+  return out;
+}
+
+/**
+ * Rows ready to insert under newProjectId: ids replaced via idMap, refs remapped, clear columns nulled.
+ * audit_log.entity_id is remapped when it names an exported row; id is left to the DB default there, and user_id / username
+ * are cleared (moved to details.source_user).
+ * @param {{ table: string, scope: string|object, refs?: string[], required?: string[], clear?: string[] }} spec - ARCHIVE_TABLES entry
+ * @param {object[]} rows
+ * @param {Map<string,string>} idMap
+ * @param {string} newProjectId
+ */
+export function remapArchiveRows(spec, rows, idMap, newProjectId) {
+  const out = [];
+  for (const src of rows || []) {
+    const row = { ...src };
+    if (spec.table === 'audit_log') {
+      delete row.id;
+      if (row.entity_id && idMap.has(row.entity_id)) row.entity_id = idMap.get(row.entity_id);
+      // user ids belong to the source environment's accounts: who acted is kept in details, not as a live user reference
+      if (row.user_id != null || row.username) {
+        const details = row.details && typeof row.details === 'object' && !Array.isArray(row.details) ? row.details : {};
+        row.details = { ...details, source_user: { id: row.user_id ?? null, username: row.username ?? null } };
+      }
+      row.user_id = null;
+      row.username = null;
+    } else {
+      row.id = idMap.get(src.id) || crypto.randomUUID();
+    }
+    if (spec.scope === 'project') row.project_id = newProjectId;
+    let keep = true;
+    for (const col of spec.refs || []) {
+      if (row[col] == null) continue;
+      const mapped = idMap.get(row[col]);
+      if (mapped) row[col] = mapped;
+      else if ((spec.required || []).includes(col)) keep = false;
+      else row[col] = null;
+    }
+    for (const col of spec.clear || []) if (col in row) row[col] = null;
+    if (keep) out.push(row);
+  }
+  if (spec.refs?.includes('parent_experiment_id')) return orderParentsFirst(out, 'parent_experiment_id');
+  if (spec.refs?.includes('parent_id')) return orderParentsFirst(out, 'parent_id');
+  if (spec.refs?.includes('parent_task_id')) return orderParentsFirst(out, 'parent_task_id');
+  return out;
+}
@@ -0,0 +1,62 @@
+/**
+ * Project invitations by email: single-use tokens (only the SHA-256 hash is stored) + invite email (lib/emailTransport.js).
+ */
+import crypto from 'crypto';
+import { transportFromOpts, transportNotConfiguredError, deliverSimpleEmail } from './emailTransport.js';
+
+/** @returns {{ token: string, tokenHash: string }} token goes in the email link; tokenHash goes in project_invitations.token_hash */
+export function createInvitationToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashInvitationToken(token) };
+}
+
+export function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(String(token || ''), 'utf8').digest('hex');
+}
+
+/** @returns {boolean} */
+export function isInvitationExpired(invitation, now = Date.now()) {
+  const ms = Date.parse(invitation?.expires_at || '');
+  return Number.isNaN(ms) || ms <= now;
+}
+
+function invitationBodyHe({ projectName, inviterName, acceptUrl, expiresAt }) {
+  const expires = expiresAt ? new Date(expiresAt).toISOString().slice(0, 10) : '';
+  return (
+    'שלום,\n\n' +
+    `${inviterName || 'חבר צוות'} הזמין/ה אותך להצטרף לפרויקט "${projectName || ''}" במערכת ניהול הפרויקטים.\n\n` +
+    'להצטרפות (התחברות או הרשמה ואז אישור ההזמנה):\n' +
+    `${acceptUrl}\n\n` +
+    (expires ? `הקישור בתוקף עד ${expires} וניתן לשימוש פעם אחת בלבד.\n\n` : 'הקישור ניתן לשימוש פעם אחת בלבד.\n\n') +
+    'בברכה,\n' +
+    'המערכת (הודעה אוטומטית)'
+  );
+}
+
+/**
+ * @param {object} opts
+ * @param {object} [opts.transport] - lib/emailTransport.js transport (else Resend with apiKey)
+ * @param {string} [opts.apiKey] - RESEND_API_KEY
+ * @param {string} opts.fromEmail
+ * @param {string} opts.toEmail
+ * @param {string} opts.projectName
+ * @param {string|null} opts.inviterName
+ * @param {string} opts.acceptUrl
+ * @param {string} opts.expiresAt - ISO
+ * @returns {Promise<{ sent: boolean, id?: string, resendError?: string }>}
+ */
+export async function sendProjectInvitationEmail(opts) {
+  const transport = transportFromOpts(opts);
+  if (!transport.configured) return { sent: false, resendError: transportNotConfiguredError(transport) };
+  const to = String(opts.toEmail || '').trim();
+  if (!to) return { sent: false, resendError: 'no_recipient' };
+
+  const body = {
+    from: opts.fromEmail,
+    to: [to],
+    subject: `הזמנה לפרויקט: ${opts.projectName || ''}`.trim(),
+    text: invitationBodyHe(opts)
+  };
+
+  return deliverSimpleEmail(transport, body);
+}
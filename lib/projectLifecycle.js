@@ -0,0 +1,68 @@
+/** Project lifecycle: active → archived (read-only) → soft-deleted (restorable until purge_after) → purged. Pure helpers. */
+
+export const PROJECT_STATES = ['active', 'archived', 'deleted'];
+
+/** Permissions still usable on an archived project (everything else is a content write and gets 409). */
+export const ARCHIVED_PROJECT_PERMISSIONS = ['project.update', 'project.delete', 'project.export', 'members.manage'];
+
+/** @returns {'active'|'archived'|'deleted'} */
+export function projectLifecycleState(project) {
+  if (project?.deleted_at) return 'deleted';
+  if (project?.archived_at) return 'archived';
+  return 'active';
+}
+
+/** @returns {boolean} */
+export function isPermissionAllowedInState(state, permission) {
+  if (state === 'active') return true;
+  if (state === 'archived') return ARCHIVED_PROJECT_PERMISSIONS.includes(permission);
+  return false;
+}
+
+/** ISO time after which a soft-deleted project may be purged. */
+export function purgeAfterIso(deletedAt, retentionDays) {
+  const base = Date.parse(deletedAt || '') || Date.now();
+  return new Date(base + Math.max(0, retentionDays) * 86400 * 1000).toISOString();
+}
+
+/** @returns {boolean} true when soft-deleted and the retention window has passed */
+export function isPurgeDue(project, now = Date.now()) {
+  if (!project?.deleted_at) return false;
+  const ms = Date.parse(project.purge_after || '');
+  return !Number.isNaN(ms) && ms <= now;
+}
+
+/**
+ * management_vector rows are keyed by filename only, so on purge drop just the names no other project still uses.
+ * @param {string[]} projectNames - original_name of the purged project's files
+ * @param {string[]} otherNames - original_name of files in other projects
+ * @returns {string[]}
+ */
+export function filenamesExclusiveToProject(projectNames, otherNames) {
+  const other = new Set((otherNames || []).map(n => String(n || '').trim()).filter(Boolean));
+  const out = new Set();
+  for (const n of projectNames || []) {
+    const name = String(n || '').trim();
+    if (name && !other.has(name)) out.add(name);
+  }
+  return [...out];
+}
+
+/**
+ * storage_path values a purge may delete: the project's own uploads (under ownedPrefix, i.e. MANUAL_BUCKET) that no other
+ * project's file row still points at. SharePoint bucket paths are only registered by reference (POST files/from-bucket)
+ * and are shared sources, so they are never deleted.
+ * @param {string[]} projectPaths - storage_path of the purged project's files
+ * @param {string[]} otherPaths - the same paths as referenced by files of other projects
+ * @param {string} [ownedPrefix]
+ * @returns {string[]}
+ */
+export function storagePathsOwnedByProject(projectPaths, otherPaths, ownedPrefix = 'manual/') {
+  const other = new Set((otherPaths || []).map(p => String(p || '').trim()));
+  const out = new Set();
+  for (const p of projectPaths || []) {
+    const path = String(p || '').trim();
+    if (path.startsWith(ownedPrefix) && !other.has(path)) out.add(path);
+  }
+  return [...out];
+}
@@ -0,0 +1,51 @@
+/** GET /api/projects helpers: search filter, last-activity merge, sorting (pure — no DB). */
+
+export const PROJECT_LIST_SORTS = ['last_activity', 'name', 'created_at', 'updated_at'];
+
+/**
+ * PostgREST `.or()` filter for name/description search, or null when q is empty.
+ * Value is double-quoted so commas / parentheses in the search text do not break the filter syntax.
+ */
+export function projectSearchOrFilter(q) {
+  const term = String(q || '')
+    .replace(/["\\]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 200);
+  if (!term) return null;
+  const pattern = `"*${term}*"`;
+  return `name.ilike.${pattern},description.ilike.${pattern}`;
+}
+
+/** Latest of several ISO timestamps (null/invalid ignored) → ISO string or null. */
+export function latestIso(...values) {
+  let best = null;
+  for (const v of values) {
+    if (!v) continue;
+    const ms = Date.parse(v);
+    if (Number.isNaN(ms)) continue;
+    if (best == null || ms > best) best = ms;
+  }
+  return best == null ? null : new Date(best).toISOString();
+}
+
+/**
+ * Sort projects in place. Rows are expected to carry last_activity_at when sort = last_activity.
+ * @param {object[]} rows
+ * @param {string} sort - one of PROJECT_LIST_SORTS (unknown → last_activity)
+ * @param {'asc'|'desc'} [order] - default desc for timestamps, asc for name
+ */
+export function sortProjectList(rows, sort, order) {
+  const key = PROJECT_LIST_SORTS.includes(sort) ? sort : 'last_activity';
+  const dir = order === 'asc' || order === 'desc' ? order : key === 'name' ? 'asc' : 'desc';
+  const sign = dir === 'asc' ? 1 : -1;
+  const field = key === 'last_activity' ? 'last_activity_at' : key;
+  return rows.sort((a, b) => {
+    if (key === 'name') {
+      return sign * String(a.name || '').localeCompare(String(b.name || ''), undefined, { sensitivity: 'base' });
+    }
+    const ta = Date.parse(a[field] || '') || 0;
+    const tb = Date.parse(b[field] || '') || 0;
+    return sign * (ta - tb);
+  });
+}
@@ -0,0 +1,54 @@
+/**
+ * Project ownership: co-owners, the last-owner guard, and the owner history replayed from audit_log
+ * (GET /api/projects/:id/ownership-history). Pure — DB work in server.js.
+ */
+
+export const OWNERSHIP_AUDIT_ACTIONS = ['owner_add', 'owner_remove', 'ownership_transfer_request', 'ownership_transfer_accept', 'ownership_transfer_decline', 'ownership_transfer_cancel'];
+
+/**
+ * Audit action for a member's role change as far as ownership goes (afterRole null = removed from the project).
+ * @returns {'owner_add'|'owner_remove'|null}
+ */
+export function ownerRoleChangeAction(beforeRole, afterRole) {
+  if (beforeRole !== 'owner' && afterRole === 'owner') return 'owner_add';
+  if (beforeRole === 'owner' && afterRole !== 'owner') return 'owner_remove';
+  return null;
+}
+
+/** true when the change would take the project's last owner away (ownerCount = owners before the change). */
+export function leavesProjectWithoutOwner(beforeRole, afterRole, ownerCount) {
+  return ownerRoleChangeAction(beforeRole, afterRole) === 'owner_remove' && ownerCount <= 1;
+}
+
+/**
+ * Ownership periods from owner_add / owner_remove audit rows (entity_id = user id), oldest first.
+ * An owner_remove without an open period is ignored; a period still open has to: null.
+ * @param {object[]} rows - audit_log rows (action, entity_id, created_at), any order
+ * @returns {{ user_id: number|string, from: string, to: string|null }[]}
+ */
+export function ownershipPeriods(rows) {
+  const sorted = (rows || [])
+    .filter(r => (r.action === 'owner_add' || r.action === 'owner_remove') && r.entity_id != null)
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  const periods = [];
+  const open = new Map();
+  for (const r of sorted) {
+    const key = String(r.entity_id);
+    if (r.action === 'owner_add') {
+      if (open.has(key)) continue;
+      const period = { user_id: /^\d+$/.test(key) ? Number(key) : key, from: r.created_at, to: null };
+      open.set(key, period);
+      periods.push(period);
+    } else if (open.has(key)) {
+      open.get(key).to = r.created_at;
+      open.delete(key);
+    }
+  }
+  return periods;
+}
+
+/** Owners (user ids) at a point in time, from ownershipPeriods (timestamps compared as instants, not strings). */
+export function ownersAt(periods, at) {
+  const t = Date.parse(at);
+  return periods.filter(p => Date.parse(p.from) <= t && (p.to == null || Date.parse(p.to) > t)).map(p => p.user_id);
+}
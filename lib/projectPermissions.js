@@ -0,0 +1,53 @@
+/** Project roles + permission matrix (checked per route via requireProjectPermission in server.js). */
+
+export const PROJECT_ROLES = ['owner', 'editor', 'lab_analyst', 'viewer', 'external_reviewer'];
+
+/** Role given to members added without an explicit role (approve join request, add member). */
+export const DEFAULT_MEMBER_ROLE = 'editor';
+
+/**
+ * Permission → roles allowed. Reading project data (files, tasks, RAG answers, analysis) only requires membership;
+ * everything listed here is an extra capability on top of that.
+ */
+export const PROJECT_PERMISSIONS = {
+  'project.update': ['owner'],
+  'project.delete': ['owner'],
+  'project.export': ['owner'],
+  'members.manage': ['owner'],
+  'chat.write': ['owner', 'editor', 'lab_analyst', 'external_reviewer'],
+  'tasks.write': ['owner', 'editor', 'lab_analyst'],
+  'tasks.comment': ['owner', 'editor', 'lab_analyst', 'external_reviewer'],
+  'content.write': ['owner', 'editor'],
+  'runs.write': ['owner', 'editor', 'lab_analyst'],
+  'lab.write': ['owner', 'editor', 'lab_analyst'],
+  'files.upload': ['owner', 'editor', 'lab_analyst'],
+  'files.delete': ['owner', 'editor'],
+  'emails.read': ['owner', 'editor', 'lab_analyst', 'viewer'],
+  'emails.send': ['owner', 'editor'],
+  'rag.sync': ['owner', 'editor']
+};
+
+/** Map stored role to a known role. Legacy 'member' rows (before roles) had full access → editor. */
+export function normalizeProjectRole(role) {
+  const r = String(role || '').trim().toLowerCase();
+  if (r === 'member') return 'editor';
+  return PROJECT_ROLES.includes(r) ? r : null;
+}
+
+/** @returns {boolean} */
+export function isValidProjectRole(role) {
+  return PROJECT_ROLES.includes(String(role || ''));
+}
+
+/** @returns {boolean} */
+export function roleHasPermission(role, permission) {
+  const r = normalizeProjectRole(role);
+  if (!r) return false;
+  const allowed = PROJECT_PERMISSIONS[permission];
+  return Array.isArray(allowed) && allowed.includes(r);
+}
+
+/** All permissions granted to a role (for GET /access → frontend can hide actions). */
+export function permissionsForRole(role) {
+  return Object.keys(PROJECT_PERMISSIONS).filter((p) => roleHasPermission(role, p));
+}
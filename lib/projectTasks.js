@@ -0,0 +1,70 @@
+/** Project task helpers: assignees, description, comment stream, "my tasks" ordering (pure — DB work in server.js). */
+
+export const TASK_DESCRIPTION_MAX = 20000;
+export const TASK_ASSIGNEES_MAX = 10;
+export const TASK_COMMENT_MAX_LENGTH = 5000;
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+/**
+ * assignee_ids from a request body: user ids (numbers or numeric strings), distinct, at most TASK_ASSIGNEES_MAX.
+ * Membership is checked by the caller.
+ * @returns {{ ok: true, ids: number[] } | { ok: false, error: string }}
+ */
+export function normalizeAssigneeIds(raw) {
+  if (raw == null) return { ok: true, ids: [] };
+  if (!Array.isArray(raw)) return { ok: false, error: 'assignee_ids must be an array of user ids' };
+  const ids = [];
+  for (const v of raw) {
+    const id = typeof v === 'number' ? v : (/^\d+$/.test(String(v).trim()) ? parseInt(String(v).trim(), 10) : NaN);
+    if (!Number.isInteger(id) || id <= 0) return { ok: false, error: `Invalid user id in assignee_ids: ${v}` };
+    if (!ids.includes(id)) ids.push(id);
+  }
+  if (ids.length > TASK_ASSIGNEES_MAX) return { ok: false, error: `At most ${TASK_ASSIGNEES_MAX} assignees per task` };
+  return { ok: true, ids };
+}
+
+/** @returns {{ added: number[], removed: number[] }} */
+export function diffAssignees(beforeIds, afterIds) {
+  const before = new Set(beforeIds || []);
+  const after = new Set(afterIds || []);
+  return {
+    added: [...after].filter(id => !before.has(id)),
+    removed: [...before].filter(id => !after.has(id))
+  };
+}
+
+/**
+ * Group task_assignees rows per task.
+ * @param {{ task_id: string, user_id: number, username?: string|null, created_at?: string }[]} rows
+ * @returns {Map<string, { user_id: number, username: string|null, assigned_at: string|null }[]>}
+ */
+export function groupAssignees(rows) {
+  const out = new Map();
+  for (const r of rows || []) {
+    if (!out.has(r.task_id)) out.set(r.task_id, []);
+    out.get(r.task_id).push({ user_id: r.user_id, username: r.username || null, assigned_at: r.created_at || null });
+  }
+  return out;
+}
+
+/** API shape of a comment: soft-deleted rows keep their place in the stream but lose body. */
+export function presentTaskComment(row) {
+  if (!row) return row;
+  const out = { ...row, deleted: !!row.deleted_at, edited: !!row.edited_at };
+  if (row.deleted_at) out.body = '';
+  return out;
+}
+
+/** Order for "my tasks": overdue / soonest due first (no due date last), then priority, then oldest. */
+export function sortMyTasks(tasks) {
+  return [...(tasks || [])].sort((a, b) => {
+    const da = a.due_date || '9999-12-31';
+    const db = b.due_date || '9999-12-31';
+    if (da !== db) return da < db ? -1 : 1;
+    const pa = PRIORITY_RANK[a.priority] ?? 1;
+    const pb = PRIORITY_RANK[b.priority] ?? 1;
+    if (pa !== pb) return pa - pb;
+    return String(a.created_at || '').localeCompare(String(b.created_at || ''));
+  });
+}
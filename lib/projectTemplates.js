@@ -0,0 +1,113 @@
+/**
+ * Project templates: snapshot a project's structure (no content/data) and turn it back into insert rows for a new project.
+ * Used by POST /api/projects/:id/templates (save) and POST /api/projects { template_id | clone_from } (seed). Pure — no DB.
+ */
+
+export const TEMPLATE_STRUCTURE_VERSION = 1;
+
+const DAY_MS = 86400 * 1000;
+
+/** Whole days from base to a DATE / ISO value (null when missing). Due dates are kept relative so a seeded plan starts "today". */
+function dayOffset(baseIso, value) {
+  if (!value) return null;
+  const base = Date.parse(String(baseIso || '').slice(0, 10));
+  const ms = Date.parse(String(value).slice(0, 10));
+  if (Number.isNaN(base) || Number.isNaN(ms)) return null;
+  return Math.round((ms - base) / DAY_MS);
+}
+
+function dateFromOffset(baseMs, offset) {
+  if (offset == null || !Number.isFinite(Number(offset))) return null;
+  return new Date(baseMs + Number(offset) * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** Keep only markdown headings from a note body (the "skeleton"); bodies themselves are project content. */
+export function notesSkeletonBody(body) {
+  const lines = String(body || '').split(/\r?\n/).filter(l => /^\s{0,3}#{1,6}\s+\S/.test(l));
+  return lines.length ? lines.map(l => l.trim()).join('\n\n') : null;
+}
+
+function uniqueTags(runs, key) {
+  const out = new Set();
+  for (const r of runs || []) for (const t of Array.isArray(r[key]) ? r[key] : []) if (t) out.add(String(t));
+  return [...out].sort();
+}
+
+/**
+ * @param {object} src
+ * @param {object} src.project - projects row (created_at is the offset base for due dates)
+ * @param {object[]} [src.tasks]
+ * @param {object[]} [src.milestones]
+ * @param {object[]} [src.materials] - material_library rows
+ * @param {object[]} [src.notes]
+ * @param {object[]} [src.sessions] - research_sessions rows
+ * @param {object[]} [src.runs] - runs rows (only feature tags are kept)
+ */
+export function buildTemplateStructure(src) {
+  const base = src.project?.created_at || new Date().toISOString();
+  const byCreated = (a, b) => String(a.created_at || '').localeCompare(String(b.created_at || ''));
+  return {
+    version: TEMPLATE_STRUCTURE_VERSION,
+    tasks: [...(src.tasks || [])].sort(byCreated)
+      .filter(t => t.status !== 'cancelled')
+      .map(t => ({ title: t.title, priority: t.priority || 'medium', due_offset_days: dayOffset(base, t.due_date) })),
+    milestones: [...(src.milestones || [])].sort(byCreated)
+      .map(m => ({ title: m.title, description: m.description || null, due_offset_days: dayOffset(base, m.due_date) })),
+    material_library: (src.materials || []).map(m => ({ name: m.name, role_or_function: m.role_or_function || null })),
+    notes: [...(src.notes || [])].sort(byCreated).map(n => ({ title: n.title || null, body: notesSkeletonBody(n.body) })),
+    research_sessions: [...(src.sessions || [])].sort(byCreated).filter(s => s.name).map(s => ({ name: s.name })),
+    run_feature_tags: {
+      features_core: uniqueTags(src.runs, 'features_core'),
+      features_extended: uniqueTags(src.runs, 'features_extended')
+    }
+  };
+}
+
+/**
+ * Insert rows for a new project. Tasks start in todo; milestones uncompleted; feature tags go on one draft run.
+ * @param {object} structure - buildTemplateStructure output (stored in project_templates.structure)
+ * @param {string} projectId
+ * @param {number} [nowMs]
+ */
+export function seedRowsFromStructure(structure, projectId, nowMs = Date.now()) {
+  const s = structure && typeof structure === 'object' ? structure : {};
+  const tags = s.run_feature_tags || {};
+  const core = Array.isArray(tags.features_core) ? tags.features_core : [];
+  const extended = Array.isArray(tags.features_extended) ? tags.features_extended : [];
+  return {
+    tasks: (s.tasks || []).filter(t => t?.title).map(t => ({
+      project_id: projectId,
+      title: String(t.title),
+      status: 'todo',
+      priority: ['low', 'medium', 'high'].includes(t.priority) ? t.priority : 'medium',
+      due_date: dateFromOffset(nowMs, t.due_offset_days)
+    })),
+    milestones: (s.milestones || []).filter(m => m?.title).map(m => ({
+      project_id: projectId,
+      title: String(m.title),
+      description: m.description || null,
+      due_date: dateFromOffset(nowMs, m.due_offset_days)
+    })),
+    material_library: (s.material_library || []).filter(m => m?.name).map(m => ({
+      project_id: projectId,
+      name: String(m.name),
+      role_or_function: m.role_or_function || null
+    })),
+    notes: (s.notes || []).filter(n => n && (n.title || n.body)).map(n => ({ project_id: projectId, title: n.title || null, body: n.body || null })),
+    research_sessions: (s.research_sessions || []).filter(r => r?.name).map(r => ({ project_id: projectId, name: String(r.name) })),
+    runs: core.length || extended.length ? [{ project_id: projectId, status: 'draft', features_core: core, features_extended: extended }] : []
+  };
+}
+
+/** Counts shown in template lists (GET /api/project-templates) without shipping the whole structure. */
+export function templateSummary(structure) {
+  const s = structure || {};
+  return {
+    tasks: (s.tasks || []).length,
+    milestones: (s.milestones || []).length,
+    material_library: (s.material_library || []).length,
+    notes: (s.notes || []).length,
+    research_sessions: (s.research_sessions || []).length,
+    run_feature_tags: (s.run_feature_tags?.features_core || []).length + (s.run_feature_tags?.features_extended || []).length
+  };
+}
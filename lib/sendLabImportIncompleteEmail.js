@@ -1,6 +1,7 @@
 /**
  * Notify sender to complete Lab data when attachment failed strict validation.
  */
+import { transportFromOpts, transportNotConfiguredError, deliverSimpleEmail } from './emailTransport.js';
 
 function completionBodyHe(missing, filename) {
   const lines = (Array.isArray(missing) ? missing : []).map((m) => `• ${m}`);
@@ -19,7 +20,8 @@ function completionBodyHe(missing, filename) {
 
 /**
  * @param {object} opts
- * @param {string} opts.apiKey - RESEND_API_KEY
+ * @param {object} [opts.transport] - lib/emailTransport.js transport (else Resend with apiKey)
+ * @param {string} [opts.apiKey] - RESEND_API_KEY
  * @param {string} opts.fromEmail
  * @param {string} opts.toEmail
  * @param {string|null} opts.replyTo
@@ -28,8 +30,8 @@ function completionBodyHe(missing, filename) {
  * @returns {Promise<{ sent: boolean, resendError?: string }>}
  */
 export async function sendLabImportIncompleteEmail(opts) {
-  const apiKey = String(opts.apiKey || '').trim();
-  if (!apiKey) return { sent: false, resendError: 'no_api_key' };
+  const transport = transportFromOpts(opts);
+  if (!transport.configured) return { sent: false, resendError: transportNotConfiguredError(transport) };
   const to = String(opts.toEmail || '').trim();
   if (!to) return { sent: false, resendError: 'no_recipient' };
 
@@ -43,14 +45,5 @@ export async function sendLabImportIncompleteEmail(opts) {
   };
   if (opts.replyTo) body.reply_to = [opts.replyTo];
 
-  const r = await fetch('https://api.resend.com/emails', {
-    method: 'POST',
-    headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  });
-  const data = await r.json().catch(() => ({}));
-  if (!r.ok) {
-    return { sent: false, resendError: typeof data.message === 'string' ? data.message : `http_${r.status}` };
-  }
-  return { sent: true };
+  return deliverSimpleEmail(transport, body);
 }
@@ -0,0 +1,199 @@
+/**
+ * Task graph: subtasks (tasks.parent_task_id, one level) and finish-to-start dependencies (task_dependencies),
+ * cycle detection, start blocking and the due-date based schedule / critical path (GET .../task-schedule). Pure.
+ */
+import { taskStatusCategory } from './taskWorkflow.js';
+
+export const TASK_DEPENDENCIES_MAX = 50;
+
+const DAY_MS = 86400 * 1000;
+
+/** Day number of a DATE / ISO value (null when missing or invalid). */
+function toDay(value) {
+  if (!value) return null;
+  const ms = Date.parse(String(value).slice(0, 10) + 'T00:00:00Z');
+  return Number.isNaN(ms) ? null : Math.floor(ms / DAY_MS);
+}
+
+function fromDay(day) {
+  return day == null ? null : new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** Implicit edges subtask → parent: a parent cannot finish before its subtasks (schedule + cycle check). */
+export function subtaskEdges(tasks) {
+  return (tasks || []).filter(t => t.parent_task_id).map(t => [t.id, t.parent_task_id]);
+}
+
+/**
+ * Would predecessor → successor close a loop? Looks for a path successor ⇝ predecessor over the existing edges.
+ * @param {[string, string][]} edges - [from, to] (dependencies + subtaskEdges)
+ * @returns {string[]|null} the loop as ids (predecessor … predecessor), or null when the edge is safe
+ */
+export function findDependencyCycle(edges, predecessorId, successorId) {
+  if (predecessorId === successorId) return [predecessorId, predecessorId];
+  const next = new Map();
+  for (const [a, b] of edges || []) {
+    if (!next.has(a)) next.set(a, []);
+    next.get(a).push(b);
+  }
+  const prev = new Map([[successorId, null]]);
+  const queue = [successorId];
+  while (queue.length) {
+    const cur = queue.shift();
+    if (cur === predecessorId) {
+      const path = [];
+      for (let n = cur; n != null; n = prev.get(n)) path.unshift(n);
+      return [predecessorId, ...path];
+    }
+    for (const n of next.get(cur) || []) {
+      if (!prev.has(n)) {
+        prev.set(n, cur);
+        queue.push(n);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Statuses that mean "work has started": every open status except the workflow's initial one, and done.
+ * Moving into one of them from a not-started status is blocked while a predecessor is open.
+ */
+export function isStartedTaskStatus(workflow, status) {
+  const category = taskStatusCategory(workflow, status);
+  if (category === 'done') return true;
+  return category === 'open' && status !== workflow.initial;
+}
+
+/**
+ * Predecessors that still block the task (category open; done and cancelled ones do not).
+ * @param {{ id: string, title?: string, status: string }[]} predecessors
+ */
+export function openPredecessors(workflow, predecessors) {
+  return (predecessors || []).filter(p => taskStatusCategory(workflow, p.status) === 'open');
+}
+
+/** Kahn order over ids; null when the graph has a loop. */
+function topoOrder(ids, preds, succs) {
+  const indeg = new Map(ids.map(id => [id, preds.get(id).length]));
+  const queue = ids.filter(id => indeg.get(id) === 0);
+  const out = [];
+  while (queue.length) {
+    const id = queue.shift();
+    out.push(id);
+    for (const s of succs.get(id)) {
+      indeg.set(s, indeg.get(s) - 1);
+      if (indeg.get(s) === 0) queue.push(s);
+    }
+  }
+  return out.length === ids.length ? out : null;
+}
+
+/**
+ * Projected schedule from due dates.
+ * A task's planned span is its due date minus the latest due date of its predecessors (0 without either).
+ * Projected finish of an open task = max(today, due date, latest predecessor projected finish + span); done tasks finished
+ * at completed_at; cancelled tasks are ignored. A slipping predecessor therefore pushes its successors by the same amount.
+ * Slack = how many days a task can slip without moving the project finish; the critical path is the zero-slack chain
+ * (following the predecessor that sets each finish) ending at the latest open task.
+ * @param {{ tasks: object[], dependencies: { predecessor_id: string, successor_id: string }[], workflow: object, today?: Date }} input
+ * @returns {{ ok: true, project_finish: string|null, critical_path: string[], late: number, tasks: object[] } | { ok: false, error: string }}
+ */
+export function computeTaskSchedule({ tasks, dependencies, workflow, today = new Date() }) {
+  const todayDay = toDay(today.toISOString());
+  const byId = new Map((tasks || []).map(t => [t.id, t]));
+  const ids = [...byId.keys()];
+  const preds = new Map(ids.map(id => [id, []]));
+  const succs = new Map(ids.map(id => [id, []]));
+  const edges = [...(dependencies || []).map(d => [d.predecessor_id, d.successor_id]), ...subtaskEdges(tasks)];
+  for (const [a, b] of edges) {
+    if (!byId.has(a) || !byId.has(b) || preds.get(b).includes(a)) continue;
+    preds.get(b).push(a);
+    succs.get(a).push(b);
+  }
+  const order = topoOrder(ids, preds, succs);
+  if (!order) return { ok: false, error: 'Task dependencies contain a cycle' };
+
+  const info = new Map();
+  for (const id of order) {
+    const t = byId.get(id);
+    const category = taskStatusCategory(workflow, t.status);
+    if (category === 'cancelled') {
+      info.set(id, { cancelled: true });
+      continue;
+    }
+    const live = preds.get(id).filter(p => !info.get(p).cancelled);
+    const due = toDay(t.due_date);
+    let predFinish = null;
+    let binding = null;
+    let plannedStart = null;
+    for (const p of live) {
+      const f = info.get(p).finish;
+      if (predFinish == null || f > predFinish) {
+        predFinish = f;
+        binding = p;
+      }
+      const pd = toDay(byId.get(p).due_date);
+      if (pd != null && (plannedStart == null || pd > plannedStart)) plannedStart = pd;
+    }
+    const span = due != null && plannedStart != null ? Math.max(0, due - plannedStart) : 0;
+    if (category === 'done') {
+      info.set(id, { done: true, finish: toDay(t.completed_at) ?? due ?? toDay(t.updated_at) ?? todayDay, span, due, bound: 'completed', binding: null });
+      continue;
+    }
+    const fromPreds = predFinish == null ? null : predFinish + span;
+    const finish = Math.max(todayDay, due ?? -Infinity, fromPreds ?? -Infinity);
+    let bound = 'today';
+    if (fromPreds === finish) bound = 'predecessor';
+    else if (due === finish) bound = 'due_date';
+    info.set(id, { finish, span, due, bound, binding: bound === 'predecessor' ? binding : null });
+  }
+
+  const openIds = order.filter(id => !info.get(id).cancelled && !info.get(id).done);
+  const live = order.filter(id => !info.get(id).cancelled);
+  const projectFinish = live.length ? Math.max(...live.map(id => info.get(id).finish)) : null;
+
+  // backward pass: latest finish that keeps projectFinish
+  for (const id of [...order].reverse()) {
+    const i = info.get(id);
+    if (i.cancelled) continue;
+    const liveSuccs = succs.get(id).filter(s => !info.get(s).cancelled);
+    i.latest = liveSuccs.length ? Math.min(...liveSuccs.map(s => info.get(s).latest - info.get(s).span)) : projectFinish;
+  }
+
+  let end = null;
+  for (const id of openIds) if (end == null || info.get(id).finish >= info.get(end).finish) end = id; // ties → the later task in dependency order
+  const criticalPath = [];
+  for (let cur = end; cur != null; ) {
+    criticalPath.unshift(cur);
+    const b = info.get(cur).binding;
+    cur = b && !info.get(b).done && info.get(b).latest - info.get(b).finish === 0 ? b : null;
+  }
+  const onPath = new Set(criticalPath);
+
+  const out = live.map(id => {
+    const t = byId.get(id);
+    const i = info.get(id);
+    return {
+      id,
+      title: t.title,
+      status: t.status,
+      parent_task_id: t.parent_task_id || null,
+      due_date: t.due_date || null,
+      projected_finish: fromDay(i.finish),
+      slip_days: i.due == null || i.done ? null : i.finish - i.due,
+      slack_days: i.done ? null : i.latest - i.finish,
+      bound_by: i.bound,
+      binding_predecessor_id: i.binding,
+      critical: onPath.has(id)
+    };
+  }).sort((a, b) => String(a.projected_finish).localeCompare(String(b.projected_finish)));
+
+  return {
+    ok: true,
+    project_finish: fromDay(projectFinish),
+    critical_path: criticalPath,
+    late: out.filter(t => t.slip_days > 0).length,
+    tasks: out
+  };
+}
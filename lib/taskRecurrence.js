@@ -0,0 +1,155 @@
+/**
+ * Recurring tasks: an RRULE subset on tasks.recurrence_rule and the due date of the next instance, spawned when an
+ * instance enters a done status. Pure — DB work in server.js.
+ *
+ * Supported: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL=n, BYDAY=MO,TH (weekly), BYMONTHDAY=d (monthly, clamped to the month's
+ * last day), COUNT=n or UNTIL=YYYYMMDD. "daily" / "weekly" / "monthly" and an "RRULE:" prefix are accepted too.
+ */
+
+export const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+export const RECURRENCE_MAX_INTERVAL = 99;
+export const RECURRENCE_MAX_COUNT = 1000;
+
+/** Monday-first, as listed in a formatted BYDAY. */
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const RULE_KEYS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'COUNT', 'UNTIL'];
+const DAY_MS = 86400 * 1000;
+
+function toDay(value) {
+  const ms = Date.parse(String(value).slice(0, 10) + 'T00:00:00Z');
+  return Number.isNaN(ms) ? null : Math.floor(ms / DAY_MS);
+}
+
+function fromDay(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** 0 = Monday … 6 = Sunday */
+function weekdayIndex(day) {
+  return (new Date(day * DAY_MS).getUTCDay() + 6) % 7;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+const fail = (error) => ({ ok: false, error });
+
+/**
+ * @returns {{ ok: true, rule: { freq: string, interval: number, byday: string[]|null, bymonthday: number|null, count: number|null, until: string|null } }
+ *   | { ok: false, error: string }}
+ */
+export function parseRecurrenceRule(raw) {
+  if (typeof raw !== 'string' || !raw.trim()) return fail('recurrence_rule must be a non-empty string');
+  let text = raw.trim().replace(/^RRULE:/i, '');
+  if (/^(daily|weekly|monthly)$/i.test(text)) text = `FREQ=${text}`;
+  const parts = {};
+  for (const seg of text.split(';')) {
+    if (!seg.trim()) continue;
+    const m = /^([A-Za-z]+)=(.+)$/.exec(seg.trim());
+    if (!m) return fail(`Invalid recurrence_rule part: ${seg}`);
+    const key = m[1].toUpperCase();
+    if (!RULE_KEYS.includes(key)) return fail(`Unsupported recurrence_rule part: ${key} (supported: ${RULE_KEYS.join(', ')})`);
+    if (key in parts) return fail(`Duplicate recurrence_rule part: ${key}`);
+    parts[key] = m[2].trim().toUpperCase();
+  }
+  const freq = parts.FREQ;
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) return fail(`FREQ must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`);
+  const rule = { freq, interval: 1, byday: null, bymonthday: null, count: null, until: null };
+  if (parts.INTERVAL !== undefined) {
+    rule.interval = /^\d+$/.test(parts.INTERVAL) ? parseInt(parts.INTERVAL, 10) : NaN;
+    if (!(rule.interval >= 1 && rule.interval <= RECURRENCE_MAX_INTERVAL)) return fail(`INTERVAL must be 1-${RECURRENCE_MAX_INTERVAL}`);
+  }
+  if (parts.BYDAY !== undefined) {
+    if (freq !== 'WEEKLY') return fail('BYDAY is only supported with FREQ=WEEKLY');
+    const days = parts.BYDAY.split(',').map(d => d.trim());
+    if (days.some(d => !WEEKDAYS.includes(d))) return fail(`BYDAY must list weekdays (${WEEKDAYS.join(', ')})`);
+    rule.byday = WEEKDAYS.filter(d => days.includes(d));
+  }
+  if (parts.BYMONTHDAY !== undefined) {
+    if (freq !== 'MONTHLY') return fail('BYMONTHDAY is only supported with FREQ=MONTHLY');
+    rule.bymonthday = /^\d+$/.test(parts.BYMONTHDAY) ? parseInt(parts.BYMONTHDAY, 10) : NaN;
+    if (!(rule.bymonthday >= 1 && rule.bymonthday <= 31)) return fail('BYMONTHDAY must be a single day 1-31');
+  }
+  if (parts.COUNT !== undefined && parts.UNTIL !== undefined) return fail('Use COUNT or UNTIL, not both');
+  if (parts.COUNT !== undefined) {
+    rule.count = /^\d+$/.test(parts.COUNT) ? parseInt(parts.COUNT, 10) : NaN;
+    if (!(rule.count >= 1 && rule.count <= RECURRENCE_MAX_COUNT)) return fail(`COUNT must be 1-${RECURRENCE_MAX_COUNT}`);
+  }
+  if (parts.UNTIL !== undefined) {
+    const m = /^(\d{4})-?(\d{2})-?(\d{2})(T[0-9Z]*)?$/.exec(parts.UNTIL);
+    const iso = m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+    if (!iso || toDay(iso) == null || fromDay(toDay(iso)) !== iso) return fail('UNTIL must be a date (YYYYMMDD)');
+    rule.until = iso;
+  }
+  return { ok: true, rule };
+}
+
+/** Canonical RRULE text (INTERVAL omitted when 1). */
+export function formatRecurrenceRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byday?.length) parts.push(`BYDAY=${rule.byday.join(',')}`);
+  if (rule.bymonthday) parts.push(`BYMONTHDAY=${rule.bymonthday}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+  return parts.join(';');
+}
+
+/**
+ * Validate and canonicalize a rule before it is stored. With an anchor (the task's due date), weekly rules without BYDAY
+ * get the anchor's weekday and monthly rules without BYMONTHDAY its day, so instances do not drift (31st → 30th → …).
+ * @returns {{ ok: true, rule: string } | { ok: false, error: string }}
+ */
+export function normalizeRecurrenceRule(raw, anchorDate = null) {
+  const parsed = parseRecurrenceRule(raw);
+  if (!parsed.ok) return parsed;
+  const rule = parsed.rule;
+  const anchor = anchorDate ? toDay(anchorDate) : null;
+  if (anchor != null && rule.freq === 'WEEKLY' && !rule.byday) rule.byday = [WEEKDAYS[weekdayIndex(anchor)]];
+  if (anchor != null && rule.freq === 'MONTHLY' && !rule.bymonthday) rule.bymonthday = new Date(anchor * DAY_MS).getUTCDate();
+  return { ok: true, rule: formatRecurrenceRule(rule) };
+}
+
+/** First occurrence strictly after the given date (YYYY-MM-DD). */
+export function nextOccurrence(rule, fromDate) {
+  const from = toDay(fromDate);
+  if (rule.freq === 'DAILY') return fromDay(from + rule.interval);
+  if (rule.freq === 'WEEKLY') {
+    if (!rule.byday?.length) return fromDay(from + 7 * rule.interval);
+    const weekStart = from - weekdayIndex(from);
+    const days = rule.byday.map(d => WEEKDAYS.indexOf(d));
+    const sameWeek = days.map(i => weekStart + i).filter(d => d > from);
+    if (sameWeek.length) return fromDay(Math.min(...sameWeek));
+    return fromDay(weekStart + 7 * rule.interval + Math.min(...days));
+  }
+  const date = new Date(from * DAY_MS);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const target = rule.bymonthday || date.getUTCDate();
+  const inMonth = Math.min(target, daysInMonth(year, month));
+  if (inMonth > date.getUTCDate()) return fromDay(Date.UTC(year, month, inMonth) / DAY_MS);
+  const next = new Date(Date.UTC(year, month + rule.interval, 1));
+  const day = Math.min(target, daysInMonth(next.getUTCFullYear(), next.getUTCMonth()));
+  return fromDay(Date.UTC(next.getUTCFullYear(), next.getUTCMonth(), day) / DAY_MS);
+}
+
+/**
+ * Due date of the instance after a completed one, or null when the series is over (COUNT reached / past UNTIL).
+ * The series follows the completed instance's due date (or the completion day without one); an instance finished late
+ * skips the dates that already passed, so the next one is due on or after the completion day.
+ * @param {string} ruleText - tasks.recurrence_rule
+ * @param {{ dueDate?: string|null, completedOn: string, seq?: number }} instance - seq = tasks.recurrence_seq (1 = first)
+ * @returns {{ due_date: string, seq: number } | null}
+ */
+export function nextRecurrence(ruleText, { dueDate = null, completedOn, seq = 1 }) {
+  const parsed = parseRecurrenceRule(ruleText);
+  if (!parsed.ok) return null;
+  const rule = parsed.rule;
+  if (rule.count && seq >= rule.count) return null;
+  const completed = String(completedOn).slice(0, 10);
+  let next = nextOccurrence(rule, dueDate ? String(dueDate).slice(0, 10) : completed);
+  for (let i = 0; next < completed && i < 1000; i++) next = nextOccurrence(rule, next);
+  if (rule.until && next > rule.until) return null;
+  return { due_date: next, seq: seq + 1 };
+}
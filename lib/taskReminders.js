@@ -0,0 +1,45 @@
+/**
+ * Task due-date reminders (GET /api/cron/task-reminders): which open tasks get a "due soon" reminder to their assignees
+ * and which projects get an overdue digest for their owners. Pure — DB work and sending in server.js.
+ */
+import { taskStatusCategory, taskWorkflowFor } from './taskWorkflow.js';
+
+export const TASK_REMINDER_DEFAULT_DAYS_BEFORE = 1;
+
+/** YYYY-MM-DD plus n days. */
+export function addDaysToDate(date, days) {
+  const ms = Date.parse(String(date).slice(0, 10) + 'T00:00:00Z');
+  return new Date(ms + days * 86400 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {object} input
+ * @param {object[]} input.tasks - candidate tasks (due_date set, not completed), with reminder_sent_for
+ * @param {Map<string, object>} input.projects - project_id → project (task_workflow, archived_at, deleted_at, overdue_digest_sent_on)
+ * @param {string} input.today - YYYY-MM-DD
+ * @param {number} [input.daysBefore] - remind when the due date is within this many days (0 = on the day)
+ * @returns {{ dueSoon: object[], overdue: Map<string, object[]> }}
+ *   dueSoon: open tasks due today … today+daysBefore not yet reminded for that due date (a new due date re-arms it);
+ *   overdue: project_id → open tasks due before today (oldest first), for projects without a digest today.
+ *   Archived and deleted projects are skipped.
+ */
+export function planTaskReminders({ tasks, projects, today, daysBefore = TASK_REMINDER_DEFAULT_DAYS_BEFORE }) {
+  const horizon = addDaysToDate(today, daysBefore);
+  const dueSoon = [];
+  const overdue = new Map();
+  for (const t of tasks || []) {
+    const project = projects.get(t.project_id);
+    if (!project || project.archived_at || project.deleted_at || !t.due_date) continue;
+    if (taskStatusCategory(taskWorkflowFor(project), t.status) !== 'open') continue;
+    const due = String(t.due_date).slice(0, 10);
+    if (due < today) {
+      if (project.overdue_digest_sent_on && String(project.overdue_digest_sent_on).slice(0, 10) === today) continue;
+      if (!overdue.has(t.project_id)) overdue.set(t.project_id, []);
+      overdue.get(t.project_id).push(t);
+    } else if (due <= horizon && String(t.reminder_sent_for || '').slice(0, 10) !== due) {
+      dueSoon.push(t);
+    }
+  }
+  for (const list of overdue.values()) list.sort((a, b) => String(a.due_date).localeCompare(String(b.due_date)));
+  return { dueSoon, overdue };
+}
@@ -0,0 +1,120 @@
+/**
+ * Per-project task workflow (projects.task_workflow): status set + allowed transitions, checked on PATCH .../tasks/:taskId.
+ * null / invalid stored value → DEFAULT_TASK_WORKFLOW (todo → in_progress → done, as before workflows existed). Pure.
+ */
+
+/** open = still to do (my tasks, reminders), done = completed (milestone progress, dependencies), cancelled = dropped. */
+export const TASK_STATUS_CATEGORIES = ['open', 'done', 'cancelled'];
+
+export const TASK_WORKFLOW_MAX_STATUSES = 20;
+export const TASK_STATUS_LABEL_MAX = 60;
+const STATUS_KEY_RE = /^[a-z][a-z0-9_]{0,39}$/;
+
+export const DEFAULT_TASK_WORKFLOW = Object.freeze({
+  statuses: [
+    { key: 'todo', label: 'לביצוע', category: 'open' },
+    { key: 'in_progress', label: 'בביצוע', category: 'open' },
+    { key: 'done', label: 'הושלם', category: 'done' }
+  ],
+  transitions: {
+    todo: ['in_progress'],
+    in_progress: ['todo', 'done'],
+    done: []
+  },
+  initial: 'todo'
+});
+
+/** Statuses of tasks created before workflows (or dropped from a workflow) → category when the workflow does not list them. */
+const LEGACY_CATEGORY = { done: 'done', cancelled: 'cancelled' };
+
+/**
+ * Validate a workflow from PUT .../task-workflow.
+ * statuses: [{ key, label?, category? }] (1..TASK_WORKFLOW_MAX_STATUSES, at least one open), transitions: { from: [to] },
+ * initial?: open status new tasks start in (default: first open status).
+ * @returns {{ ok: true, workflow: object } | { ok: false, error: string }}
+ */
+export function normalizeTaskWorkflow(raw) {
+  if (!raw || typeof raw !== 'object') return { ok: false, error: 'workflow must be an object' };
+  if (!Array.isArray(raw.statuses) || !raw.statuses.length) return { ok: false, error: 'statuses must be a non-empty array' };
+  if (raw.statuses.length > TASK_WORKFLOW_MAX_STATUSES) return { ok: false, error: `At most ${TASK_WORKFLOW_MAX_STATUSES} statuses` };
+  const statuses = [];
+  for (const s of raw.statuses) {
+    const key = String(s?.key || '').trim();
+    if (!STATUS_KEY_RE.test(key)) return { ok: false, error: `Invalid status key "${key}" (lowercase letters, digits, _; start with a letter)` };
+    if (statuses.some(x => x.key === key)) return { ok: false, error: `Duplicate status "${key}"` };
+    const label = String(s.label ?? key).trim() || key;
+    if (label.length > TASK_STATUS_LABEL_MAX) return { ok: false, error: `Label of "${key}" is longer than ${TASK_STATUS_LABEL_MAX} characters` };
+    const category = s.category == null ? 'open' : String(s.category);
+    if (!TASK_STATUS_CATEGORIES.includes(category)) return { ok: false, error: `category of "${key}" must be one of: ${TASK_STATUS_CATEGORIES.join(', ')}` };
+    statuses.push({ key, label, category });
+  }
+  const keys = statuses.map(s => s.key);
+  const open = statuses.filter(s => s.category === 'open').map(s => s.key);
+  if (!open.length) return { ok: false, error: 'At least one status must have category open' };
+
+  const rawTransitions = raw.transitions == null ? {} : raw.transitions;
+  if (typeof rawTransitions !== 'object' || Array.isArray(rawTransitions)) return { ok: false, error: 'transitions must be an object { from: [to, …] }' };
+  const transitions = {};
+  for (const k of keys) transitions[k] = [];
+  for (const [from, targets] of Object.entries(rawTransitions)) {
+    if (!keys.includes(from)) return { ok: false, error: `transitions: unknown status "${from}"` };
+    if (!Array.isArray(targets)) return { ok: false, error: `transitions.${from} must be an array` };
+    for (const to of targets) {
+      if (!keys.includes(to)) return { ok: false, error: `transitions.${from}: unknown status "${to}"` };
+      if (to !== from && !transitions[from].includes(to)) transitions[from].push(to);
+    }
+  }
+
+  const initial = raw.initial == null ? open[0] : String(raw.initial);
+  if (!open.includes(initial)) return { ok: false, error: 'initial must be a status with category open' };
+  return { ok: true, workflow: { statuses, transitions, initial } };
+}
+
+/** Workflow in effect for a project row (stored one if valid, else the default). */
+export function taskWorkflowFor(project) {
+  const stored = project?.task_workflow;
+  if (!stored) return DEFAULT_TASK_WORKFLOW;
+  const norm = normalizeTaskWorkflow(stored);
+  return norm.ok ? norm.workflow : DEFAULT_TASK_WORKFLOW;
+}
+
+/** @returns {boolean} */
+export function isTaskStatusInWorkflow(workflow, status) {
+  return workflow.statuses.some(s => s.key === status);
+}
+
+/**
+ * A task may move to a status of the workflow along a listed transition. A task whose current status is not in the
+ * workflow (legacy in_review, or a status the project removed) may move to any workflow status — except legacy cancelled,
+ * which stays terminal as before.
+ * @returns {boolean}
+ */
+export function isAllowedTaskTransition(workflow, fromStatus, toStatus) {
+  if (!isTaskStatusInWorkflow(workflow, toStatus)) return false;
+  if (!isTaskStatusInWorkflow(workflow, fromStatus)) return fromStatus !== toStatus && fromStatus !== 'cancelled';
+  return (workflow.transitions[fromStatus] || []).includes(toStatus);
+}
+
+/** @returns {'open'|'done'|'cancelled'} */
+export function taskStatusCategory(workflow, status) {
+  const s = workflow.statuses.find(x => x.key === status);
+  if (s) return s.category;
+  return LEGACY_CATEGORY[status] || 'open';
+}
+
+/** A task moves into a done-category status (fromStatus null = a new task) — what spawns a recurring task's next instance. */
+export function taskEntersDoneStatus(workflow, fromStatus, toStatus) {
+  return taskStatusCategory(workflow, toStatus) === 'done' && (fromStatus == null || taskStatusCategory(workflow, fromStatus) !== 'done');
+}
+
+/**
+ * Task counts (status → n) of statuses a new workflow no longer lists — those tasks keep their status and may move anywhere.
+ * @param {Record<string, number>} countsByStatus
+ */
+export function statusesOutsideWorkflow(workflow, countsByStatus) {
+  const out = {};
+  for (const [status, n] of Object.entries(countsByStatus || {})) {
+    if (n > 0 && !isTaskStatusInWorkflow(workflow, status)) out[status] = n;
+  }
+  return out;
+}
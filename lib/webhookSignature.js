@@ -0,0 +1,93 @@
+/**
+ * Svix-style webhook signatures (Resend webhooks): svix-id / svix-timestamp / svix-signature headers,
+ * HMAC-SHA256 over `${id}.${timestamp}.${rawBody}` with the base64 part of a whsec_ secret.
+ * Plus a small TTL set of processed event ids (in-process half of the replay guard; the DB half lives in server.js).
+ */
+import crypto from 'crypto';
+
+/** Timestamps further than this from now (either direction) are rejected. */
+export const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+/** How long a processed event id is remembered (well past Resend's retry schedule for one attempt window). */
+export const WEBHOOK_REPLAY_TTL_SECONDS = 24 * 3600;
+
+function secretBytes(secret) {
+  const s = String(secret || '').trim();
+  return Buffer.from(s.startsWith('whsec_') ? s.slice(6) : s, 'base64');
+}
+
+/** Base64 signature for id/timestamp/payload (what the sender puts after "v1,"). */
+export function signWebhookPayload(secret, id, timestamp, payload) {
+  return crypto.createHmac('sha256', secretBytes(secret)).update(`${id}.${timestamp}.${payload}`).digest('base64');
+}
+
+/** Delivery id (svix-id, or webhook-id from the Standard Webhooks headers) — signed, and the replay guard's key. Null when absent. */
+export function webhookEventId(headers) {
+  return String(headers?.['svix-id'] || headers?.['webhook-id'] || '').trim() || null;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.secret - whsec_… signing secret
+ * @param {object} opts.headers - request headers (lower-case keys, as in Express)
+ * @param {string|Buffer} opts.payload - raw request body, byte-for-byte
+ * @param {number} [opts.toleranceSeconds]
+ * @param {number} [opts.nowSeconds]
+ * @returns {{ ok: true, id: string, timestamp: number } | { ok: false, reason: string }}
+ */
+export function verifyWebhookSignature(opts) {
+  const headers = opts.headers || {};
+  const id = webhookEventId(headers) || '';
+  const tsRaw = String(headers['svix-timestamp'] || headers['webhook-timestamp'] || '').trim();
+  const sigHeader = String(headers['svix-signature'] || headers['webhook-signature'] || '').trim();
+  if (!id || !tsRaw || !sigHeader) return { ok: false, reason: 'missing_signature_headers' };
+  const timestamp = parseInt(tsRaw, 10);
+  if (!Number.isFinite(timestamp) || String(timestamp) !== tsRaw) return { ok: false, reason: 'invalid_timestamp' };
+  const now = opts.nowSeconds ?? Math.floor(Date.now() / 1000);
+  const tolerance = opts.toleranceSeconds ?? WEBHOOK_TOLERANCE_SECONDS;
+  if (Math.abs(now - timestamp) > tolerance) return { ok: false, reason: 'stale_timestamp' };
+  const payload = Buffer.isBuffer(opts.payload) ? opts.payload.toString('utf8') : String(opts.payload ?? '');
+  const expected = Buffer.from(signWebhookPayload(opts.secret, id, tsRaw, payload));
+  // header may carry several space-separated "v1,<sig>" entries (secret rotation)
+  for (const part of sigHeader.split(' ')) {
+    const [version, sig] = part.split(',');
+    if (version !== 'v1' || !sig) continue;
+    const got = Buffer.from(sig);
+    if (got.length === expected.length && crypto.timingSafeEqual(got, expected)) return { ok: true, id, timestamp };
+  }
+  return { ok: false, reason: 'invalid_signature' };
+}
+
+/** In-memory id set with expiry. */
+export class RecentIdSet {
+  constructor(ttlSeconds = WEBHOOK_REPLAY_TTL_SECONDS, maxSize = 10000) {
+    this.ttlMs = ttlSeconds * 1000;
+    this.maxSize = maxSize;
+    /** @type {Map<string, number>} id → expiry ms (insertion order = age order) */
+    this.ids = new Map();
+  }
+
+  _prune(now) {
+    for (const [id, exp] of this.ids) {
+      if (exp > now && this.ids.size <= this.maxSize) break;
+      this.ids.delete(id);
+    }
+  }
+
+  /** @returns {boolean} true when id was not seen (and is now recorded); false for a replay */
+  add(id, now = Date.now()) {
+    this._prune(now);
+    const exp = this.ids.get(id);
+    if (exp && exp > now) return false;
+    this.ids.set(id, now + this.ttlMs);
+    return true;
+  }
+
+  delete(id) {
+    this.ids.delete(id);
+  }
+
+  get size() {
+    return this.ids.size;
+  }
+}
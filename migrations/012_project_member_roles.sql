@@ -0,0 +1,7 @@
+-- Project roles beyond owner/member: owner, editor, lab_analyst, viewer, external_reviewer.
+-- Permission matrix lives in lib/projectPermissions.js. Legacy 'member' rows had full access → editor.
+ALTER TABLE project_members DROP CONSTRAINT IF EXISTS project_members_role_check;
+UPDATE project_members SET role = 'editor' WHERE role = 'member';
+ALTER TABLE project_members ALTER COLUMN role SET DEFAULT 'editor';
+ALTER TABLE project_members ADD CONSTRAINT project_members_role_check
+  CHECK (role IN ('owner', 'editor', 'lab_analyst', 'viewer', 'external_reviewer'));
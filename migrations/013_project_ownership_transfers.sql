@@ -0,0 +1,18 @@
+-- Ownership transfer: current owner proposes, new owner confirms (POST /api/projects/:id/transfer-ownership/...).
+-- Co-owners need no schema change (several project_members rows with role = 'owner').
+CREATE TABLE IF NOT EXISTS project_ownership_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  from_user_id INTEGER NOT NULL,
+  from_username TEXT,
+  to_user_id INTEGER NOT NULL,
+  to_username TEXT,
+  previous_owner_role TEXT NOT NULL DEFAULT 'editor' CHECK (previous_owner_role IN ('owner', 'editor', 'lab_analyst', 'viewer', 'external_reviewer')),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  responded_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS project_ownership_transfers_project_id_idx ON project_ownership_transfers(project_id);
+CREATE INDEX IF NOT EXISTS project_ownership_transfers_to_user_idx ON project_ownership_transfers(to_user_id) WHERE status = 'pending';
+-- One pending transfer per project
+CREATE UNIQUE INDEX IF NOT EXISTS project_ownership_transfers_pending_uidx ON project_ownership_transfers(project_id) WHERE status = 'pending';
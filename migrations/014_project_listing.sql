@@ -0,0 +1,18 @@
+-- Membership-scoped GET /api/projects + discoverable catalogue (GET /api/projects/catalog).
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS discoverable BOOLEAN NOT NULL DEFAULT true;
+COMMENT ON COLUMN projects.discoverable IS 'Listed in the join-request catalogue for non-members';
+
+-- Last activity per project (sort key for the project list): latest of project update, task, file and chat timestamps.
+CREATE OR REPLACE VIEW project_last_activity AS
+SELECT
+  p.id AS project_id,
+  GREATEST(
+    p.updated_at,
+    (SELECT max(GREATEST(t.created_at, t.updated_at)) FROM tasks t WHERE t.project_id = p.id),
+    (SELECT max(GREATEST(f.created_at, f.updated_at)) FROM project_files f WHERE f.project_id = p.id),
+    (SELECT max(c.created_at) FROM project_chat_messages c WHERE c.project_id = p.id)
+  ) AS last_activity_at
+FROM projects p;
+
+CREATE INDEX IF NOT EXISTS tasks_project_updated_idx ON tasks(project_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS project_chat_messages_project_created_idx ON project_chat_messages(project_id, created_at DESC);
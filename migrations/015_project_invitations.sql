@@ -0,0 +1,17 @@
+-- Email invitations (POST /api/projects/:id/invitations). Only the SHA-256 of the token is stored; token is single-use.
+CREATE TABLE IF NOT EXISTS project_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('editor', 'lab_analyst', 'viewer', 'external_reviewer')),
+  token_hash TEXT NOT NULL UNIQUE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked', 'expired')),
+  invited_by_user_id INTEGER,
+  invited_by_username TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_by_user_id INTEGER,
+  accepted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS project_invitations_project_id_idx ON project_invitations(project_id, status);
+CREATE INDEX IF NOT EXISTS project_invitations_email_idx ON project_invitations(lower(email)) WHERE status = 'pending';
@@ -0,0 +1,30 @@
+-- Join requests: requester message, owner reply, expiry (JOIN_REQUEST_TTL_DAYS) + in-app notifications.
+ALTER TABLE project_join_requests ADD COLUMN IF NOT EXISTS message TEXT;
+ALTER TABLE project_join_requests ADD COLUMN IF NOT EXISTS response_reason TEXT;
+ALTER TABLE project_join_requests ADD COLUMN IF NOT EXISTS responded_by_user_id INTEGER;
+ALTER TABLE project_join_requests ADD COLUMN IF NOT EXISTS responded_by_username TEXT;
+ALTER TABLE project_join_requests ADD COLUMN IF NOT EXISTS responded_at TIMESTAMPTZ;
+ALTER TABLE project_join_requests ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE project_join_requests DROP CONSTRAINT IF EXISTS project_join_requests_status_check;
+ALTER TABLE project_join_requests ADD CONSTRAINT project_join_requests_status_check
+  CHECK (status IN ('pending', 'approved', 'rejected', 'expired'));
+CREATE INDEX IF NOT EXISTS project_join_requests_user_id_idx ON project_join_requests(user_id, status);
+
+-- Email for notification mails (filled from Matriya /auth/me when it returns one)
+ALTER TABLE user_cache ADD COLUMN IF NOT EXISTS email TEXT;
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id INTEGER NOT NULL,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT,
+  entity_type TEXT,
+  entity_id TEXT,
+  data JSONB,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS notifications_user_created_idx ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS notifications_user_unread_idx ON notifications(user_id) WHERE read_at IS NULL;
@@ -0,0 +1,9 @@
+-- Archive (read-only, hidden from default GET /api/projects) and soft delete with retention.
+-- DELETE /api/projects/:id sets deleted_at + purge_after; GET /api/cron/purge-deleted-projects removes storage,
+-- management_vector chunks, the OpenAI vector store and finally the row once purge_after has passed.
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS archived_by_user_id INTEGER;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_by_user_id INTEGER;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS purge_after TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS projects_purge_after_idx ON projects(purge_after) WHERE deleted_at IS NOT NULL;
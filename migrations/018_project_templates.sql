@@ -0,0 +1,15 @@
+-- Project templates: structure snapshot (tasks, milestones, material_library, note headings, research sessions,
+-- run feature tags) used to seed POST /api/projects { template_id }. Built by lib/projectTemplates.js.
+CREATE TABLE IF NOT EXISTS project_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  description TEXT,
+  shared BOOLEAN NOT NULL DEFAULT false,
+  source_project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+  created_by_user_id INTEGER NOT NULL,
+  created_by_username TEXT,
+  structure JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS project_templates_created_by_idx ON project_templates(created_by_user_id);
+CREATE INDEX IF NOT EXISTS project_templates_shared_idx ON project_templates(shared) WHERE shared;
@@ -0,0 +1,11 @@
+-- Chat event log for GET /api/projects/:id/chat/stream (SSE). id is the SSE event id (Last-Event-ID on reconnect).
+-- type: message (payload = project_chat_messages row) | read (user_id, last_read_at) | typing (pruned after an hour).
+CREATE TABLE IF NOT EXISTS project_chat_events (
+  id BIGSERIAL PRIMARY KEY,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  payload JSONB,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS project_chat_events_project_id_idx ON project_chat_events(project_id, id);
+CREATE INDEX IF NOT EXISTS project_chat_events_typing_idx ON project_chat_events(project_id, created_at) WHERE type = 'typing';
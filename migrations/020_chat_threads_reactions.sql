@@ -0,0 +1,30 @@
+-- Chat: edit history, soft delete, one-level threads (parent_id = root message) and emoji reactions.
+ALTER TABLE project_chat_messages ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES project_chat_messages(id) ON DELETE SET NULL;
+ALTER TABLE project_chat_messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+ALTER TABLE project_chat_messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE project_chat_messages ADD COLUMN IF NOT EXISTS deleted_by_user_id INTEGER;
+CREATE INDEX IF NOT EXISTS project_chat_messages_parent_id_idx ON project_chat_messages(parent_id) WHERE parent_id IS NOT NULL;
+
+-- Previous bodies, one row per edit (PATCH /api/projects/:id/chat/:messageId).
+CREATE TABLE IF NOT EXISTS project_chat_message_edits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES project_chat_messages(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  previous_body TEXT NOT NULL,
+  edited_by_user_id INTEGER NOT NULL,
+  edited_by_username TEXT,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS project_chat_message_edits_message_id_idx ON project_chat_message_edits(message_id, created_at);
+
+CREATE TABLE IF NOT EXISTS project_chat_reactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES project_chat_messages(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL,
+  username TEXT,
+  emoji TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (message_id, user_id, emoji)
+);
+CREATE INDEX IF NOT EXISTS project_chat_reactions_message_id_idx ON project_chat_reactions(message_id);
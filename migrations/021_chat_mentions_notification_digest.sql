@@ -0,0 +1,10 @@
+-- Chat @mentions (notifications.type = chat_mention) + per-user email mode for notifications (immediate / daily digest / off).
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS emailed_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INTEGER PRIMARY KEY,
+  email_mode TEXT NOT NULL DEFAULT 'immediate' CHECK (email_mode IN ('immediate', 'daily_digest', 'off')),
+  last_digest_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS notification_preferences_digest_idx ON notification_preferences(email_mode) WHERE email_mode = 'daily_digest';
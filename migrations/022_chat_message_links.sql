@@ -0,0 +1,13 @@
+-- Chat message attachments: references to project files / lab experiments of the same project (backlinks from the other side).
+CREATE TABLE IF NOT EXISTS project_chat_message_links (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES project_chat_messages(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  project_file_id UUID REFERENCES project_files(id) ON DELETE CASCADE,
+  lab_experiment_id UUID REFERENCES lab_experiments(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CHECK ((project_file_id IS NULL) <> (lab_experiment_id IS NULL))
+);
+CREATE INDEX IF NOT EXISTS project_chat_message_links_message_id_idx ON project_chat_message_links(message_id);
+CREATE INDEX IF NOT EXISTS project_chat_message_links_file_idx ON project_chat_message_links(project_file_id) WHERE project_file_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS project_chat_message_links_experiment_idx ON project_chat_message_links(lab_experiment_id) WHERE lab_experiment_id IS NOT NULL;
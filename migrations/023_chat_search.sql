@@ -0,0 +1,4 @@
+-- Chat search (GET /api/projects/:id/chat/search): ILIKE on body uses a trigram index; cursors (?around=) walk created_at.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS project_chat_messages_body_trgm_idx ON project_chat_messages USING GIN (body gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS project_chat_messages_project_created_idx ON project_chat_messages(project_id, created_at);
@@ -0,0 +1,19 @@
+-- Email threads: Message-ID / In-Reply-To / References of sent + received project emails; thread_id = id of the thread's first email.
+ALTER TABLE project_emails ADD COLUMN IF NOT EXISTS message_id TEXT;
+ALTER TABLE project_emails ADD COLUMN IF NOT EXISTS in_reply_to TEXT;
+ALTER TABLE project_emails ADD COLUMN IF NOT EXISTS reference_ids JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE project_emails ADD COLUMN IF NOT EXISTS thread_id UUID;
+UPDATE project_emails SET thread_id = id WHERE thread_id IS NULL;
+CREATE INDEX IF NOT EXISTS project_emails_thread_idx ON project_emails(project_id, thread_id);
+CREATE INDEX IF NOT EXISTS project_emails_message_id_idx ON project_emails(project_id, message_id) WHERE message_id IS NOT NULL;
+
+-- GET /api/projects/:projectId/emails/threads (paginate conversations by latest activity)
+CREATE OR REPLACE VIEW project_email_threads AS
+SELECT
+  project_id,
+  COALESCE(thread_id, id) AS thread_id,
+  count(*) AS message_count,
+  min(created_at) AS first_message_at,
+  max(created_at) AS last_message_at
+FROM project_emails
+GROUP BY project_id, COALESCE(thread_id, id);
@@ -0,0 +1,8 @@
+-- Processed webhook deliveries (svix-id) for replay protection; rows older than a day are pruned by the server.
+CREATE TABLE IF NOT EXISTS webhook_events (
+  source TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (source, event_id)
+);
+CREATE INDEX IF NOT EXISTS webhook_events_received_at_idx ON webhook_events(received_at);
@@ -0,0 +1,14 @@
+-- Per-project rules for automatic lab import of inbound email attachments (sender allowlist, subject regex, extensions).
+CREATE TABLE IF NOT EXISTS lab_import_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  sender_allowlist TEXT[] NOT NULL DEFAULT '{}',
+  subject_pattern TEXT,
+  file_extensions TEXT[] NOT NULL DEFAULT '{}',
+  created_by_user_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS lab_import_rules_project_idx ON lab_import_rules(project_id, created_at);
@@ -0,0 +1,26 @@
+-- Human-friendly inbound addresses per project (alias@RESEND_REPLY_DOMAIN), resolved before project UUID matching.
+CREATE TABLE IF NOT EXISTS project_email_aliases (
+  alias TEXT PRIMARY KEY CHECK (alias = lower(alias)),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  created_by_user_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS project_email_aliases_project_idx ON project_email_aliases(project_id);
+
+-- Inbound mail that matched no active project (kept for an admin to assign or discard).
+CREATE TABLE IF NOT EXISTS inbound_email_quarantine (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  resend_email_id TEXT NOT NULL UNIQUE,
+  reason TEXT NOT NULL,
+  candidate_project_id UUID,
+  from_email TEXT NOT NULL DEFAULT '',
+  to_emails JSONB NOT NULL DEFAULT '[]',
+  subject TEXT NOT NULL DEFAULT '',
+  payload JSONB NOT NULL DEFAULT '{}',
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  resolved_at TIMESTAMPTZ,
+  resolution TEXT CHECK (resolution IN ('assigned', 'discarded')),
+  resolved_project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+  resolved_by_user_id INTEGER
+);
+CREATE INDEX IF NOT EXISTS inbound_email_quarantine_open_idx ON inbound_email_quarantine(received_at DESC) WHERE resolved_at IS NULL;
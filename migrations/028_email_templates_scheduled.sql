@@ -0,0 +1,43 @@
+-- Reusable project email templates ({{project.name}}, {{experiment_ids}}, {{next_milestone.due_date}}, {{vars.x}} …).
+CREATE TABLE IF NOT EXISTS project_email_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body_text TEXT,
+  body_html TEXT,
+  created_by_user_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (project_id, name)
+);
+
+-- Scheduled sends, dispatched by GET /api/cron/scheduled-emails. templated rows keep the raw {{…}} content and are rendered at dispatch.
+CREATE TABLE IF NOT EXISTS scheduled_project_emails (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  to_emails JSONB NOT NULL DEFAULT '[]',
+  subject TEXT NOT NULL,
+  body_text TEXT,
+  body_html TEXT,
+  templated BOOLEAN NOT NULL DEFAULT false,
+  template_id UUID REFERENCES project_email_templates(id) ON DELETE SET NULL,
+  variables JSONB NOT NULL DEFAULT '{}',
+  experiment_ids JSONB NOT NULL DEFAULT '[]',
+  milestone_ids JSONB NOT NULL DEFAULT '[]',
+  attachment_file_ids JSONB NOT NULL DEFAULT '[]',
+  send_at TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  resend_email_id TEXT,
+  sent_email_id UUID,
+  sent_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ,
+  created_by_user_id INTEGER,
+  created_by_username TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS scheduled_project_emails_due_idx ON scheduled_project_emails(send_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS scheduled_project_emails_project_idx ON scheduled_project_emails(project_id, send_at);
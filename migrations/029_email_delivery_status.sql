@@ -0,0 +1,6 @@
+-- Delivery status of sent project emails from Resend events (POST /api/webhooks/resend-events).
+ALTER TABLE project_emails ADD COLUMN IF NOT EXISTS delivery_status TEXT;
+ALTER TABLE project_emails ADD COLUMN IF NOT EXISTS delivery_events JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE project_emails ADD COLUMN IF NOT EXISTS delivery_updated_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS project_emails_delivery_failed_idx ON project_emails(project_id)
+  WHERE delivery_status IN ('bounced', 'complained', 'failed');
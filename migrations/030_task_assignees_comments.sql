@@ -0,0 +1,28 @@
+-- Tasks: description (Markdown), assignees (project members), comment stream. GET /api/my/tasks reads task_assignees by user.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS description TEXT;
+
+CREATE TABLE IF NOT EXISTS task_assignees (
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL,
+  username TEXT,
+  assigned_by_user_id INTEGER,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (task_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS task_assignees_user_idx ON task_assignees(user_id);
+CREATE INDEX IF NOT EXISTS task_assignees_project_user_idx ON task_assignees(project_id, user_id);
+
+CREATE TABLE IF NOT EXISTS task_comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id INTEGER,
+  username TEXT,
+  body TEXT NOT NULL,
+  edited_at TIMESTAMPTZ,
+  deleted_at TIMESTAMPTZ,
+  deleted_by_user_id INTEGER,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS task_comments_task_created_idx ON task_comments(task_id, created_at);
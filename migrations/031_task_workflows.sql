@@ -0,0 +1,7 @@
+-- Per-project task workflow (statuses + allowed transitions, lib/taskWorkflow.js). NULL = default todo → in_progress → done.
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS task_workflow JSONB;
+
+-- Status values now come from the project's workflow; keep only a format check.
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_status_check;
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_status_format_check;
+ALTER TABLE tasks ADD CONSTRAINT tasks_status_format_check CHECK (status ~ '^[a-z][a-z0-9_]{0,39}$');
@@ -0,0 +1,19 @@
+-- Subtasks (one level, parent_task_id), finish-to-start dependencies and completion time (schedule / critical path).
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_task_id UUID REFERENCES tasks(id) ON DELETE SET NULL;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS tasks_parent_task_id_idx ON tasks(parent_task_id) WHERE parent_task_id IS NOT NULL;
+-- Best guess for tasks finished before completed_at existed
+UPDATE tasks SET completed_at = updated_at WHERE status = 'done' AND completed_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS task_dependencies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  predecessor_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  successor_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  created_by_user_id INTEGER,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (predecessor_id, successor_id),
+  CHECK (predecessor_id <> successor_id)
+);
+CREATE INDEX IF NOT EXISTS task_dependencies_project_idx ON task_dependencies(project_id);
+CREATE INDEX IF NOT EXISTS task_dependencies_successor_idx ON task_dependencies(successor_id);
@@ -0,0 +1,4 @@
+-- Tasks linked to milestones (milestone progress from task statuses) + optional auto-complete of a milestone.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS milestone_id UUID REFERENCES milestones(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS tasks_milestone_id_idx ON tasks(milestone_id) WHERE milestone_id IS NOT NULL;
+ALTER TABLE milestones ADD COLUMN IF NOT EXISTS auto_complete BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,11 @@
+-- Recurring tasks (RRULE subset; the next instance is created when one is done) and due-date reminder bookkeeping.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_rule TEXT;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_seq INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_source_id UUID REFERENCES tasks(id) ON DELETE SET NULL;
+-- One next instance per completed instance
+CREATE UNIQUE INDEX IF NOT EXISTS tasks_recurrence_source_uidx ON tasks(recurrence_source_id) WHERE recurrence_source_id IS NOT NULL;
+-- Due date the assignees were last reminded about (a new due date re-arms the reminder)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reminder_sent_for DATE;
+CREATE INDEX IF NOT EXISTS tasks_open_due_date_idx ON tasks(due_date) WHERE completed_at IS NULL AND due_date IS NOT NULL;
+-- Day of the last overdue digest to the project owners
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS overdue_digest_sent_on DATE;
@@ -0,0 +1,9 @@
+-- Lab auto import runs after the inbound webhook replies: received emails with matching lab_import_rules are queued
+-- (pending) and processed in the background / by GET /api/cron/lab-auto-imports.
+ALTER TABLE project_emails ADD COLUMN IF NOT EXISTS auto_import_status TEXT
+  CHECK (auto_import_status IN ('pending', 'running', 'done', 'failed'));
+ALTER TABLE project_emails ADD COLUMN IF NOT EXISTS auto_import_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE project_emails ADD COLUMN IF NOT EXISTS auto_import_result JSONB;
+ALTER TABLE project_emails ADD COLUMN IF NOT EXISTS auto_import_updated_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS project_emails_auto_import_queue_idx ON project_emails(auto_import_updated_at)
+  WHERE auto_import_status IN ('pending', 'running');
@@ -0,0 +1,46 @@
+-- Delivery events are folded into project_emails in one statement under a row lock, so concurrent Resend webhooks
+-- for the same email cannot overwrite each other's history (POST /api/webhooks/resend-events).
+-- Same rules as applyDeliveryEvent in lib/emailDeliveryStatus.js: duplicate (status, at) ignored, history sorted by
+-- time and capped, a failure always wins, otherwise the status only moves forward.
+CREATE OR REPLACE FUNCTION append_email_delivery_event(p_email_id UUID, p_entry JSONB, p_max INTEGER DEFAULT 50)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  cur project_emails%ROWTYPE;
+  new_status TEXT := p_entry->>'status';
+  next_status TEXT;
+  ranks TEXT[] := ARRAY['sent', 'delayed', 'delivered', 'opened', 'clicked'];
+  failures TEXT[] := ARRAY['bounced', 'complained', 'failed'];
+BEGIN
+  SELECT * INTO cur FROM project_emails WHERE id = p_email_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  IF EXISTS (
+    SELECT 1 FROM jsonb_array_elements(cur.delivery_events) e
+    WHERE e->>'status' = new_status AND e->>'at' = p_entry->>'at'
+  ) THEN
+    RETURN jsonb_build_object('changed', false, 'delivery_status', cur.delivery_status);
+  END IF;
+  next_status := CASE
+    WHEN new_status = ANY (failures) THEN new_status
+    WHEN cur.delivery_status = ANY (failures) THEN cur.delivery_status
+    WHEN COALESCE(array_position(ranks, new_status), 0) > COALESCE(array_position(ranks, cur.delivery_status), 0) THEN new_status
+    ELSE cur.delivery_status
+  END;
+  UPDATE project_emails SET
+    delivery_status = next_status,
+    delivery_events = (
+      SELECT COALESCE(jsonb_agg(h.e ORDER BY h.e->>'at'), '[]'::jsonb)
+      FROM (
+        SELECT e FROM jsonb_array_elements(cur.delivery_events || jsonb_build_array(p_entry)) e
+        ORDER BY e->>'at' DESC
+        LIMIT p_max
+      ) h
+    ),
+    delivery_updated_at = now()
+  WHERE id = p_email_id;
+  RETURN jsonb_build_object('changed', true, 'delivery_status', next_status);
+END;
+$$;
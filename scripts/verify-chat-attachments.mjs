@@ -0,0 +1,50 @@
+/**
+ * Chat attachments — id parsing/limits, preview building (file name/folder, experiment outcome) and the archive round trip.
+ */
+import assert from 'node:assert/strict';
+import { parseChatAttachmentIds, buildAttachmentPreviews, CHAT_ATTACHMENTS_MAX } from '../lib/chatMessages.js';
+import { ARCHIVE_TABLES, remapArchiveRows } from '../lib/projectArchive.js';
+
+const F1 = '11111111-1111-4111-8111-111111111111';
+const F2 = '22222222-2222-4222-8222-222222222222';
+const X1 = '33333333-3333-4333-8333-333333333333';
+
+assert.deepEqual(parseChatAttachmentIds({}), { fileIds: [], experimentIds: [] });
+assert.deepEqual(parseChatAttachmentIds(null), { fileIds: [], experimentIds: [] });
+assert.deepEqual(parseChatAttachmentIds({ file_ids: [F1, F1, F2], experiment_ids: [X1] }), { fileIds: [F1, F2], experimentIds: [X1] });
+assert.ok(parseChatAttachmentIds({ file_ids: F1 }).error, 'string instead of array');
+assert.ok(parseChatAttachmentIds({ experiment_ids: ['EXP-1'] }).error, 'business id instead of row id');
+const tooMany = Array.from({ length: CHAT_ATTACHMENTS_MAX + 1 }, (_, i) => `00000000-0000-4000-8000-${String(i).padStart(12, '0')}`);
+assert.ok(parseChatAttachmentIds({ file_ids: tooMany }).error);
+
+const files = new Map([[F1, { id: F1, original_name: 'report.pdf', folder_display_name: 'Lab' }]]);
+const experiments = new Map([[X1, { id: X1, experiment_id: 'EXP-7', experiment_version: 2, technology_domain: 'coatings', experiment_outcome: 'failure' }]]);
+const previews = buildAttachmentPreviews([
+  { message_id: 'm1', project_file_id: F1, lab_experiment_id: null },
+  { message_id: 'm1', project_file_id: null, lab_experiment_id: X1 },
+  { message_id: 'm2', project_file_id: F2, lab_experiment_id: null } // file gone → no preview
+], files, experiments);
+assert.deepEqual(previews.get('m1'), [
+  { type: 'file', id: F1, name: 'report.pdf', folder: 'Lab' },
+  { type: 'experiment', id: X1, experiment_id: 'EXP-7', version: 2, technology_domain: 'coatings', outcome: 'failure' }
+]);
+assert.equal(previews.get('m2'), undefined);
+
+// project export / import: links follow the message and its file or experiment; a link whose target is not in the archive is dropped
+const names = ARCHIVE_TABLES.map(t => t.table);
+assert.ok(names.indexOf('project_chat_message_links') > names.indexOf('project_chat_messages'));
+assert.ok(names.indexOf('project_chat_message_links') > names.indexOf('lab_experiments'));
+const linkSpec = ARCHIVE_TABLES.find(t => t.table === 'project_chat_message_links');
+const idMap = new Map([['m1', 'M1'], [F1, 'NF1'], [X1, 'NX1']]);
+const links = remapArchiveRows(linkSpec, [
+  { id: 'l1', project_id: 'old', message_id: 'm1', project_file_id: F1, lab_experiment_id: null },
+  { id: 'l2', project_id: 'old', message_id: 'm1', project_file_id: null, lab_experiment_id: X1 },
+  { id: 'l3', project_id: 'old', message_id: 'm1', project_file_id: F2, lab_experiment_id: null },
+  { id: 'l4', project_id: 'old', message_id: 'gone', project_file_id: F1, lab_experiment_id: null }
+], idMap, 'new');
+assert.deepEqual(links.map(l => [l.message_id, l.project_file_id, l.lab_experiment_id, l.project_id]), [
+  ['M1', 'NF1', null, 'new'],
+  ['M1', null, 'NX1', 'new']
+]);
+
+console.log('verify-chat-attachments: OK');
@@ -0,0 +1,56 @@
+/**
+ * Chat SSE hub — frame format, Last-Event-ID parsing, replay ordering + dedupe, cross-instance poll, failed replay cleanup.
+ */
+import assert from 'node:assert/strict';
+import { ChatEventHub, formatSseEvent, parseLastEventId } from '../lib/chatEventHub.js';
+
+assert.equal(formatSseEvent({ id: 7, type: 'message', data: { body: 'hi' } }), 'id: 7\nevent: message\ndata: {"body":"hi"}\n\n');
+assert.equal(formatSseEvent({ type: 'ready', data: null }), 'event: ready\ndata: null\n\n');
+
+assert.equal(parseLastEventId('12', '3'), 12);
+assert.equal(parseLastEventId('', '3'), 3);
+assert.equal(parseLastEventId(undefined, undefined), null);
+assert.equal(parseLastEventId('abc', null), null);
+
+// DB stand-in shared by "instances"
+const rows = [];
+const fetchSince = async (projectId, afterId) => rows.filter(r => r.project === projectId && r.id > afterId);
+const ev = (id, type = 'message') => ({ id, type, data: { n: id } });
+
+const hub = new ChatEventHub({ fetchSince, pollMs: 10 });
+const got = [];
+let releaseReplay;
+const replayGate = new Promise(r => { releaseReplay = r; });
+const subscribed = hub.subscribe('p1', 2, (e) => got.push(e.id), async () => {
+  await replayGate;
+  return [ev(3), ev(4)];
+});
+hub.publish('p1', ev(5)); // arrives while the backlog is still loading → buffered
+hub.publish('p1', ev(4)); // duplicate of a replayed event
+releaseReplay();
+const unsubscribe = await subscribed;
+assert.deepEqual(got, [3, 4, 5]);
+
+hub.publish('p1', ev(2)); // at/below Last-Event-ID → ignored
+hub.publish('other', ev(6)); // other project → ignored
+assert.deepEqual(got, [3, 4, 5]);
+
+// Written by another instance: only the poll sees it
+rows.push({ project: 'p1', ...ev(6) }, { project: 'p1', ...ev(5) });
+await new Promise(r => setTimeout(r, 40));
+assert.deepEqual(got, [3, 4, 5, 6]);
+assert.equal(hub.size, 1);
+unsubscribe();
+assert.equal(hub.size, 0);
+
+// replay fails (DB error on a Last-Event-ID reconnect): the error reaches the caller and nothing is left subscribed
+const failed = [];
+await assert.rejects(hub.subscribe('p2', 1, (e) => failed.push(e.id), async () => {
+  hub.publish('p2', ev(9));
+  throw new Error('db down');
+}), /db down/);
+assert.equal(hub.size, 0);
+assert.equal(hub.projects.has('p2'), false, 'poll stopped');
+assert.deepEqual(failed, []);
+
+console.log('verify-chat-event-hub: OK');
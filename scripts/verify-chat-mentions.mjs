@@ -0,0 +1,36 @@
+/**
+ * Chat @mentions + notification digest — mention parsing, mention text, digest grouping and cap.
+ */
+import assert from 'node:assert/strict';
+import { extractMentions } from '../lib/chatMessages.js';
+import { chatMentionNotificationText, buildNotificationDigest, NOTIFICATION_EMAIL_MODES, DIGEST_MAX_ITEMS } from '../lib/notifications.js';
+
+assert.deepEqual(extractMentions('hi @Dana and @yossi.k, see @dana.'), ['dana', 'yossi.k']);
+assert.deepEqual(extractMentions('@שרה תבדקי'), ['שרה']);
+assert.deepEqual(extractMentions('mail me at a@b.com'), [], 'email address is not a mention');
+assert.deepEqual(extractMentions('(@lab_1) @-x @'), ['lab_1']);
+assert.deepEqual(extractMentions(''), []);
+assert.deepEqual(extractMentions(null), []);
+
+const t = chatMentionNotificationText({ projectName: 'P1', authorName: 'dana', body: 'x'.repeat(1000) });
+assert.ok(t.title.includes('dana') && t.title.includes('"P1"'));
+assert.ok(t.body.endsWith('…'));
+assert.ok(t.body.length < 450);
+
+assert.deepEqual(NOTIFICATION_EMAIL_MODES, ['immediate', 'daily_digest', 'off']);
+assert.equal(buildNotificationDigest([]), null);
+const d = buildNotificationDigest([
+  { project_id: 'p1', title: 'a' },
+  { project_id: null, title: 'b' },
+  { project_id: 'p1', title: 'c' }
+], { p1: 'Alpha' });
+assert.ok(d.title.includes('(3)'));
+assert.ok(d.body.includes('Alpha:\n• a\n• c'));
+assert.ok(d.body.includes('• b'));
+
+const many = Array.from({ length: DIGEST_MAX_ITEMS + 5 }, (_, i) => ({ project_id: 'p1', title: `n${i}` }));
+const big = buildNotificationDigest(many, { p1: 'Alpha' });
+assert.ok(!big.body.includes(`n${DIGEST_MAX_ITEMS}\n`) && !big.body.endsWith(`n${DIGEST_MAX_ITEMS}`));
+assert.ok(big.body.includes('ועוד 5'));
+
+console.log('verify-chat-mentions: OK');
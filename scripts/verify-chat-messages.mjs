@@ -0,0 +1,47 @@
+/**
+ * Chat message helpers — reaction emoji validation, soft-delete masking, reaction aggregation.
+ */
+import assert from 'node:assert/strict';
+import { CHAT_MESSAGE_MAX_LENGTH, normalizeReactionEmoji, presentChatMessage, aggregateReactions } from '../lib/chatMessages.js';
+import { ARCHIVE_TABLES, remapArchiveRows, buildIdMap } from '../lib/projectArchive.js';
+
+assert.ok(CHAT_MESSAGE_MAX_LENGTH >= 1000);
+
+for (const ok of ['👍', ' ❤️ ', '👍🏽', '👩‍🔬', '🎉']) assert.equal(normalizeReactionEmoji(ok), ok.trim(), ok);
+for (const bad of ['', null, 'a', '1👍', '👍 ok', '👍'.repeat(10), '<script>']) assert.equal(normalizeReactionEmoji(bad), null, String(bad));
+
+const live = presentChatMessage({ id: 'm1', body: 'hello', edited_at: '2026-01-01T00:00:00Z', deleted_at: null });
+assert.equal(live.body, 'hello');
+assert.equal(live.edited, true);
+assert.equal(live.deleted, false);
+const gone = presentChatMessage({ id: 'm2', body: 'secret', edited_at: null, deleted_at: '2026-01-02T00:00:00Z' });
+assert.equal(gone.body, '');
+assert.equal(gone.deleted, true);
+assert.equal(presentChatMessage(null), null);
+
+const agg = aggregateReactions([
+  { message_id: 'm1', emoji: '👍', user_id: 1, username: 'a' },
+  { message_id: 'm1', emoji: '🎉', user_id: 2, username: 'b' },
+  { message_id: 'm1', emoji: '🎉', user_id: 3, username: 'c' },
+  { message_id: 'm2', emoji: '👍', user_id: 2, username: 'b' }
+], 2);
+assert.deepEqual(agg.get('m1'), [
+  { emoji: '🎉', count: 2, usernames: ['b', 'c'], mine: true },
+  { emoji: '👍', count: 1, usernames: ['a'], mine: false }
+]);
+assert.equal(agg.get('m2')[0].mine, true);
+assert.equal(agg.get('m3'), undefined);
+assert.equal(aggregateReactions([], null).size, 0);
+
+// Archive import keeps threads: replies are remapped to the new root id and inserted after it
+const spec = ARCHIVE_TABLES.find(t => t.table === 'project_chat_messages');
+const chat = [
+  { id: 'reply', project_id: 'old', parent_id: 'root', body: 'r' },
+  { id: 'root', project_id: 'old', parent_id: null, body: 'q' }
+];
+const idMap = buildIdMap({ project_chat_messages: chat });
+const out = remapArchiveRows(spec, chat, idMap, 'new');
+assert.equal(out[0].id, idMap.get('root'));
+assert.equal(out[1].parent_id, idMap.get('root'));
+
+console.log('verify-chat-messages: OK');
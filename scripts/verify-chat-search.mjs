@@ -0,0 +1,40 @@
+/**
+ * Chat search — query parsing / light stemming (Hebrew + English), ILIKE escaping, highlight offsets, snippets.
+ */
+import assert from 'node:assert/strict';
+import { stemSearchTerm, parseChatSearchQuery, escapeIlike, findHighlights, buildSearchSnippet, CHAT_SEARCH_MAX_TERMS } from '../lib/chatSearch.js';
+
+assert.equal(stemSearchTerm('ניסויים'), 'ניסוי');
+assert.equal(stemSearchTerm('והתוצאות'), 'תוצא');
+assert.equal(stemSearchTerm('משה'), 'משה', 'short words are kept');
+assert.equal(stemSearchTerm('Experiments'), 'experiment');
+assert.equal(stemSearchTerm('studies'), 'stud');
+assert.equal(stemSearchTerm('testing'), 'test');
+assert.equal(stemSearchTerm('gas'), 'gas');
+
+assert.deepEqual(parseChatSearchQuery('  "Final Decision"  ניסויים, a x1 '), ['final decision', 'ניסוי', 'x1']);
+assert.deepEqual(parseChatSearchQuery(''), []);
+assert.equal(parseChatSearchQuery(Array.from({ length: 20 }, (_, i) => `word${i}`).join(' ')).length, CHAT_SEARCH_MAX_TERMS);
+
+assert.equal(escapeIlike('50%_a\\'), '50\\%\\_a\\\\');
+
+const body = 'בפגישה החלטנו שהניסויים על הציפוי ייעצרו. The final decision: experiments paused.';
+const terms = parseChatSearchQuery('ניסויים "final decision" experiment');
+const hl = findHighlights(body, terms);
+assert.deepEqual(hl.map(h => body.slice(h.start, h.end)), ['שהניסויים', 'final decision', 'experiments']);
+assert.deepEqual(findHighlights('no hit here', ['zzz']), []);
+// overlapping hits merge
+assert.deepEqual(findHighlights('catalog', ['cat', 'catal']), [{ start: 0, end: 7 }]);
+
+const full = buildSearchSnippet(body, hl);
+assert.equal(full.snippet, body);
+assert.deepEqual(full.highlights, hl);
+
+const long = 'x '.repeat(200) + 'needle here' + ' y'.repeat(200);
+const s = buildSearchSnippet(long, findHighlights(long, ['needle']), 20);
+assert.ok(s.snippet.startsWith('…') && s.snippet.endsWith('…'));
+assert.equal(s.highlights.length, 1);
+assert.equal(s.snippet.slice(s.highlights[0].start, s.highlights[0].end), 'needle');
+assert.ok(s.snippet.length < 60);
+
+console.log('verify-chat-search: OK');
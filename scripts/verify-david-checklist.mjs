@@ -88,7 +88,32 @@ assert.equal(delCalls, 1);
 for (const script of [
   'verify-lab-and-inbound.mjs',
   'verify-management-rag-delete.mjs',
-  'verify-send-lab-incomplete-email.mjs'
+  'verify-send-lab-incomplete-email.mjs',
+  'verify-project-permissions.mjs',
+  'verify-project-listing.mjs',
+  'verify-project-invitations.mjs',
+  'verify-notifications.mjs',
+  'verify-project-lifecycle.mjs',
+  'verify-project-templates.mjs',
+  'verify-project-archive.mjs',
+  'verify-chat-event-hub.mjs',
+  'verify-chat-messages.mjs',
+  'verify-chat-mentions.mjs',
+  'verify-chat-attachments.mjs',
+  'verify-chat-search.mjs',
+  'verify-email-threading.mjs',
+  'verify-webhook-signature.mjs',
+  'verify-lab-import-rules.mjs',
+  'verify-inbound-aliases.mjs',
+  'verify-email-templates.mjs',
+  'verify-email-delivery-status.mjs',
+  'verify-email-transport.mjs',
+  'verify-project-tasks.mjs',
+  'verify-task-workflow.mjs',
+  'verify-task-dependencies.mjs',
+  'verify-milestone-progress.mjs',
+  'verify-task-recurrence.mjs',
+  'verify-project-ownership.mjs'
 ]) {
   const r = spawnSync(process.execPath, ['scripts/' + script], { cwd: root, encoding: 'utf8' });
   assert.equal(r.status, 0, `${script} failed:\n${r.stderr || r.stdout}`);
@@ -0,0 +1,67 @@
+/**
+ * Resend delivery events → project_emails.delivery_status / delivery_events (ordering, failures, duplicates).
+ */
+import assert from 'node:assert/strict';
+import {
+  applyDeliveryEvent,
+  deliveryEventEntry,
+  deliveryEventDetail,
+  isDeliveryFailure,
+  shouldRetryUnmatchedEvent,
+  DELIVERY_HISTORY_MAX
+} from '../lib/emailDeliveryStatus.js';
+
+const now = new Date('2026-04-01T12:00:00Z');
+const ev = (type, at, data = {}) => ({ type, created_at: at, data: { email_id: 're_1', ...data } });
+
+let row = { delivery_status: null, delivery_events: [] };
+const fold = (event) => {
+  const r = applyDeliveryEvent(row, event, now);
+  if (r.update) row = { ...row, ...r.update };
+  return r;
+};
+
+assert.equal(fold(ev('email.sent', '2026-04-01T10:00:00Z')).status, 'sent');
+assert.equal(fold(ev('email.opened', '2026-04-01T10:05:00Z')).status, 'opened');
+// delivered arrives late: history grows, status stays at the furthest point
+const late = fold(ev('email.delivered', '2026-04-01T10:01:00Z'));
+assert.equal(late.status, 'opened');
+assert.deepEqual(row.delivery_events.map(e => e.status), ['sent', 'delivered', 'opened'], 'history in event time order');
+assert.equal(row.delivery_updated_at, now.toISOString());
+
+// same event twice (Resend retry with a new svix id) → no change
+const dup = applyDeliveryEvent(row, ev('email.opened', '2026-04-01T10:05:00Z'), now);
+assert.equal(dup.changed, false);
+assert.equal(dup.update, null);
+
+// complaint after open: failure wins and is flagged
+const complaint = fold(ev('email.complained', '2026-04-01T11:00:00Z'));
+assert.equal(complaint.failure, true);
+assert.equal(row.delivery_status, 'complained');
+assert.equal(fold(ev('email.clicked', '2026-04-01T11:30:00Z', { click: { link: 'https://x.test/a' } })).status, 'complained', 'no progress after a failure');
+assert.equal(row.delivery_events.at(-1).link, 'https://x.test/a');
+
+const bounced = applyDeliveryEvent({ delivery_status: 'delivered', delivery_events: [] },
+  ev('email.bounced', '2026-04-01T10:02:00Z', { bounce: { type: 'Permanent', subType: 'General', message: 'mailbox does not exist' } }), now);
+assert.equal(bounced.status, 'bounced');
+assert.equal(bounced.update.delivery_events[0].detail, 'Permanent · General · mailbox does not exist');
+assert.equal(deliveryEventDetail(ev('email.delivered', 'x')), null);
+
+assert.equal(applyDeliveryEvent(row, ev('email.scheduled', 'x'), now).changed, false, 'unknown types ignored');
+// the entry the webhook hands to append_email_delivery_event
+assert.deepEqual(deliveryEventEntry(ev('email.clicked', '2026-04-01T11:30:00Z', { click: { link: 'https://x.test/a' } }), now),
+  { status: 'clicked', at: '2026-04-01T11:30:00Z', link: 'https://x.test/a' });
+assert.deepEqual(deliveryEventEntry({ type: 'email.sent', data: {} }, now), { status: 'sent', at: now.toISOString() });
+assert.equal(deliveryEventEntry(ev('email.scheduled', 'x'), now), null);
+assert.equal(isDeliveryFailure('bounced'), true);
+assert.equal(isDeliveryFailure('opened'), false);
+
+const many = { delivery_status: 'sent', delivery_events: Array.from({ length: DELIVERY_HISTORY_MAX }, (_, i) => ({ status: 'opened', at: `2026-04-01T09:${String(i).padStart(2, '0')}:00Z` })) };
+assert.equal(applyDeliveryEvent(many, ev('email.clicked', '2026-04-01T11:00:00Z'), now).update.delivery_events.length, DELIVERY_HISTORY_MAX);
+
+const nowMs = Date.parse('2026-04-01T12:00:00Z');
+assert.equal(shouldRetryUnmatchedEvent({ created_at: '2026-04-01T11:58:00Z' }, nowMs), true);
+assert.equal(shouldRetryUnmatchedEvent({ created_at: '2026-04-01T11:50:00Z' }, nowMs), false);
+assert.equal(shouldRetryUnmatchedEvent({}, nowMs), false);
+
+console.log('verify-email-delivery-status: OK');
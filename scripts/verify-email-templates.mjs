@@ -0,0 +1,82 @@
+/**
+ * Email templates (variables, escaping, missing names) and the scheduled-send queue (send_at, retry / give-up updates).
+ */
+import assert from 'node:assert/strict';
+import {
+  templateVariableNames,
+  renderEmailTemplate,
+  buildEmailTemplateVariables,
+  validateSendAt,
+  scheduledRetryDelayMinutes,
+  scheduledDispatchUpdate,
+  SCHEDULED_EMAIL_MAX_ATTEMPTS,
+  SCHEDULE_MAX_DAYS_AHEAD
+} from '../lib/emailTemplates.js';
+import { ARCHIVE_TABLES } from '../lib/projectArchive.js';
+
+assert.deepEqual(
+  templateVariableNames('{{ project.name }} update', 'Due {{next_milestone.due_date}} — {{project.name}}', null),
+  ['project.name', 'next_milestone.due_date']
+);
+
+const now = new Date('2026-03-10T08:00:00Z');
+const vars = buildEmailTemplateVariables({
+  project: { name: 'Acrylic <2026>', description: null },
+  sender: { username: 'dana' },
+  experiments: [{ experiment_id: 'E-101' }, { experiment_id: 'E-102' }],
+  milestones: [
+    { title: 'Pilot', due_date: '2026-05-01', completed_at: null },
+    { title: 'Lab report', due_date: '2026-02-01', completed_at: '2026-02-02T00:00:00Z' },
+    { title: 'Samples', due_date: '2026-04-01', completed_at: null }
+  ],
+  custom: { client: 'Tambour', count: 3, nested: { no: 1 }, 'bad-key': 'x' },
+  now
+});
+assert.equal(vars['project.name'], 'Acrylic <2026>');
+assert.equal(vars['project.description'], '');
+assert.equal(vars.today, '2026-03-10');
+assert.equal(vars.experiment_ids, 'E-101, E-102');
+assert.equal(vars['experiments.count'], 2);
+assert.equal(vars.milestones, 'Lab report: 2026-02-01\nSamples: 2026-04-01\nPilot: 2026-05-01');
+assert.equal(vars['next_milestone.title'], 'Samples', 'nearest open milestone on or after today');
+assert.equal(vars['next_milestone.due_date'], '2026-04-01');
+assert.equal(vars['vars.client'], 'Tambour');
+assert.equal(vars['vars.count'], '3');
+assert.equal(vars['vars.nested'], undefined);
+assert.equal(vars['vars.bad-key'], undefined);
+
+const out = renderEmailTemplate({
+  subject: '{{project.name}}: experiments {{experiment_ids}}\n',
+  text: 'Hi {{vars.client}},\n{{milestones}}',
+  html: '<p>{{project.name}}</p><p>{{milestones}}</p>'
+}, vars);
+assert.deepEqual(out.missing, []);
+assert.equal(out.subject, 'Acrylic <2026>: experiments E-101, E-102 ', 'no line breaks in subject');
+assert.equal(out.text, 'Hi Tambour,\nLab report: 2026-02-01\nSamples: 2026-04-01\nPilot: 2026-05-01');
+assert.equal(out.html, '<p>Acrylic &lt;2026&gt;</p><p>Lab report: 2026-02-01<br>Samples: 2026-04-01<br>Pilot: 2026-05-01</p>');
+
+const missing = renderEmailTemplate({ subject: 'x {{unknown}}', text: '{{experiment_ids}} {{unknown}}', html: null }, buildEmailTemplateVariables({ project: { name: 'P' }, now }));
+assert.deepEqual(missing.missing, ['unknown', 'experiment_ids']);
+assert.equal(missing.html, null);
+
+const t0 = Date.parse('2026-03-10T08:00:00Z');
+assert.deepEqual(validateSendAt('2026-03-10T09:00:00+01:00', t0), { ok: false, error: 'send_at must be in the future' });
+assert.deepEqual(validateSendAt('2026-03-10T10:00:00+01:00', t0), { ok: true, sendAt: '2026-03-10T09:00:00.000Z' });
+assert.equal(validateSendAt('tomorrow', t0).ok, false);
+assert.equal(validateSendAt(new Date(t0 + (SCHEDULE_MAX_DAYS_AHEAD + 1) * 86400000).toISOString(), t0).ok, false);
+
+assert.deepEqual([1, 2, 3].map(scheduledRetryDelayMinutes), [5, 10, 20]);
+const sent = scheduledDispatchUpdate({ attempts: 0 }, { ok: true, resendId: 're_1', emailId: 'e1' }, t0);
+assert.equal(sent.status, 'sent');
+assert.equal(sent.resend_email_id, 're_1');
+assert.equal(sent.sent_at, '2026-03-10T08:00:00.000Z');
+const retry = scheduledDispatchUpdate({ attempts: 0 }, { ok: false, error: 'Resend 502' }, t0);
+assert.equal(retry.status, 'pending');
+assert.equal(retry.attempts, 1);
+assert.equal(retry.send_at, '2026-03-10T08:05:00.000Z');
+assert.equal(scheduledDispatchUpdate({ attempts: SCHEDULED_EMAIL_MAX_ATTEMPTS - 1 }, { ok: false, error: 'x' }, t0).status, 'failed');
+assert.equal(scheduledDispatchUpdate({ attempts: 0 }, { ok: false, permanent: true, error: 'bad address' }, t0).status, 'failed');
+
+assert.ok(ARCHIVE_TABLES.some(t => t.table === 'project_email_templates'), 'templates travel with project export');
+
+console.log('verify-email-templates: OK');
@@ -0,0 +1,83 @@
+/**
+ * Email threading — Message-ID parsing, inbound headers, reply headers/subject/recipients, subject fallback, summaries.
+ */
+import assert from 'node:assert/strict';
+import {
+  normalizeMessageId,
+  parseMessageIdList,
+  headerValue,
+  inboundThreadingHeaders,
+  generateMessageId,
+  threadLookupIds,
+  buildReplyHeaders,
+  normalizeThreadSubject,
+  replySubject,
+  pickThreadBySubject,
+  replyRecipients,
+  summarizeThread,
+  MAX_REFERENCES
+} from '../lib/emailThreading.js';
+import { parseEmailOnly } from '../lib/inboundProjectRouting.js';
+
+assert.equal(normalizeMessageId(' <a.b@x.com> '), '<a.b@x.com>');
+assert.equal(normalizeMessageId('a@x.com'), '<a@x.com>');
+assert.equal(normalizeMessageId('not an id'), null);
+assert.deepEqual(parseMessageIdList('<1@x> <2@x>\r\n <1@x>'), ['<1@x>', '<2@x>']);
+assert.deepEqual(parseMessageIdList(['<1@x>', '3@y']), ['<1@x>', '<3@y>']);
+
+assert.equal(headerValue({ 'Message-ID': '<m@x>' }, 'message-id'), '<m@x>');
+assert.equal(headerValue([{ name: 'In-Reply-To', value: '<p@x>' }], 'in-reply-to'), '<p@x>');
+assert.equal(headerValue(null, 'x'), null);
+
+assert.deepEqual(
+  inboundThreadingHeaders({ headers: { 'message-id': '<m@x>', 'in-reply-to': '<p@x>', references: '<r@x> <p@x>' } }),
+  { message_id: '<m@x>', in_reply_to: '<p@x>', reference_ids: ['<r@x>', '<p@x>'] }
+);
+assert.deepEqual(inboundThreadingHeaders({}), { message_id: null, in_reply_to: null, reference_ids: [] });
+assert.deepEqual(threadLookupIds({ in_reply_to: '<p@x>', reference_ids: ['<r@x>', '<p@x>'] }), ['<p@x>', '<r@x>']);
+
+assert.match(generateMessageId('mail.example.com'), /^<[0-9a-f-]{36}@mail\.example\.com>$/);
+
+assert.deepEqual(buildReplyHeaders({ message_id: '<p@x>', reference_ids: ['<r@x>'] }), { 'In-Reply-To': '<p@x>', References: '<r@x> <p@x>' });
+assert.deepEqual(buildReplyHeaders({ message_id: null }), {});
+const longRefs = Array.from({ length: 40 }, (_, i) => `<${i}@x>`);
+const trimmed = buildReplyHeaders({ message_id: '<last@x>', reference_ids: longRefs }).References.split(' ');
+assert.equal(trimmed.length, MAX_REFERENCES);
+assert.equal(trimmed[0], '<0@x>', 'root kept');
+assert.equal(trimmed[trimmed.length - 1], '<last@x>');
+
+assert.equal(normalizeThreadSubject('RE: Fwd:  Batch   12 results'), 'batch 12 results');
+assert.equal(normalizeThreadSubject('השב: תוצאות ניסוי'), 'תוצאות ניסוי');
+assert.equal(replySubject('Batch 12'), 'Re: Batch 12');
+assert.equal(replySubject('re: Batch 12'), 're: Batch 12');
+
+const now = Date.parse('2026-06-01T00:00:00Z');
+const candidates = [
+  { id: 'e1', thread_id: 't1', subject: 'Batch 12', from_email: 'lab@acme.com', to_emails: ['p@in.example.com'], created_at: '2026-05-20T00:00:00Z' },
+  { id: 'e2', thread_id: 't2', subject: 'Batch 12', from_email: 'other@x.com', to_emails: [], created_at: '2026-05-25T00:00:00Z' },
+  { id: 'e3', thread_id: 't3', subject: 'Batch 12', from_email: 'lab@acme.com', to_emails: [], created_at: '2025-01-01T00:00:00Z' }
+];
+assert.equal(pickThreadBySubject(candidates, { subject: 'Re: batch 12', from: 'LAB@acme.com' }, now), 't1');
+assert.equal(pickThreadBySubject(candidates, { subject: 'Batch 13', from: 'lab@acme.com' }, now), null);
+assert.equal(pickThreadBySubject(candidates, { subject: 'Batch 12', from: 'nobody@x.com' }, now), null);
+
+const own = ['noreply@example.com', 'p@in.example.com'];
+const received = { direction: 'received', from_email: 'Lab <lab@acme.com>', to_emails: ['p@in.example.com', 'boss@acme.com'] };
+assert.deepEqual(replyRecipients(received, { ownAddresses: own, parseEmail: parseEmailOnly }), ['lab@acme.com']);
+assert.deepEqual(replyRecipients(received, { replyAll: true, ownAddresses: own, parseEmail: parseEmailOnly }), ['lab@acme.com', 'boss@acme.com']);
+const sent = { direction: 'sent', from_email: 'noreply@example.com', to_emails: ['a@x.com', 'b@x.com'] };
+assert.deepEqual(replyRecipients(sent, { ownAddresses: own, parseEmail: parseEmailOnly }), ['a@x.com', 'b@x.com']);
+
+const summary = summarizeThread([
+  { id: 'b', thread_id: 'a', direction: 'received', from_email: 'lab@acme.com', to_emails: ['p@in'], subject: 'Re: X', body_text: 'reply  text', attachments: [{}], created_at: '2026-01-02' },
+  { id: 'a', thread_id: 'a', direction: 'sent', from_email: 'noreply@ex', to_emails: ['lab@acme.com'], subject: 'X', body_text: 'hi', attachments: [], created_at: '2026-01-01' }
+]);
+assert.equal(summary.thread_id, 'a');
+assert.equal(summary.subject, 'X');
+assert.equal(summary.message_count, 2);
+assert.equal(summary.received_count, 1);
+assert.deepEqual(summary.participants, ['noreply@ex', 'lab@acme.com', 'p@in']);
+assert.equal(summary.has_attachments, true);
+assert.deepEqual(summary.last_message, { id: 'b', direction: 'received', from_email: 'lab@acme.com', preview: 'reply text' });
+
+console.log('verify-email-threading: OK');
@@ -0,0 +1,153 @@
+/**
+ * Email transports: env selection, file sink (.eml out, JSON inbox in), SMTP error mapping, Resend over fetch, helper fallback.
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  emailTransportFromEnv,
+  createFileTransport,
+  createSmtpTransport,
+  createResendTransport,
+  toNodemailerMessage,
+  transportFromOpts,
+  transportNotConfiguredError,
+  deliverSimpleEmail
+} from '../lib/emailTransport.js';
+import { sendNotificationEmail } from '../lib/notifications.js';
+
+const message = {
+  from: 'Lab <noreply@x.com>',
+  to: ['a@x.com'],
+  subject: 'Results',
+  text: 'see attached',
+  reply_to: ['p-1@reply.x.com'],
+  headers: { 'Message-ID': '<m1@x.com>', 'X-Project': 'p-1' },
+  attachments: [{ filename: 'r.csv', content: Buffer.from('a,b\n1,2').toString('base64'), content_type: 'text/csv' }]
+};
+
+// env selection
+assert.equal(emailTransportFromEnv({}).name, 'resend');
+assert.equal(emailTransportFromEnv({}).configured, false);
+assert.equal(emailTransportFromEnv({ RESEND_API_KEY: 're_1' }).configured, true);
+const smtpEnv = emailTransportFromEnv({ EMAIL_TRANSPORT: 'SMTP', SMTP_HOST: 'mail.x.com' });
+assert.equal(smtpEnv.name, 'smtp');
+assert.equal(smtpEnv.configured, true);
+assert.equal(smtpEnv.inbound, false);
+assert.equal(emailTransportFromEnv({ EMAIL_TRANSPORT: 'smtp' }).configured, false, 'smtp without host');
+assert.equal(emailTransportFromEnv({ EMAIL_TRANSPORT: 'file', EMAIL_FILE_DIR: '/tmp/x' }).name, 'file');
+assert.throws(() => emailTransportFromEnv({ EMAIL_TRANSPORT: 'pigeon' }), /EMAIL_TRANSPORT/);
+
+// Resend shape → nodemailer
+const nm = toNodemailerMessage(message);
+assert.equal(nm.messageId, '<m1@x.com>');
+assert.equal(nm.headers['Message-ID'], undefined);
+assert.equal(nm.headers['X-Project'], 'p-1');
+assert.deepEqual(nm.replyTo, ['p-1@reply.x.com']);
+assert.equal(nm.attachments[0].content.toString(), 'a,b\n1,2');
+assert.equal(nm.attachments[0].contentType, 'text/csv');
+
+// file sink
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+try {
+  const file = createFileTransport({ dir });
+  const sent = await file.send(message);
+  assert.equal(sent.ok, true);
+  assert.match(sent.id, /^file_/);
+  const eml = await fs.readFile(sent.path, 'utf8');
+  assert.match(eml, /^Subject: Results$/m);
+  assert.match(eml, /^Message-ID: <m1@x\.com>$/m);
+  assert.match(eml, /^Reply-To: p-1@reply\.x\.com$/m);
+  assert.match(eml, /filename=r\.csv/);
+  assert.deepEqual(await fs.readdir(path.join(dir, 'outbox')), [path.basename(sent.path)]);
+
+  await fs.mkdir(path.join(dir, 'inbox', 'in_1'), { recursive: true });
+  await fs.writeFile(path.join(dir, 'inbox', 'in_1.json'), JSON.stringify({
+    from: 'lab@x.com', to: ['p-1@reply.x.com'], subject: 'data', attachments: [{ id: 'att_1', filename: 'd.xlsx', content_type: 'application/vnd.ms-excel' }]
+  }));
+  await fs.writeFile(path.join(dir, 'inbox', 'in_1', 'att_1'), 'bytes');
+  const got = await file.getReceivedEmail('in_1');
+  assert.equal(got.ok, true);
+  assert.equal(got.email.subject, 'data');
+  assert.equal((await file.getReceivedEmail('nope')).status, 404);
+  assert.equal((await file.getReceivedEmail('../in_1')).status, 400, 'path traversal refused');
+  const att = await file.getReceivedAttachment('in_1', 'att_1');
+  assert.equal(att.ok, true);
+  assert.equal(att.buf.toString(), 'bytes');
+  assert.equal(att.filename, 'd.xlsx');
+  assert.equal((await file.getReceivedAttachment('in_1', 'att_2')).status, 404);
+  assert.equal((await file.getReceivedAttachment('in_1', '../in_1.json')).ok, false);
+
+  // helpers accept opts.transport instead of apiKey
+  const note = await sendNotificationEmail({ transport: file, fromEmail: 'n@x.com', toEmail: 'u@x.com', title: 'Hi', body: 'b' });
+  assert.equal(note.sent, true);
+  assert.equal((await fs.readdir(path.join(dir, 'outbox'))).length, 2);
+} finally {
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+// SMTP: stubbed nodemailer, reply codes → retryable or not
+let created = 0;
+let nextError = null;
+const smtp = createSmtpTransport({ host: 'mail.x.com', port: 465, user: 'u', pass: 'p' }, {
+  createTransport(opts) {
+    created++;
+    assert.equal(opts.secure, true, 'port 465 defaults to TLS');
+    assert.deepEqual(opts.auth, { user: 'u', pass: 'p' });
+    return {
+      async sendMail(m) {
+        if (nextError) throw nextError;
+        assert.equal(m.subject, 'Results');
+        return { messageId: '<smtp-1@x.com>' };
+      }
+    };
+  }
+});
+assert.deepEqual(await smtp.send(message), { ok: true, id: '<smtp-1@x.com>' });
+nextError = Object.assign(new Error('rejected'), { responseCode: 550, response: '550 mailbox unavailable' });
+const refused = await smtp.send(message);
+assert.equal(refused.status, 422);
+assert.equal(refused.error, '550 mailbox unavailable');
+nextError = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNECTION' });
+assert.equal((await smtp.send(message)).status, 503, 'connection trouble is retryable');
+nextError = Object.assign(new Error('try later'), { responseCode: 451 });
+assert.equal((await smtp.send(message)).status, 503, '4xx is retryable');
+assert.equal(created, 1, 'transporter reused');
+assert.equal((await smtp.getReceivedEmail('x')).status, 501);
+assert.equal((await createSmtpTransport({ host: '' }).send(message)).status, 503);
+
+// Resend over fetch
+const prevFetch = globalThis.fetch;
+try {
+  const calls = [];
+  globalThis.fetch = async (url, init = {}) => {
+    calls.push({ url, init });
+    if (url.endsWith('/emails')) return { ok: true, json: async () => ({ id: 're_9' }) };
+    if (url.includes('/attachments/')) return { ok: true, json: async () => ({ download_url: 'https://dl/x', filename: 'f.csv', content_type: 'text/csv' }) };
+    if (url === 'https://dl/x') return { ok: true, arrayBuffer: async () => new TextEncoder().encode('1,2').buffer };
+    return { ok: false, status: 404, json: async () => ({ message: 'not found' }) };
+  };
+  const resend = createResendTransport({ apiKey: 're_key' });
+  assert.deepEqual(await resend.send(message), { ok: true, id: 're_9' });
+  assert.equal(calls[0].init.headers.Authorization, 'Bearer re_key');
+  assert.equal(JSON.parse(calls[0].init.body).subject, 'Results');
+  const att = await resend.getReceivedAttachment('e1', 'a1');
+  assert.equal(att.buf.toString(), '1,2');
+  assert.equal(att.filename, 'f.csv');
+  const miss = await resend.getReceivedEmail('e2');
+  assert.equal(miss.ok, false);
+  assert.equal(miss.error, 'not found');
+
+  globalThis.fetch = async () => ({ ok: false, status: 422, json: async () => ({ message: 'Invalid `to` field' }) });
+  assert.deepEqual(await deliverSimpleEmail(resend, message), { sent: false, resendError: 'Invalid `to` field' });
+} finally {
+  globalThis.fetch = prevFetch;
+}
+
+// helper fallback keeps the apiKey signature
+assert.equal(transportFromOpts({ apiKey: 're_1' }).name, 'resend');
+assert.equal(transportNotConfiguredError(transportFromOpts({})), 'no_api_key');
+assert.equal(transportNotConfiguredError(createSmtpTransport({ host: '' })), 'transport_not_configured');
+
+console.log('verify-email-transport: OK');
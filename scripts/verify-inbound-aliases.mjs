@@ -0,0 +1,64 @@
+/**
+ * Project inbound aliases — validation, recipient candidates, and routing order (alias before any UUID).
+ */
+import assert from 'node:assert/strict';
+import {
+  normalizeProjectAlias,
+  inboundAliasCandidates,
+  extractProjectIdFromInboundPayload,
+  inboundProjectIdCandidates,
+  pickInboundProject,
+  RESERVED_PROJECT_ALIASES
+} from '../lib/inboundProjectRouting.js';
+
+const UUID = 'a1b2c3d4-e5f6-4178-a9b0-123456789abc';
+
+assert.deepEqual(normalizeProjectAlias('  Acrylic-2026 '), { ok: true, alias: 'acrylic-2026' });
+assert.deepEqual(normalizeProjectAlias('Acrylic-2026@inbound.example.com'), { ok: true, alias: 'acrylic-2026' });
+assert.deepEqual(normalizeProjectAlias('lab.results_v2'), { ok: true, alias: 'lab.results_v2' });
+for (const bad of ['', 'ab', '-lead', 'trail.', 'a..b', 'with space', 'אקריליק', 'x'.repeat(65), UUID, `p-${UUID}`]) {
+  assert.equal(normalizeProjectAlias(bad).ok, false, `rejects ${JSON.stringify(bad)}`);
+}
+for (const reserved of RESERVED_PROJECT_ALIASES) assert.match(normalizeProjectAlias(reserved).error, /reserved/);
+
+assert.deepEqual(
+  inboundAliasCandidates({
+    to: ['Lab <Acrylic-2026+results@inbound.example.com>', `${UUID}@inbound.example.com`],
+    cc: ['noreply@example.com', 'acrylic-2026@inbound.example.com', 'Mineral.Coat@inbound.example.com'],
+    bcc: [null, 'not-an-address', 'lab@partner.com']
+  }, 'Inbound.Example.com'),
+  ['acrylic-2026', 'mineral.coat']
+);
+assert.deepEqual(inboundAliasCandidates({}, 'inbound.example.com'), []);
+assert.deepEqual(inboundAliasCandidates({ to: ['lab@partner.com', 'lab@sub.inbound.example.com'] }, 'inbound.example.com'), [], 'other domains are not aliases');
+assert.deepEqual(inboundAliasCandidates({ to: ['acrylic-2026@inbound.example.com'] }, ''), [], 'no reply domain → no alias routing');
+
+// UUID fallback is unchanged when no alias matches
+assert.equal(extractProjectIdFromInboundPayload({ to: ['acrylic-2026@inbound.example.com'] }, {}), null);
+assert.equal(extractProjectIdFromInboundPayload({ to: ['acrylic-2026@inbound.example.com', `${UUID}@x.com`] }, {}), UUID);
+
+// routing order: alias, then the first UUID that names a project (?project_id, recipient, headers, subject)
+const PROJECT = '0f6c1a2b-3c4d-4e5f-8a9b-0c1d2e3f4a5b';
+const MSG = '9e8d7c6b-5a49-4382-b716-a5f4e3d2c1b0';
+const reply = {
+  to: ['acrylic-2026@inbound.example.com'],
+  subject: 'Re: results',
+  headers: { 'in-reply-to': `<${MSG}@mail.example.com>`, references: `<${MSG}@mail.example.com>` }
+};
+const replyCandidates = inboundProjectIdCandidates(reply, {});
+assert.deepEqual(replyCandidates, [{ id: MSG, source: 'header' }]);
+assert.deepEqual(pickInboundProject(replyCandidates, PROJECT, new Set()), { projectId: PROJECT, via: 'alias' }, 'foreign Message-ID UUID does not beat the alias');
+assert.deepEqual(pickInboundProject(replyCandidates, null, new Set()), { projectId: null, reason: 'no_project_match', candidate: null }, 'header UUID naming no project is ignored');
+assert.deepEqual(pickInboundProject(inboundProjectIdCandidates(reply, { project_id: PROJECT }), PROJECT.replace('0f', '1f'), new Set([PROJECT])).via, 'alias', 'alias beats ?project_id');
+
+const mixed = inboundProjectIdCandidates({
+  to: [`Lab <${UUID.toUpperCase()}@inbound.example.com>`],
+  headers: { 'message-id': `<${MSG}@x>`, 'x-project': PROJECT },
+  subject: `re ${PROJECT}`
+}, { project_id: 'none' });
+assert.deepEqual(mixed, [{ id: UUID, source: 'recipient' }, { id: MSG, source: 'header' }, { id: PROJECT, source: 'header' }]);
+assert.deepEqual(pickInboundProject(mixed, null, new Set([PROJECT])), { projectId: PROJECT, via: 'header' }, 'first candidate that exists');
+assert.deepEqual(pickInboundProject(mixed, null, new Set()), { projectId: null, reason: 'project_not_found', candidate: UUID }, 'explicit recipient UUID reported');
+assert.deepEqual(inboundProjectIdCandidates({}, { project_id: PROJECT }), [{ id: PROJECT, source: 'query' }]);
+
+console.log('verify-inbound-aliases: OK');
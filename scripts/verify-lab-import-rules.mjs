@@ -0,0 +1,89 @@
+/**
+ * Auto lab import rules — validation, sender / subject / extension matching, attachment selection, sheet rows.
+ */
+import assert from 'node:assert/strict';
+import {
+  normalizeLabImportRule,
+  senderAllowed,
+  ruleMatchesEmail,
+  subjectMatchesPattern,
+  attachmentMatchesRule,
+  selectAutoImportAttachments,
+  excelSheetsToRowObjects,
+  LAB_AUTO_IMPORT_MAX_ATTACHMENTS
+} from '../lib/labImportRules.js';
+
+const ok = normalizeLabImportRule({
+  name: '  Lab results ',
+  sender_allowlist: ['Lab@Example.com', '@partner.co.il', 'lab@example.com'],
+  subject_pattern: 'results*',
+  file_extensions: ['.XLSX', '*.csv']
+});
+assert.equal(ok.ok, true);
+assert.deepEqual(ok.rule, {
+  name: 'Lab results',
+  enabled: true,
+  sender_allowlist: ['lab@example.com', '@partner.co.il'],
+  subject_pattern: 'results*',
+  file_extensions: ['xlsx', 'csv']
+});
+assert.equal(normalizeLabImportRule({ name: 'x', sender_allowlist: [] }).ok, false, 'allowlist required');
+assert.equal(normalizeLabImportRule({ name: 'x', sender_allowlist: ['not-an-email'] }).ok, false);
+assert.match(normalizeLabImportRule({ name: 'x', sender_allowlist: ['a@b.co'], subject_pattern: 'x'.repeat(201) }).error, /subject_pattern/);
+assert.equal(normalizeLabImportRule({ name: 'x', sender_allowlist: ['a@b.co'], subject_pattern: '(' }).ok, true, 'glob, not regex: any text is valid');
+assert.match(normalizeLabImportRule({ name: 'x', sender_allowlist: ['a@b.co'], file_extensions: ['exe'] }).error, /exe/);
+assert.equal(normalizeLabImportRule({ sender_allowlist: ['a@b.co'] }).ok, false, 'name required');
+// PATCH merges onto the stored rule
+const patched = normalizeLabImportRule({ enabled: false }, ok.rule);
+assert.equal(patched.rule.enabled, false);
+assert.deepEqual(patched.rule.sender_allowlist, ok.rule.sender_allowlist);
+
+assert.equal(senderAllowed(ok.rule.sender_allowlist, 'Lab Team <LAB@example.com>'), true);
+assert.equal(senderAllowed(ok.rule.sender_allowlist, 'someone@partner.co.il'), true);
+assert.equal(senderAllowed(ok.rule.sender_allowlist, 'someone@evil-partner.co.il'), false);
+assert.equal(senderAllowed(ok.rule.sender_allowlist, 'lab@example.com.evil.io'), false);
+
+const rule = { id: 'r1', ...ok.rule };
+assert.equal(ruleMatchesEmail(rule, { from: 'lab@example.com', subject: 'Results batch 7' }), true);
+assert.equal(ruleMatchesEmail({ ...rule, subject_pattern: 'תוצאות*' }, { from: 'lab@example.com', subject: 'תוצאות ניסוי' }), true);
+assert.equal(ruleMatchesEmail(rule, { from: 'lab@example.com', subject: 'Re: Results' }), false);
+assert.equal(ruleMatchesEmail({ ...rule, enabled: false }, { from: 'lab@example.com', subject: 'Results' }), false);
+assert.equal(ruleMatchesEmail({ ...rule, subject_pattern: null }, { from: 'lab@example.com', subject: '' }), true);
+
+// subject glob: * / ?, whole subject; no wildcard = contains; regex syntax is literal
+assert.equal(subjectMatchesPattern('batch ?? results', 'Batch 07 Results'), true);
+assert.equal(subjectMatchesPattern('batch ?? results', 'Batch 7 Results'), false);
+assert.equal(subjectMatchesPattern('*viscosity*', 'Re: viscosity run'), true);
+assert.equal(subjectMatchesPattern('viscosity', 'Re: Viscosity run'), true, 'no wildcard → substring');
+assert.equal(subjectMatchesPattern('^(a+)+$', 'aaaa'), false);
+assert.equal(subjectMatchesPattern('*a*a*a*a*a*a*a*b', 'a'.repeat(5000)), false, 'long hostile subject returns (capped, linear)');
+
+assert.equal(attachmentMatchesRule(rule, 'batch.XLSX'), true);
+assert.equal(attachmentMatchesRule(rule, 'notes.pdf'), false);
+assert.equal(attachmentMatchesRule({ ...rule, file_extensions: [] }, 'notes.pdf'), true, 'empty list = any parseable type');
+assert.equal(attachmentMatchesRule({ ...rule, file_extensions: [] }, 'photo.png'), false);
+
+const pdfRule = { id: 'r2', enabled: true, sender_allowlist: ['@example.com'], subject_pattern: null, file_extensions: ['pdf'] };
+const picked = selectAutoImportAttachments([rule, pdfRule], { from: 'lab@example.com', subject: 'Results' }, [
+  { id: 'a1', filename: 'batch.xlsx' },
+  { id: 'a2', filename: 'report.pdf' },
+  { id: 'a3', filename: 'logo.png', content_disposition: 'inline' },
+  { id: 'a4', filename: 'inline.csv', content_disposition: 'inline' },
+  { filename: 'no-id.csv' }
+]);
+assert.deepEqual(picked.map(p => [p.attachment.id, p.rule.id]), [['a1', 'r1'], ['a2', 'r2']]);
+assert.deepEqual(selectAutoImportAttachments([rule], { from: 'other@example.org', subject: 'Results' }, [{ id: 'a1', filename: 'batch.xlsx' }]), []);
+const many = Array.from({ length: LAB_AUTO_IMPORT_MAX_ATTACHMENTS + 5 }, (_, i) => ({ id: `m${i}`, filename: `f${i}.csv` }));
+assert.equal(selectAutoImportAttachments([rule], { from: 'lab@example.com', subject: 'Results' }, many).length, LAB_AUTO_IMPORT_MAX_ATTACHMENTS);
+
+const rows = excelSheetsToRowObjects([
+  { name: 'Experiments', rows: [['Experiment ID', 'Formula', ''], ['E-1', 'A+B', 'x'], ['', '', ''], ['E-2', '', '']] },
+  { name: 'Notes', rows: [['Comment'], ['see attached']] },
+  { name: 'Empty', rows: [['experiment_id']] }
+]);
+assert.deepEqual(rows, [
+  { row: { 'Experiment ID': 'E-1', Formula: 'A+B' }, sheet: 'Experiments', rowIndex: 2 },
+  { row: { 'Experiment ID': 'E-2', Formula: '' }, sheet: 'Experiments', rowIndex: 4 }
+]);
+
+console.log('verify-lab-import-rules: OK');
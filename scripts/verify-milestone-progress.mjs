@@ -0,0 +1,67 @@
+/**
+ * Tasks linked to milestones: progress by status category, late open tasks, auto-complete / reopen.
+ */
+import assert from 'node:assert/strict';
+import { milestoneProgress, milestoneAutoCompletion } from '../lib/milestoneProgress.js';
+import { DEFAULT_TASK_WORKFLOW, normalizeTaskWorkflow } from '../lib/taskWorkflow.js';
+import { ARCHIVE_TABLES, remapArchiveRows } from '../lib/projectArchive.js';
+
+const wf = DEFAULT_TASK_WORKFLOW;
+const milestone = { id: 'm1', title: 'Pilot batch', due_date: '2026-04-01', completed_at: null, auto_complete: true };
+const tasks = [
+  { id: 'a', title: 'Synthesis', status: 'done', due_date: '2026-03-10', completed_at: '2026-03-09T12:00:00Z' },
+  { id: 'b', title: 'Viscosity', status: 'in_progress', due_date: '2026-04-03' },
+  { id: 'c', title: 'Report', status: 'todo', due_date: '2026-04-10' },
+  { id: 'd', title: 'Old idea', status: 'cancelled', due_date: '2026-05-01' },
+  { id: 'e', title: 'pH', status: 'todo', due_date: null }
+];
+
+const p = milestoneProgress(milestone, tasks, wf);
+assert.deepEqual({ total: p.total, done: p.done, open: p.open, cancelled: p.cancelled }, { total: 5, done: 1, open: 3, cancelled: 1 });
+assert.equal(p.percent, 25, 'cancelled tasks do not count');
+assert.equal(p.all_done, false);
+assert.equal(p.at_risk, true);
+assert.deepEqual(p.late_tasks.map(t => t.id), ['c', 'b'], 'open tasks due after the milestone, latest first; cancelled ignored');
+assert.equal(milestoneAutoCompletion(milestone, p), undefined);
+
+// no due date on the milestone → nothing is late
+assert.equal(milestoneProgress({ ...milestone, due_date: null }, tasks, wf).at_risk, false);
+
+// empty / only cancelled → no percent, never auto-completes
+const none = milestoneProgress(milestone, [], wf);
+assert.equal(none.percent, null);
+assert.equal(none.all_done, false);
+assert.equal(milestoneAutoCompletion(milestone, milestoneProgress(milestone, [tasks[3]], wf)), undefined);
+
+// all done → completed at the latest task completion
+const finished = tasks.filter(t => t.status !== 'todo' && t.id !== 'b').concat({ id: 'b', status: 'done', completed_at: '2026-03-20T08:00:00Z' });
+const fp = milestoneProgress(milestone, finished, wf);
+assert.equal(fp.percent, 100);
+assert.equal(fp.all_done, true);
+assert.equal(milestoneAutoCompletion(milestone, fp), '2026-03-20T08:00:00Z');
+const now = new Date('2026-03-21T00:00:00Z');
+assert.equal(milestoneAutoCompletion(milestone, milestoneProgress(milestone, [{ id: 'x', status: 'done' }], wf), now), now.toISOString(), 'no completed_at → now');
+assert.equal(milestoneAutoCompletion({ ...milestone, completed_at: '2026-03-20T08:00:00Z' }, fp), undefined, 'already completed');
+assert.equal(milestoneAutoCompletion({ ...milestone, auto_complete: false }, fp), undefined, 'manual milestones untouched');
+
+// reopened when an open task comes back
+assert.equal(milestoneAutoCompletion({ ...milestone, completed_at: '2026-03-20T08:00:00Z' }, p), null);
+assert.equal(milestoneAutoCompletion({ ...milestone, completed_at: '2026-03-20T08:00:00Z', auto_complete: false }, p), undefined);
+
+// custom workflow categories
+const lab = normalizeTaskWorkflow({
+  statuses: [{ key: 'backlog' }, { key: 'closed', category: 'done' }, { key: 'dropped', category: 'cancelled' }],
+  transitions: { backlog: ['closed', 'dropped'] }
+}).workflow;
+const lp = milestoneProgress(milestone, [{ id: 'a', status: 'closed' }, { id: 'b', status: 'dropped' }], lab);
+assert.equal(lp.percent, 100);
+assert.equal(lp.all_done, true);
+
+// archive: milestones before tasks, task.milestone_id remapped
+const names = ARCHIVE_TABLES.map(t => t.table);
+assert.ok(names.indexOf('milestones') < names.indexOf('tasks'));
+const taskSpec = ARCHIVE_TABLES.find(t => t.table === 'tasks');
+const rows = remapArchiveRows(taskSpec, [{ id: 't', milestone_id: 'm' }, { id: 'u', milestone_id: 'gone' }], new Map([['t', 'T'], ['u', 'U'], ['m', 'M']]), 'proj');
+assert.deepEqual(rows.map(r => r.milestone_id), ['M', null]);
+
+console.log('verify-milestone-progress: OK');
@@ -0,0 +1,36 @@
+/**
+ * Notification texts (join requests) + notification email payload (fetch mocked).
+ */
+import assert from 'node:assert/strict';
+import { joinRequestNotificationText, sendNotificationEmail, JOIN_REQUEST_EVENTS } from '../lib/notifications.js';
+
+for (const ev of JOIN_REQUEST_EVENTS) {
+  const t = joinRequestNotificationText(ev, { projectName: 'Acrylic' });
+  assert.ok(t.title.includes('"Acrylic"'), ev);
+  assert.ok(t.body.length > 0, ev);
+}
+const created = joinRequestNotificationText('created', { projectName: 'P', requesterName: 'noa', message: 'I run the rheology tests' });
+assert.ok(created.body.includes('noa'));
+assert.ok(created.body.includes('I run the rheology tests'));
+assert.ok(joinRequestNotificationText('rejected', { projectName: 'P', reason: 'closed team' }).body.includes('closed team'));
+assert.ok(!joinRequestNotificationText('rejected', { projectName: 'P' }).body.includes('סיבה'));
+assert.throws(() => joinRequestNotificationText('bogus', {}));
+
+assert.deepEqual(await sendNotificationEmail({ apiKey: 're_x', toEmail: '' }), { sent: false, resendError: 'no_recipient' });
+
+const origFetch = globalThis.fetch;
+let captured = null;
+globalThis.fetch = async (url, init) => {
+  captured = JSON.parse(init.body);
+  return { ok: true, status: 200, json: async () => ({ id: 'em_2' }) };
+};
+try {
+  const out = await sendNotificationEmail({ apiKey: 're_x', fromEmail: 'noreply@example.com', toEmail: 'a@b.c', title: 'T', body: 'B' });
+  assert.deepEqual(out, { sent: true, id: 'em_2' });
+  assert.equal(captured.subject, 'T');
+  assert.ok(captured.text.includes('B'));
+} finally {
+  globalThis.fetch = origFetch;
+}
+
+console.log('verify-notifications: OK');
@@ -0,0 +1,100 @@
+/**
+ * Project export/import — manifest check, id remapping across tables, parent-first ordering, ZIP round trip, streamed export.
+ */
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import {
+  PROJECT_ARCHIVE_FORMAT,
+  PROJECT_ARCHIVE_VERSION,
+  ARCHIVE_TABLES,
+  archiveFilePath,
+  checkArchiveManifest,
+  buildIdMap,
+  lazyArchiveEntry,
+  remapArchiveRows
+} from '../lib/projectArchive.js';
+
+const spec = (t) => ARCHIVE_TABLES.find(s => s.table === t);
+
+assert.equal(checkArchiveManifest(null).ok, false);
+assert.equal(checkArchiveManifest({ format: 'other', version: 1 }).ok, false);
+assert.equal(checkArchiveManifest({ format: PROJECT_ARCHIVE_FORMAT, version: PROJECT_ARCHIVE_VERSION + 1 }).ok, false);
+assert.equal(checkArchiveManifest({ format: PROJECT_ARCHIVE_FORMAT, version: PROJECT_ARCHIVE_VERSION }).ok, true);
+
+assert.equal(archiveFilePath('f1', 'a/b\\c.pdf'), 'files/f1/a_b_c.pdf');
+assert.equal(archiveFilePath('f1', ''), 'files/f1/file');
+
+const data = {
+  research_sessions: [{ id: 's1', project_id: 'old', name: 'S' }],
+  lab_experiments: [
+    { id: 'e2', project_id: 'old', experiment_id: 'EXP-2', research_session_id: 's1', parent_experiment_id: 'e1' },
+    { id: 'e1', project_id: 'old', experiment_id: 'EXP-1', research_session_id: 'gone', parent_experiment_id: null }
+  ],
+  experiment_materials: [
+    { id: 'm1', experiment_id: 'e1', material_id: 'TiO2' },
+    { id: 'm2', experiment_id: 'elsewhere', material_id: 'X' }
+  ],
+  experiment_relations: [{ id: 'r1', source_experiment_id: 'e2', target_experiment_id: 'outside', relationship_type: 'similar_to' }],
+  project_emails: [{ id: 'pe1', project_id: 'old', resend_email_id: 'rs_1', subject: 'hi' }],
+  audit_log: [{ id: 'a1', project_id: 'old', entity_id: 'e1', action: 'create', user_id: 7, username: 'dana', details: { name: 'x' } }, { id: 'a2', project_id: 'old', entity_id: 'old', action: 'update' }]
+};
+const idMap = buildIdMap(data);
+idMap.set('old', 'new-project');
+assert.equal(new Set(idMap.values()).size, idMap.size);
+
+const exps = remapArchiveRows(spec('lab_experiments'), data.lab_experiments, idMap, 'new-project');
+assert.deepEqual(exps.map(e => e.experiment_id), ['EXP-1', 'EXP-2']);
+assert.equal(exps[0].id, idMap.get('e1'));
+assert.equal(exps[0].research_session_id, null);
+assert.equal(exps[1].research_session_id, idMap.get('s1'));
+assert.equal(exps[1].parent_experiment_id, idMap.get('e1'));
+assert.ok(exps.every(e => e.project_id === 'new-project'));
+
+const mats = remapArchiveRows(spec('experiment_materials'), data.experiment_materials, idMap, 'new-project');
+assert.deepEqual(mats.map(m => m.material_id), ['TiO2']);
+assert.equal(mats[0].experiment_id, idMap.get('e1'));
+assert.equal('project_id' in mats[0], false);
+assert.deepEqual(remapArchiveRows(spec('experiment_relations'), data.experiment_relations, idMap, 'new-project'), []);
+
+assert.equal(remapArchiveRows(spec('project_emails'), data.project_emails, idMap, 'new-project')[0].resend_email_id, null);
+const audit = remapArchiveRows(spec('audit_log'), data.audit_log, idMap, 'new-project');
+assert.equal('id' in audit[0], false);
+assert.equal(audit[0].entity_id, idMap.get('e1'));
+assert.equal(audit[1].entity_id, 'new-project');
+assert.deepEqual([audit[0].user_id, audit[0].username], [null, null], 'source user ids are not live users here');
+assert.deepEqual(audit[0].details, { name: 'x', source_user: { id: 7, username: 'dana' } });
+assert.equal('source_user' in (audit[1].details || {}), false);
+
+const zip = new JSZip();
+zip.file('manifest.json', JSON.stringify({ format: PROJECT_ARCHIVE_FORMAT, version: PROJECT_ARCHIVE_VERSION }));
+zip.file(archiveFilePath('f1', 'r.txt'), Buffer.from('hello'));
+const back = await JSZip.loadAsync(await zip.generateAsync({ type: 'nodebuffer' }));
+assert.equal(checkArchiveManifest(JSON.parse(await back.file('manifest.json').async('string'))).ok, true);
+assert.equal((await back.file('files/f1/r.txt').async('nodebuffer')).toString(), 'hello');
+
+// streamed export: entries load one at a time as the writer reaches them; a promised manifest is written after them
+const loads = [];
+let allLoaded;
+const allRead = new Promise(resolve => { allLoaded = resolve; });
+const streamed = new JSZip();
+for (const name of ['a', 'b', 'c']) {
+  streamed.file(`files/${name}`, lazyArchiveEntry(async () => {
+    loads.push(name);
+    if (loads.length === 3) allLoaded();
+    return name === 'b' ? null : Buffer.from(`body ${name}`);
+  }));
+}
+assert.deepEqual(loads, [], 'nothing loaded before generation');
+streamed.file('manifest.json', allRead.then(() => JSON.stringify({ loaded: [...loads] })));
+const chunks = [];
+await new Promise((resolve, reject) => {
+  streamed.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+    .on('data', c => chunks.push(c)).on('end', resolve).on('error', reject);
+});
+const read = await JSZip.loadAsync(Buffer.concat(chunks));
+assert.deepEqual(loads, ['a', 'b', 'c']);
+assert.equal(await read.file('files/a').async('string'), 'body a');
+assert.equal(await read.file('files/b').async('string'), '', 'null load → empty entry');
+assert.deepEqual(JSON.parse(await read.file('manifest.json').async('string')), { loaded: ['a', 'b', 'c'] });
+
+console.log('verify-project-archive: OK');
@@ -0,0 +1,56 @@
+/**
+ * Project invitations — token hashing, expiry, invite email payload (fetch mocked).
+ */
+import assert from 'node:assert/strict';
+import {
+  createInvitationToken,
+  hashInvitationToken,
+  isInvitationExpired,
+  sendProjectInvitationEmail
+} from '../lib/projectInvitations.js';
+
+const a = createInvitationToken();
+const b = createInvitationToken();
+assert.notEqual(a.token, b.token);
+assert.match(a.token, /^[A-Za-z0-9_-]{43}$/);
+assert.equal(a.tokenHash, hashInvitationToken(a.token));
+assert.match(a.tokenHash, /^[0-9a-f]{64}$/);
+assert.notEqual(a.tokenHash, a.token);
+
+const now = Date.parse('2026-05-01T12:00:00Z');
+assert.equal(isInvitationExpired({ expires_at: '2026-05-01T12:00:01Z' }, now), false);
+assert.equal(isInvitationExpired({ expires_at: '2026-05-01T12:00:00Z' }, now), true);
+assert.equal(isInvitationExpired({ expires_at: null }, now), true);
+
+assert.deepEqual(await sendProjectInvitationEmail({ apiKey: '', toEmail: 'x@y.z' }), { sent: false, resendError: 'no_api_key' });
+
+const origFetch = globalThis.fetch;
+let captured = null;
+globalThis.fetch = async (url, init) => {
+  captured = { url, body: JSON.parse(init.body) };
+  return { ok: true, status: 200, json: async () => ({ id: 'em_1' }) };
+};
+try {
+  const out = await sendProjectInvitationEmail({
+    apiKey: 're_test',
+    fromEmail: 'noreply@example.com',
+    toEmail: 'guest@example.com',
+    projectName: 'Acrylic',
+    inviterName: 'dana',
+    acceptUrl: 'https://front.example/invite?token=abc',
+    expiresAt: '2026-05-08T12:00:00Z'
+  });
+  assert.deepEqual(out, { sent: true, id: 'em_1' });
+  assert.equal(captured.url, 'https://api.resend.com/emails');
+  assert.deepEqual(captured.body.to, ['guest@example.com']);
+  assert.ok(captured.body.subject.includes('Acrylic'));
+  assert.ok(captured.body.text.includes('https://front.example/invite?token=abc'));
+  assert.ok(captured.body.text.includes('2026-05-08'));
+
+  globalThis.fetch = async () => ({ ok: false, status: 422, json: async () => ({ message: 'invalid to' }) });
+  assert.deepEqual(await sendProjectInvitationEmail({ apiKey: 're_test', toEmail: 'bad' }), { sent: false, resendError: 'invalid to' });
+} finally {
+  globalThis.fetch = origFetch;
+}
+
+console.log('verify-project-invitations: OK');
@@ -0,0 +1,45 @@
+/**
+ * Project archive / soft delete helpers — state, archived write gate, retention, purge filename scoping.
+ */
+import assert from 'node:assert/strict';
+import {
+  projectLifecycleState,
+  isPermissionAllowedInState,
+  purgeAfterIso,
+  isPurgeDue,
+  filenamesExclusiveToProject,
+  storagePathsOwnedByProject
+} from '../lib/projectLifecycle.js';
+
+assert.equal(projectLifecycleState({}), 'active');
+assert.equal(projectLifecycleState({ archived_at: '2026-01-01T00:00:00Z' }), 'archived');
+assert.equal(projectLifecycleState({ archived_at: '2026-01-01T00:00:00Z', deleted_at: '2026-02-01T00:00:00Z' }), 'deleted');
+
+assert.equal(isPermissionAllowedInState('active', 'tasks.write'), true);
+assert.equal(isPermissionAllowedInState('archived', 'tasks.write'), false);
+assert.equal(isPermissionAllowedInState('archived', 'files.upload'), false);
+assert.equal(isPermissionAllowedInState('archived', 'members.manage'), true);
+assert.equal(isPermissionAllowedInState('archived', 'project.update'), true);
+assert.equal(isPermissionAllowedInState('deleted', 'project.update'), false);
+
+assert.equal(purgeAfterIso('2026-03-01T00:00:00.000Z', 30), '2026-03-31T00:00:00.000Z');
+assert.equal(purgeAfterIso('2026-03-01T00:00:00.000Z', 0), '2026-03-01T00:00:00.000Z');
+
+const now = Date.parse('2026-04-01T00:00:00Z');
+assert.equal(isPurgeDue({ deleted_at: '2026-03-01T00:00:00Z', purge_after: '2026-03-31T00:00:00Z' }, now), true);
+assert.equal(isPurgeDue({ deleted_at: '2026-03-01T00:00:00Z', purge_after: '2026-04-02T00:00:00Z' }, now), false);
+assert.equal(isPurgeDue({ deleted_at: null, purge_after: '2026-03-31T00:00:00Z' }, now), false);
+assert.equal(isPurgeDue({ deleted_at: '2026-03-01T00:00:00Z', purge_after: null }, now), false);
+
+assert.deepEqual(
+  filenamesExclusiveToProject(['a.pdf', ' b.docx ', 'a.pdf', '', null, 'shared.xlsx'], ['shared.xlsx', 'other.txt']),
+  ['a.pdf', 'b.docx']
+);
+
+// purge removes only the project's own uploads, not shared SharePoint objects or paths another project uses
+assert.deepEqual(
+  storagePathsOwnedByProject(['manual/a.pdf', 'manual/a.pdf', 'reports/q1.xlsx', 'manual/shared.pdf', '', null], ['manual/shared.pdf']),
+  ['manual/a.pdf']
+);
+
+console.log('verify-project-lifecycle: OK');
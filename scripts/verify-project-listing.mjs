@@ -0,0 +1,25 @@
+/**
+ * GET /api/projects helpers — search filter quoting, last-activity merge, sort order.
+ */
+import assert from 'node:assert/strict';
+import { projectSearchOrFilter, latestIso, sortProjectList } from '../lib/projectListing.js';
+
+assert.equal(projectSearchOrFilter(''), null);
+assert.equal(projectSearchOrFilter('   '), null);
+assert.equal(projectSearchOrFilter('acrylic'), 'name.ilike."*acrylic*",description.ilike."*acrylic*"');
+assert.equal(projectSearchOrFilter('a,b (c) "d"'), 'name.ilike."*a,b (c) d*",description.ilike."*a,b (c) d*"');
+
+assert.equal(latestIso(null, '2026-01-01T00:00:00Z', 'bad', '2026-02-01T00:00:00.000Z'), '2026-02-01T00:00:00.000Z');
+assert.equal(latestIso(), null);
+
+const rows = [
+  { name: 'beta', last_activity_at: '2026-01-01T00:00:00Z', created_at: '2025-01-03T00:00:00Z' },
+  { name: 'Alpha', last_activity_at: '2026-03-01T00:00:00Z', created_at: '2025-01-01T00:00:00Z' },
+  { name: 'gamma', last_activity_at: null, created_at: '2025-01-02T00:00:00Z' }
+];
+assert.deepEqual(sortProjectList([...rows], 'last_activity').map(r => r.name), ['Alpha', 'beta', 'gamma']);
+assert.deepEqual(sortProjectList([...rows], 'name').map(r => r.name), ['Alpha', 'beta', 'gamma']);
+assert.deepEqual(sortProjectList([...rows], 'name', 'desc').map(r => r.name), ['gamma', 'beta', 'Alpha']);
+assert.deepEqual(sortProjectList([...rows], 'created_at', 'asc').map(r => r.name), ['Alpha', 'gamma', 'beta']);
+
+console.log('verify-project-listing: OK');
@@ -0,0 +1,54 @@
+/**
+ * Project ownership — owner audit actions for role changes, the last-owner guard, and owner periods / owners at a time
+ * replayed from audit_log (GET /api/projects/:id/ownership-history).
+ */
+import assert from 'node:assert/strict';
+import {
+  OWNERSHIP_AUDIT_ACTIONS,
+  ownerRoleChangeAction,
+  leavesProjectWithoutOwner,
+  ownershipPeriods,
+  ownersAt
+} from '../lib/projectOwnership.js';
+
+assert.ok(OWNERSHIP_AUDIT_ACTIONS.includes('ownership_transfer_accept'));
+
+// role changes
+assert.equal(ownerRoleChangeAction('editor', 'owner'), 'owner_add', 'co-owner added');
+assert.equal(ownerRoleChangeAction(null, 'owner'), 'owner_add', 'new member straight to owner');
+assert.equal(ownerRoleChangeAction('owner', 'viewer'), 'owner_remove');
+assert.equal(ownerRoleChangeAction('owner', null), 'owner_remove', 'owner removed from the project');
+assert.equal(ownerRoleChangeAction('owner', 'owner'), null);
+assert.equal(ownerRoleChangeAction('viewer', 'editor'), null);
+
+// last owner
+assert.equal(leavesProjectWithoutOwner('owner', 'editor', 1), true);
+assert.equal(leavesProjectWithoutOwner('owner', null, 1), true);
+assert.equal(leavesProjectWithoutOwner('owner', 'editor', 2), false, 'a co-owner remains');
+assert.equal(leavesProjectWithoutOwner('editor', null, 1), false, 'not an owner');
+
+// history: creator, co-owner, transfer to a third user (creator demoted), co-owner removed
+const history = [
+  { action: 'owner_remove', entity_id: '1', created_at: '2026-03-10T09:00:00.000000+00:00' },
+  { action: 'owner_add', entity_id: '1', created_at: '2026-01-01T08:00:00.000000+00:00' },
+  { action: 'owner_add', entity_id: '2', created_at: '2026-02-01T08:00:00.000000+00:00' },
+  { action: 'ownership_transfer_accept', entity_id: 't1', created_at: '2026-03-10T09:00:00.000000+00:00' },
+  { action: 'owner_add', entity_id: '3', created_at: '2026-03-10T09:00:00.000000+00:00' },
+  { action: 'owner_add', entity_id: '2', created_at: '2026-02-15T08:00:00.000000+00:00' },
+  { action: 'owner_remove', entity_id: '2', created_at: '2026-04-01T08:00:00.000000+00:00' },
+  { action: 'owner_remove', entity_id: '9', created_at: '2026-04-02T08:00:00.000000+00:00' }
+];
+const periods = ownershipPeriods(history);
+assert.deepEqual(periods, [
+  { user_id: 1, from: '2026-01-01T08:00:00.000000+00:00', to: '2026-03-10T09:00:00.000000+00:00' },
+  { user_id: 2, from: '2026-02-01T08:00:00.000000+00:00', to: '2026-04-01T08:00:00.000000+00:00' },
+  { user_id: 3, from: '2026-03-10T09:00:00.000000+00:00', to: null }
+], 'duplicate add ignored, remove without add ignored, transfer rows skipped');
+assert.deepEqual(ownersAt(periods, '2026-01-15T00:00:00Z'), [1]);
+assert.deepEqual(ownersAt(periods, '2026-03-01T00:00:00Z'), [1, 2]);
+assert.deepEqual(ownersAt(periods, '2026-03-10T09:00:00.000Z'), [2, 3], 'handover instant belongs to the new owner');
+assert.deepEqual(ownersAt(periods, '2026-05-01T00:00:00Z'), [3]);
+assert.deepEqual(ownersAt(periods, '2025-12-31T00:00:00Z'), []);
+assert.deepEqual(ownershipPeriods(null), []);
+
+console.log('verify-project-ownership: OK');
@@ -0,0 +1,33 @@
+/**
+ * Project role matrix — viewer reads only, legacy 'member' keeps full (editor) access, owner-only admin actions.
+ */
+import assert from 'node:assert/strict';
+import {
+  PROJECT_ROLES,
+  normalizeProjectRole,
+  roleHasPermission,
+  permissionsForRole
+} from '../lib/projectPermissions.js';
+
+assert.deepEqual(PROJECT_ROLES, ['owner', 'editor', 'lab_analyst', 'viewer', 'external_reviewer']);
+assert.equal(normalizeProjectRole('member'), 'editor');
+assert.equal(normalizeProjectRole('OWNER'), 'owner');
+assert.equal(normalizeProjectRole('admin'), null);
+
+for (const p of ['files.delete', 'emails.send', 'lab.write', 'tasks.write', 'chat.write']) {
+  assert.equal(roleHasPermission('viewer', p), false, `viewer must not have ${p}`);
+}
+assert.equal(roleHasPermission('viewer', 'emails.read'), true);
+assert.equal(roleHasPermission('external_reviewer', 'emails.read'), false);
+assert.equal(roleHasPermission('lab_analyst', 'lab.write'), true);
+assert.equal(roleHasPermission('lab_analyst', 'files.delete'), false);
+assert.equal(roleHasPermission('member', 'files.delete'), true);
+assert.equal(roleHasPermission('editor', 'members.manage'), false);
+assert.equal(roleHasPermission('owner', 'members.manage'), true);
+assert.equal(roleHasPermission('owner', 'no.such.permission'), false);
+assert.equal(roleHasPermission(null, 'chat.write'), false);
+
+assert.deepEqual(permissionsForRole('viewer'), ['emails.read']);
+assert.ok(permissionsForRole('owner').includes('project.delete'));
+
+console.log('verify-project-permissions: OK');
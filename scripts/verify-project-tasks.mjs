@@ -0,0 +1,85 @@
+/**
+ * Task assignees, comments and "my tasks" (lib/projectTasks.js + notification texts + permission).
+ */
+import assert from 'node:assert/strict';
+import {
+  TASK_ASSIGNEES_MAX,
+  normalizeAssigneeIds,
+  diffAssignees,
+  groupAssignees,
+  presentTaskComment,
+  sortMyTasks
+} from '../lib/projectTasks.js';
+import { taskAssignedNotificationText, taskCommentNotificationText } from '../lib/notifications.js';
+import { roleHasPermission } from '../lib/projectPermissions.js';
+import { ARCHIVE_TABLES, remapArchiveRows } from '../lib/projectArchive.js';
+
+// assignee_ids
+assert.deepEqual(normalizeAssigneeIds(undefined), { ok: true, ids: [] });
+assert.deepEqual(normalizeAssigneeIds([3, '7', 3, ' 7 ']), { ok: true, ids: [3, 7] });
+assert.equal(normalizeAssigneeIds('3').ok, false);
+assert.equal(normalizeAssigneeIds([0]).ok, false);
+assert.equal(normalizeAssigneeIds(['x1']).ok, false);
+assert.equal(normalizeAssigneeIds([1.5]).ok, false);
+assert.equal(normalizeAssigneeIds(Array.from({ length: TASK_ASSIGNEES_MAX + 1 }, (_, i) => i + 1)).ok, false);
+
+assert.deepEqual(diffAssignees([1, 2, 3], [3, 4]), { added: [4], removed: [1, 2] });
+assert.deepEqual(diffAssignees([], []), { added: [], removed: [] });
+
+const grouped = groupAssignees([
+  { task_id: 't1', user_id: 1, username: 'dana', created_at: '2026-01-01T00:00:00Z' },
+  { task_id: 't1', user_id: 2, username: null },
+  { task_id: 't2', user_id: 1, username: 'dana' }
+]);
+assert.equal(grouped.get('t1').length, 2);
+assert.deepEqual(grouped.get('t1')[1], { user_id: 2, username: null, assigned_at: null });
+assert.equal(grouped.get('t3'), undefined);
+
+// comments: soft-deleted body hidden
+const live = presentTaskComment({ id: 'c1', body: 'hi', edited_at: '2026-01-02T00:00:00Z' });
+assert.equal(live.edited, true);
+assert.equal(live.deleted, false);
+const gone = presentTaskComment({ id: 'c2', body: 'secret', deleted_at: '2026-01-02T00:00:00Z' });
+assert.equal(gone.body, '');
+assert.equal(gone.deleted, true);
+
+// my tasks order: due date (none last), then priority, then oldest
+const sorted = sortMyTasks([
+  { id: 'none', due_date: null, priority: 'high', created_at: '2026-01-01' },
+  { id: 'late-low', due_date: '2026-02-01', priority: 'low', created_at: '2026-01-01' },
+  { id: 'late-high', due_date: '2026-02-01', priority: 'high', created_at: '2026-01-05' },
+  { id: 'soon', due_date: '2026-01-10', priority: 'medium', created_at: '2026-01-01' },
+  { id: 'late-high-old', due_date: '2026-02-01', priority: 'high', created_at: '2026-01-02' }
+]);
+assert.deepEqual(sorted.map(t => t.id), ['soon', 'late-high-old', 'late-high', 'late-low', 'none']);
+
+// notifications
+const assigned = taskAssignedNotificationText({ projectName: 'Paint', taskTitle: 'Mix batch', assignerName: 'dana', dueDate: '2026-03-01' });
+assert.match(assigned.title, /"Paint"/);
+assert.match(assigned.body, /dana/);
+assert.match(assigned.body, /Mix batch/);
+assert.match(assigned.body, /2026-03-01/);
+assert.doesNotMatch(taskAssignedNotificationText({ taskTitle: 'x' }).body, /תאריך יעד/);
+const comment = taskCommentNotificationText({ projectName: 'Paint', taskTitle: 'Mix batch', authorName: 'avi', body: 'x'.repeat(1000) });
+assert.match(comment.title, /Mix batch/);
+assert.ok(comment.body.length < 500, 'comment excerpt is truncated');
+
+// permission: reviewers may comment but not edit tasks; viewers neither
+assert.equal(roleHasPermission('external_reviewer', 'tasks.comment'), true);
+assert.equal(roleHasPermission('external_reviewer', 'tasks.write'), false);
+assert.equal(roleHasPermission('viewer', 'tasks.comment'), false);
+assert.equal(roleHasPermission('lab_analyst', 'tasks.comment'), true);
+
+// archive: comments follow their task, orphans dropped
+const spec = ARCHIVE_TABLES.find(t => t.table === 'task_comments');
+assert.ok(spec, 'task_comments exported');
+assert.ok(ARCHIVE_TABLES.findIndex(t => t.table === 'tasks') < ARCHIVE_TABLES.indexOf(spec), 'tasks before comments');
+const idMap = new Map([['task-old', 'task-new'], ['c-old', 'c-new']]);
+const rows = remapArchiveRows(spec, [
+  { id: 'c-old', task_id: 'task-old', project_id: 'p-old', body: 'ok' },
+  { id: 'c-orphan', task_id: 'task-missing', project_id: 'p-old', body: 'lost' }
+], idMap, 'p-new');
+assert.equal(rows.length, 1);
+assert.deepEqual({ id: rows[0].id, task_id: rows[0].task_id, project_id: rows[0].project_id }, { id: 'c-new', task_id: 'task-new', project_id: 'p-new' });
+
+console.log('verify-project-tasks: OK');
@@ -0,0 +1,43 @@
+/**
+ * Project templates — structure snapshot (relative due dates, note skeleton, feature tags) and seed rows.
+ */
+import assert from 'node:assert/strict';
+import { buildTemplateStructure, seedRowsFromStructure, notesSkeletonBody, templateSummary } from '../lib/projectTemplates.js';
+
+assert.equal(notesSkeletonBody('# Goals\nsecret numbers\n## Method\n  ### Results  \nplain'), '# Goals\n\n## Method\n\n### Results');
+assert.equal(notesSkeletonBody('no headings here'), null);
+assert.equal(notesSkeletonBody(null), null);
+
+const structure = buildTemplateStructure({
+  project: { created_at: '2026-01-01T09:00:00Z' },
+  tasks: [
+    { title: 'Second', status: 'done', priority: 'high', due_date: '2026-01-11', created_at: '2026-01-02T00:00:00Z' },
+    { title: 'First', status: 'in_progress', priority: 'low', due_date: null, created_at: '2026-01-01T10:00:00Z' },
+    { title: 'Dropped', status: 'cancelled', priority: 'medium', created_at: '2026-01-03T00:00:00Z' }
+  ],
+  milestones: [{ title: 'M1', description: 'd', due_date: '2026-01-31', created_at: '2026-01-01T00:00:00Z' }],
+  materials: [{ id: 'x', project_id: 'p', name: 'TiO2', role_or_function: 'pigment' }],
+  notes: [{ title: 'Plan', body: '# Scope\nbody text', created_at: '2026-01-01T00:00:00Z' }],
+  sessions: [{ name: 'Batch A', created_at: '2026-01-01T00:00:00Z' }, { name: null }],
+  runs: [{ features_core: ['ph', 'viscosity'], features_extended: [] }, { features_core: ['ph'], features_extended: ['gloss'] }]
+});
+assert.deepEqual(structure.tasks.map(t => t.title), ['First', 'Second']);
+assert.equal(structure.tasks[1].due_offset_days, 10);
+assert.equal(structure.tasks[0].due_offset_days, null);
+assert.equal(structure.milestones[0].due_offset_days, 30);
+assert.deepEqual(structure.material_library, [{ name: 'TiO2', role_or_function: 'pigment' }]);
+assert.deepEqual(structure.notes, [{ title: 'Plan', body: '# Scope' }]);
+assert.deepEqual(structure.research_sessions, [{ name: 'Batch A' }]);
+assert.deepEqual(structure.run_feature_tags, { features_core: ['ph', 'viscosity'], features_extended: ['gloss'] });
+assert.deepEqual(templateSummary(structure), { tasks: 2, milestones: 1, material_library: 1, notes: 1, research_sessions: 1, run_feature_tags: 3 });
+
+const rows = seedRowsFromStructure(structure, 'new-p', Date.parse('2026-06-01T12:00:00Z'));
+assert.deepEqual(rows.tasks[1], { project_id: 'new-p', title: 'Second', status: 'todo', priority: 'high', due_date: '2026-06-11' });
+assert.equal(rows.tasks[0].due_date, null);
+assert.equal(rows.milestones[0].due_date, '2026-07-01');
+assert.deepEqual(rows.material_library, [{ project_id: 'new-p', name: 'TiO2', role_or_function: 'pigment' }]);
+assert.deepEqual(rows.runs, [{ project_id: 'new-p', status: 'draft', features_core: ['ph', 'viscosity'], features_extended: ['gloss'] }]);
+assert.deepEqual(seedRowsFromStructure({}, 'p').runs, []);
+assert.deepEqual(seedRowsFromStructure(null, 'p').tasks, []);
+
+console.log('verify-project-templates: OK');
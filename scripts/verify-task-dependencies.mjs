@@ -0,0 +1,124 @@
+/**
+ * Subtasks + finish-to-start dependencies: cycle detection, start blocking, due-date schedule and critical path.
+ */
+import assert from 'node:assert/strict';
+import {
+  subtaskEdges,
+  findDependencyCycle,
+  isStartedTaskStatus,
+  openPredecessors,
+  computeTaskSchedule
+} from '../lib/taskDependencies.js';
+import { DEFAULT_TASK_WORKFLOW, normalizeTaskWorkflow } from '../lib/taskWorkflow.js';
+import { ARCHIVE_TABLES, remapArchiveRows } from '../lib/projectArchive.js';
+
+const wf = DEFAULT_TASK_WORKFLOW;
+
+// cycles
+const edges = [['synth', 'visc'], ['visc', 'report'], ...subtaskEdges([{ id: 'sub', parent_task_id: 'report' }])];
+assert.deepEqual(edges[2], ['sub', 'report']);
+assert.deepEqual(findDependencyCycle(edges, 'report', 'synth'), ['report', 'synth', 'visc', 'report']);
+assert.equal(findDependencyCycle(edges, 'synth', 'report'), null, 'shortcut edge is not a loop');
+assert.deepEqual(findDependencyCycle(edges, 'a', 'a'), ['a', 'a']);
+assert.ok(findDependencyCycle(edges, 'report', 'sub'), 'parent before its own subtask would loop');
+assert.equal(findDependencyCycle([], 'x', 'y'), null);
+
+// which statuses count as starting work
+assert.equal(isStartedTaskStatus(wf, 'todo'), false);
+assert.equal(isStartedTaskStatus(wf, 'in_progress'), true);
+assert.equal(isStartedTaskStatus(wf, 'done'), true);
+assert.equal(isStartedTaskStatus(wf, 'cancelled'), false);
+const lab = normalizeTaskWorkflow({
+  statuses: [{ key: 'backlog' }, { key: 'waiting_lab' }, { key: 'closed', category: 'done' }, { key: 'dropped', category: 'cancelled' }],
+  transitions: { backlog: ['waiting_lab'], waiting_lab: ['closed'] }
+}).workflow;
+assert.equal(isStartedTaskStatus(lab, 'backlog'), false, 'initial status is not started');
+assert.equal(isStartedTaskStatus(lab, 'waiting_lab'), true);
+
+assert.deepEqual(openPredecessors(wf, [
+  { id: 'a', status: 'done' },
+  { id: 'b', status: 'in_progress' },
+  { id: 'c', status: 'cancelled' },
+  { id: 'd', status: 'todo' }
+]).map(p => p.id), ['b', 'd']);
+
+// schedule: synthesis → viscosity → report, plus a parallel short branch
+const today = new Date('2026-03-01T09:00:00Z');
+const tasks = [
+  { id: 'synth', title: 'Synthesis', status: 'in_progress', due_date: '2026-03-05' },
+  { id: 'visc', title: 'Viscosity', status: 'todo', due_date: '2026-03-10' },
+  { id: 'report', title: 'Report', status: 'todo', due_date: '2026-03-12' },
+  { id: 'ph', title: 'pH check', status: 'todo', due_date: '2026-03-04' },
+  { id: 'old', title: 'Dropped', status: 'cancelled', due_date: '2026-03-20' }
+];
+const deps = [
+  { predecessor_id: 'synth', successor_id: 'visc' },
+  { predecessor_id: 'visc', successor_id: 'report' },
+  { predecessor_id: 'ph', successor_id: 'report' },
+  { predecessor_id: 'old', successor_id: 'report' }
+];
+const onTime = computeTaskSchedule({ tasks, dependencies: deps, workflow: wf, today });
+assert.equal(onTime.ok, true);
+assert.equal(onTime.project_finish, '2026-03-12');
+assert.deepEqual(onTime.critical_path, ['synth', 'visc', 'report']);
+assert.equal(onTime.late, 0);
+const byId = Object.fromEntries(onTime.tasks.map(t => [t.id, t]));
+assert.equal(byId.old, undefined, 'cancelled tasks are left out');
+assert.equal(byId.ph.slack_days, 6, 'pH can slip until the viscosity due date');
+assert.equal(byId.ph.critical, false);
+assert.equal(byId.report.slack_days, 0);
+assert.equal(byId.visc.bound_by, 'predecessor');
+
+// synthesis slips 4 days → everything after it moves, project finish too
+const late = computeTaskSchedule({
+  tasks: tasks.map(t => (t.id === 'synth' ? { ...t, due_date: '2026-02-25' } : t)),
+  dependencies: deps,
+  workflow: wf,
+  today
+});
+const lateById = Object.fromEntries(late.tasks.map(t => [t.id, t]));
+assert.equal(lateById.synth.projected_finish, '2026-03-01', 'open task cannot finish before today');
+assert.equal(lateById.synth.slip_days, 4);
+assert.equal(lateById.visc.projected_finish, '2026-03-14', 'keeps its planned 13-day span after synthesis');
+assert.equal(late.project_finish, '2026-03-16');
+assert.equal(late.late, 3);
+assert.deepEqual(late.critical_path, ['synth', 'visc', 'report']);
+
+// done predecessors finished at completed_at; subtasks hold their parent
+const withDone = computeTaskSchedule({
+  tasks: [
+    { id: 'a', title: 'A', status: 'done', due_date: '2026-03-03', completed_at: '2026-02-27T10:00:00Z' },
+    { id: 'b', title: 'B', status: 'todo', due_date: '2026-03-06' },
+    { id: 'b1', title: 'B.1', status: 'todo', due_date: '2026-03-09', parent_task_id: 'b' },
+    { id: 'c', title: 'C', status: 'todo', due_date: null }
+  ],
+  dependencies: [{ predecessor_id: 'a', successor_id: 'b' }],
+  workflow: wf,
+  today
+});
+const d = Object.fromEntries(withDone.tasks.map(t => [t.id, t]));
+assert.equal(d.a.projected_finish, '2026-02-27');
+assert.equal(d.a.slack_days, null);
+assert.equal(d.b.projected_finish, '2026-03-09', 'parent waits for its subtask');
+assert.equal(d.b1.critical, true);
+assert.equal(d.c.projected_finish, '2026-03-01', 'undated task with no predecessors: today');
+assert.deepEqual(withDone.critical_path, ['b1', 'b']);
+
+assert.equal(computeTaskSchedule({ tasks: [{ id: 'x', status: 'todo' }, { id: 'y', status: 'todo' }], dependencies: [
+  { predecessor_id: 'x', successor_id: 'y' },
+  { predecessor_id: 'y', successor_id: 'x' }
+], workflow: wf, today }).ok, false);
+const empty = computeTaskSchedule({ tasks: [], dependencies: [], workflow: wf, today });
+assert.deepEqual({ finish: empty.project_finish, path: empty.critical_path }, { finish: null, path: [] });
+
+// archive: subtasks after parents, dependencies need both ends
+const taskSpec = ARCHIVE_TABLES.find(t => t.table === 'tasks');
+const ids = new Map([['p', 'P'], ['c', 'C']]);
+assert.deepEqual(remapArchiveRows(taskSpec, [{ id: 'c', parent_task_id: 'p' }, { id: 'p', parent_task_id: null }], ids, 'proj').map(r => r.id), ['P', 'C']);
+const depSpec = ARCHIVE_TABLES.find(t => t.table === 'task_dependencies');
+assert.equal(remapArchiveRows(depSpec, [
+  { id: 'd1', predecessor_id: 'p', successor_id: 'c' },
+  { id: 'd2', predecessor_id: 'p', successor_id: 'gone' }
+], ids, 'proj').length, 1);
+
+console.log('verify-task-dependencies: OK');
@@ -0,0 +1,114 @@
+/**
+ * Recurring tasks (RRULE subset, next instance) and the due-date reminder plan (due soon → assignees, overdue → owners).
+ */
+import assert from 'node:assert/strict';
+import {
+  parseRecurrenceRule,
+  normalizeRecurrenceRule,
+  nextOccurrence,
+  nextRecurrence
+} from '../lib/taskRecurrence.js';
+import { addDaysToDate, planTaskReminders } from '../lib/taskReminders.js';
+import { taskDueSoonNotificationText, tasksOverdueDigestNotificationText } from '../lib/notifications.js';
+import { ARCHIVE_TABLES, remapArchiveRows } from '../lib/projectArchive.js';
+import { DEFAULT_TASK_WORKFLOW, normalizeTaskWorkflow, taskEntersDoneStatus } from '../lib/taskWorkflow.js';
+
+// parsing / canonical form
+assert.equal(normalizeRecurrenceRule('weekly').rule, 'FREQ=WEEKLY');
+assert.equal(normalizeRecurrenceRule('RRULE:freq=weekly;interval=2;byday=th,mo').rule, 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH');
+assert.equal(normalizeRecurrenceRule('FREQ=MONTHLY;UNTIL=2026-12-31').rule, 'FREQ=MONTHLY;UNTIL=20261231');
+assert.equal(normalizeRecurrenceRule('FREQ=WEEKLY', '2026-03-04').rule, 'FREQ=WEEKLY;BYDAY=WE', 'weekday taken from the due date');
+assert.equal(normalizeRecurrenceRule('monthly', '2026-01-31').rule, 'FREQ=MONTHLY;BYMONTHDAY=31');
+assert.equal(normalizeRecurrenceRule('FREQ=DAILY;INTERVAL=1', '2026-01-31').rule, 'FREQ=DAILY');
+const bad = (r) => parseRecurrenceRule(r).ok;
+assert.equal(bad(''), false);
+assert.equal(bad('FREQ=YEARLY'), false);
+assert.equal(bad('FREQ=DAILY;INTERVAL=0'), false);
+assert.equal(bad('FREQ=DAILY;BYDAY=MO'), false, 'BYDAY only weekly');
+assert.equal(bad('FREQ=WEEKLY;BYDAY=1MO'), false, 'no ordinal weekdays');
+assert.equal(bad('FREQ=MONTHLY;BYMONTHDAY=32'), false);
+assert.equal(bad('FREQ=DAILY;COUNT=3;UNTIL=20260101'), false);
+assert.equal(bad('FREQ=DAILY;UNTIL=20260230'), false);
+assert.equal(bad('FREQ=DAILY;FREQ=WEEKLY'), false);
+assert.equal(bad('FREQ=DAILY;BYHOUR=9'), false);
+
+// next occurrence
+const rule = (r) => parseRecurrenceRule(r).rule;
+assert.equal(nextOccurrence(rule('FREQ=DAILY;INTERVAL=3'), '2026-02-27'), '2026-03-02');
+assert.equal(nextOccurrence(rule('FREQ=WEEKLY'), '2026-03-04'), '2026-03-11');
+// 2026-03-02 is a Monday
+assert.equal(nextOccurrence(rule('FREQ=WEEKLY;BYDAY=MO,TH'), '2026-03-02'), '2026-03-05');
+assert.equal(nextOccurrence(rule('FREQ=WEEKLY;BYDAY=MO,TH'), '2026-03-05'), '2026-03-09');
+assert.equal(nextOccurrence(rule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH'), '2026-03-05'), '2026-03-16');
+assert.equal(nextOccurrence(rule('FREQ=MONTHLY;BYMONTHDAY=31'), '2026-01-31'), '2026-02-28', 'clamped to month end');
+assert.equal(nextOccurrence(rule('FREQ=MONTHLY;BYMONTHDAY=31'), '2026-02-28'), '2026-03-31', 'no drift');
+assert.equal(nextOccurrence(rule('FREQ=MONTHLY;BYMONTHDAY=15'), '2026-03-03'), '2026-03-15');
+assert.equal(nextOccurrence(rule('FREQ=MONTHLY;INTERVAL=3'), '2026-11-10'), '2027-02-10');
+
+// next instance of a completed task
+assert.deepEqual(nextRecurrence('FREQ=WEEKLY;BYDAY=MO', { dueDate: '2026-03-02', completedOn: '2026-03-02' }), { due_date: '2026-03-09', seq: 2 });
+assert.deepEqual(nextRecurrence('FREQ=WEEKLY;BYDAY=MO', { dueDate: '2026-03-02', completedOn: '2026-03-18', seq: 4 }), { due_date: '2026-03-23', seq: 5 }, 'late instance skips passed dates');
+assert.deepEqual(nextRecurrence('FREQ=DAILY', { dueDate: null, completedOn: '2026-03-02' }), { due_date: '2026-03-03', seq: 2 }, 'no due date: from completion');
+assert.equal(nextRecurrence('FREQ=DAILY;COUNT=3', { dueDate: '2026-03-02', completedOn: '2026-03-02', seq: 3 }), null, 'COUNT reached');
+assert.deepEqual(nextRecurrence('FREQ=DAILY;COUNT=3', { dueDate: '2026-03-02', completedOn: '2026-03-02', seq: 2 }).seq, 3);
+assert.equal(nextRecurrence('FREQ=WEEKLY;UNTIL=20260305', { dueDate: '2026-03-02', completedOn: '2026-03-02' }), null, 'past UNTIL');
+assert.equal(nextRecurrence('garbage', { completedOn: '2026-03-02' }), null);
+
+// spawn trigger: entering a done-category status, also for a task created done; not done → done or open → cancelled
+assert.equal(taskEntersDoneStatus(DEFAULT_TASK_WORKFLOW, 'in_progress', 'done'), true);
+assert.equal(taskEntersDoneStatus(DEFAULT_TASK_WORKFLOW, null, 'done'), true, 'created in a done status');
+assert.equal(taskEntersDoneStatus(DEFAULT_TASK_WORKFLOW, null, 'todo'), false);
+assert.equal(taskEntersDoneStatus(DEFAULT_TASK_WORKFLOW, 'todo', 'cancelled'), false);
+const qa = normalizeTaskWorkflow({
+  statuses: [
+    { key: 'new', label: 'New', category: 'open' },
+    { key: 'approved', label: 'Approved', category: 'done' },
+    { key: 'shipped', label: 'Shipped', category: 'done' }
+  ],
+  initial: 'new'
+}).workflow;
+assert.equal(taskEntersDoneStatus(qa, 'new', 'approved'), true, 'custom done status');
+assert.equal(taskEntersDoneStatus(qa, 'approved', 'shipped'), false, 'done → done does not spawn again');
+
+// reminder plan
+assert.equal(addDaysToDate('2026-02-28', 1), '2026-03-01');
+const today = '2026-03-10';
+const projects = new Map([
+  ['p1', { id: 'p1', name: 'Paint', task_workflow: null, overdue_digest_sent_on: '2026-03-09' }],
+  ['p2', { id: 'p2', name: 'Resin', task_workflow: null, overdue_digest_sent_on: today }],
+  ['p3', { id: 'p3', name: 'Old', task_workflow: null, archived_at: '2026-01-01T00:00:00Z' }]
+]);
+const tasks = [
+  { id: 'today', project_id: 'p1', status: 'todo', due_date: '2026-03-10' },
+  { id: 'tomorrow', project_id: 'p1', status: 'in_progress', due_date: '2026-03-11', reminder_sent_for: null },
+  { id: 'reminded', project_id: 'p1', status: 'todo', due_date: '2026-03-11', reminder_sent_for: '2026-03-11' },
+  { id: 'moved', project_id: 'p1', status: 'todo', due_date: '2026-03-11', reminder_sent_for: '2026-03-08' },
+  { id: 'later', project_id: 'p1', status: 'todo', due_date: '2026-03-12' },
+  { id: 'late2', project_id: 'p1', status: 'todo', due_date: '2026-03-05' },
+  { id: 'late1', project_id: 'p1', status: 'todo', due_date: '2026-03-01' },
+  { id: 'cancelled', project_id: 'p1', status: 'cancelled', due_date: '2026-03-01' },
+  { id: 'digested', project_id: 'p2', status: 'todo', due_date: '2026-03-01' },
+  { id: 'archived', project_id: 'p3', status: 'todo', due_date: '2026-03-11' }
+];
+const plan = planTaskReminders({ tasks, projects, today, daysBefore: 1 });
+assert.deepEqual(plan.dueSoon.map(t => t.id), ['today', 'tomorrow', 'moved']);
+assert.deepEqual([...plan.overdue.keys()], ['p1'], 'p2 already got today\'s digest, p3 archived');
+assert.deepEqual(plan.overdue.get('p1').map(t => t.id), ['late1', 'late2']);
+assert.deepEqual(planTaskReminders({ tasks, projects, today, daysBefore: 0 }).dueSoon.map(t => t.id), ['today']);
+
+// texts
+assert.match(taskDueSoonNotificationText({ projectName: 'Paint', taskTitle: 'Calibrate viscometer', dueDate: today, today }).title, /היום/);
+assert.match(taskDueSoonNotificationText({ projectName: 'Paint', taskTitle: 'x', dueDate: '2026-03-11', today }).title, /2026-03-11/);
+const digest = tasksOverdueDigestNotificationText({ projectName: 'Paint', tasks: [{ title: 'QC sample', due_date: '2026-03-01', assignees: ['dana'] }] });
+assert.match(digest.title, /^1 /);
+assert.match(digest.body, /QC sample \(יעד 2026-03-01\) — dana/);
+
+// archive: series link kept, reminder state reset
+const spec = ARCHIVE_TABLES.find(t => t.table === 'tasks');
+const [, second] = remapArchiveRows(spec, [
+  { id: 'a', recurrence_source_id: null, reminder_sent_for: '2026-03-01' },
+  { id: 'b', recurrence_source_id: 'a', reminder_sent_for: '2026-03-08' }
+], new Map([['a', 'A'], ['b', 'B']]), 'proj');
+assert.deepEqual({ src: second.recurrence_source_id, sent: second.reminder_sent_for }, { src: 'A', sent: null });
+
+console.log('verify-task-recurrence: OK');
@@ -0,0 +1,93 @@
+/**
+ * Per-project task workflows: default = previous hard-coded behaviour, custom statuses / transitions, legacy statuses.
+ */
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_TASK_WORKFLOW,
+  TASK_WORKFLOW_MAX_STATUSES,
+  normalizeTaskWorkflow,
+  taskWorkflowFor,
+  isTaskStatusInWorkflow,
+  isAllowedTaskTransition,
+  taskStatusCategory,
+  statusesOutsideWorkflow
+} from '../lib/taskWorkflow.js';
+
+// default workflow = the old TASK_STATUS_TRANSITIONS ∩ ALLOWED_TASK_STATUSES
+const def = taskWorkflowFor({ task_workflow: null });
+assert.equal(def, DEFAULT_TASK_WORKFLOW);
+const allowed = (from, to) => isAllowedTaskTransition(def, from, to);
+assert.equal(allowed('todo', 'in_progress'), true);
+assert.equal(allowed('todo', 'done'), false);
+assert.equal(allowed('in_progress', 'done'), true);
+assert.equal(allowed('in_progress', 'todo'), true);
+assert.equal(allowed('done', 'todo'), false);
+assert.equal(allowed('todo', 'cancelled'), false, 'cancelled was never settable');
+assert.equal(allowed('todo', 'todo'), false);
+// legacy in_review tasks can still be moved on; legacy cancelled stays terminal
+assert.equal(allowed('in_review', 'done'), true);
+assert.equal(allowed('in_review', 'todo'), true);
+assert.equal(allowed('in_review', 'in_review'), false);
+assert.equal(allowed('cancelled', 'todo'), false);
+assert.equal(def.initial, 'todo');
+assert.equal(normalizeTaskWorkflow(DEFAULT_TASK_WORKFLOW).ok, true, 'default passes its own validation');
+
+// custom: review step + waiting for lab
+const custom = normalizeTaskWorkflow({
+  statuses: [
+    { key: 'todo', label: 'לביצוע' },
+    { key: 'in_progress', label: 'בביצוע' },
+    { key: 'waiting_lab', label: 'ממתין למעבדה' },
+    { key: 'in_review', label: 'בדיקה' },
+    { key: 'done', label: 'הושלם', category: 'done' },
+    { key: 'dropped', category: 'cancelled' }
+  ],
+  transitions: {
+    todo: ['in_progress', 'dropped', 'todo'],
+    in_progress: ['waiting_lab', 'in_review', 'in_review'],
+    waiting_lab: ['in_progress'],
+    in_review: ['in_progress', 'done']
+  }
+});
+assert.equal(custom.ok, true, custom.error);
+const wf = custom.workflow;
+assert.deepEqual(wf.transitions.todo, ['in_progress', 'dropped'], 'self-loop and duplicates dropped');
+assert.deepEqual(wf.transitions.in_progress, ['waiting_lab', 'in_review']);
+assert.deepEqual(wf.transitions.done, [], 'unlisted statuses get no exits');
+assert.equal(wf.initial, 'todo');
+assert.equal(wf.statuses.find(s => s.key === 'dropped').label, 'dropped');
+assert.equal(isAllowedTaskTransition(wf, 'in_progress', 'done'), false, 'review step required');
+assert.equal(isAllowedTaskTransition(wf, 'in_review', 'done'), true);
+assert.equal(isAllowedTaskTransition(wf, 'waiting_lab', 'in_progress'), true);
+assert.equal(isTaskStatusInWorkflow(wf, 'waiting_lab'), true);
+assert.equal(taskStatusCategory(wf, 'waiting_lab'), 'open');
+assert.equal(taskStatusCategory(wf, 'done'), 'done');
+assert.equal(taskStatusCategory(wf, 'dropped'), 'cancelled');
+assert.equal(taskStatusCategory(wf, 'cancelled'), 'cancelled', 'legacy status outside the workflow');
+assert.equal(taskStatusCategory(wf, 'something_old'), 'open');
+assert.equal(taskWorkflowFor({ task_workflow: wf }).statuses.length, 6);
+assert.equal(taskWorkflowFor({ task_workflow: { statuses: 'broken' } }), DEFAULT_TASK_WORKFLOW, 'invalid stored value → default');
+
+// a project that drops a status: its tasks may move anywhere in the new workflow
+const slim = normalizeTaskWorkflow({ statuses: [{ key: 'open' }, { key: 'closed', category: 'done' }], transitions: { open: ['closed'] }, initial: 'open' }).workflow;
+assert.equal(isAllowedTaskTransition(slim, 'in_progress', 'closed'), true);
+assert.equal(isAllowedTaskTransition(slim, 'closed', 'open'), false);
+assert.deepEqual(statusesOutsideWorkflow(slim, { open: 2, in_progress: 3, done: 1, closed: 0, gone: 0 }), { in_progress: 3, done: 1 });
+
+// validation errors
+const bad = (w) => normalizeTaskWorkflow(w).ok;
+assert.equal(bad(null), false);
+assert.equal(bad({ statuses: [] }), false);
+assert.equal(bad({ statuses: [{ key: 'Todo' }] }), false, 'uppercase key');
+assert.equal(bad({ statuses: [{ key: '1st' }] }), false);
+assert.equal(bad({ statuses: [{ key: 'a' }, { key: 'a' }] }), false, 'duplicate');
+assert.equal(bad({ statuses: [{ key: 'a', category: 'archived' }] }), false, 'unknown category');
+assert.equal(bad({ statuses: [{ key: 'done', category: 'done' }] }), false, 'needs an open status');
+assert.equal(bad({ statuses: [{ key: 'a' }], transitions: { a: ['b'] } }), false, 'unknown target');
+assert.equal(bad({ statuses: [{ key: 'a' }], transitions: { b: [] } }), false, 'unknown source');
+assert.equal(bad({ statuses: [{ key: 'a' }], transitions: [] }), false);
+assert.equal(bad({ statuses: [{ key: 'a' }, { key: 'b', category: 'done' }], initial: 'b' }), false, 'initial must be open');
+assert.equal(bad({ statuses: [{ key: 'a', label: 'x'.repeat(61) }] }), false);
+assert.equal(bad({ statuses: Array.from({ length: TASK_WORKFLOW_MAX_STATUSES + 1 }, (_, i) => ({ key: `s${i}` })) }), false);
+
+console.log('verify-task-workflow: OK');
@@ -0,0 +1,52 @@
+/**
+ * Svix-style webhook signatures — valid / tampered / stale / rotated secrets, and the replay id set.
+ */
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { verifyWebhookSignature, webhookEventId, signWebhookPayload, RecentIdSet, WEBHOOK_TOLERANCE_SECONDS } from '../lib/webhookSignature.js';
+
+const secret = 'whsec_' + Buffer.from('test-signing-secret-0123456789').toString('base64');
+const payload = JSON.stringify({ type: 'email.received', data: { email_id: 'e1' } });
+const now = 1_800_000_000;
+const headersFor = (body, ts = now, key = secret, id = 'msg_1') => ({
+  'svix-id': id,
+  'svix-timestamp': String(ts),
+  'svix-signature': `v1,${signWebhookPayload(key, id, String(ts), body)}`
+});
+
+// reference: HMAC-SHA256(base64-decoded secret, "id.ts.body") in base64
+const manual = crypto.createHmac('sha256', Buffer.from('test-signing-secret-0123456789')).update(`msg_1.${now}.${payload}`).digest('base64');
+assert.equal(signWebhookPayload(secret, 'msg_1', String(now), payload), manual);
+
+assert.deepEqual(verifyWebhookSignature({ secret, headers: headersFor(payload), payload, nowSeconds: now }), { ok: true, id: 'msg_1', timestamp: now });
+assert.equal(verifyWebhookSignature({ secret, headers: headersFor(payload), payload: Buffer.from(payload), nowSeconds: now }).ok, true);
+assert.equal(verifyWebhookSignature({ secret, headers: headersFor(payload), payload: payload.replace('e1', 'e2'), nowSeconds: now }).reason, 'invalid_signature');
+assert.equal(verifyWebhookSignature({ secret, headers: {}, payload, nowSeconds: now }).reason, 'missing_signature_headers');
+assert.equal(verifyWebhookSignature({ secret, headers: headersFor(payload, now - WEBHOOK_TOLERANCE_SECONDS - 1), payload, nowSeconds: now }).reason, 'stale_timestamp');
+assert.equal(verifyWebhookSignature({ secret, headers: headersFor(payload, now + WEBHOOK_TOLERANCE_SECONDS + 1), payload, nowSeconds: now }).reason, 'stale_timestamp');
+assert.equal(verifyWebhookSignature({ secret, headers: { ...headersFor(payload), 'svix-timestamp': '12abc' }, payload, nowSeconds: now }).reason, 'invalid_timestamp');
+
+// rotated secret: several signatures in one header, any valid one passes
+const oldSecret = 'whsec_' + Buffer.from('old-secret').toString('base64');
+const rotated = headersFor(payload);
+rotated['svix-signature'] = `v1,${signWebhookPayload(oldSecret, 'msg_1', String(now), payload)} ${rotated['svix-signature']}`;
+assert.equal(verifyWebhookSignature({ secret, headers: rotated, payload, nowSeconds: now }).ok, true);
+assert.equal(verifyWebhookSignature({ secret: oldSecret, headers: headersFor(payload), payload, nowSeconds: now }).ok, false);
+
+// Standard Webhooks header names: verified, and the replay id is read from the same header
+const standard = Object.fromEntries(Object.entries(headersFor(payload, now, secret, 'msg_2')).map(([k, v]) => [k.replace('svix-', 'webhook-'), v]));
+assert.deepEqual(verifyWebhookSignature({ secret, headers: standard, payload, nowSeconds: now }), { ok: true, id: 'msg_2', timestamp: now });
+assert.equal(webhookEventId(standard), 'msg_2');
+assert.equal(webhookEventId(headersFor(payload)), 'msg_1');
+assert.equal(webhookEventId({ 'svix-id': '  ' }), null);
+
+const seen = new RecentIdSet(60, 3);
+assert.equal(seen.add('a', 0), true);
+assert.equal(seen.add('a', 1000), false, 'replay within ttl');
+assert.equal(seen.add('a', 61_000), true, 'expired id is accepted again');
+seen.delete('a');
+assert.equal(seen.add('a', 62_000), true, 'released id is accepted');
+for (const id of ['b', 'c', 'd', 'e']) seen.add(id, 63_000);
+assert.ok(seen.size <= 4, 'bounded');
+
+console.log('verify-webhook-signature: OK');
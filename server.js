@@ -13,17 +13,23 @@ import axios from 'axios';
 import FormData from 'form-data';
 import { z } from 'zod';
 import * as XLSX from 'xlsx';
+import JSZip from 'jszip';
 import {
   syncProjectGptRagToOpenAI,
   buildProjectFileCatalogAppendix,
   removeProjectFileFromGptRagAndOpenAi,
-  filterProjectGptSnippetsToIndex
+  filterProjectGptSnippetsToIndex,
+  deleteProjectOpenAiVectorStore
 } from './lib/gptRagSync.js';
 import { RAG_INSUFFICIENT_SUPPORT_MESSAGE_HE } from './lib/ragService.js';
 import {
   UUID_IN_TEXT_RE,
   parseEmailOnly,
-  extractProjectIdFromInboundPayload
+  inboundProjectIdCandidates,
+  pickInboundProject,
+  normalizeProjectAlias,
+  inboundAliasCandidates,
+  PROJECT_ALIASES_MAX
 } from './lib/inboundProjectRouting.js';
 import { parseExperimentBufferToText } from './lib/labExperimentParse.js';
 import {
@@ -52,6 +58,129 @@ import {
 } from './lib/labEmailImportValidation.js';
 import { deleteManagementVectorByFilename } from './lib/managementRagDelete.js';
 import { sendLabImportIncompleteEmail } from './lib/sendLabImportIncompleteEmail.js';
+import { normalizeLabImportRule, selectAutoImportAttachments, excelSheetsToRowObjects } from './lib/labImportRules.js';
+import {
+  createInvitationToken,
+  hashInvitationToken,
+  isInvitationExpired,
+  sendProjectInvitationEmail
+} from './lib/projectInvitations.js';
+import {
+  JOIN_REQUEST_MESSAGE_MAX,
+  joinRequestNotificationText,
+  chatMentionNotificationText,
+  scheduledEmailFailedNotificationText,
+  taskAssignedNotificationText,
+  taskCommentNotificationText,
+  taskDueSoonNotificationText,
+  tasksOverdueDigestNotificationText,
+  NOTIFICATION_EMAIL_MODES,
+  DIGEST_MAX_ITEMS,
+  buildNotificationDigest,
+  sendNotificationEmail
+} from './lib/notifications.js';
+import {
+  PROJECT_LIST_SORTS,
+  projectSearchOrFilter,
+  latestIso,
+  sortProjectList
+} from './lib/projectListing.js';
+import {
+  projectLifecycleState,
+  isPermissionAllowedInState,
+  purgeAfterIso,
+  isPurgeDue,
+  filenamesExclusiveToProject,
+  storagePathsOwnedByProject
+} from './lib/projectLifecycle.js';
+import { buildTemplateStructure, seedRowsFromStructure, templateSummary } from './lib/projectTemplates.js';
+import { OWNERSHIP_AUDIT_ACTIONS, ownerRoleChangeAction, leavesProjectWithoutOwner, ownershipPeriods, ownersAt } from './lib/projectOwnership.js';
+import {
+  PROJECT_ARCHIVE_FORMAT,
+  PROJECT_ARCHIVE_VERSION,
+  ARCHIVE_TABLES,
+  archiveFilePath,
+  checkArchiveManifest,
+  buildIdMap,
+  lazyArchiveEntry,
+  remapArchiveRows
+} from './lib/projectArchive.js';
+import { ChatEventHub, formatSseEvent, parseLastEventId } from './lib/chatEventHub.js';
+import {
+  inboundThreadingHeaders,
+  generateMessageId,
+  threadLookupIds,
+  buildReplyHeaders,
+  replySubject,
+  replyRecipients,
+  pickThreadBySubject,
+  summarizeThread
+} from './lib/emailThreading.js';
+import { verifyWebhookSignature, webhookEventId, RecentIdSet, WEBHOOK_REPLAY_TTL_SECONDS } from './lib/webhookSignature.js';
+import { emailTransportFromEnv } from './lib/emailTransport.js';
+import {
+  DELIVERY_FAILURE_STATUSES,
+  DELIVERY_HISTORY_MAX,
+  deliveryEventEntry,
+  isDeliveryFailure,
+  shouldRetryUnmatchedEvent
+} from './lib/emailDeliveryStatus.js';
+import {
+  EMAIL_TEMPLATE_NAME_MAX,
+  SCHEDULED_EMAIL_STATUSES,
+  renderEmailTemplate,
+  buildEmailTemplateVariables,
+  validateSendAt,
+  scheduledDispatchUpdate
+} from './lib/emailTemplates.js';
+import {
+  TASK_DESCRIPTION_MAX,
+  TASK_COMMENT_MAX_LENGTH,
+  normalizeAssigneeIds,
+  diffAssignees,
+  groupAssignees,
+  presentTaskComment,
+  sortMyTasks
+} from './lib/projectTasks.js';
+import {
+  DEFAULT_TASK_WORKFLOW,
+  normalizeTaskWorkflow,
+  taskWorkflowFor,
+  isTaskStatusInWorkflow,
+  isAllowedTaskTransition,
+  taskStatusCategory,
+  taskEntersDoneStatus,
+  statusesOutsideWorkflow
+} from './lib/taskWorkflow.js';
+import {
+  TASK_DEPENDENCIES_MAX,
+  subtaskEdges,
+  findDependencyCycle,
+  isStartedTaskStatus,
+  openPredecessors,
+  computeTaskSchedule
+} from './lib/taskDependencies.js';
+import { milestoneProgress, milestoneAutoCompletion } from './lib/milestoneProgress.js';
+import { normalizeRecurrenceRule, nextRecurrence } from './lib/taskRecurrence.js';
+import { TASK_REMINDER_DEFAULT_DAYS_BEFORE, addDaysToDate, planTaskReminders } from './lib/taskReminders.js';
+import { CHAT_SEARCH_MIN_TERM, parseChatSearchQuery, escapeIlike, findHighlights, buildSearchSnippet } from './lib/chatSearch.js';
+import {
+  CHAT_MESSAGE_MAX_LENGTH,
+  normalizeReactionEmoji,
+  presentChatMessage,
+  aggregateReactions,
+  extractMentions,
+  parseChatAttachmentIds,
+  buildAttachmentPreviews
+} from './lib/chatMessages.js';
+import {
+  DEFAULT_MEMBER_ROLE,
+  PROJECT_ROLES,
+  normalizeProjectRole,
+  isValidProjectRole,
+  roleHasPermission,
+  permissionsForRole
+} from './lib/projectPermissions.js';
 /** Do not static-import pdf-to-img: it loads pdfjs-dist which needs canvas/DOM and crashes Vercel cold start. */
 
 const PORT = parseInt(process.env.PORT, 10) || 8001;
@@ -122,15 +251,36 @@ STRUCTURED EXPERIMENT DATA (Phase B): If the user message begins with a block ma
 
 FAIL-SAFE (deterministic): If file_search returns no usable excerpt text, respond with this single Hebrew sentence only — no bullet lists, no recommendations, no next steps, no "however" or alternatives:
 אין במערכת מידע תומך לשאלה זו.`;
-const RESEND_API_KEY = (process.env.RESEND_API_KEY || '').trim();
-/** Verified-domain sender in Resend. Set RESEND_FROM_EMAIL (e.g. noreply@yourdomain.com). Default is sandbox only. */
+/** Verified-domain sender in Resend. Set RESEND_FROM_EMAIL (e.g. noreply@yourdomain.com). Default is sandbox only. Used as From by every transport. */
 const RESEND_FROM_EMAIL = (process.env.RESEND_FROM_EMAIL || 'onboarding@resend.dev').trim();
+/** Outgoing mail + inbound fetch: EMAIL_TRANSPORT=resend (default) | smtp | file (see lib/emailTransport.js). */
+const emailTransport = emailTransportFromEnv();
+const EMAIL_NOT_CONFIGURED = 'Email sending is not configured. Set RESEND_API_KEY (or EMAIL_TRANSPORT=smtp / file) on the server.';
 /** Optional: require ?secret= or Authorization: Bearer for POST /api/webhooks/resend-inbound */
 const RESEND_INBOUND_WEBHOOK_SECRET = (process.env.RESEND_INBOUND_WEBHOOK_SECRET || '').trim();
+/** Resend webhook signing secret (whsec_…): when set, svix-* signature headers are required on /api/webhooks/resend-*. */
+const RESEND_WEBHOOK_SIGNING_SECRET = (process.env.RESEND_WEBHOOK_SIGNING_SECRET || '').trim();
 /** Domain for Reply-To addresses: `<project_uuid>@DOMAIN` so replies route to the right project (Receiving must accept this address). */
 const RESEND_REPLY_DOMAIN = (process.env.RESEND_REPLY_DOMAIN || '').trim() || (RESEND_FROM_EMAIL.includes('@') ? RESEND_FROM_EMAIL.split('@').pop().trim() : '');
 /** Public base URL of this API (for inbound docs). e.g. https://your-api.vercel.app */
 const PUBLIC_API_BASE = (process.env.PUBLIC_API_BASE_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : '') || '').replace(/\/$/, '');
+/** Frontend base URL for links in outgoing emails (project invitations). */
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'https://manegment-front.vercel.app').trim().replace(/\/$/, '');
+/** Project invitation link lifetime (hours). */
+const PROJECT_INVITE_TTL_HOURS = Math.max(1, parseInt(String(process.env.PROJECT_INVITE_TTL_HOURS || '168'), 10) || 168);
+/** Pending join requests older than this are marked expired (lazily, when requests are read or created). */
+const JOIN_REQUEST_TTL_DAYS = Math.max(1, parseInt(String(process.env.JOIN_REQUEST_TTL_DAYS || '14'), 10) || 14);
+/** Soft-deleted projects stay restorable this many days; storage / RAG / OpenAI data is purged only afterwards. */
+const PROJECT_DELETE_RETENTION_DAYS = (() => {
+  const days = parseInt(String(process.env.PROJECT_DELETE_RETENTION_DAYS ?? ''), 10);
+  return Number.isNaN(days) ? 30 : Math.max(0, days);
+})();
+/** Assignees are reminded when a task is due within this many days (0 = on the day), by GET /api/cron/task-reminders. */
+const TASK_REMINDER_DAYS_BEFORE = Math.max(0, parseInt(String(process.env.TASK_REMINDER_DAYS_BEFORE ?? TASK_REMINDER_DEFAULT_DAYS_BEFORE), 10) || 0);
+/** Bearer secret for /api/cron/* (Vercel Cron sends Authorization: Bearer $CRON_SECRET). */
+const CRON_SECRET = (process.env.CRON_SECRET || '').trim();
+/** Max total bytes of stored files packed into one project export ZIP; larger files are listed in the manifest as skipped. */
+const PROJECT_EXPORT_MAX_FILE_BYTES = Math.max(1, parseInt(String(process.env.PROJECT_EXPORT_MAX_FILE_MB || '150'), 10) || 150) * 1024 * 1024;
 /** folder_display_name for files imported from email into “Lab” */
 const LAB_EMAIL_IMPORT_FOLDER = 'Lab · email import';
 
@@ -271,7 +421,7 @@ function corsHeaders(req, res, next) {
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS, HEAD');
   res.setHeader(
     'Access-Control-Allow-Headers',
-    'Content-Type, Authorization, X-Upload-ID, X-Request-ID, Accept'
+    'Content-Type, Authorization, X-Upload-ID, X-Request-ID, Accept, Last-Event-ID'
   );
   res.setHeader('Access-Control-Max-Age', '86400');
 
@@ -282,7 +432,13 @@ function corsHeaders(req, res, next) {
   next();
 }
 app.use(corsHeaders);
-app.use(express.json({ limit: '1mb' }));
+// Webhooks keep the exact body bytes: signatures are computed over them, not over re-serialized JSON.
+app.use(express.json({
+  limit: '1mb',
+  verify: (req, _res, buf) => {
+    if (req.originalUrl && req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  }
+}));
 
 // Request ID for audit (actor, entity, action, before/after, request_id)
 app.use((req, res, next) => {
@@ -306,6 +462,8 @@ const limiterUpload = rateLimit({
   message: { error: 'Too many uploads' }
 });
 const limiterSharePoint = rateLimit({ windowMs: 60 * 1000, max: 5, message: { error: 'Too many SharePoint pull requests' } });
+// Project export/import read or write every table and file of a project; one shared bucket for both directions.
+const limiterArchive = rateLimit({ windowMs: 60 * 1000, max: 5, message: { error: 'Too many project export/import requests' } });
 const limiterRag = rateLimit({ windowMs: 60 * 1000, max: 30, message: { error: 'Too many RAG requests' } });
 const limiterEmail = rateLimit({ windowMs: 60 * 1000, max: 15, message: { error: 'Too many emails. Try again later.' } });
 const limiterGeneral = rateLimit({
@@ -340,13 +498,104 @@ app.get('/favicon.ico', (req, res) => res.status(204).end());
 app.get('/favicon.png', (req, res) => res.status(204).end());
 
 // ---------- Projects ----------
+/** project_id → latest activity (view project_last_activity: tasks, files, chat). Falls back to projects.updated_at if the view is missing. */
+async function getProjectsLastActivity(projects) {
+  const out = new Map(projects.map(p => [p.id, latestIso(p.updated_at, p.created_at)]));
+  const ids = projects.map(p => p.id);
+  if (!ids.length) return out;
+  const { data, error } = await supabase.from('project_last_activity').select('project_id, last_activity_at').in('project_id', ids);
+  if (error) {
+    if (String(error.message || '').includes('does not exist') || String(error.message || '').includes('relation')) return out;
+    throw error;
+  }
+  for (const r of data || []) out.set(r.project_id, latestIso(out.get(r.project_id), r.last_activity_at));
+  return out;
+}
+
+/**
+ * Projects the caller is a member of. Query: q (name/description search), role, sort (last_activity | name | created_at | updated_at), order (asc | desc), limit, offset.
+ * Username "admin" sees every project as owner (same rule as getProjectAccess).
+ */
 app.get('/api/projects', async (req, res) => {
   try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const { limit, offset } = parsePagination(req);
+    const roleFilter = req.query.role ? String(req.query.role).trim().toLowerCase() : '';
+    if (roleFilter && !PROJECT_ROLES.includes(roleFilter)) {
+      return res.status(400).json({ error: `Invalid role. Allowed: ${PROJECT_ROLES.join(', ')}` });
+    }
+    const sort = req.query.sort ? String(req.query.sort) : 'last_activity';
+    if (!PROJECT_LIST_SORTS.includes(sort)) {
+      return res.status(400).json({ error: `Invalid sort. Allowed: ${PROJECT_LIST_SORTS.join(', ')}` });
+    }
+    // state: active (default) | archived | deleted (owners only, still restorable) | all (active + archived)
+    const state = req.query.state ? String(req.query.state) : 'active';
+    if (!['active', 'archived', 'deleted', 'all'].includes(state)) {
+      return res.status(400).json({ error: 'Invalid state. Allowed: active, archived, deleted, all' });
+    }
+    const isAdmin = String(user.username || '').trim().toLowerCase() === 'admin';
+    const roleByProject = new Map();
+    if (!isAdmin) {
+      const { data: memberships, error: memErr } = await supabase.from('project_members').select('project_id, role').eq('user_id', user.id);
+      if (memErr) throw memErr;
+      for (const m of memberships || []) {
+        const role = normalizeProjectRole(m.role);
+        if (!roleFilter || role === roleFilter) roleByProject.set(m.project_id, role);
+      }
+      if (!roleByProject.size) return res.json({ projects: [], limit, offset, total: 0 });
+    } else if (roleFilter && roleFilter !== 'owner') {
+      return res.json({ projects: [], limit, offset, total: 0 });
+    }
+    let q = supabase.from('projects').select('*');
+    if (!isAdmin) q = q.in('id', [...roleByProject.keys()]);
+    if (state === 'deleted') q = q.not('deleted_at', 'is', null);
+    else q = q.is('deleted_at', null);
+    if (state === 'active') q = q.is('archived_at', null);
+    if (state === 'archived') q = q.not('archived_at', 'is', null);
+    const search = projectSearchOrFilter(req.query.q);
+    if (search) q = q.or(search);
+    const { data, error } = await q;
+    if (error) throw error;
+    const visible = (data || []).filter(p => state !== 'deleted' || isAdmin || roleByProject.get(p.id) === 'owner');
+    const activity = await getProjectsLastActivity(visible);
+    const rows = visible.map(p => ({
+      ...p,
+      role: isAdmin ? 'owner' : roleByProject.get(p.id),
+      state: projectLifecycleState(p),
+      last_activity_at: activity.get(p.id) || null
+    }));
+    sortProjectList(rows, sort, req.query.order);
+    res.json({ projects: rows.slice(offset, offset + limit), limit, offset, total: rows.length });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Discoverable projects the caller is not a member of (for POST /api/projects/:id/request). Query: q, limit, offset. */
+app.get('/api/projects/catalog', async (req, res) => {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
     const { limit, offset } = parsePagination(req);
-    const { count } = await supabase.from('projects').select('*', { count: 'exact', head: true });
-    const { data, error } = await supabase.from('projects').select('*').order('updated_at', { ascending: false }).range(offset, offset + limit - 1);
+    const { data: memberships, error: memErr } = await supabase.from('project_members').select('project_id').eq('user_id', user.id);
+    if (memErr) throw memErr;
+    const memberIds = (memberships || []).map(m => m.project_id);
+    let q = supabase.from('projects').select('id, name, description, created_at', { count: 'exact' }).eq('discoverable', true).is('archived_at', null).is('deleted_at', null);
+    if (memberIds.length) q = q.not('id', 'in', `(${memberIds.join(',')})`);
+    const search = projectSearchOrFilter(req.query.q);
+    if (search) q = q.or(search);
+    const { data, error, count } = await q.order('name', { ascending: true }).range(offset, offset + limit - 1);
     if (error) throw error;
-    res.json({ projects: data || [], limit, offset, total: count ?? 0 });
+    const ids = (data || []).map(p => p.id);
+    const pendingIds = new Set();
+    if (ids.length) {
+      await expireStaleJoinRequests({ userId: user.id });
+      const { data: pending } = await supabase.from('project_join_requests').select('project_id').eq('user_id', user.id).eq('status', 'pending').in('project_id', ids);
+      for (const r of pending || []) pendingIds.add(r.project_id);
+    }
+    const projects = (data || []).map(p => ({ ...p, hasPendingRequest: pendingIds.has(p.id) }));
+    res.json({ projects, limit, offset, total: count ?? 0 });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -360,48 +609,92 @@ app.post('/api/projects', async (req, res) => {
         error: MATRIYA_BACK_URL ? 'Authentication required' : 'MATRIYA_BACK_URL not set. Set it in .env and ensure Matriya back is running for auth.'
       });
     }
-    const { name, description } = req.body || {};
+    const { name, description, template_id: templateId, clone_from: cloneFrom, file_ids: fileIds } = req.body || {};
     if (!name || !name.trim()) return res.status(400).json({ error: 'name is required' });
-    const { data: project, error: errProject } = await supabase.from('projects').insert({
-      name: name.trim(),
-      description: (description || '').trim() || null
-    }).select().single();
-    if (errProject) throw errProject;
-    await upsertUserCache(user.id, user.username);
-    const { error: errMember } = await supabase.from('project_members').insert({
-      project_id: project.id,
-      user_id: user.id,
-      role: 'owner'
-    });
-    if (errMember) {
-      const msg = String(errMember.message || errMember);
-      if (msg.includes('does not exist') || msg.includes('relation') || msg.includes('project_members')) {
-        return res.status(503).json({
-          error: 'Database schema missing. Run the full supabase_schema.sql in Supabase SQL Editor (including project_members and user_cache tables).',
-          detail: msg
-        });
-      }
-      throw errMember;
+    if (templateId && cloneFrom) return res.status(400).json({ error: 'Use either template_id or clone_from, not both' });
+    if (fileIds != null && !cloneFrom) return res.status(400).json({ error: 'file_ids requires clone_from' });
+    if (fileIds != null && fileIds !== 'all' && !(Array.isArray(fileIds) && fileIds.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: "file_ids must be an array of file ids or 'all'" });
+    }
+    // Resolve the seed before creating anything so a bad template / source is rejected up front; a seed that fails
+    // after the insert removes the new project again (below), so no half-seeded project is left behind.
+    let structure = null;
+    if (templateId) {
+      const tpl = await loadVisibleTemplate(String(templateId), user);
+      if (!tpl) return res.status(404).json({ error: 'Template not found' });
+      structure = tpl.structure;
+    } else if (cloneFrom) {
+      const { data: src } = await supabase.from('projects').select('*').eq('id', String(cloneFrom)).maybeSingle();
+      const srcAccess = src && !src.deleted_at ? await getProjectAccess(src.id, user.id, user.username) : null;
+      if (!srcAccess?.canAccess) return res.status(404).json({ error: 'Source project not found' });
+      structure = await loadProjectStructure(src);
+    }
+    const project = await insertProjectWithOwner(user, { name: name.trim(), description: (description || '').trim() || null }, req, res);
+    if (!project) return;
+    if (!structure) return res.status(201).json(project);
+    let seeded;
+    try {
+      seeded = await seedProjectFromStructure(project.id, structure);
+    } catch (seedErr) {
+      // project_id foreign keys cascade: the member row and any seed rows already inserted go with it
+      const { error: delErr } = await supabase.from('projects').delete().eq('id', project.id);
+      if (delErr) console.warn('[create project] rollback after failed seed failed', project.id, delErr.message);
+      throw seedErr;
     }
-    auditLog(project.id, user.id, user.username, 'create', 'project', project.id, { name: project.name }, req.requestId);
-    res.status(201).json(project);
+    let filesCopied = [];
+    if (cloneFrom && fileIds != null) {
+      filesCopied = await copyProjectFiles(String(cloneFrom), project.id, fileIds, { user }, req);
+    }
+    auditLog(project.id, user.id, user.username, templateId ? 'create_from_template' : 'clone', 'project', project.id, {
+      template_id: templateId || null,
+      clone_from: cloneFrom || null,
+      seeded,
+      files_copied: filesCopied.length
+    }, req.requestId);
+    res.status(201).json({ ...project, seeded, files_copied: filesCopied });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+/** Insert project row + caller as owner (audited). Returns the project, or null after sending 503 when project_members is missing. */
+async function insertProjectWithOwner(user, fields, req, res) {
+  const { data: project, error: errProject } = await supabase.from('projects').insert(fields).select().single();
+  if (errProject) throw errProject;
+  await upsertUserCache(user.id, user.username, user.email);
+  const { error: errMember } = await supabase.from('project_members').insert({
+    project_id: project.id,
+    user_id: user.id,
+    role: 'owner'
+  });
+  if (errMember) {
+    const msg = String(errMember.message || errMember);
+    if (msg.includes('does not exist') || msg.includes('relation') || msg.includes('project_members')) {
+      res.status(503).json({
+        error: 'Database schema missing. Run the full supabase_schema.sql in Supabase SQL Editor (including project_members and user_cache tables).',
+        detail: msg
+      });
+      return null;
+    }
+    throw errMember;
+  }
+  auditLog(project.id, user.id, user.username, 'create', 'project', project.id, { name: project.name }, req.requestId);
+  auditLog(project.id, user.id, user.username, 'owner_add', 'project_member', user.id, { before: { role: null }, after: { role: 'owner' } }, req.requestId);
+  return project;
+}
+
 app.get('/api/projects/:id/access', async (req, res) => {
   try {
     const user = await getCurrentUser(req);
     const projectId = req.params.id;
-    const { data: project } = await supabase.from('projects').select('id').eq('id', projectId).single();
-    if (!project) return res.status(404).json({ error: 'Project not found' });
+    const { data: project } = await supabase.from('projects').select('*').eq('id', projectId).single();
+    if (!project || project.deleted_at) return res.status(404).json({ error: 'Project not found' });
     let hasMembers = await projectHasMembers(projectId);
     if (!hasMembers) {
       // Project has no members (e.g. created before project_members existed). Treat current user as owner and add them.
       if (user) {
         try {
-          await upsertUserCache(user.id, user.username);
+          await upsertUserCache(user.id, user.username, user.email);
           const { error: err } = await supabase.from('project_members').insert({
             project_id: projectId,
             user_id: user.id,
@@ -410,10 +703,13 @@ app.get('/api/projects/:id/access', async (req, res) => {
           if (!err) hasMembers = true;
         } catch (_) { /* table may be missing; still return owner below */ }
       }
-      return res.json({ canAccess: true, role: user ? 'owner' : null, hasPendingRequest: false });
+      const state = projectLifecycleState(project);
+      return res.json({ canAccess: true, role: user ? 'owner' : null, hasPendingRequest: false, state, permissions: user ? permissionsForRole('owner').filter(p => isPermissionAllowedInState(state, p)) : [] });
     }
     const access = await getProjectAccess(projectId, user?.id, user?.username);
-    res.json(access);
+    const state = projectLifecycleState(project);
+    // Archived projects are read-only: only the permissions still usable there are reported.
+    res.json({ ...access, state, permissions: access.canAccess ? permissionsForRole(access.role).filter(p => isPermissionAllowedInState(state, p)) : [] });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -425,12 +721,13 @@ app.get('/api/projects/:id', async (req, res) => {
     const projectId = req.params.id;
     const { data, error } = await supabase.from('projects').select('*').eq('id', projectId).single();
     if (error) throw error;
-    if (!data) return res.status(404).json({ error: 'Project not found' });
+    if (!data || data.deleted_at) return res.status(404).json({ error: 'Project not found' });
+    const project = { ...data, state: projectLifecycleState(data) };
     const hasMembers = await projectHasMembers(projectId);
-    if (!hasMembers) return res.json(data);
+    if (!hasMembers) return res.json(project);
     const access = await getProjectAccess(projectId, user?.id, user?.username);
     if (!access.canAccess) return res.status(403).json({ error: 'not_member', canRequest: true });
-    res.json(data);
+    res.json(project);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -438,14 +735,14 @@ app.get('/api/projects/:id', async (req, res) => {
 
 app.patch('/api/projects/:id', async (req, res) => {
   try {
-    const user = await getCurrentUser(req);
-    if (!user) return res.status(401).json({ error: 'Authentication required' });
-    const { data: member } = await supabase.from('project_members').select('role').eq('project_id', req.params.id).eq('user_id', user.id).single();
-    if (!member || member.role !== 'owner') return res.status(403).json({ error: 'Only project owner can update' });
-    const { name, description } = req.body || {};
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'project.update');
+    if (!ctx) return;
+    const { user } = ctx;
+    const { name, description, discoverable } = req.body || {};
     const updates = { updated_at: new Date().toISOString() };
     if (name !== undefined) updates.name = name.trim();
     if (description !== undefined) updates.description = description.trim() || null;
+    if (discoverable !== undefined) updates.discoverable = !!discoverable;
     const { data, error } = await supabase.from('projects').update(updates).eq('id', req.params.id).select().single();
     if (error) throw error;
     auditLog(req.params.id, user.id, user.username, 'update', 'project', data.id, null, req.requestId);
@@ -457,403 +754,2123 @@ app.patch('/api/projects/:id', async (req, res) => {
 
 app.delete('/api/projects/:id', async (req, res) => {
   try {
-    const user = await getCurrentUser(req);
-    if (!user) return res.status(401).json({ error: 'Authentication required' });
-    const { data: member } = await supabase.from('project_members').select('role').eq('project_id', req.params.id).eq('user_id', user.id).single();
-    if (!member || member.role !== 'owner') return res.status(403).json({ error: 'Only project owner can delete' });
-    const { error } = await supabase.from('projects').delete().eq('id', req.params.id);
-    if (error) throw error;
-    auditLog(req.params.id, user.id, user.username, 'delete', 'project', req.params.id, null, req.requestId);
-    res.json({ success: true });
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'project.delete');
+    if (!ctx) return;
+    const { user } = ctx;
+    const now = new Date().toISOString();
+    const purgeAfter = purgeAfterIso(now, PROJECT_DELETE_RETENTION_DAYS);
+    const { error } = await supabase.from('projects')
+      .update({ deleted_at: now, deleted_by_user_id: user.id, purge_after: purgeAfter })
+      .eq('id', req.params.id);
+    if (error) {
+      if (String(error.message).includes('deleted_at') || String(error.message).includes('column')) {
+        return res.status(503).json({ error: 'Soft delete not available. Run migrations/017_project_archive_soft_delete.sql.' });
+      }
+      throw error;
+    }
+    auditLog(req.params.id, user.id, user.username, 'delete', 'project', req.params.id, { purge_after: purgeAfter }, req.requestId);
+    res.json({ success: true, purge_after: purgeAfter });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post('/api/projects/:id/request', async (req, res) => {
+/** Archive = read-only + hidden from the default list. Undo with POST /restore. */
+app.post('/api/projects/:id/archive', async (req, res) => {
   try {
-    const user = await getCurrentUser(req);
-    if (!user) return res.status(401).json({ error: 'Authentication required' });
-    const projectId = req.params.id;
-    const { data: project } = await supabase.from('projects').select('id').eq('id', projectId).single();
-    if (!project) return res.status(404).json({ error: 'Project not found' });
-    const access = await getProjectAccess(projectId, user.id, user.username);
-    if (access.canAccess) return res.status(400).json({ error: 'Already a member' });
-    if (access.hasPendingRequest) return res.status(400).json({ error: 'Request already pending' });
-    await upsertUserCache(user.id, user.username);
-    const { error: err } = await supabase.from('project_join_requests').insert({
-      project_id: projectId,
-      user_id: user.id,
-      username: user.username,
-      status: 'pending'
-    });
-    if (err) throw err;
-    res.status(201).json({ success: true });
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'project.update');
+    if (!ctx) return;
+    const { user } = ctx;
+    if (ctx.project.archived_at) return res.status(409).json({ error: 'Project already archived' });
+    const { data, error } = await supabase.from('projects')
+      .update({ archived_at: new Date().toISOString(), archived_by_user_id: user.id })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+    if (error) throw error;
+    auditLog(req.params.id, user.id, user.username, 'archive', 'project', req.params.id, null, req.requestId);
+    res.json({ ...data, state: projectLifecycleState(data) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.get('/api/projects/:id/requests', async (req, res) => {
+/** Undo soft delete (while purge_after is in the future) or unarchive. A deleted project that was archived comes back archived. */
+app.post('/api/projects/:id/restore', async (req, res) => {
   try {
-    const user = await getCurrentUser(req);
-    if (!user) return res.status(401).json({ error: 'Authentication required' });
-    const { data: owner } = await supabase.from('project_members').select('id').eq('project_id', req.params.id).eq('user_id', user.id).eq('role', 'owner').single();
-    if (!owner) return res.status(403).json({ error: 'Only project owner can see requests' });
-    const { data, error } = await supabase.from('project_join_requests').select('*').eq('project_id', req.params.id).eq('status', 'pending').order('created_at', { ascending: false });
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'project.delete', { allowDeleted: true });
+    if (!ctx) return;
+    const { user } = ctx;
+    const state = projectLifecycleState(ctx.project);
+    let updates;
+    if (state === 'deleted') {
+      if (isPurgeDue(ctx.project)) return res.status(410).json({ error: 'Retention window expired; project is being purged' });
+      updates = { deleted_at: null, deleted_by_user_id: null, purge_after: null };
+    } else if (state === 'archived') {
+      updates = { archived_at: null, archived_by_user_id: null };
+    } else {
+      return res.status(409).json({ error: 'Project is not archived or deleted' });
+    }
+    const { data, error } = await supabase.from('projects').update(updates).eq('id', req.params.id).select().single();
     if (error) throw error;
-    res.json({ requests: data || [] });
+    auditLog(req.params.id, user.id, user.username, 'restore', 'project', req.params.id, { from: state }, req.requestId);
+    res.json({ ...data, state: projectLifecycleState(data) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post('/api/projects/:id/requests/:requestId/approve', async (req, res) => {
-  try {
-    const user = await getCurrentUser(req);
-    if (!user) return res.status(401).json({ error: 'Authentication required' });
-    const { data: owner } = await supabase.from('project_members').select('id').eq('project_id', req.params.id).eq('user_id', user.id).eq('role', 'owner').single();
-    if (!owner) return res.status(403).json({ error: 'Only project owner can approve' });
-    const { data: reqRow } = await supabase.from('project_join_requests').select('*').eq('id', req.params.requestId).eq('project_id', req.params.id).eq('status', 'pending').single();
-    if (!reqRow) return res.status(404).json({ error: 'Request not found' });
-    await supabase.from('project_members').insert({ project_id: req.params.id, user_id: reqRow.user_id, role: 'member' });
-    await supabase.from('project_join_requests').update({ status: 'approved' }).eq('id', req.params.requestId);
-    auditLog(req.params.id, user.id, user.username, 'request_approve', 'project_join_request', req.params.requestId, { username: reqRow.username }, req.requestId);
-    res.json({ success: true });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
+/**
+ * Permanently remove one soft-deleted project: storage objects it owns (see storagePathsOwnedByProject), management_vector chunks (names unique to it),
+ * its OpenAI vector store + uploaded files, then the row (FK cascade removes tasks, files metadata, lab data…).
+ */
+async function purgeDeletedProject(project) {
+  const projectId = project.id;
+  const { data: files } = await supabase.from('project_files').select('id, original_name, storage_path, openai_file_id').eq('project_id', projectId);
+  const rows = files || [];
+
+  const paths = [...new Set(rows.map(f => String(f.storage_path || '').trim()).filter(Boolean))];
+  const otherPaths = [];
+  for (let i = 0; i < paths.length; i += 200) {
+    const { data: others, error } = await supabase.from('project_files').select('storage_path').neq('project_id', projectId).in('storage_path', paths.slice(i, i + 200));
+    if (error) throw error;
+    otherPaths.push(...(others || []).map(o => o.storage_path));
+  }
+  const byBucket = new Map();
+  for (const path of storagePathsOwnedByProject(paths, otherPaths, MANUAL_PREFIX + '/')) {
+    const { bucket, storagePath } = resolveBucketAndPath(path);
+    if (!byBucket.has(bucket)) byBucket.set(bucket, []);
+    byBucket.get(bucket).push(storagePath);
+  }
+  for (const [bucket, bucketPaths] of byBucket) {
+    for (let i = 0; i < bucketPaths.length; i += 100) {
+      const { error } = await supabase.storage.from(bucket).remove(bucketPaths.slice(i, i + 100));
+      if (error) throw new Error(`storage remove (${bucket}): ${error.message}`);
+    }
   }
-});
 
-app.post('/api/projects/:id/requests/:requestId/reject', async (req, res) => {
+  if (hasLocalRag() && rows.length) {
+    const names = rows.map(f => f.original_name);
+    const { data: others } = await supabase.from('project_files').select('original_name').neq('project_id', projectId).in('original_name', [...new Set(names.filter(Boolean))]);
+    const rag = await getLocalRag();
+    for (const name of filenamesExclusiveToProject(names, (others || []).map(o => o.original_name))) {
+      await deleteManagementVectorByFilename(rag, name);
+    }
+  }
+
+  if (OPENAI_API_KEY && (project.openai_vector_store_id || rows.some(f => f.openai_file_id))) {
+    await deleteProjectOpenAiVectorStore(project.openai_vector_store_id || null, {
+      openaiApiKey: OPENAI_API_KEY,
+      openaiBase: OPENAI_API_BASE,
+      extraFileIds: rows.map(f => f.openai_file_id),
+      onLog: (m) => console.log('[project purge]', projectId, m)
+    });
+  }
+
+  const { error } = await supabase.from('projects').delete().eq('id', projectId);
+  if (error) throw error;
+  auditLog(null, null, null, 'purge', 'project', projectId, { name: project.name, files: rows.length, deleted_at: project.deleted_at }, null);
+}
+
+/** Purge every soft-deleted project whose retention window has passed. One failure does not stop the rest (retried next run). */
+async function purgeExpiredDeletedProjects() {
+  const { data, error } = await supabase.from('projects')
+    .select('id, name, deleted_at, purge_after, openai_vector_store_id')
+    .not('deleted_at', 'is', null)
+    .lte('purge_after', new Date().toISOString());
+  if (error) throw error;
+  const purged = [];
+  const failed = [];
+  for (const p of data || []) {
+    if (!isPurgeDue(p)) continue;
+    try {
+      await purgeDeletedProject(p);
+      purged.push(p.id);
+    } catch (e) {
+      console.warn('[project purge] failed', p.id, e.message);
+      failed.push({ id: p.id, error: e.message });
+    }
+  }
+  return { purged, failed };
+}
+
+/** Returns true when the request carries CRON_SECRET (Authorization: Bearer or ?secret=); otherwise sends 401/503. */
+function requireCronSecret(req, res) {
+  if (!CRON_SECRET) {
+    res.status(503).json({ error: 'CRON_SECRET not set' });
+    return false;
+  }
+  const auth = req.headers.authorization || '';
+  const bearer = auth.startsWith('Bearer ') ? auth.slice(7) : '';
+  if (bearer !== CRON_SECRET && req.query.secret !== CRON_SECRET) {
+    res.status(401).json({ error: 'Invalid cron secret' });
+    return false;
+  }
+  return true;
+}
+
+app.get('/api/cron/purge-deleted-projects', async (req, res) => {
   try {
-    const user = await getCurrentUser(req);
-    if (!user) return res.status(401).json({ error: 'Authentication required' });
-    const { data: owner } = await supabase.from('project_members').select('id').eq('project_id', req.params.id).eq('user_id', user.id).eq('role', 'owner').single();
-    if (!owner) return res.status(403).json({ error: 'Only project owner can reject' });
-    await supabase.from('project_join_requests').update({ status: 'rejected' }).eq('id', req.params.requestId).eq('project_id', req.params.id);
-    auditLog(req.params.id, user.id, user.username, 'request_reject', 'project_join_request', req.params.requestId, null, req.requestId);
-    res.json({ success: true });
+    if (!requireCronSecret(req, res)) return;
+    res.json(await purgeExpiredDeletedProjects());
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// List users for "add member" dropdown. Fetches from Matriya (same users as auth); optional ?projectId= to exclude current members.
-app.get('/api/users', async (req, res) => {
-  try {
-    const user = await getCurrentUser(req);
-    if (!user) return res.status(401).json({ error: 'Authentication required' });
-    const projectId = req.query.projectId;
-    let excludeUserIds = [];
-    if (projectId) {
-      const { data: rows } = await supabase.from('project_members').select('user_id').eq('project_id', projectId);
-      excludeUserIds = (rows || []).map(r => r.user_id);
+// ---------- Project templates (structure snapshot → seed for POST /api/projects) ----------
+function templatesTableMissing(err) {
+  const msg = String(err?.message || '');
+  return msg.includes('does not exist') || msg.includes('relation');
+}
+
+/** Rows of a table for one project; [] when the table is missing on this DB (optional lab tables). */
+async function selectProjectRows(table, columns, projectId) {
+  const { data, error } = await supabase.from(table).select(columns).eq('project_id', projectId);
+  if (error) {
+    if (templatesTableMissing(error)) return [];
+    throw error;
+  }
+  return data || [];
+}
+
+async function loadProjectStructure(project) {
+  const [tasks, milestones, materials, notes, sessions, runs] = await Promise.all([
+    selectProjectRows('tasks', 'title, status, priority, due_date, created_at', project.id),
+    selectProjectRows('milestones', 'title, description, due_date, created_at', project.id),
+    selectProjectRows('material_library', 'name, role_or_function', project.id),
+    selectProjectRows('notes', 'title, body, created_at', project.id),
+    selectProjectRows('research_sessions', 'name, created_at', project.id),
+    selectProjectRows('runs', 'features_core, features_extended', project.id)
+  ]);
+  return buildTemplateStructure({ project, tasks, milestones, materials, notes, sessions, runs });
+}
+
+/** Insert seed rows table by table. A missing optional table is skipped (count 0); any other error throws (the caller removes the project). */
+async function seedProjectFromStructure(projectId, structure) {
+  const rows = seedRowsFromStructure(structure, projectId);
+  const counts = {};
+  for (const [table, list] of Object.entries(rows)) {
+    counts[table] = 0;
+    if (!list.length) continue;
+    const { error } = await supabase.from(table).insert(list);
+    if (error) {
+      if (templatesTableMissing(error)) continue;
+      throw error;
     }
-    let users = [];
-    if (MATRIYA_BACK_URL && req.headers.authorization) {
-      try {
-        const r = await axios.get(`${MATRIYA_BACK_URL}/auth/users`, {
-          headers: { Authorization: req.headers.authorization },
-          timeout: 10000
-        });
-        if (r.data && Array.isArray(r.data.users)) users = r.data.users;
-        for (const u of users) await upsertUserCache(u.user_id, u.username);
-      } catch (_) { /* fall back to user_cache */ }
+    counts[table] = list.length;
+  }
+  return counts;
+}
+
+/** Copy project_files (with their stored object) into another project; files without storage are skipped. */
+async function copyProjectFiles(srcProjectId, dstProjectId, fileIds, ctx, req) {
+  let q = supabase.from('project_files').select('id, original_name, storage_path, folder_display_name').eq('project_id', srcProjectId);
+  if (fileIds !== 'all') q = q.in('id', fileIds.length ? fileIds : ['00000000-0000-0000-0000-000000000000']);
+  const { data: rows, error } = await q;
+  if (error) throw error;
+  const copied = [];
+  for (const row of rows || []) {
+    if (!row.storage_path || !String(row.storage_path).trim()) continue;
+    const { bucket, storagePath } = resolveBucketAndPath(String(row.storage_path));
+    const { data: blob, error: dlErr } = await supabase.storage.from(bucket).download(storagePath);
+    if (dlErr || !blob) {
+      console.warn('[clone project] skip file', row.id, dlErr?.message || 'download failed');
+      continue;
     }
-    if (users.length === 0) {
-      const { data: cache } = await supabase.from('user_cache').select('user_id, username').order('username');
-      users = (cache || []).map(c => ({ user_id: c.user_id, username: c.username }));
+    const out = await createProjectFileFromBuffer(dstProjectId, ctx, Buffer.from(await blob.arrayBuffer()), row.original_name, row.folder_display_name, req, {
+      contentType: guessMimeFromFilename(row.original_name),
+      auditSource: 'project_clone',
+      syncReason: 'clone'
+    });
+    copied.push({ source_file_id: row.id, file_id: out.id, original_name: out.original_name });
+  }
+  return copied;
+}
+
+/** Template the user may use: own, shared, or any for admin. */
+async function loadVisibleTemplate(templateId, user) {
+  const { data, error } = await supabase.from('project_templates').select('*').eq('id', templateId).maybeSingle();
+  if (error) {
+    if (templatesTableMissing(error)) return null;
+    throw error;
+  }
+  if (!data) return null;
+  const isAdmin = String(user.username || '').trim().toLowerCase() === 'admin';
+  return data.shared || data.created_by_user_id === user.id || isAdmin ? data : null;
+}
+
+app.get('/api/project-templates', async (req, res) => {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const { data, error } = await supabase.from('project_templates')
+      .select('id, name, description, shared, source_project_id, created_by_user_id, created_by_username, structure, created_at')
+      .or(`shared.eq.true,created_by_user_id.eq.${Number(user.id)}`)
+      .order('name', { ascending: true });
+    if (error) {
+      if (templatesTableMissing(error)) return res.json({ templates: [] });
+      throw error;
     }
-    if (excludeUserIds.length) users = users.filter(u => !excludeUserIds.includes(u.user_id));
-    res.json({ users });
+    res.json({ templates: (data || []).map(({ structure, ...t }) => ({ ...t, summary: templateSummary(structure) })) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.get('/api/projects/:id/members', async (req, res) => {
+app.get('/api/project-templates/:templateId', async (req, res) => {
   try {
-    const user = await getCurrentUser(req);
-    if (!user) return res.status(401).json({ error: 'Authentication required' });
-    const { data: myMember } = await supabase.from('project_members').select('role').eq('project_id', req.params.id).eq('user_id', user.id).single();
-    if (!myMember) return res.status(403).json({ error: 'Not a project member' });
-    const { data: rows } = await supabase.from('project_members').select('user_id, role, created_at').eq('project_id', req.params.id);
-    const userIds = [...new Set((rows || []).map(r => r.user_id))];
-    const { data: cache } = await supabase.from('user_cache').select('user_id, username').in('user_id', userIds);
-    const byId = (cache || []).reduce((acc, c) => { acc[c.user_id] = c.username; return acc; }, {});
-    const members = (rows || []).map(r => ({ user_id: r.user_id, username: byId[r.user_id] || String(r.user_id), role: r.role, created_at: r.created_at }));
-    res.json({ members });
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const tpl = await loadVisibleTemplate(req.params.templateId, user);
+    if (!tpl) return res.status(404).json({ error: 'Template not found' });
+    res.json({ ...tpl, summary: templateSummary(tpl.structure) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post('/api/projects/:id/members', async (req, res) => {
+/** Body: { name, description?, shared? } — snapshot tasks, milestones, material_library, note headings, research sessions, run feature tags. */
+app.post('/api/projects/:id/templates', async (req, res) => {
   try {
-    const user = await getCurrentUser(req);
-    if (!user) return res.status(401).json({ error: 'Authentication required' });
-    const { data: owner } = await supabase.from('project_members').select('id').eq('project_id', req.params.id).eq('user_id', user.id).eq('role', 'owner').single();
-    if (!owner) return res.status(403).json({ error: 'Only project owner can add members' });
-    const { username } = req.body || {};
-    if (!username || !String(username).trim()) return res.status(400).json({ error: 'username is required' });
-    const un = String(username).trim();
-    const { data: cached } = await supabase.from('user_cache').select('user_id').eq('username', un).single();
-    if (!cached) return res.status(404).json({ error: 'User not found. They must log in to the manager at least once.' });
-    const { error: err } = await supabase.from('project_members').insert({ project_id: req.params.id, user_id: cached.user_id, role: 'member' }).select();
-    if (err) {
-      if (err.code === '23505') return res.status(400).json({ error: 'Already a member' });
-      throw err;
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'project.update');
+    if (!ctx) return;
+    const { user, project } = ctx;
+    const { name, description, shared } = req.body || {};
+    if (!name || !String(name).trim()) return res.status(400).json({ error: 'name is required' });
+    const structure = await loadProjectStructure({ ...project, id: req.params.id });
+    const { data, error } = await supabase.from('project_templates').insert({
+      name: String(name).trim(),
+      description: description ? String(description).trim() || null : null,
+      shared: !!shared,
+      source_project_id: req.params.id,
+      created_by_user_id: user.id,
+      created_by_username: user.username || null,
+      structure
+    }).select().single();
+    if (error) {
+      if (templatesTableMissing(error)) {
+        return res.status(503).json({ error: 'Templates not available. Run migrations/018_project_templates.sql.' });
+      }
+      throw error;
     }
-    auditLog(req.params.id, user.id, user.username, 'member_add', 'project_member', cached.user_id, { username: un }, req.requestId);
-    res.status(201).json({ success: true });
+    auditLog(req.params.id, user.id, user.username, 'create', 'project_template', data.id, { name: data.name, summary: templateSummary(structure) }, req.requestId);
+    res.status(201).json({ ...data, summary: templateSummary(structure) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.delete('/api/projects/:id/members/:userId', async (req, res) => {
+app.delete('/api/project-templates/:templateId', async (req, res) => {
   try {
-    const user = await getCurrentUser(req);
-    if (!user) return res.status(401).json({ error: 'Authentication required' });
-    const { data: owner } = await supabase.from('project_members').select('id').eq('project_id', req.params.id).eq('user_id', user.id).eq('role', 'owner').single();
-    if (!owner) return res.status(403).json({ error: 'Only project owner can remove members' });
-    const targetUserId = parseInt(req.params.userId, 10);
-    if (targetUserId === user.id) return res.status(400).json({ error: 'Cannot remove yourself' });
-    const { data: target } = await supabase.from('project_members').select('role').eq('project_id', req.params.id).eq('user_id', targetUserId).single();
-    if (!target) return res.status(404).json({ error: 'Member not found' });
-    if (target.role === 'owner') return res.status(400).json({ error: 'Cannot remove project owner' });
-    const { error } = await supabase.from('project_members').delete().eq('project_id', req.params.id).eq('user_id', targetUserId);
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const tpl = await loadVisibleTemplate(req.params.templateId, user);
+    const isAdmin = String(user.username || '').trim().toLowerCase() === 'admin';
+    if (!tpl) return res.status(404).json({ error: 'Template not found' });
+    if (tpl.created_by_user_id !== user.id && !isAdmin) return res.status(403).json({ error: 'Only the template creator can delete it' });
+    const { error } = await supabase.from('project_templates').delete().eq('id', tpl.id);
     if (error) throw error;
-    auditLog(req.params.id, user.id, user.username, 'member_remove', 'project_member', targetUserId, null, req.requestId);
+    auditLog(tpl.source_project_id, user.id, user.username, 'delete', 'project_template', tpl.id, { name: tpl.name }, req.requestId);
     res.json({ success: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// ---------- Project chat (any member can read/write) ----------
-app.get('/api/projects/:id/chat/count', async (req, res) => {
-  try {
-    const user = await getCurrentUser(req);
-    const projectId = req.params.id;
-    const { data: project } = await supabase.from('projects').select('id').eq('id', projectId).single();
-    if (!project) return res.status(404).json({ error: 'Project not found' });
-    const hasMembers = await projectHasMembers(projectId);
-    const access = hasMembers ? await getProjectAccess(projectId, user?.id, user?.username) : { canAccess: !!user, role: user ? 'owner' : null };
-    if (!access.canAccess) return res.status(403).json({ error: 'Access required' });
-    const { count, error } = await supabase.from('project_chat_messages').select('*', { count: 'exact', head: true }).eq('project_id', projectId);
-    if (error && !String(error.message || '').includes('does not exist') && !String(error.message || '').includes('relation')) throw error;
-    res.json({ count: typeof count === 'number' ? count : 0 });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
+// ---------- Project export / import (portable ZIP; layout + id remapping in lib/projectArchive.js) ----------
+const SUPABASE_PAGE_SIZE = 1000;
+
+function isMissingTableError(err) {
+  const msg = String(err?.message || '');
+  return msg.includes('does not exist') || msg.includes('relation');
+}
+
+/** All rows of a filtered query, paging past the PostgREST row cap. [] when the table does not exist on this DB. */
+async function selectAllRows(table, applyFilter) {
+  const rows = [];
+  for (let from = 0; ; from += SUPABASE_PAGE_SIZE) {
+    const { data, error } = await applyFilter(supabase.from(table).select('*')).range(from, from + SUPABASE_PAGE_SIZE - 1);
+    if (error) {
+      if (isMissingTableError(error)) return rows;
+      throw error;
+    }
+    rows.push(...(data || []));
+    if (!data || data.length < SUPABASE_PAGE_SIZE) return rows;
   }
-});
+}
 
-app.get('/api/projects/:id/chat', async (req, res) => {
+async function loadArchiveTableRows(spec, projectId, loaded) {
+  if (spec.scope === 'project') {
+    return selectAllRows(spec.table, q => q.eq('project_id', projectId).order('created_at', { ascending: true }));
+  }
+  const parentIds = (loaded[spec.scope.table] || []).map(r => r.id);
+  const rows = [];
+  for (let i = 0; i < parentIds.length; i += 200) {
+    rows.push(...await selectAllRows(spec.table, q => q.in(spec.scope.column, parentIds.slice(i, i + 200))));
+  }
+  return rows;
+}
+
+app.get('/api/projects/:id/export', limiterArchive, async (req, res) => {
   try {
-    const user = await getCurrentUser(req);
     const projectId = req.params.id;
-    const { data: project } = await supabase.from('projects').select('id').eq('id', projectId).single();
-    if (!project) return res.status(404).json({ error: 'Project not found' });
-    const hasMembers = await projectHasMembers(projectId);
-    const access = hasMembers ? await getProjectAccess(projectId, user?.id, user?.username) : { canAccess: !!user, role: user ? 'owner' : null };
-    if (!access.canAccess) return res.status(403).json({ error: 'Access required' });
-    const { limit, offset } = parsePagination(req);
-    const { data, error } = await supabase.from('project_chat_messages').select('*').eq('project_id', projectId).order('created_at', { ascending: true }).range(offset, offset + limit - 1);
-    if (error) {
-      if (String(error.message || '').includes('does not exist') || String(error.message || '').includes('relation')) {
-        return res.json({ messages: [], limit, offset });
+    const ctx = await requireProjectPermission(req, res, projectId, 'project.export');
+    if (!ctx) return;
+    const { user, project } = ctx;
+
+    const data = {};
+    for (const spec of ARCHIVE_TABLES) data[spec.table] = await loadArchiveTableRows(spec, projectId, data);
+    const files = await selectAllRows('project_files', q => q.eq('project_id', projectId).order('created_at', { ascending: true }));
+
+    // Streamed: stored files are downloaded one at a time as the zip writer reaches them, and manifest.json (which
+    // records what was included) is the last entry, written once every file has been read.
+    const zip = new JSZip();
+    const { openai_vector_store_id: _vs, ...projectOut } = project;
+    zip.file('project.json', JSON.stringify(projectOut, null, 2));
+    zip.file('data/project_files.json', JSON.stringify(files, null, 2));
+    for (const [table, rows] of Object.entries(data)) zip.file(`data/${table}.json`, JSON.stringify(rows, null, 2));
+
+    const fileEntries = [];
+    let totalBytes = 0;
+    let filesLeft = 0;
+    let filesDone;
+    const allFilesRead = new Promise(resolve => { filesDone = resolve; });
+    for (const f of files) {
+      const entry = { id: f.id, original_name: f.original_name, path: null };
+      fileEntries.push(entry);
+      if (!f.storage_path || !String(f.storage_path).trim()) continue;
+      const zipPath = archiveFilePath(f.id, f.original_name);
+      filesLeft++;
+      zip.file(zipPath, lazyArchiveEntry(async () => {
+        try {
+          const { bucket, storagePath } = resolveBucketAndPath(String(f.storage_path));
+          const { data: blob, error: dlErr } = await supabase.storage.from(bucket).download(storagePath);
+          if (dlErr || !blob) {
+            entry.skipped = `download_failed: ${dlErr?.message || 'no data'}`;
+            return null;
+          }
+          const buf = Buffer.from(await blob.arrayBuffer());
+          // the entry name is already in the zip: an over-limit file stays as an empty entry the manifest does not point at
+          if (totalBytes + buf.length > PROJECT_EXPORT_MAX_FILE_BYTES) {
+            entry.skipped = 'export_size_limit';
+            return null;
+          }
+          totalBytes += buf.length;
+          entry.path = zipPath;
+          entry.size = buf.length;
+          return buf;
+        } catch (e) {
+          entry.skipped = `download_failed: ${e.message}`;
+          return null;
+        } finally {
+          if (--filesLeft === 0) filesDone();
+        }
+      }));
+    }
+    if (filesLeft === 0) filesDone();
+    zip.file('manifest.json', allFilesRead.then(() => JSON.stringify({
+      format: PROJECT_ARCHIVE_FORMAT,
+      version: PROJECT_ARCHIVE_VERSION,
+      exported_at: new Date().toISOString(),
+      exported_by: user.username || null,
+      source_project_id: projectId,
+      counts: Object.fromEntries(Object.entries(data).map(([t, rows]) => [t, rows.length])),
+      files: fileEntries
+    }, null, 2)));
+
+    const filename = `${String(project.name || 'project').replace(/[^\w\u0590-\u05ff.-]+/g, '_').slice(0, 80)}-${new Date().toISOString().slice(0, 10)}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+      .on('error', (e) => {
+        console.error('[project export] zip stream:', e.message);
+        res.destroy(e);
+      })
+      .on('end', () => {
+        auditLog(projectId, user.id, user.username, 'export', 'project', projectId, { files: fileEntries.filter(e => e.path).length, bytes: totalBytes }, req.requestId);
+      })
+      .pipe(res);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Multipart field "file" = ZIP from GET /export; optional field "name". Recreates everything under a new project id
+ * (caller becomes owner). If anything fails midway the half-imported project is soft-deleted for immediate purge.
+ */
+app.post('/api/projects/import', limiterArchive, upload.single('file'), async (req, res) => {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    if (!req.file?.buffer?.length) return res.status(400).json({ error: 'file (ZIP from project export) is required' });
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(req.file.buffer);
+    } catch (_) {
+      return res.status(400).json({ error: 'file is not a valid ZIP archive' });
+    }
+    const readJson = async (name, fallback) => {
+      const entry = zip.file(name);
+      if (!entry) return fallback;
+      try {
+        return JSON.parse(await entry.async('string'));
+      } catch (_) {
+        throw Object.assign(new Error(`${name} is not valid JSON`), { status: 400 });
       }
-      throw error;
+    };
+    let manifest, sourceProject, files;
+    const data = {};
+    try {
+      manifest = await readJson('manifest.json', null);
+      const check = checkArchiveManifest(manifest);
+      if (!check.ok) return res.status(400).json({ error: check.error });
+      sourceProject = await readJson('project.json', {});
+      files = await readJson('data/project_files.json', []);
+      for (const spec of ARCHIVE_TABLES) data[spec.table] = await readJson(`data/${spec.table}.json`, []);
+    } catch (e) {
+      if (e.status === 400) return res.status(400).json({ error: e.message });
+      throw e;
+    }
+
+    const name = (req.body?.name && String(req.body.name).trim()) || String(sourceProject.name || 'Imported project');
+    const project = await insertProjectWithOwner(user, {
+      name,
+      description: sourceProject.description || null,
+      discoverable: sourceProject.discoverable !== false,
+      ...(sourceProject.task_workflow && normalizeTaskWorkflow(sourceProject.task_workflow).ok ? { task_workflow: sourceProject.task_workflow } : {})
+    }, req, res);
+    if (!project) return;
+
+    const idMap = buildIdMap(data);
+    if (manifest.source_project_id) idMap.set(manifest.source_project_id, project.id);
+    const counts = {};
+    const skippedTables = [];
+    try {
+      const pathById = new Map((manifest.files || []).filter(f => f.path).map(f => [f.id, f.path]));
+      counts.project_files = 0;
+      for (const f of Array.isArray(files) ? files : []) {
+        const entry = pathById.has(f.id) ? zip.file(pathById.get(f.id)) : null;
+        const buf = entry ? await entry.async('nodebuffer') : null;
+        const out = await createProjectFileFromBuffer(project.id, { user }, buf, f.original_name, f.folder_display_name, req, {
+          contentType: guessMimeFromFilename(f.original_name),
+          auditSource: 'project_import',
+          syncReason: 'import'
+        });
+        idMap.set(f.id, out.id);
+        counts.project_files++;
+      }
+      for (const spec of ARCHIVE_TABLES) {
+        const rows = remapArchiveRows(spec, Array.isArray(data[spec.table]) ? data[spec.table] : [], idMap, project.id);
+        counts[spec.table] = 0;
+        for (let i = 0; i < rows.length; i += 500) {
+          const { error } = await supabase.from(spec.table).insert(rows.slice(i, i + 500));
+          if (error) {
+            if (isMissingTableError(error)) {
+              skippedTables.push(spec.table);
+              break;
+            }
+            throw new Error(`${spec.table}: ${error.message}`);
+          }
+          counts[spec.table] += Math.min(500, rows.length - i);
+        }
+      }
+    } catch (e) {
+      const now = new Date().toISOString();
+      await supabase.from('projects').update({ deleted_at: now, deleted_by_user_id: user.id, purge_after: now }).eq('id', project.id);
+      return res.status(422).json({ error: `Import failed: ${e.message}`, project_id: project.id });
     }
-    res.json({ messages: data || [], limit, offset });
+
+    auditLog(project.id, user.id, user.username, 'import', 'project', project.id, {
+      source_project_id: manifest.source_project_id || null,
+      exported_at: manifest.exported_at || null,
+      counts,
+      skipped_tables: skippedTables
+    }, req.requestId);
+    res.status(201).json({ project, counts, skipped_tables: skippedTables });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post('/api/projects/:id/chat', async (req, res) => {
+// ---------- Notifications (in-app record + optional email; join requests, later mentions etc.) ----------
+function notificationsTableMissing(err) {
+  const msg = String(err?.message || '');
+  return msg.includes('does not exist') || msg.includes('relation');
+}
+
+/** user_id → email_mode from notification_preferences (no row / no table → 'immediate'). */
+async function notificationEmailModes(userIds) {
+  const modes = new Map(userIds.map(id => [id, 'immediate']));
+  const { data, error } = await supabase.from('notification_preferences').select('user_id, email_mode').in('user_id', userIds);
+  if (!error) for (const p of data || []) if (NOTIFICATION_EMAIL_MODES.includes(p.email_mode)) modes.set(p.user_id, p.email_mode);
+  return modes;
+}
+
+/**
+ * Insert one notification row per user and email those with a cached address whose email_mode is immediate
+ * (daily_digest users get it from /api/cron/notification-digest). Never throws (status changes must not fail on notify).
+ * @param {number[]} userIds
+ * @param {{ projectId?: string|null, type: string, title: string, body?: string, entityType?: string|null, entityId?: string|null, data?: object|null, email?: boolean }} n
+ */
+async function notifyUsers(userIds, n) {
+  const ids = [...new Set((userIds || []).filter(id => id != null))];
+  if (!ids.length) return;
+  try {
+    const rows = ids.map(userId => ({
+      user_id: userId,
+      project_id: n.projectId || null,
+      type: n.type,
+      title: n.title,
+      body: n.body || null,
+      entity_type: n.entityType || null,
+      entity_id: n.entityId || null,
+      data: n.data || null
+    }));
+    const { data: inserted, error } = await supabase.from('notifications').insert(rows).select('id, user_id');
+    if (error && !notificationsTableMissing(error)) console.warn('notifications insert failed:', error.message);
+    if (n.email === false || !emailTransport.configured) return;
+    const modes = await notificationEmailModes(ids);
+    const immediate = ids.filter(id => modes.get(id) === 'immediate');
+    if (!immediate.length) return;
+    const { data: cache } = await supabase.from('user_cache').select('user_id, email').in('user_id', immediate);
+    const emailedIds = [];
+    for (const c of cache || []) {
+      if (!c.email) continue;
+      const out = await sendNotificationEmail({ transport: emailTransport, fromEmail: RESEND_FROM_EMAIL, toEmail: c.email, title: n.title, body: n.body || '' });
+      if (!out.sent) console.warn('notification email failed:', c.user_id, out.resendError);
+      else for (const r of inserted || []) if (r.user_id === c.user_id) emailedIds.push(r.id);
+    }
+    if (emailedIds.length) await supabase.from('notifications').update({ emailed_at: new Date().toISOString() }).in('id', emailedIds);
+  } catch (e) {
+    console.warn('notifyUsers failed:', e.message);
+  }
+}
+
+async function projectOwnerIds(projectId) {
+  const { data } = await supabase.from('project_members').select('user_id').eq('project_id', projectId).eq('role', 'owner');
+  return (data || []).map(r => r.user_id);
+}
+
+/** Mark pending join requests past expires_at as expired and notify requesters. Filter by projectId and/or userId. */
+async function expireStaleJoinRequests({ projectId = null, userId = null } = {}) {
+  try {
+    let q = supabase.from('project_join_requests')
+      .update({ status: 'expired', responded_at: new Date().toISOString() })
+      .eq('status', 'pending')
+      .lt('expires_at', new Date().toISOString());
+    if (projectId) q = q.eq('project_id', projectId);
+    if (userId != null) q = q.eq('user_id', userId);
+    const { data, error } = await q.select('id, project_id, user_id, username');
+    if (error || !data?.length) return;
+    const { data: projects } = await supabase.from('projects').select('id, name').in('id', [...new Set(data.map(r => r.project_id))]);
+    const names = (projects || []).reduce((acc, p) => { acc[p.id] = p.name; return acc; }, {});
+    for (const r of data) {
+      auditLog(r.project_id, null, null, 'request_expire', 'project_join_request', r.id, { username: r.username }, null);
+      const text = joinRequestNotificationText('expired', { projectName: names[r.project_id] });
+      await notifyUsers([r.user_id], { projectId: r.project_id, type: 'join_request_expired', entityType: 'project_join_request', entityId: r.id, ...text });
+    }
+  } catch (e) {
+    console.warn('expireStaleJoinRequests failed:', e.message);
+  }
+}
+
+/** Body: { message? } — justification shown to owners. */
+app.post('/api/projects/:id/request', async (req, res) => {
   try {
     const user = await getCurrentUser(req);
     if (!user) return res.status(401).json({ error: 'Authentication required' });
     const projectId = req.params.id;
-    const { data: project } = await supabase.from('projects').select('id').eq('id', projectId).single();
-    if (!project) return res.status(404).json({ error: 'Project not found' });
-    const hasMembers = await projectHasMembers(projectId);
-    const access = hasMembers ? await getProjectAccess(projectId, user.id, user.username) : { canAccess: true, role: 'owner' };
-    if (!access.canAccess) return res.status(403).json({ error: 'Access required' });
-    const body = (req.body && req.body.body) ? String(req.body.body).trim() : '';
-    if (!body) return res.status(400).json({ error: 'body is required' });
-    await upsertUserCache(user.id, user.username);
-    const { data: row, error } = await supabase.from('project_chat_messages').insert({
+    const { data: project } = await supabase.from('projects').select('*').eq('id', projectId).single();
+    if (!project || projectLifecycleState(project) !== 'active') return res.status(404).json({ error: 'Project not found' });
+    const message = req.body && req.body.message != null ? String(req.body.message).trim() : '';
+    if (message.length > JOIN_REQUEST_MESSAGE_MAX) return res.status(400).json({ error: `message must be at most ${JOIN_REQUEST_MESSAGE_MAX} characters` });
+    await expireStaleJoinRequests({ projectId, userId: user.id });
+    const access = await getProjectAccess(projectId, user.id, user.username);
+    if (access.canAccess) return res.status(400).json({ error: 'Already a member' });
+    if (project.discoverable === false) return res.status(404).json({ error: 'Project not found' });
+    if (access.hasPendingRequest) return res.status(400).json({ error: 'Request already pending' });
+    await upsertUserCache(user.id, user.username, user.email);
+    const { data: row, error: err } = await supabase.from('project_join_requests').insert({
       project_id: projectId,
       user_id: user.id,
-      username: user.username || 'User',
-      body
-    }).select().single();
-    if (error) {
-      if (String(error.message || '').includes('does not exist') || String(error.message || '').includes('relation')) {
-        return res.status(503).json({ error: 'Chat not available. Run project_chat_messages in supabase_schema.sql.' });
-      }
-      throw error;
-    }
-    auditLog(projectId, user.id, user.username, 'create', 'chat_message', row.id, null, req.requestId);
-    res.status(201).json(row);
+      username: user.username,
+      status: 'pending',
+      message: message || null,
+      expires_at: new Date(Date.now() + JOIN_REQUEST_TTL_DAYS * 86400 * 1000).toISOString()
+    }).select('id, expires_at').single();
+    if (err) throw err;
+    const text = joinRequestNotificationText('created', { projectName: project.name, requesterName: user.username, message });
+    notifyUsers(await projectOwnerIds(projectId), { projectId, type: 'join_request_created', entityType: 'project_join_request', entityId: row.id, ...text });
+    res.status(201).json({ success: true, id: row.id, expires_at: row.expires_at });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-/** Unread = messages with created_at strictly after this user's last_read_at (stored in DB). */
-app.get('/api/projects/:id/chat/unread', async (req, res) => {
+/** Query: status=pending (default) | approved | rejected | expired | all */
+app.get('/api/projects/:id/requests', async (req, res) => {
   try {
-    const user = await getCurrentUser(req);
-    if (!user) return res.status(401).json({ error: 'Authentication required' });
-    const projectId = req.params.id;
-    const { data: project } = await supabase.from('projects').select('id').eq('id', projectId).single();
-    if (!project) return res.status(404).json({ error: 'Project not found' });
-    const hasMembers = await projectHasMembers(projectId);
-    const access = hasMembers ? await getProjectAccess(projectId, user.id, user.username) : { canAccess: true, role: 'owner' };
-    if (!access.canAccess) return res.status(403).json({ error: 'Access required' });
-    const { data: readRow, error: readErr } = await supabase
-      .from('project_chat_last_read')
-      .select('last_read_at')
-      .eq('project_id', projectId)
-      .eq('user_id', user.id)
-      .maybeSingle();
-    if (
-      readErr &&
-      !String(readErr.message || '').includes('does not exist') &&
-      !String(readErr.message || '').includes('relation')
-    ) {
-      throw readErr;
-    }
-    const lastRead = readRow?.last_read_at || '1970-01-01T00:00:00.000Z';
-    const { count, error } = await supabase
-      .from('project_chat_messages')
-      .select('*', { count: 'exact', head: true })
-      .eq('project_id', projectId)
-      .gt('created_at', lastRead);
-    if (error) {
-      if (String(error.message || '').includes('does not exist') || String(error.message || '').includes('relation')) {
-        return res.json({ unread: 0 });
-      }
-      throw error;
-    }
-    res.json({ unread: typeof count === 'number' ? count : 0 });
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'members.manage');
+    if (!ctx) return;
+    await expireStaleJoinRequests({ projectId: req.params.id });
+    const status = req.query.status ? String(req.query.status) : 'pending';
+    let q = supabase.from('project_join_requests').select('*').eq('project_id', req.params.id).order('created_at', { ascending: false });
+    if (status !== 'all') q = q.eq('status', status);
+    const { data, error } = await q;
+    if (error) throw error;
+    res.json({ requests: data || [] });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-/** Advance last_read_at to at least read_through (ISO) or latest message time — never moves backward. */
-app.post('/api/projects/:id/chat/read', async (req, res) => {
+/** Requester side: own join requests with status and owner reply. */
+app.get('/api/my/join-requests', async (req, res) => {
   try {
-    const user = await getCurrentUser(req);
-    if (!user) return res.status(401).json({ error: 'Authentication required' });
-    const projectId = req.params.id;
-    const { data: project } = await supabase.from('projects').select('id').eq('id', projectId).single();
-    if (!project) return res.status(404).json({ error: 'Project not found' });
-    const hasMembers = await projectHasMembers(projectId);
-    const access = hasMembers ? await getProjectAccess(projectId, user.id, user.username) : { canAccess: true, role: 'owner' };
-    if (!access.canAccess) return res.status(403).json({ error: 'Access required' });
-    let readThrough = (req.body && req.body.read_through) ? String(req.body.read_through).trim() : '';
-    if (!readThrough) {
-      const { data: latest, error: latestErr } = await supabase
-        .from('project_chat_messages')
-        .select('created_at')
-        .eq('project_id', projectId)
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .maybeSingle();
-      if (
-        latestErr &&
-        !String(latestErr.message || '').includes('does not exist') &&
-        !String(latestErr.message || '').includes('relation')
-      ) {
-        throw latestErr;
-      }
-      readThrough = (latest && latest.created_at) ? latest.created_at : new Date().toISOString();
-    }
-    const throughMs = Date.parse(readThrough);
-    if (Number.isNaN(throughMs)) return res.status(400).json({ error: 'Invalid read_through' });
-    const { data: existing, error: exErr } = await supabase
-      .from('project_chat_last_read')
-      .select('last_read_at')
-      .eq('project_id', projectId)
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    await expireStaleJoinRequests({ userId: user.id });
+    const { data, error } = await supabase.from('project_join_requests')
+      .select('id, project_id, status, message, response_reason, responded_by_username, responded_at, expires_at, created_at, projects(name)')
       .eq('user_id', user.id)
-      .maybeSingle();
-    if (
-      exErr &&
-      !String(exErr.message || '').includes('does not exist') &&
-      !String(exErr.message || '').includes('relation')
-    ) {
-      throw exErr;
-    }
-    const existingMs = existing?.last_read_at ? Date.parse(existing.last_read_at) : 0;
-    const finalMs = Math.max(existingMs || 0, throughMs);
-    const finalIso = new Date(finalMs).toISOString();
-    const { error: upErr } = await supabase.from('project_chat_last_read').upsert(
-      { project_id: projectId, user_id: user.id, last_read_at: finalIso },
-      { onConflict: 'project_id,user_id' }
-    );
-    if (
-      upErr &&
-      (String(upErr.message || '').includes('does not exist') || String(upErr.message || '').includes('relation'))
-    ) {
-      return res.status(503).json({ error: 'Chat read state not available. Run project_chat_last_read in supabase_schema.sql.' });
-    }
-    if (upErr) throw upErr;
-    res.json({ last_read_at: finalIso });
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    const requests = (data || []).map(({ projects: p, ...r }) => ({ ...r, project_name: p?.name ?? null }));
+    res.json({ requests });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// ---------- Project emails (Resend: send + list; inbound webhook to receive) ----------
-const EMAIL_ATTACH_MAX_FILES = 15;
-const EMAIL_ATTACH_MAX_TOTAL_BYTES = 24 * 1024 * 1024; // under Resend ~40MB post-base64 limit
-const EMAIL_INLINE_ATTACH_MAX = 8;
-const EMAIL_INLINE_ONE_MAX_BYTES = 15 * 1024 * 1024;
+/** Shared by approve/reject: claim a still-pending, non-expired request. Returns the row or sends 404/410. */
+async function claimPendingJoinRequest(req, res, update) {
+  const { data: reqRow } = await supabase.from('project_join_requests').select('*').eq('id', req.params.requestId).eq('project_id', req.params.id).eq('status', 'pending').maybeSingle();
+  if (!reqRow) {
+    res.status(404).json({ error: 'Request not found' });
+    return null;
+  }
+  if (reqRow.expires_at && Date.parse(reqRow.expires_at) <= Date.now()) {
+    await expireStaleJoinRequests({ projectId: req.params.id });
+    res.status(410).json({ error: 'Request expired' });
+    return null;
+  }
+  const { data: claimed } = await supabase.from('project_join_requests')
+    .update({ ...update, responded_at: new Date().toISOString() })
+    .eq('id', reqRow.id)
+    .eq('status', 'pending')
+    .select('id')
+    .maybeSingle();
+  if (!claimed) {
+    res.status(404).json({ error: 'Request not found' });
+    return null;
+  }
+  return reqRow;
+}
 
-const emailSendSchema = z
-  .object({
-    to: z.union([z.string().email(), z.array(z.string().email())]),
-    subject: z.string().min(1).max(998),
-    text: z.string().max(500000).optional(),
-    html: z.string().max(500000).optional(),
-    attachment_file_ids: z.array(z.string().uuid()).max(EMAIL_ATTACH_MAX_FILES).optional(),
-    inline_attachments: z
-      .array(
-        z.object({
-          filename: z.string().min(1).max(240),
-          content_base64: z.string().min(1).max(Math.ceil(EMAIL_INLINE_ONE_MAX_BYTES * 1.4))
-        })
-      )
-      .max(EMAIL_INLINE_ATTACH_MAX)
-      .optional()
-  })
-  .superRefine((data, ctx) => {
-    const nProj = data.attachment_file_ids?.length || 0;
-    const nIn = data.inline_attachments?.length || 0;
-    if (nProj + nIn > EMAIL_ATTACH_MAX_FILES) {
-      ctx.addIssue({
-        code: z.ZodIssueCode.custom,
-        message: `Too many attachments (max ${EMAIL_ATTACH_MAX_FILES} combined).`,
-        path: ['attachment_file_ids']
-      });
+app.post('/api/projects/:id/requests/:requestId/approve', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'members.manage');
+    if (!ctx) return;
+    const { user } = ctx;
+    const reqRow = await claimPendingJoinRequest(req, res, { status: 'approved', responded_by_user_id: user.id, responded_by_username: user.username || null });
+    if (!reqRow) return;
+    await supabase.from('project_members').insert({ project_id: req.params.id, user_id: reqRow.user_id, role: DEFAULT_MEMBER_ROLE });
+    auditLog(req.params.id, user.id, user.username, 'request_approve', 'project_join_request', req.params.requestId, { username: reqRow.username }, req.requestId);
+    const { data: project } = await supabase.from('projects').select('name').eq('id', req.params.id).maybeSingle();
+    const text = joinRequestNotificationText('approved', { projectName: project?.name });
+    notifyUsers([reqRow.user_id], { projectId: req.params.id, type: 'join_request_approved', entityType: 'project_join_request', entityId: reqRow.id, ...text });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Body: { reason? } — sent to the requester. */
+app.post('/api/projects/:id/requests/:requestId/reject', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'members.manage');
+    if (!ctx) return;
+    const { user } = ctx;
+    const reason = req.body && req.body.reason != null ? String(req.body.reason).trim() : '';
+    if (reason.length > JOIN_REQUEST_MESSAGE_MAX) return res.status(400).json({ error: `reason must be at most ${JOIN_REQUEST_MESSAGE_MAX} characters` });
+    const reqRow = await claimPendingJoinRequest(req, res, {
+      status: 'rejected',
+      response_reason: reason || null,
+      responded_by_user_id: user.id,
+      responded_by_username: user.username || null
+    });
+    if (!reqRow) return;
+    auditLog(req.params.id, user.id, user.username, 'request_reject', 'project_join_request', req.params.requestId, { username: reqRow.username, reason: reason || null }, req.requestId);
+    const { data: project } = await supabase.from('projects').select('name').eq('id', req.params.id).maybeSingle();
+    const text = joinRequestNotificationText('rejected', { projectName: project?.name, reason });
+    notifyUsers([reqRow.user_id], { projectId: req.params.id, type: 'join_request_rejected', entityType: 'project_join_request', entityId: reqRow.id, ...text });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------- Notifications inbox ----------
+/** Cross-project inbox. Query: unread=1 to only list unread; project_id=, type= (e.g. chat_mention) to filter. */
+app.get('/api/notifications', async (req, res) => {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const { limit, offset } = parsePagination(req);
+    let q = supabase.from('notifications').select('*', { count: 'exact' }).eq('user_id', user.id).order('created_at', { ascending: false });
+    if (req.query.unread === '1' || req.query.unread === 'true') q = q.is('read_at', null);
+    if (req.query.project_id) q = q.eq('project_id', String(req.query.project_id));
+    if (req.query.type) q = q.eq('type', String(req.query.type));
+    const { data, error, count } = await q.range(offset, offset + limit - 1);
+    if (error) {
+      if (notificationsTableMissing(error)) return res.json({ notifications: [], limit, offset, total: 0, unread: 0 });
+      throw error;
     }
-  });
+    const { count: unread } = await supabase.from('notifications').select('id', { count: 'exact', head: true }).eq('user_id', user.id).is('read_at', null);
+    res.json({ notifications: data || [], limit, offset, total: count ?? 0, unread: unread ?? 0 });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-function safeEmailAttachmentFilename(name) {
-  const base = String(name || 'file')
-    .replace(/[/\\]/g, '_')
-    .replace(/\s+/g, ' ')
-    .trim()
-    .slice(0, 200);
-  return base || 'file';
-}
+/** Badge count only. */
+app.get('/api/notifications/unread-count', async (req, res) => {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const { count, error } = await supabase.from('notifications').select('id', { count: 'exact', head: true }).eq('user_id', user.id).is('read_at', null);
+    if (error && !notificationsTableMissing(error)) throw error;
+    res.json({ unread: count ?? 0 });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Body (optional): { project_id } to only clear one project's notifications. */
+app.post('/api/notifications/read-all', async (req, res) => {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    let q = supabase.from('notifications').update({ read_at: new Date().toISOString() }).eq('user_id', user.id).is('read_at', null);
+    if (req.body?.project_id) q = q.eq('project_id', String(req.body.project_id));
+    const { data, error } = await q.select('id');
+    if (error && !notificationsTableMissing(error)) throw error;
+    res.json({ success: true, updated: (data || []).length });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/notifications/preferences', async (req, res) => {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const { data, error } = await supabase.from('notification_preferences').select('email_mode, last_digest_at').eq('user_id', user.id).maybeSingle();
+    if (error && !notificationsTableMissing(error)) throw error;
+    res.json({ email_mode: data?.email_mode || 'immediate', last_digest_at: data?.last_digest_at || null, email_modes: NOTIFICATION_EMAIL_MODES });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Body: { email_mode: 'immediate' | 'daily_digest' | 'off' } */
+app.put('/api/notifications/preferences', async (req, res) => {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const mode = String(req.body?.email_mode || '').trim();
+    if (!NOTIFICATION_EMAIL_MODES.includes(mode)) return res.status(400).json({ error: `email_mode must be one of: ${NOTIFICATION_EMAIL_MODES.join(', ')}` });
+    const { data, error } = await supabase.from('notification_preferences')
+      .upsert({ user_id: user.id, email_mode: mode, updated_at: new Date().toISOString() }, { onConflict: 'user_id' })
+      .select('email_mode, last_digest_at')
+      .single();
+    if (error) {
+      if (notificationsTableMissing(error)) return res.status(503).json({ error: 'Notification preferences not available. Run migrations/021_chat_mentions_notification_digest.sql.' });
+      throw error;
+    }
+    res.json(data);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/notifications/:notificationId/read', async (req, res) => {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const { data, error } = await supabase.from('notifications').update({ read_at: new Date().toISOString() }).eq('id', req.params.notificationId).eq('user_id', user.id).is('read_at', null).select('id').maybeSingle();
+    if (error && !notificationsTableMissing(error)) throw error;
+    res.json({ success: true, updated: !!data });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Email each daily_digest user their unread, not-yet-emailed notifications in one mail. */
+async function sendNotificationDigests() {
+  if (!emailTransport.configured) return { users: 0, sent: 0, skipped: 'email transport not configured' };
+  const { data: prefs, error } = await supabase.from('notification_preferences').select('user_id').eq('email_mode', 'daily_digest');
+  if (error) {
+    if (notificationsTableMissing(error)) return { users: 0, sent: 0 };
+    throw error;
+  }
+  let sent = 0;
+  for (const p of prefs || []) {
+    try {
+      const { data: rows } = await supabase.from('notifications')
+        .select('id, project_id, title, created_at')
+        .eq('user_id', p.user_id)
+        .is('read_at', null)
+        .is('emailed_at', null)
+        .order('created_at', { ascending: false })
+        .limit(DIGEST_MAX_ITEMS * 10);
+      if (!rows?.length) continue;
+      const { data: cache } = await supabase.from('user_cache').select('email').eq('user_id', p.user_id).maybeSingle();
+      if (!cache?.email) continue;
+      const projectIds = [...new Set(rows.map(r => r.project_id).filter(Boolean))];
+      const { data: projects } = projectIds.length ? await supabase.from('projects').select('id, name').in('id', projectIds) : { data: [] };
+      const digest = buildNotificationDigest(rows, Object.fromEntries((projects || []).map(pr => [pr.id, pr.name])));
+      const out = await sendNotificationEmail({ transport: emailTransport, fromEmail: RESEND_FROM_EMAIL, toEmail: cache.email, ...digest });
+      if (!out.sent) {
+        console.warn('notification digest failed:', p.user_id, out.resendError);
+        continue;
+      }
+      const now = new Date().toISOString();
+      await supabase.from('notifications').update({ emailed_at: now }).in('id', rows.map(r => r.id));
+      await supabase.from('notification_preferences').update({ last_digest_at: now }).eq('user_id', p.user_id);
+      sent++;
+    } catch (e) {
+      console.warn('notification digest failed:', p.user_id, e.message);
+    }
+  }
+  return { users: (prefs || []).length, sent };
+}
+
+app.get('/api/cron/notification-digest', async (req, res) => {
+  try {
+    if (!requireCronSecret(req, res)) return;
+    res.json(await sendNotificationDigests());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// List users for "add member" dropdown. Fetches from Matriya (same users as auth); optional ?projectId= to exclude current members.
+app.get('/api/users', async (req, res) => {
+  try {
+    const user = await getCurrentUser(req);
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    const projectId = req.query.projectId;
+    let excludeUserIds = [];
+    if (projectId) {
+      const { data: rows } = await supabase.from('project_members').select('user_id').eq('project_id', projectId);
+      excludeUserIds = (rows || []).map(r => r.user_id);
+    }
+    let users = [];
+    if (MATRIYA_BACK_URL && req.headers.authorization) {
+      try {
+        const r = await axios.get(`${MATRIYA_BACK_URL}/auth/users`, {
+          headers: { Authorization: req.headers.authorization },
+          timeout: 10000
+        });
+        if (r.data && Array.isArray(r.data.users)) users = r.data.users;
+        for (const u of users) await upsertUserCache(u.user_id, u.username, u.email);
+      } catch (_) { /* fall back to user_cache */ }
+    }
+    if (users.length === 0) {
+      const { data: cache } = await supabase.from('user_cache').select('user_id, username').order('username');
+      users = (cache || []).map(c => ({ user_id: c.user_id, username: c.username }));
+    }
+    if (excludeUserIds.length) users = users.filter(u => !excludeUserIds.includes(u.user_id));
+    res.json({ users });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/projects/:id/members', async (req, res) => {
+  try {
+    const user = await getCurrentUser(req);
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    const { data: myMember } = await supabase.from('project_members').select('role').eq('project_id', req.params.id).eq('user_id', user.id).single();
+    if (!myMember) return res.status(403).json({ error: 'Not a project member' });
+    const { data: rows } = await supabase.from('project_members').select('user_id, role, created_at').eq('project_id', req.params.id);
+    const userIds = [...new Set((rows || []).map(r => r.user_id))];
+    const { data: cache } = await supabase.from('user_cache').select('user_id, username').in('user_id', userIds);
+    const byId = (cache || []).reduce((acc, c) => { acc[c.user_id] = c.username; return acc; }, {});
+    const members = (rows || []).map(r => ({ user_id: r.user_id, username: byId[r.user_id] || String(r.user_id), role: normalizeProjectRole(r.role) || r.role, created_at: r.created_at }));
+    res.json({ members });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/projects/:id/members', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'members.manage');
+    if (!ctx) return;
+    const { user } = ctx;
+    const { username, role } = req.body || {};
+    if (!username || !String(username).trim()) return res.status(400).json({ error: 'username is required' });
+    const memberRole = role != null ? String(role).trim() : DEFAULT_MEMBER_ROLE;
+    if (!isValidProjectRole(memberRole) || memberRole === 'owner') {
+      return res.status(400).json({ error: `Invalid role. Allowed: ${PROJECT_ROLES.filter(r => r !== 'owner').join(', ')}` });
+    }
+    const un = String(username).trim();
+    const { data: cached } = await supabase.from('user_cache').select('user_id').eq('username', un).single();
+    if (!cached) return res.status(404).json({ error: 'User not found. They must log in to the manager at least once.' });
+    const { error: err } = await supabase.from('project_members').insert({ project_id: req.params.id, user_id: cached.user_id, role: memberRole }).select();
+    if (err) {
+      if (err.code === '23505') return res.status(400).json({ error: 'Already a member' });
+      throw err;
+    }
+    auditLog(req.params.id, user.id, user.username, 'member_add', 'project_member', cached.user_id, { username: un, role: memberRole }, req.requestId);
+    res.status(201).json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/projects/:id/members/:userId', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'members.manage');
+    if (!ctx) return;
+    const { user } = ctx;
+    const targetUserId = parseInt(req.params.userId, 10);
+    if (targetUserId === user.id) return res.status(400).json({ error: 'Cannot remove yourself' });
+    const { data: target } = await supabase.from('project_members').select('role').eq('project_id', req.params.id).eq('user_id', targetUserId).single();
+    if (!target) return res.status(404).json({ error: 'Member not found' });
+    if (target.role === 'owner' && leavesProjectWithoutOwner(target.role, null, await countProjectOwners(req.params.id))) {
+      return res.status(400).json({ error: 'Cannot remove the last project owner. Transfer ownership first.' });
+    }
+    const { error } = await supabase.from('project_members').delete().eq('project_id', req.params.id).eq('user_id', targetUserId);
+    if (error) throw error;
+    // Assignments only make sense for members (my/tasks also filters by membership).
+    await supabase.from('task_assignees').delete().eq('project_id', req.params.id).eq('user_id', targetUserId);
+    auditLog(req.params.id, user.id, user.username, 'member_remove', 'project_member', targetUserId, null, req.requestId);
+    if (target.role === 'owner') {
+      auditLog(req.params.id, user.id, user.username, 'owner_remove', 'project_member', targetUserId, { before: { role: 'owner' }, after: { role: null } }, req.requestId);
+    }
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Change a member's role (owner only). role=owner adds a co-owner; an owner can be demoted while another owner remains. */
+app.patch('/api/projects/:id/members/:userId', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'members.manage');
+    if (!ctx) return;
+    const { user } = ctx;
+    const role = req.body && req.body.role != null ? String(req.body.role).trim() : '';
+    if (!isValidProjectRole(role)) {
+      return res.status(400).json({ error: `Invalid role. Allowed: ${PROJECT_ROLES.join(', ')}` });
+    }
+    const targetUserId = parseInt(req.params.userId, 10);
+    if (targetUserId === user.id) return res.status(400).json({ error: 'Cannot change your own role' });
+    const { data: target } = await supabase.from('project_members').select('role').eq('project_id', req.params.id).eq('user_id', targetUserId).single();
+    if (!target) return res.status(404).json({ error: 'Member not found' });
+    const before = normalizeProjectRole(target.role);
+    if (before === 'owner' && leavesProjectWithoutOwner(before, role, await countProjectOwners(req.params.id))) {
+      return res.status(400).json({ error: 'Cannot demote the last project owner. Transfer ownership first.' });
+    }
+    const { error } = await supabase.from('project_members').update({ role }).eq('project_id', req.params.id).eq('user_id', targetUserId);
+    if (error) throw error;
+    auditLog(req.params.id, user.id, user.username, 'member_role_change', 'project_member', targetUserId, { before: { role: before }, after: { role } }, req.requestId);
+    const ownerAction = ownerRoleChangeAction(before, role);
+    if (ownerAction) auditLog(req.params.id, user.id, user.username, ownerAction, 'project_member', targetUserId, { before: { role: before }, after: { role } }, req.requestId);
+    res.json({ success: true, user_id: targetUserId, role });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------- Ownership transfer (owner proposes, new owner confirms) ----------
+function ownershipTransfersTableMissing(err) {
+  const msg = String(err?.message || '');
+  return msg.includes('does not exist') || msg.includes('relation');
+}
+
+app.get('/api/projects/:id/transfer-ownership', async (req, res) => {
+  try {
+    const ctx = await requireProjectMember(req, res, req.params.id);
+    if (!ctx) return;
+    const { data, error } = await supabase.from('project_ownership_transfers').select('*').eq('project_id', req.params.id).eq('status', 'pending').order('created_at', { ascending: false });
+    if (error) {
+      if (ownershipTransfersTableMissing(error)) return res.json({ transfers: [] });
+      throw error;
+    }
+    res.json({ transfers: data || [] });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Body: { username, previous_owner_role? } — previous_owner_role is what the current owner becomes on accept (default editor; 'owner' keeps them as co-owner). */
+app.post('/api/projects/:id/transfer-ownership', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'members.manage');
+    if (!ctx) return;
+    const { user } = ctx;
+    const projectId = req.params.id;
+    const { username, previous_owner_role } = req.body || {};
+    if (!username || !String(username).trim()) return res.status(400).json({ error: 'username is required' });
+    const previousRole = previous_owner_role != null ? String(previous_owner_role).trim() : DEFAULT_MEMBER_ROLE;
+    if (!isValidProjectRole(previousRole)) return res.status(400).json({ error: `Invalid previous_owner_role. Allowed: ${PROJECT_ROLES.join(', ')}` });
+    const un = String(username).trim();
+    const { data: cached } = await supabase.from('user_cache').select('user_id, username').eq('username', un).single();
+    if (!cached) return res.status(404).json({ error: 'User not found. They must log in to the manager at least once.' });
+    if (cached.user_id === user.id) return res.status(400).json({ error: 'Cannot transfer ownership to yourself' });
+    const { data: targetMember } = await supabase.from('project_members').select('role').eq('project_id', projectId).eq('user_id', cached.user_id).maybeSingle();
+    if (targetMember?.role === 'owner') return res.status(400).json({ error: 'User is already a project owner' });
+    const { data: row, error } = await supabase.from('project_ownership_transfers').insert({
+      project_id: projectId,
+      from_user_id: user.id,
+      from_username: user.username || null,
+      to_user_id: cached.user_id,
+      to_username: cached.username,
+      previous_owner_role: previousRole,
+      status: 'pending'
+    }).select().single();
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ error: 'An ownership transfer is already pending for this project' });
+      if (ownershipTransfersTableMissing(error)) {
+        return res.status(503).json({ error: 'Ownership transfer not available. Run migrations/013_project_ownership_transfers.sql.' });
+      }
+      throw error;
+    }
+    auditLog(projectId, user.id, user.username, 'ownership_transfer_request', 'project_ownership_transfer', row.id, { from_user_id: user.id, to_user_id: cached.user_id, to_username: cached.username, previous_owner_role: previousRole }, req.requestId);
+    res.status(201).json(row);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+async function loadPendingOwnershipTransfer(projectId, transferId) {
+  const { data, error } = await supabase.from('project_ownership_transfers').select('*').eq('id', transferId).eq('project_id', projectId).eq('status', 'pending').maybeSingle();
+  if (error && !ownershipTransfersTableMissing(error)) throw error;
+  return data || null;
+}
+
+/** New owner confirms. Only the invited user can accept; the proposer must still be an owner. */
+app.post('/api/projects/:id/transfer-ownership/:transferId/accept', async (req, res) => {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const projectId = req.params.id;
+    const transfer = await loadPendingOwnershipTransfer(projectId, req.params.transferId);
+    if (!transfer) return res.status(404).json({ error: 'Transfer not found' });
+    if (transfer.to_user_id !== user.id) return res.status(403).json({ error: 'Only the new owner can accept this transfer' });
+    const { data: fromMember } = await supabase.from('project_members').select('role').eq('project_id', projectId).eq('user_id', transfer.from_user_id).maybeSingle();
+    if (!fromMember || fromMember.role !== 'owner') {
+      await supabase.from('project_ownership_transfers').update({ status: 'cancelled', responded_at: new Date().toISOString() }).eq('id', transfer.id).eq('status', 'pending');
+      return res.status(409).json({ error: 'The proposing user is no longer a project owner; transfer cancelled' });
+    }
+    // claim before touching roles: a concurrent accept / decline / cancel finds the transfer no longer pending
+    const respondedAt = new Date().toISOString();
+    const { data: claimed, error: claimErr } = await supabase.from('project_ownership_transfers')
+      .update({ status: 'accepted', responded_at: respondedAt })
+      .eq('id', transfer.id)
+      .eq('status', 'pending')
+      .select('id')
+      .maybeSingle();
+    if (claimErr) throw claimErr;
+    if (!claimed) return res.status(409).json({ error: 'Transfer is no longer pending' });
+    let existing;
+    try {
+      await upsertUserCache(user.id, user.username, user.email);
+      ({ data: existing } = await supabase.from('project_members').select('role').eq('project_id', projectId).eq('user_id', user.id).maybeSingle());
+      const { error: memberErr } = existing
+        ? await supabase.from('project_members').update({ role: 'owner' }).eq('project_id', projectId).eq('user_id', user.id)
+        : await supabase.from('project_members').insert({ project_id: projectId, user_id: user.id, role: 'owner' });
+      if (memberErr) throw memberErr;
+    } catch (e) {
+      // nothing changed yet: hand the transfer back so it can be accepted again
+      await supabase.from('project_ownership_transfers').update({ status: 'pending', responded_at: null }).eq('id', transfer.id).eq('status', 'accepted');
+      throw e;
+    }
+    if (transfer.previous_owner_role !== 'owner') {
+      const { error: demoteErr } = await supabase.from('project_members').update({ role: transfer.previous_owner_role }).eq('project_id', projectId).eq('user_id', transfer.from_user_id);
+      if (demoteErr) throw demoteErr;
+    }
+    auditLog(projectId, user.id, user.username, 'ownership_transfer_accept', 'project_ownership_transfer', transfer.id, { from_user_id: transfer.from_user_id, to_user_id: user.id, previous_owner_role: transfer.previous_owner_role }, req.requestId);
+    auditLog(projectId, user.id, user.username, 'owner_add', 'project_member', user.id, { before: { role: normalizeProjectRole(existing?.role) }, after: { role: 'owner' }, transfer_id: transfer.id }, req.requestId);
+    if (transfer.previous_owner_role !== 'owner') {
+      auditLog(projectId, user.id, user.username, 'owner_remove', 'project_member', transfer.from_user_id, { before: { role: 'owner' }, after: { role: transfer.previous_owner_role }, transfer_id: transfer.id }, req.requestId);
+    }
+    res.json({ success: true, status: 'accepted', responded_at: respondedAt });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/projects/:id/transfer-ownership/:transferId/decline', async (req, res) => {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const transfer = await loadPendingOwnershipTransfer(req.params.id, req.params.transferId);
+    if (!transfer) return res.status(404).json({ error: 'Transfer not found' });
+    if (transfer.to_user_id !== user.id) return res.status(403).json({ error: 'Only the invited user can decline this transfer' });
+    const { data: declined, error } = await supabase.from('project_ownership_transfers').update({ status: 'declined', responded_at: new Date().toISOString() })
+      .eq('id', transfer.id).eq('status', 'pending').select('id').maybeSingle();
+    if (error) throw error;
+    if (!declined) return res.status(409).json({ error: 'Transfer is no longer pending' });
+    auditLog(req.params.id, user.id, user.username, 'ownership_transfer_decline', 'project_ownership_transfer', transfer.id, { from_user_id: transfer.from_user_id, to_user_id: user.id }, req.requestId);
+    res.json({ success: true, status: 'declined' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/projects/:id/transfer-ownership/:transferId/cancel', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'members.manage');
+    if (!ctx) return;
+    const transfer = await loadPendingOwnershipTransfer(req.params.id, req.params.transferId);
+    if (!transfer) return res.status(404).json({ error: 'Transfer not found' });
+    const { data: cancelled, error } = await supabase.from('project_ownership_transfers').update({ status: 'cancelled', responded_at: new Date().toISOString() })
+      .eq('id', transfer.id).eq('status', 'pending').select('id').maybeSingle();
+    if (error) throw error;
+    if (!cancelled) return res.status(409).json({ error: 'Transfer is no longer pending' });
+    auditLog(req.params.id, ctx.user.id, ctx.user.username, 'ownership_transfer_cancel', 'project_ownership_transfer', transfer.id, { from_user_id: transfer.from_user_id, to_user_id: transfer.to_user_id }, req.requestId);
+    res.json({ success: true, status: 'cancelled' });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Who owned the project when: owner_add / owner_remove / transfer entries from audit_log (oldest first), plus owners —
+ * the ownership periods replayed from them. ?at=<ISO time> adds owners_at (user ids owning the project then).
+ */
+app.get('/api/projects/:id/ownership-history', async (req, res) => {
+  try {
+    const ctx = await requireProjectMember(req, res, req.params.id);
+    if (!ctx) return;
+    const { data, error } = await supabase.from('audit_log').select('*').eq('project_id', req.params.id).in('action', OWNERSHIP_AUDIT_ACTIONS).order('created_at', { ascending: true });
+    if (error) throw error;
+    const owners = ownershipPeriods(data || []);
+    const at = req.query.at ? new Date(String(req.query.at)) : null;
+    if (at && Number.isNaN(at.getTime())) return res.status(400).json({ error: 'at must be an ISO date/time' });
+    res.json({ history: data || [], owners, ...(at ? { at: at.toISOString(), owners_at: ownersAt(owners, at.toISOString()) } : {}) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------- Project invitations (email + hashed single-use token; accepted after login/signup) ----------
+const INVITATION_PUBLIC_COLUMNS = 'id, project_id, email, role, status, invited_by_user_id, invited_by_username, expires_at, accepted_by_user_id, accepted_at, created_at';
+
+function invitationsTableMissing(err) {
+  const msg = String(err?.message || '');
+  return msg.includes('does not exist') || msg.includes('relation');
+}
+
+app.get('/api/projects/:id/invitations', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'members.manage');
+    if (!ctx) return;
+    const status = req.query.status ? String(req.query.status) : 'pending';
+    let q = supabase.from('project_invitations').select(INVITATION_PUBLIC_COLUMNS).eq('project_id', req.params.id).order('created_at', { ascending: false });
+    if (status !== 'all') q = q.eq('status', status);
+    const { data, error } = await q;
+    if (error) {
+      if (invitationsTableMissing(error)) return res.json({ invitations: [] });
+      throw error;
+    }
+    const now = Date.now();
+    res.json({ invitations: (data || []).map(i => (i.status === 'pending' && isInvitationExpired(i, now) ? { ...i, status: 'expired' } : i)) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Body: { email, role? } — sends the invite through Resend. A new invite for the same email revokes the previous pending one. */
+app.post('/api/projects/:id/invitations', limiterEmail, async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'members.manage');
+    if (!ctx) return;
+    const { user } = ctx;
+    const projectId = req.params.id;
+    if (!emailTransport.configured) {
+      return res.status(503).json({ error: EMAIL_NOT_CONFIGURED });
+    }
+    const parsed = z.object({ email: z.string().email().max(320), role: z.string().optional() }).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'Validation failed', issues: parsed.error.flatten() });
+    const email = parsed.data.email.trim().toLowerCase();
+    const role = parsed.data.role != null ? parsed.data.role.trim() : DEFAULT_MEMBER_ROLE;
+    if (!isValidProjectRole(role) || role === 'owner') {
+      return res.status(400).json({ error: `Invalid role. Allowed: ${PROJECT_ROLES.filter(r => r !== 'owner').join(', ')}` });
+    }
+    const { data: project } = await supabase.from('projects').select('id, name').eq('id', projectId).single();
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    await supabase.from('project_invitations').update({ status: 'revoked' }).eq('project_id', projectId).eq('email', email).eq('status', 'pending');
+    const { token, tokenHash } = createInvitationToken();
+    const expiresAt = new Date(Date.now() + PROJECT_INVITE_TTL_HOURS * 3600 * 1000).toISOString();
+    const { data: row, error } = await supabase.from('project_invitations').insert({
+      project_id: projectId,
+      email,
+      role,
+      token_hash: tokenHash,
+      status: 'pending',
+      invited_by_user_id: user.id,
+      invited_by_username: user.username || null,
+      expires_at: expiresAt
+    }).select(INVITATION_PUBLIC_COLUMNS).single();
+    if (error) {
+      if (invitationsTableMissing(error)) {
+        return res.status(503).json({ error: 'Invitations not available. Run migrations/015_project_invitations.sql.' });
+      }
+      throw error;
+    }
+    const send = await sendProjectInvitationEmail({
+      transport: emailTransport,
+      fromEmail: RESEND_FROM_EMAIL,
+      toEmail: email,
+      projectName: project.name,
+      inviterName: user.username || null,
+      acceptUrl: `${FRONTEND_URL}/invite?token=${encodeURIComponent(token)}`,
+      expiresAt
+    });
+    if (!send.sent) {
+      await supabase.from('project_invitations').update({ status: 'revoked' }).eq('id', row.id);
+      return res.status(502).json({ error: send.resendError || 'Failed to send invitation email' });
+    }
+    auditLog(projectId, user.id, user.username, 'invitation_create', 'project_invitation', row.id, { email, role, expires_at: expiresAt }, req.requestId);
+    res.status(201).json({ invitation: row, email_sent: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/projects/:id/invitations/:invitationId', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.id, 'members.manage');
+    if (!ctx) return;
+    const { data, error } = await supabase.from('project_invitations').update({ status: 'revoked' }).eq('id', req.params.invitationId).eq('project_id', req.params.id).eq('status', 'pending').select('id').maybeSingle();
+    if (error && !invitationsTableMissing(error)) throw error;
+    if (!data) return res.status(404).json({ error: 'Invitation not found' });
+    auditLog(req.params.id, ctx.user.id, ctx.user.username, 'invitation_revoke', 'project_invitation', data.id, null, req.requestId);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Redeem an invitation token for an authenticated user: adds project_members row (or keeps an existing one) and marks the invite used.
+ * @returns {Promise<{ ok: true, project_id: string, role: string, already_member: boolean } | { ok: false, status: number, error: string }>}
+ */
+async function acceptProjectInvitation(user, token, requestId = null) {
+  const { data: inv, error } = await supabase.from('project_invitations').select('*').eq('token_hash', hashInvitationToken(token)).maybeSingle();
+  if (error && !invitationsTableMissing(error)) throw error;
+  if (!inv || inv.status !== 'pending') return { ok: false, status: 404, error: 'Invitation not found or already used' };
+  if (isInvitationExpired(inv)) {
+    await supabase.from('project_invitations').update({ status: 'expired' }).eq('id', inv.id);
+    return { ok: false, status: 410, error: 'Invitation expired' };
+  }
+  const { data: claimed } = await supabase.from('project_invitations')
+    .update({ status: 'accepted', accepted_by_user_id: user.id, accepted_at: new Date().toISOString() })
+    .eq('id', inv.id)
+    .eq('status', 'pending')
+    .select('id')
+    .maybeSingle();
+  if (!claimed) return { ok: false, status: 404, error: 'Invitation not found or already used' };
+  await upsertUserCache(user.id, user.username, user.email);
+  const { data: existing } = await supabase.from('project_members').select('role').eq('project_id', inv.project_id).eq('user_id', user.id).maybeSingle();
+  if (!existing) {
+    const { error: memberErr } = await supabase.from('project_members').insert({ project_id: inv.project_id, user_id: user.id, role: inv.role });
+    if (memberErr && memberErr.code !== '23505') throw memberErr;
+    await supabase.from('project_join_requests').update({ status: 'approved' }).eq('project_id', inv.project_id).eq('user_id', user.id).eq('status', 'pending');
+  }
+  auditLog(inv.project_id, user.id, user.username, 'invitation_accept', 'project_invitation', inv.id, { email: inv.email, role: inv.role, already_member: !!existing }, requestId);
+  if (!existing) auditLog(inv.project_id, user.id, user.username, 'member_add', 'project_member', user.id, { username: user.username, role: inv.role, via: 'invitation' }, requestId);
+  return { ok: true, project_id: inv.project_id, role: normalizeProjectRole(existing?.role) || inv.role, already_member: !!existing };
+}
+
+app.post('/api/invitations/accept', async (req, res) => {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const token = req.body && req.body.token ? String(req.body.token).trim() : '';
+    if (!token) return res.status(400).json({ error: 'token is required' });
+    const out = await acceptProjectInvitation(user, token, req.requestId);
+    if (!out.ok) return res.status(out.status).json({ error: out.error });
+    res.json(out);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------- Project chat (members read; chat.write role to post) ----------
+/** Chat SSE: stream is closed after this many seconds (serverless time limit); EventSource reconnects with Last-Event-ID. */
+const CHAT_STREAM_MAX_SECONDS = Math.max(30, parseInt(String(process.env.CHAT_STREAM_MAX_SECONDS || '280'), 10) || 280);
+const CHAT_STREAM_HEARTBEAT_MS = 20000;
+const CHAT_TYPING_TTL_MS = 6000;
+
+function chatEventFromRow(r) {
+  return { id: Number(r.id), type: r.type, data: r.payload };
+}
+
+const chatEventHub = new ChatEventHub({
+  pollMs: 2000,
+  fetchSince: async (projectId, afterId) => {
+    const { data, error } = await supabase.from('project_chat_events')
+      .select('id, type, payload')
+      .eq('project_id', projectId)
+      .gt('id', afterId)
+      .order('id', { ascending: true })
+      .limit(200);
+    if (error) throw error;
+    return (data || []).map(chatEventFromRow);
+  }
+});
+
+/**
+ * Append to project_chat_events (durable, ordered by id) and push to SSE subscribers on this instance.
+ * Never throws: chat writes must not fail because the stream table is missing.
+ */
+async function appendChatEvent(projectId, type, payload) {
+  try {
+    const { data, error } = await supabase.from('project_chat_events').insert({ project_id: projectId, type, payload }).select('id, type, payload').single();
+    if (error) {
+      if (!String(error.message || '').includes('does not exist') && !String(error.message || '').includes('relation')) {
+        console.warn('chat event insert failed:', error.message);
+      }
+      return null;
+    }
+    const event = chatEventFromRow(data);
+    chatEventHub.publish(projectId, event);
+    return event;
+  } catch (e) {
+    console.warn('appendChatEvent failed:', e.message);
+    return null;
+  }
+}
+
+/**
+ * SSE stream of chat events: `message` (new project_chat_messages row), `message_updated`, `message_deleted`, `reaction`,
+ * `read` (someone's last_read_at moved), `typing`.
+ * EventSource cannot set headers, so ?access_token= is accepted in place of Authorization.
+ * Reconnect with Last-Event-ID (or ?last_event_id=) replays missed message/read events; typing is never replayed.
+ */
+app.get('/api/projects/:id/chat/stream', async (req, res) => {
+  try {
+    if (!req.headers.authorization && req.query.access_token) req.headers.authorization = `Bearer ${String(req.query.access_token)}`;
+    const projectId = req.params.id;
+    const ctx = await requireProjectMember(req, res, projectId);
+    if (!ctx) return;
+    const lastEventId = parseLastEventId(req.headers['last-event-id'], req.query.last_event_id);
+    let afterId = lastEventId;
+    if (afterId == null) {
+      const { data: latest, error } = await supabase.from('project_chat_events').select('id').eq('project_id', projectId).order('id', { ascending: false }).limit(1).maybeSingle();
+      if (error) {
+        if (String(error.message || '').includes('does not exist') || String(error.message || '').includes('relation')) {
+          return res.status(503).json({ error: 'Chat stream not available. Run migrations/019_project_chat_events.sql.' });
+        }
+        throw error;
+      }
+      afterId = latest ? Number(latest.id) : 0;
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+    res.write(formatSseEvent({ type: 'ready', data: { last_event_id: afterId, user_id: ctx.user.id } }));
+
+    let closed = false;
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), CHAT_STREAM_HEARTBEAT_MS);
+    const maxTimer = setTimeout(() => res.end(), CHAT_STREAM_MAX_SECONDS * 1000);
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(maxTimer);
+      unsubscribe();
+    });
+
+    const replay = lastEventId == null ? null : async () => {
+      const { data, error } = await supabase.from('project_chat_events')
+        .select('id, type, payload')
+        .eq('project_id', projectId)
+        .gt('id', lastEventId)
+        .neq('type', 'typing')
+        .order('id', { ascending: true })
+        .limit(1000);
+      if (error) throw error;
+      return (data || []).map(chatEventFromRow);
+    };
+    const unsub = await chatEventHub.subscribe(projectId, afterId, (ev) => {
+      if (!closed) res.write(formatSseEvent(ev));
+    }, replay);
+    if (closed) unsub();
+    else unsubscribe = unsub;
+  } catch (e) {
+    if (res.headersSent) {
+      console.warn('[chat stream]', e.message);
+      return res.end();
+    }
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Body: { typing: boolean } — broadcast to the stream only (not stored as chat history). */
+app.post('/api/projects/:id/chat/typing', async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    const ctx = await requireProjectPermission(req, res, projectId, 'chat.write');
+    if (!ctx) return;
+    const typing = req.body?.typing !== false;
+    await appendChatEvent(projectId, 'typing', { user_id: ctx.user.id, username: ctx.user.username || null, typing, expires_in_ms: CHAT_TYPING_TTL_MS });
+    // Typing rows are only useful for a few seconds; keep the table small.
+    supabase.from('project_chat_events').delete().eq('project_id', projectId).eq('type', 'typing')
+      .lt('created_at', new Date(Date.now() - 3600 * 1000).toISOString())
+      .then(() => {}, () => {});
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/projects/:id/chat/count', async (req, res) => {
+  try {
+    const user = await getCurrentUser(req);
+    const projectId = req.params.id;
+    const { data: project } = await supabase.from('projects').select('*').eq('id', projectId).single();
+    if (!project || project.deleted_at) return res.status(404).json({ error: 'Project not found' });
+    const hasMembers = await projectHasMembers(projectId);
+    const access = hasMembers ? await getProjectAccess(projectId, user?.id, user?.username) : { canAccess: !!user, role: user ? 'owner' : null };
+    if (!access.canAccess) return res.status(403).json({ error: 'Access required' });
+    const { count, error } = await supabase.from('project_chat_messages').select('*', { count: 'exact', head: true }).eq('project_id', projectId).is('deleted_at', null);
+    if (error && !String(error.message || '').includes('does not exist') && !String(error.message || '').includes('relation')) throw error;
+    res.json({ count: typeof count === 'number' ? count : 0 });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Search chat history. Query: q (words and/or "phrases"; every term must match), author (username) or author_id,
+ * from / to (ISO dates, inclusive), limit, offset. Newest first; each hit has snippet + highlight offsets
+ * and can be opened with GET .../chat?around=<id>.
+ */
+app.get('/api/projects/:id/chat/search', async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    const ctx = await requireProjectMember(req, res, projectId);
+    if (!ctx) return;
+    const terms = parseChatSearchQuery(req.query.q);
+    if (!terms.length) return res.status(400).json({ error: `q must contain a word of at least ${CHAT_SEARCH_MIN_TERM} characters` });
+    const { limit, offset } = parsePagination(req);
+    let q = supabase.from('project_chat_messages')
+      .select('id, user_id, username, body, parent_id, created_at, edited_at', { count: 'exact' })
+      .eq('project_id', projectId)
+      .is('deleted_at', null);
+    for (const t of terms) q = q.ilike('body', `%${escapeIlike(t)}%`);
+    if (req.query.author_id) {
+      const authorId = parseInt(String(req.query.author_id), 10);
+      if (!Number.isFinite(authorId)) return res.status(400).json({ error: 'author_id must be a number' });
+      q = q.eq('user_id', authorId);
+    } else if (req.query.author) {
+      q = q.ilike('username', escapeIlike(String(req.query.author).trim()));
+    }
+    for (const [param, op] of [['from', 'gte'], ['to', 'lte']]) {
+      if (!req.query[param]) continue;
+      const raw = String(req.query[param]);
+      const ms = Date.parse(raw);
+      if (Number.isNaN(ms)) return res.status(400).json({ error: `Invalid ${param}` });
+      // date-only "to" covers the whole day
+      const iso = op === 'lte' && /^\d{4}-\d{2}-\d{2}$/.test(raw) ? new Date(ms + 86400 * 1000 - 1).toISOString() : new Date(ms).toISOString();
+      q = q[op]('created_at', iso);
+    }
+    const { data, error, count } = await q.order('created_at', { ascending: false }).range(offset, offset + limit - 1);
+    if (error) {
+      if (String(error.message || '').includes('deleted_at')) {
+        return res.status(503).json({ error: 'Chat search not available. Run migrations/020_chat_threads_reactions.sql.' });
+      }
+      throw error;
+    }
+    const results = (data || []).map(m => {
+      const { snippet, highlights } = buildSearchSnippet(m.body, findHighlights(m.body, terms));
+      const { body, ...message } = m;
+      return { message, snippet, highlights };
+    });
+    res.json({ results, terms, limit, offset, total: count ?? results.length });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/projects/:id/chat', async (req, res) => {
+  try {
+    const user = await getCurrentUser(req);
+    const projectId = req.params.id;
+    const { data: project } = await supabase.from('projects').select('*').eq('id', projectId).single();
+    if (!project || project.deleted_at) return res.status(404).json({ error: 'Project not found' });
+    const hasMembers = await projectHasMembers(projectId);
+    const access = hasMembers ? await getProjectAccess(projectId, user?.id, user?.username) : { canAccess: !!user, role: user ? 'owner' : null };
+    if (!access.canAccess) return res.status(403).json({ error: 'Access required' });
+    const { limit, offset } = parsePagination(req);
+    // ?parent_id= → replies of one thread; ?top_level=1 → thread roots only (with reply_count). Default: every message.
+    const scoped = () => {
+      let q = supabase.from('project_chat_messages').select('*').eq('project_id', projectId);
+      if (req.query.parent_id) q = q.eq('parent_id', String(req.query.parent_id));
+      else if (req.query.top_level === '1' || req.query.top_level === 'true') q = q.is('parent_id', null);
+      return q;
+    };
+    // Cursor mode (jump to a search hit): ?around=<messageId> | ?before=<messageId> | ?after=<messageId>
+    const cursorId = req.query.around || req.query.before || req.query.after;
+    if (cursorId) {
+      const anchor = await loadChatMessage(projectId, String(cursorId));
+      if (!anchor) return res.status(404).json({ error: 'Message not found' });
+      const olderLimit = req.query.around ? Math.floor((limit - 1) / 2) : req.query.before ? limit : 0;
+      const newerLimit = req.query.around ? limit - 1 - olderLimit : req.query.after ? limit : 0;
+      const [older, newer] = await Promise.all([
+        olderLimit ? scoped().lt('created_at', anchor.created_at).order('created_at', { ascending: false }).limit(olderLimit + 1) : { data: [] },
+        newerLimit ? scoped().gt('created_at', anchor.created_at).order('created_at', { ascending: true }).limit(newerLimit + 1) : { data: [] }
+      ]);
+      if (older.error) throw older.error;
+      if (newer.error) throw newer.error;
+      const before = (older.data || []).slice(0, olderLimit).reverse();
+      const after = (newer.data || []).slice(0, newerLimit);
+      const rows = [...before, ...(req.query.around ? [anchor] : []), ...after];
+      return res.json({
+        messages: await decorateChatMessages(projectId, rows, user?.id ?? null),
+        limit,
+        anchor_id: anchor.id,
+        has_more_before: req.query.after ? true : (older.data || []).length > olderLimit,
+        has_more_after: req.query.before ? true : (newer.data || []).length > newerLimit,
+        cursor: { before: rows[0]?.id ?? null, after: rows[rows.length - 1]?.id ?? null }
+      });
+    }
+    const { data, error } = await scoped().order('created_at', { ascending: true }).range(offset, offset + limit - 1);
+    if (error) {
+      if (String(error.message || '').includes('does not exist') || String(error.message || '').includes('relation')) {
+        return res.json({ messages: [], limit, offset });
+      }
+      throw error;
+    }
+    res.json({ messages: await decorateChatMessages(projectId, data || [], user?.id ?? null), limit, offset });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/projects/:id/chat', async (req, res) => {
+  try {
+    const user = await getCurrentUser(req);
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    const projectId = req.params.id;
+    const { data: project } = await supabase.from('projects').select('*').eq('id', projectId).single();
+    if (!project || project.deleted_at) return res.status(404).json({ error: 'Project not found' });
+    const hasMembers = await projectHasMembers(projectId);
+    const access = hasMembers ? await getProjectAccess(projectId, user.id, user.username) : { canAccess: true, role: 'owner' };
+    if (!access.canAccess) return res.status(403).json({ error: 'Access required' });
+    if (!roleHasPermission(access.role, 'chat.write')) return res.status(403).json({ error: 'Insufficient project role', role: access.role, required_permission: 'chat.write' });
+    if (project.archived_at) return res.status(409).json({ error: 'Project is archived (read-only)', state: 'archived' });
+    const body = (req.body && req.body.body) ? String(req.body.body).trim() : '';
+    if (!body) return res.status(400).json({ error: 'body is required' });
+    if (body.length > CHAT_MESSAGE_MAX_LENGTH) return res.status(400).json({ error: `body must be at most ${CHAT_MESSAGE_MAX_LENGTH} characters` });
+    // Threads are one level deep: replying to a reply attaches to that reply's root.
+    let parentId = null;
+    if (req.body && req.body.parent_id) {
+      const { data: parent } = await supabase.from('project_chat_messages').select('id, parent_id, deleted_at').eq('id', String(req.body.parent_id)).eq('project_id', projectId).maybeSingle();
+      if (!parent || parent.deleted_at) return res.status(400).json({ error: 'parent_id must be an existing message in this project' });
+      parentId = parent.parent_id || parent.id;
+    }
+    const attachments = parseChatAttachmentIds(req.body);
+    if (attachments.error) return res.status(400).json({ error: attachments.error });
+    const invalid = await invalidChatAttachmentIds(projectId, attachments);
+    if (invalid.length) return res.status(400).json({ error: 'Attachments must be files or experiments of this project', invalid_ids: invalid });
+    await upsertUserCache(user.id, user.username, user.email);
+    const { data: row, error } = await supabase.from('project_chat_messages').insert({
+      project_id: projectId,
+      user_id: user.id,
+      username: user.username || 'User',
+      body,
+      ...(parentId ? { parent_id: parentId } : {})
+    }).select().single();
+    if (error) {
+      if (String(error.message || '').includes('does not exist') || String(error.message || '').includes('relation')) {
+        return res.status(503).json({ error: 'Chat not available. Run project_chat_messages in supabase_schema.sql.' });
+      }
+      throw error;
+    }
+    const linkRows = [
+      ...attachments.fileIds.map(id => ({ message_id: row.id, project_id: projectId, project_file_id: id })),
+      ...attachments.experimentIds.map(id => ({ message_id: row.id, project_id: projectId, lab_experiment_id: id }))
+    ];
+    if (linkRows.length) {
+      const { error: linkErr } = await supabase.from('project_chat_message_links').insert(linkRows);
+      if (linkErr) {
+        await supabase.from('project_chat_messages').delete().eq('id', row.id);
+        if (String(linkErr.message || '').includes('does not exist') || String(linkErr.message || '').includes('relation')) {
+          return res.status(503).json({ error: 'Chat attachments not available. Run migrations/022_chat_message_links.sql.' });
+        }
+        throw linkErr;
+      }
+    }
+    const auditDetails = { ...(parentId ? { parent_id: parentId } : {}), ...(linkRows.length ? { file_ids: attachments.fileIds, experiment_ids: attachments.experimentIds } : {}) };
+    auditLog(projectId, user.id, user.username, 'create', 'chat_message', row.id, Object.keys(auditDetails).length ? auditDetails : null, req.requestId);
+    const previews = linkRows.length ? (await loadChatAttachmentPreviews([row.id])).get(row.id) || [] : [];
+    await appendChatEvent(projectId, 'message', { ...presentChatMessage(row), attachments: previews });
+    const mentions = await notifyChatMentions(project, user, row);
+    res.status(201).json({ ...presentChatMessage(row), attachments: previews, mentions });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Resolve @username mentions against project members (user_cache) and notify them (type chat_mention).
+ * previousBody (edit) → only users newly mentioned are notified. The author is never notified.
+ * @returns {Promise<{ user_id: number, username: string }[]>} resolved mentions
+ */
+async function notifyChatMentions(project, author, message, previousBody = null) {
+  const before = new Set(extractMentions(previousBody));
+  const names = extractMentions(message.body).filter(n => !before.has(n));
+  if (!names.length) return [];
+  try {
+    const { data: members } = await supabase.from('project_members').select('user_id').eq('project_id', project.id);
+    const memberIds = (members || []).map(m => m.user_id);
+    if (!memberIds.length) return [];
+    const { data: cache } = await supabase.from('user_cache').select('user_id, username').in('user_id', memberIds);
+    const targets = (cache || []).filter(c => c.user_id !== author.id && names.includes(String(c.username || '').toLowerCase()));
+    if (!targets.length) return [];
+    const text = chatMentionNotificationText({ projectName: project.name, authorName: author.username, body: message.body });
+    notifyUsers(targets.map(t => t.user_id), {
+      projectId: project.id,
+      type: 'chat_mention',
+      entityType: 'chat_message',
+      entityId: message.id,
+      data: { message_id: message.id, parent_id: message.parent_id || null, author_username: author.username || null },
+      ...text
+    });
+    return targets.map(t => ({ user_id: t.user_id, username: t.username }));
+  } catch (e) {
+    console.warn('chat mentions failed:', e.message);
+    return [];
+  }
+}
+
+/** Ids (file + experiment) that are not rows of this project. */
+async function invalidChatAttachmentIds(projectId, { fileIds, experimentIds }) {
+  const invalid = [];
+  for (const [table, ids] of [['project_files', fileIds], ['lab_experiments', experimentIds]]) {
+    if (!ids.length) continue;
+    const { data } = await supabase.from(table).select('id').eq('project_id', projectId).in('id', ids);
+    const found = new Set((data || []).map(r => r.id));
+    invalid.push(...ids.filter(id => !found.has(id)));
+  }
+  return invalid;
+}
+
+/** message_id → attachment previews (file name/folder, experiment id/outcome). Missing links table → none. */
+async function loadChatAttachmentPreviews(messageIds) {
+  if (!messageIds.length) return new Map();
+  const { data: links } = await supabase.from('project_chat_message_links').select('message_id, project_file_id, lab_experiment_id').in('message_id', messageIds).order('created_at', { ascending: true });
+  if (!links?.length) return new Map();
+  const fileIds = [...new Set(links.map(l => l.project_file_id).filter(Boolean))];
+  const experimentIds = [...new Set(links.map(l => l.lab_experiment_id).filter(Boolean))];
+  const [{ data: files }, { data: experiments }] = await Promise.all([
+    fileIds.length ? supabase.from('project_files').select('id, original_name, folder_display_name').in('id', fileIds) : { data: [] },
+    experimentIds.length
+      ? supabase.from('lab_experiments').select('id, experiment_id, experiment_version, technology_domain, experiment_outcome').in('id', experimentIds)
+      : { data: [] }
+  ]);
+  return buildAttachmentPreviews(links, new Map((files || []).map(f => [f.id, f])), new Map((experiments || []).map(x => [x.id, x])));
+}
+
+/** Soft-delete mask + reactions + attachments + reply_count for a page of messages. Missing tables → empty lists. */
+async function decorateChatMessages(projectId, rows, currentUserId) {
+  if (!rows.length) return [];
+  const ids = rows.map(r => r.id);
+  const { data: reactions } = await supabase.from('project_chat_reactions').select('message_id, emoji, user_id, username').in('message_id', ids);
+  const byMessage = aggregateReactions(reactions || [], currentUserId);
+  const attachments = await loadChatAttachmentPreviews(ids.filter((id, i) => !rows[i].deleted_at));
+  const replyCounts = new Map();
+  const roots = rows.filter(r => !r.parent_id).map(r => r.id);
+  if (roots.length) {
+    const { data: replies } = await supabase.from('project_chat_messages').select('parent_id').eq('project_id', projectId).in('parent_id', roots).is('deleted_at', null);
+    for (const r of replies || []) replyCounts.set(r.parent_id, (replyCounts.get(r.parent_id) || 0) + 1);
+  }
+  return rows.map(r => ({
+    ...presentChatMessage(r),
+    reactions: byMessage.get(r.id) || [],
+    attachments: attachments.get(r.id) || [],
+    ...(r.parent_id ? {} : { reply_count: replyCounts.get(r.id) || 0 })
+  }));
+}
+
+/** Backlinks: non-deleted chat messages that reference a file (project_file_id) or experiment (lab_experiment_id). */
+async function chatMessagesReferencing(projectId, column, entityId) {
+  const { data: links, error } = await supabase.from('project_chat_message_links').select('message_id').eq('project_id', projectId).eq(column, entityId);
+  if (error) {
+    if (String(error.message || '').includes('does not exist') || String(error.message || '').includes('relation')) return [];
+    throw error;
+  }
+  const ids = [...new Set((links || []).map(l => l.message_id))];
+  if (!ids.length) return [];
+  const { data } = await supabase.from('project_chat_messages')
+    .select('id, user_id, username, body, parent_id, created_at, edited_at')
+    .in('id', ids)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: false });
+  return data || [];
+}
+
+async function loadChatMessage(projectId, messageId) {
+  const { data } = await supabase.from('project_chat_messages').select('*').eq('id', messageId).eq('project_id', projectId).maybeSingle();
+  return data || null;
+}
+
+/** Body: { body } — author only; previous text goes to project_chat_message_edits. */
+app.patch('/api/projects/:id/chat/:messageId', async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    const ctx = await requireProjectPermission(req, res, projectId, 'chat.write');
+    if (!ctx) return;
+    const { user } = ctx;
+    const body = (req.body && req.body.body) ? String(req.body.body).trim() : '';
+    if (!body) return res.status(400).json({ error: 'body is required' });
+    if (body.length > CHAT_MESSAGE_MAX_LENGTH) return res.status(400).json({ error: `body must be at most ${CHAT_MESSAGE_MAX_LENGTH} characters` });
+    const msg = await loadChatMessage(projectId, req.params.messageId);
+    if (!msg || msg.deleted_at) return res.status(404).json({ error: 'Message not found' });
+    if (msg.user_id !== user.id) return res.status(403).json({ error: 'Only the author can edit a message' });
+    if (msg.body === body) return res.json(presentChatMessage(msg));
+    const { error: histErr } = await supabase.from('project_chat_message_edits').insert({
+      message_id: msg.id,
+      project_id: projectId,
+      previous_body: msg.body,
+      edited_by_user_id: user.id,
+      edited_by_username: user.username || null
+    });
+    if (histErr) {
+      if (String(histErr.message || '').includes('does not exist') || String(histErr.message || '').includes('relation')) {
+        return res.status(503).json({ error: 'Chat editing not available. Run migrations/020_chat_threads_reactions.sql.' });
+      }
+      throw histErr;
+    }
+    const { data: row, error } = await supabase.from('project_chat_messages').update({ body, edited_at: new Date().toISOString() }).eq('id', msg.id).select().single();
+    if (error) throw error;
+    auditLog(projectId, user.id, user.username, 'update', 'chat_message', msg.id, { before: { body: msg.body }, after: { body } }, req.requestId);
+    await appendChatEvent(projectId, 'message_updated', presentChatMessage(row));
+    const mentions = await notifyChatMentions(ctx.project, user, row, msg.body);
+    res.json({ ...presentChatMessage(row), mentions });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/projects/:id/chat/:messageId/history', async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    const ctx = await requireProjectMember(req, res, projectId);
+    if (!ctx) return;
+    const msg = await loadChatMessage(projectId, req.params.messageId);
+    if (!msg || msg.deleted_at) return res.status(404).json({ error: 'Message not found' });
+    const { data, error } = await supabase.from('project_chat_message_edits')
+      .select('id, previous_body, edited_by_user_id, edited_by_username, created_at')
+      .eq('message_id', msg.id)
+      .order('created_at', { ascending: true });
+    if (error && !String(error.message || '').includes('does not exist') && !String(error.message || '').includes('relation')) throw error;
+    res.json({ message: presentChatMessage(msg), edits: data || [] });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Soft delete: author or project owner. Body is kept in the DB (audit) but hidden from the API. */
+app.delete('/api/projects/:id/chat/:messageId', async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    const ctx = await requireProjectMember(req, res, projectId);
+    if (!ctx) return;
+    const { user, access, project } = ctx;
+    if (project.archived_at) return res.status(409).json({ error: 'Project is archived (read-only)', state: 'archived' });
+    const msg = await loadChatMessage(projectId, req.params.messageId);
+    if (!msg || msg.deleted_at) return res.status(404).json({ error: 'Message not found' });
+    if (msg.user_id !== user.id && access.role !== 'owner') return res.status(403).json({ error: 'Only the author or a project owner can delete a message' });
+    const { data: row, error } = await supabase.from('project_chat_messages')
+      .update({ deleted_at: new Date().toISOString(), deleted_by_user_id: user.id })
+      .eq('id', msg.id)
+      .select()
+      .single();
+    if (error) {
+      if (String(error.message || '').includes('deleted_at')) {
+        return res.status(503).json({ error: 'Chat deletion not available. Run migrations/020_chat_threads_reactions.sql.' });
+      }
+      throw error;
+    }
+    auditLog(projectId, user.id, user.username, 'delete', 'chat_message', msg.id, { author_user_id: msg.user_id, by_owner: msg.user_id !== user.id }, req.requestId);
+    await appendChatEvent(projectId, 'message_deleted', { id: msg.id, parent_id: msg.parent_id || null, deleted_at: row.deleted_at });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Body: { emoji } — one reaction per user per emoji. */
+app.post('/api/projects/:id/chat/:messageId/reactions', async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    const ctx = await requireProjectPermission(req, res, projectId, 'chat.write');
+    if (!ctx) return;
+    const { user } = ctx;
+    const emoji = normalizeReactionEmoji(req.body?.emoji);
+    if (!emoji) return res.status(400).json({ error: 'emoji must be a single emoji' });
+    const msg = await loadChatMessage(projectId, req.params.messageId);
+    if (!msg || msg.deleted_at) return res.status(404).json({ error: 'Message not found' });
+    const { error } = await supabase.from('project_chat_reactions').insert({
+      message_id: msg.id,
+      project_id: projectId,
+      user_id: user.id,
+      username: user.username || null,
+      emoji
+    });
+    if (error) {
+      if (error.code === '23505') return res.json({ success: true, already: true });
+      if (String(error.message || '').includes('does not exist') || String(error.message || '').includes('relation')) {
+        return res.status(503).json({ error: 'Reactions not available. Run migrations/020_chat_threads_reactions.sql.' });
+      }
+      throw error;
+    }
+    auditLog(projectId, user.id, user.username, 'reaction_add', 'chat_message', msg.id, { emoji }, req.requestId);
+    await appendChatEvent(projectId, 'reaction', { message_id: msg.id, emoji, user_id: user.id, username: user.username || null, added: true });
+    res.status(201).json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Remove own reaction; emoji is URL-encoded in the path. */
+app.delete('/api/projects/:id/chat/:messageId/reactions/:emoji', async (req, res) => {
+  try {
+    const projectId = req.params.id;
+    const ctx = await requireProjectPermission(req, res, projectId, 'chat.write');
+    if (!ctx) return;
+    const { user } = ctx;
+    const emoji = normalizeReactionEmoji(req.params.emoji);
+    if (!emoji) return res.status(400).json({ error: 'emoji must be a single emoji' });
+    const { data, error } = await supabase.from('project_chat_reactions')
+      .delete()
+      .eq('message_id', req.params.messageId)
+      .eq('project_id', projectId)
+      .eq('user_id', user.id)
+      .eq('emoji', emoji)
+      .select('id');
+    if (error && !String(error.message || '').includes('does not exist') && !String(error.message || '').includes('relation')) throw error;
+    if (!data?.length) return res.status(404).json({ error: 'Reaction not found' });
+    auditLog(projectId, user.id, user.username, 'reaction_remove', 'chat_message', req.params.messageId, { emoji }, req.requestId);
+    await appendChatEvent(projectId, 'reaction', { message_id: req.params.messageId, emoji, user_id: user.id, username: user.username || null, added: false });
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Unread = messages with created_at strictly after this user's last_read_at (stored in DB). */
+app.get('/api/projects/:id/chat/unread', async (req, res) => {
+  try {
+    const user = await getCurrentUser(req);
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    const projectId = req.params.id;
+    const { data: project } = await supabase.from('projects').select('*').eq('id', projectId).single();
+    if (!project || project.deleted_at) return res.status(404).json({ error: 'Project not found' });
+    const hasMembers = await projectHasMembers(projectId);
+    const access = hasMembers ? await getProjectAccess(projectId, user.id, user.username) : { canAccess: true, role: 'owner' };
+    if (!access.canAccess) return res.status(403).json({ error: 'Access required' });
+    const { data: readRow, error: readErr } = await supabase
+      .from('project_chat_last_read')
+      .select('last_read_at')
+      .eq('project_id', projectId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+    if (
+      readErr &&
+      !String(readErr.message || '').includes('does not exist') &&
+      !String(readErr.message || '').includes('relation')
+    ) {
+      throw readErr;
+    }
+    const lastRead = readRow?.last_read_at || '1970-01-01T00:00:00.000Z';
+    const { count, error } = await supabase
+      .from('project_chat_messages')
+      .select('*', { count: 'exact', head: true })
+      .eq('project_id', projectId)
+      .is('deleted_at', null)
+      .gt('created_at', lastRead);
+    if (error) {
+      if (String(error.message || '').includes('does not exist') || String(error.message || '').includes('relation')) {
+        return res.json({ unread: 0 });
+      }
+      throw error;
+    }
+    res.json({ unread: typeof count === 'number' ? count : 0 });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Advance last_read_at to at least read_through (ISO) or latest message time — never moves backward. */
+app.post('/api/projects/:id/chat/read', async (req, res) => {
+  try {
+    const user = await getCurrentUser(req);
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    const projectId = req.params.id;
+    const { data: project } = await supabase.from('projects').select('*').eq('id', projectId).single();
+    if (!project || project.deleted_at) return res.status(404).json({ error: 'Project not found' });
+    const hasMembers = await projectHasMembers(projectId);
+    const access = hasMembers ? await getProjectAccess(projectId, user.id, user.username) : { canAccess: true, role: 'owner' };
+    if (!access.canAccess) return res.status(403).json({ error: 'Access required' });
+    let readThrough = (req.body && req.body.read_through) ? String(req.body.read_through).trim() : '';
+    if (!readThrough) {
+      const { data: latest, error: latestErr } = await supabase
+        .from('project_chat_messages')
+        .select('created_at')
+        .eq('project_id', projectId)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      if (
+        latestErr &&
+        !String(latestErr.message || '').includes('does not exist') &&
+        !String(latestErr.message || '').includes('relation')
+      ) {
+        throw latestErr;
+      }
+      readThrough = (latest && latest.created_at) ? latest.created_at : new Date().toISOString();
+    }
+    const throughMs = Date.parse(readThrough);
+    if (Number.isNaN(throughMs)) return res.status(400).json({ error: 'Invalid read_through' });
+    const { data: existing, error: exErr } = await supabase
+      .from('project_chat_last_read')
+      .select('last_read_at')
+      .eq('project_id', projectId)
+      .eq('user_id', user.id)
+      .maybeSingle();
+    if (
+      exErr &&
+      !String(exErr.message || '').includes('does not exist') &&
+      !String(exErr.message || '').includes('relation')
+    ) {
+      throw exErr;
+    }
+    const existingMs = existing?.last_read_at ? Date.parse(existing.last_read_at) : 0;
+    const finalMs = Math.max(existingMs || 0, throughMs);
+    const finalIso = new Date(finalMs).toISOString();
+    const { error: upErr } = await supabase.from('project_chat_last_read').upsert(
+      { project_id: projectId, user_id: user.id, last_read_at: finalIso },
+      { onConflict: 'project_id,user_id' }
+    );
+    if (
+      upErr &&
+      (String(upErr.message || '').includes('does not exist') || String(upErr.message || '').includes('relation'))
+    ) {
+      return res.status(503).json({ error: 'Chat read state not available. Run project_chat_last_read in supabase_schema.sql.' });
+    }
+    if (upErr) throw upErr;
+    if (finalMs > (existingMs || 0)) {
+      await appendChatEvent(projectId, 'read', { user_id: user.id, username: user.username || null, last_read_at: finalIso });
+    }
+    res.json({ last_read_at: finalIso });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------- Project emails (Resend: send + list; inbound webhook to receive) ----------
+const EMAIL_ATTACH_MAX_FILES = 15;
+const EMAIL_ATTACH_MAX_TOTAL_BYTES = 24 * 1024 * 1024; // under Resend ~40MB post-base64 limit
+const EMAIL_INLINE_ATTACH_MAX = 8;
+const EMAIL_INLINE_ONE_MAX_BYTES = 15 * 1024 * 1024;
+
+const emailBodyFields = {
+  text: z.string().max(500000).optional(),
+  html: z.string().max(500000).optional(),
+  attachment_file_ids: z.array(z.string().uuid()).max(EMAIL_ATTACH_MAX_FILES).optional(),
+  inline_attachments: z
+    .array(
+      z.object({
+        filename: z.string().min(1).max(240),
+        content_base64: z.string().min(1).max(Math.ceil(EMAIL_INLINE_ONE_MAX_BYTES * 1.4))
+      })
+    )
+    .max(EMAIL_INLINE_ATTACH_MAX)
+    .optional()
+};
+
+function refineEmailAttachmentCount(data, ctx) {
+  const nProj = data.attachment_file_ids?.length || 0;
+  const nIn = data.inline_attachments?.length || 0;
+  if (nProj + nIn > EMAIL_ATTACH_MAX_FILES) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: `Too many attachments (max ${EMAIL_ATTACH_MAX_FILES} combined).`,
+      path: ['attachment_file_ids']
+    });
+  }
+}
+
+/** template_id → subject / body from project_email_templates (request fields override), rendered with these values. */
+const emailTemplateContextFields = {
+  template_id: z.string().uuid().optional(),
+  variables: z.record(z.union([z.string().max(2000), z.number()])).optional(),
+  experiment_ids: z.array(z.string().min(1).max(200)).max(100).optional(),
+  milestone_ids: z.array(z.string().uuid()).max(50).optional()
+};
+
+const emailSendSchema = z
+  .object({
+    to: z.union([z.string().email(), z.array(z.string().email())]),
+    subject: z.string().min(1).max(998).optional(),
+    ...emailBodyFields,
+    ...emailTemplateContextFields
+  })
+  .superRefine(refineEmailAttachmentCount);
+
+/** Queued send: project file attachments only (inline uploads are not kept in the queue table). */
+const emailScheduleSchema = z.object({
+  to: z.union([z.string().email(), z.array(z.string().email())]),
+  subject: z.string().min(1).max(998).optional(),
+  text: emailBodyFields.text,
+  html: emailBodyFields.html,
+  attachment_file_ids: emailBodyFields.attachment_file_ids,
+  ...emailTemplateContextFields,
+  send_at: z.string().min(1)
+});
+
+const emailTemplateSchema = z.object({
+  name: z.string().trim().min(1).max(EMAIL_TEMPLATE_NAME_MAX),
+  subject: z.string().min(1).max(998),
+  body_text: z.string().max(500000).nullable().optional(),
+  body_html: z.string().max(500000).nullable().optional()
+});
+
+/** Reply to a stored email: recipients, subject and threading headers come from the parent. */
+const emailReplySchema = z
+  .object({
+    reply_all: z.boolean().optional(),
+    ...emailBodyFields
+  })
+  .superRefine(refineEmailAttachmentCount);
+
+function safeEmailAttachmentFilename(name) {
+  const base = String(name || 'file')
+    .replace(/[/\\]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 200);
+  return base || 'file';
+}
 
 function appendInlineAttachmentsForResend(inlineList, resendAttachments, attachmentMeta, totalBytesSoFar) {
   let total = totalBytesSoFar;
@@ -861,334 +2878,2132 @@ function appendInlineAttachmentsForResend(inlineList, resendAttachments, attachm
     if (resendAttachments.length >= EMAIL_ATTACH_MAX_FILES) {
       throw new Error(`Too many attachments (max ${EMAIL_ATTACH_MAX_FILES}).`);
     }
-    const fname = safeEmailAttachmentFilename(item.filename);
-    let buf;
-    try {
-      buf = Buffer.from(item.content_base64, 'base64');
-    } catch {
-      throw new Error(`Invalid encoding for attachment "${fname}".`);
+    const fname = safeEmailAttachmentFilename(item.filename);
+    let buf;
+    try {
+      buf = Buffer.from(item.content_base64, 'base64');
+    } catch {
+      throw new Error(`Invalid encoding for attachment "${fname}".`);
+    }
+    if (!buf.length) throw new Error(`Empty attachment "${fname}".`);
+    if (buf.length > EMAIL_INLINE_ONE_MAX_BYTES) {
+      throw new Error(`Attachment "${fname}" is too large (max 15 MB per file).`);
+    }
+    total += buf.length;
+    if (total > EMAIL_ATTACH_MAX_TOTAL_BYTES) {
+      throw new Error('Attachments exceed maximum total size (24 MB).');
+    }
+    resendAttachments.push({
+      filename: fname,
+      content: buf.toString('base64'),
+      content_type: guessMimeFromFilename(fname)
+    });
+    attachmentMeta.push({ filename: fname, source: 'computer' });
+  }
+  return total;
+}
+const emailAttachImportSchema = z.object({
+  attachment_id: z.string().min(8),
+  destination: z.enum(['project_files', 'lab'])
+});
+
+const EMAIL_THREADING_COLUMNS = ['thread_id', 'message_id', 'in_reply_to', 'reference_ids'];
+
+/** Insert a project_emails row; on a DB without the threading columns (migration 024) retry without them. */
+async function insertProjectEmail(row) {
+  const out = await supabase.from('project_emails').insert(row).select().single();
+  if (out.error && EMAIL_THREADING_COLUMNS.some(c => String(out.error.message || '').includes(c))) {
+    const legacy = { ...row };
+    for (const c of EMAIL_THREADING_COLUMNS) delete legacy[c];
+    return supabase.from('project_emails').insert(legacy).select().single();
+  }
+  return out;
+}
+
+/** Existing thread for an incoming message: In-Reply-To / References match, else the subject fallback. Null → new thread. */
+async function findEmailThreadId(projectId, threading, msg) {
+  try {
+    const ids = threadLookupIds(threading);
+    if (ids.length) {
+      const { data } = await supabase.from('project_emails').select('id, thread_id, message_id').eq('project_id', projectId).in('message_id', ids);
+      for (const id of ids) {
+        const hit = (data || []).find(r => r.message_id === id);
+        if (hit) return hit.thread_id || hit.id;
+      }
+    }
+    const { data: recent } = await supabase.from('project_emails')
+      .select('id, thread_id, subject, from_email, to_emails, created_at')
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: false })
+      .limit(200);
+    return pickThreadBySubject(recent || [], msg);
+  } catch (e) {
+    console.warn('[email-threads] thread lookup failed:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Send via the email transport and store in project_emails (Reply-To = project address, our own Message-ID so replies thread back).
+ * @param {{ to: string[], subject: string, text?: string, html?: string, attachIds?: string[], inlineAtt?: object[], parent?: object }} mail - parent: project_emails row being replied to
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function sendProjectEmail(projectId, user, mail, req) {
+  const { to: toArr, subject, text, html, attachIds, inlineAtt, parent } = mail;
+  const payload = { from: RESEND_FROM_EMAIL, to: toArr, subject };
+  if (text) payload.text = text;
+  if (html) payload.html = html;
+  const replyTo = replyToAddressForProject(projectId);
+  if (replyTo) payload.reply_to = [replyTo];
+  const messageId = generateMessageId(RESEND_REPLY_DOMAIN);
+  const replyHeaders = parent ? buildReplyHeaders(parent) : {};
+  payload.headers = { 'Message-ID': messageId, ...replyHeaders };
+  let attachmentMeta = [];
+  const resendAttachments = [];
+  let bytesUsed = 0;
+  if (attachIds && attachIds.length > 0) {
+    try {
+      const out = await projectFilesToResendAttachments(projectId.trim(), attachIds);
+      attachmentMeta = out.meta;
+      bytesUsed = out.totalBytes || 0;
+      resendAttachments.push(...out.attachments);
+    } catch (e) {
+      return { status: 400, body: { error: e.message || 'Failed to load attachments' } };
+    }
+  }
+  if (inlineAtt && inlineAtt.length > 0) {
+    try {
+      bytesUsed = appendInlineAttachmentsForResend(inlineAtt, resendAttachments, attachmentMeta, bytesUsed);
+    } catch (e) {
+      return { status: 400, body: { error: e.message || 'Invalid attachments' } };
+    }
+  }
+  if (resendAttachments.length) payload.attachments = resendAttachments;
+  const sent = await emailTransport.send(payload);
+  if (!sent.ok) {
+    return { status: sent.status >= 500 ? 502 : 400, body: { error: sent.error || 'Email send failed', ...(sent.details ? { details: sent.details } : {}) } };
+  }
+  const resendId = sent.id || null;
+  const rowId = crypto.randomUUID();
+  const threadId = parent ? parent.thread_id || parent.id : rowId;
+  const { data: row, error: insErr } = await insertProjectEmail({
+    id: rowId,
+    thread_id: threadId,
+    message_id: messageId,
+    in_reply_to: replyHeaders['In-Reply-To'] || null,
+    reference_ids: replyHeaders.References ? replyHeaders.References.split(' ') : [],
+    project_id: projectId,
+    direction: 'sent',
+    from_email: RESEND_FROM_EMAIL,
+    to_emails: toArr,
+    subject,
+    body_text: text || null,
+    body_html: html || null,
+    resend_email_id: resendId,
+    sent_by_user_id: user.id,
+    sent_by_username: user.username || null,
+    attachments: attachmentMeta.length ? attachmentMeta : []
+  });
+  if (insErr) {
+    if (!String(insErr.message || '').includes('does not exist') && !String(insErr.message || '').includes('relation')) {
+      console.error('project_emails insert failed:', insErr);
+    }
+  }
+  auditLog(projectId, user.id, user.username, 'create', 'email_send', resendId, { to: toArr, subject, ...(parent ? { in_reply_to_email_id: parent.id } : {}) }, req.requestId);
+  return { status: 200, body: { success: true, id: resendId, thread_id: threadId, email: row || null } };
+}
+
+// ---------- Webhook authenticity + replay guard ----------
+const recentWebhookEvents = new RecentIdSet(WEBHOOK_REPLAY_TTL_SECONDS);
+let webhookEventsPrunedAt = 0;
+
+/**
+ * Shared secret (?secret= / Bearer, RESEND_INBOUND_WEBHOOK_SECRET) and/or svix signature (RESEND_WEBHOOK_SIGNING_SECRET).
+ * Every configured check must pass. Sends 401 and returns false otherwise; with requireSecret, 503 when neither is set.
+ */
+function verifyResendWebhook(req, res, { requireSecret = false } = {}) {
+  if (requireSecret && !RESEND_INBOUND_WEBHOOK_SECRET && !RESEND_WEBHOOK_SIGNING_SECRET) {
+    res.status(503).json({ error: 'Webhook secret not configured. Set RESEND_WEBHOOK_SIGNING_SECRET or RESEND_INBOUND_WEBHOOK_SECRET.' });
+    return false;
+  }
+  if (RESEND_INBOUND_WEBHOOK_SECRET) {
+    const q = req.query.secret;
+    const auth = req.headers.authorization || '';
+    const bearer = auth.startsWith('Bearer ') ? auth.slice(7) : '';
+    if (q !== RESEND_INBOUND_WEBHOOK_SECRET && bearer !== RESEND_INBOUND_WEBHOOK_SECRET) {
+      res.status(401).json({ error: 'Invalid webhook secret' });
+      return false;
+    }
+  }
+  if (RESEND_WEBHOOK_SIGNING_SECRET) {
+    const sig = verifyWebhookSignature({
+      secret: RESEND_WEBHOOK_SIGNING_SECRET,
+      headers: req.headers,
+      payload: req.rawBody ?? JSON.stringify(req.body || {})
+    });
+    if (!sig.ok) {
+      console.warn('[webhook] signature rejected:', req.originalUrl.split('?')[0], sig.reason);
+      res.status(401).json({ error: 'Invalid webhook signature', reason: sig.reason });
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Record a webhook delivery id (webhookEventId: svix-id / webhook-id). False → already processed (replay / duplicate delivery).
+ * In-process set first, then webhook_events (shared across instances; missing table → in-process only).
+ */
+async function claimWebhookEvent(source, eventId) {
+  if (!recentWebhookEvents.add(`${source}:${eventId}`)) return false;
+  const { error } = await supabase.from('webhook_events').insert({ source, event_id: eventId });
+  if (error) {
+    if (error.code === '23505') return false;
+    if (!String(error.message || '').includes('does not exist') && !String(error.message || '').includes('relation')) {
+      console.warn('[webhook] webhook_events insert failed:', error.message);
+    }
+  }
+  if (Date.now() - webhookEventsPrunedAt > 3600 * 1000) {
+    webhookEventsPrunedAt = Date.now();
+    supabase.from('webhook_events').delete().lt('received_at', new Date(Date.now() - WEBHOOK_REPLAY_TTL_SECONDS * 1000).toISOString())
+      .then(({ error: pruneErr }) => { if (pruneErr && !String(pruneErr.message || '').includes('does not exist')) console.warn('[webhook] prune failed:', pruneErr.message); });
+  }
+  return true;
+}
+
+/** Processing failed → forget the id so the sender's retry is not dropped as a replay. */
+async function releaseWebhookEvent(source, eventId) {
+  recentWebhookEvents.delete(`${source}:${eventId}`);
+  await supabase.from('webhook_events').delete().eq('source', source).eq('event_id', eventId);
+}
+
+/** Project whose alias is one of the recipients at RESEND_REPLY_DOMAIN (first recipient wins), or null. */
+async function resolveProjectIdByAlias(full) {
+  const candidates = inboundAliasCandidates(full, RESEND_REPLY_DOMAIN);
+  if (!candidates.length) return null;
+  const { data, error } = await supabase.from('project_email_aliases').select('alias, project_id').in('alias', candidates);
+  if (error) {
+    if (!isMissingTableError(error)) console.warn('[resend-inbound] alias lookup failed:', error.message);
+    return null;
+  }
+  for (const c of candidates) {
+    const hit = (data || []).find(r => r.alias === c);
+    if (hit) return hit.project_id;
+  }
+  return null;
+}
+
+/** Keep mail that matched no usable project (instead of dropping it); an admin assigns or discards it later. */
+async function quarantineInboundEmail(emailId, full, reason, candidateProjectId) {
+  const { data, error } = await supabase.from('inbound_email_quarantine').upsert({
+    resend_email_id: emailId,
+    reason,
+    candidate_project_id: candidateProjectId || null,
+    from_email: parseEmailOnly(String(full.from || '')) || String(full.from || ''),
+    to_emails: Array.isArray(full.to) ? full.to : [],
+    subject: String(full.subject || ''),
+    payload: full
+  }, { onConflict: 'resend_email_id' }).select('id').single();
+  if (error) {
+    console.warn('[resend-inbound] quarantine insert failed:', error.message);
+    return null;
+  }
+  return data.id;
+}
+
+/**
+ * Store a Resend receiving payload as a received project email (threading, audit, lab auto import).
+ * Used by the inbound webhook and when an admin assigns a quarantined email.
+ * @returns {Promise<{ status: number, body: object }>}
+ */
+async function storeReceivedEmail(projectId, emailId, full, req) {
+  const toList = Array.isArray(full.to) ? full.to : [];
+  const fromEmail = parseEmailOnly(String(full.from || '')) || String(full.from || '');
+  const subject = String(full.subject || '');
+  const bodyText = full.text != null ? String(full.text) : null;
+  const bodyHtml = full.html != null ? String(full.html) : null;
+  const attachments = Array.isArray(full.attachments)
+    ? full.attachments.map(a => {
+      const id = a.id || a.attachment_id || a.attachmentId;
+      return {
+        id,
+        attachment_id: id,
+        filename: a.filename,
+        content_type: a.content_type,
+        content_disposition: a.content_disposition,
+        content_id: a.content_id
+      };
+    })
+    : [];
+
+  const threading = inboundThreadingHeaders(full);
+  const rowId = crypto.randomUUID();
+  const threadId = (await findEmailThreadId(projectId, threading, { subject, from: fromEmail })) || rowId;
+  const insertPayload = {
+    id: rowId,
+    thread_id: threadId,
+    message_id: threading.message_id,
+    in_reply_to: threading.in_reply_to,
+    reference_ids: threading.reference_ids,
+    project_id: projectId,
+    direction: 'received',
+    from_email: fromEmail,
+    to_emails: toList,
+    subject,
+    body_text: bodyText,
+    body_html: bodyHtml,
+    resend_email_id: emailId,
+    sent_by_user_id: null,
+    sent_by_username: null,
+    attachments
+  };
+  const { error: insErr } = await insertProjectEmail(insertPayload);
+  if (insErr) {
+    if (String(insErr.message || '').includes('duplicate') || insErr.code === '23505') {
+      return { status: 200, body: { ok: true, duplicate: true } };
+    }
+    if (String(insErr.message || '').includes('does not exist') || String(insErr.message || '').includes('relation')) {
+      return { status: 503, body: { error: 'project_emails table missing. Run supabase_schema.sql (project_emails).' } };
+    }
+    throw insErr;
+  }
+  auditLog(projectId, null, 'inbound', 'create', 'project_email', emailId, { subject, from: fromEmail, thread_id: threadId }, req.requestId);
+  let autoImport = null;
+  try {
+    autoImport = await queueAutoLabImport(projectId, insertPayload);
+  } catch (e) {
+    console.warn('[resend-inbound] auto import queue failed', { projectId, emailId, error: e.message });
+  }
+  return {
+    status: 201,
+    body: { ok: true, project_id: projectId, email_id: rowId, thread_id: threadId, ...(autoImport ? { auto_import: autoImport } : {}) }
+  };
+}
+
+/**
+ * Resend Inbound: after email.received, fetch full body and store under the matched project —
+ * alias recipient (acrylic-2026@…) first, then the first project UUID that exists (?project_id, recipient, headers,
+ * subject; lib/inboundProjectRouting.js). Mail with no usable project goes to inbound_email_quarantine.
+ */
+app.post('/api/webhooks/resend-inbound', async (req, res) => {
+  const eventId = webhookEventId(req.headers);
+  let claimed = false;
+  try {
+    if (!verifyResendWebhook(req, res)) return;
+    const event = req.body || {};
+    if (event.type !== 'email.received') return res.status(200).json({ ok: true, ignored: true });
+    const emailId = event.data?.email_id;
+    if (!emailId || !emailTransport.inbound || !emailTransport.configured) return res.status(400).json({ error: 'Missing email_id or inbound email transport (RESEND_API_KEY or EMAIL_TRANSPORT=file)' });
+    if (eventId) {
+      if (!(await claimWebhookEvent('resend-inbound', eventId))) {
+        console.info('[resend-inbound] replay dropped', eventId);
+        return res.status(200).json({ ok: true, duplicate: true });
+      }
+      claimed = true;
+    }
+    console.info('[resend-inbound] email.received', emailId, 'project_id query =', req.query.project_id || '(none)');
+
+    const got = await emailTransport.getReceivedEmail(emailId);
+    if (!got.ok) {
+      if (claimed) await releaseWebhookEvent('resend-inbound', eventId);
+      return res.status(502).json({ error: got.error, details: got.details });
+    }
+    const full = got.email || {};
+
+    const toList = Array.isArray(full.to) ? full.to : [];
+    // alias first: a UUID in the headers (Message-IDs are random UUIDs) must never override it
+    const aliasProjectId = await resolveProjectIdByAlias(full);
+    const candidates = aliasProjectId ? [] : inboundProjectIdCandidates(full, req.query);
+    let existingIds = new Set();
+    if (candidates.length) {
+      const { data: found, error: findErr } = await supabase.from('projects').select('id').in('id', candidates.map(c => c.id));
+      if (findErr) throw findErr;
+      existingIds = new Set((found || []).map(p => String(p.id).toLowerCase()));
+    }
+    const route = pickInboundProject(candidates, aliasProjectId, existingIds);
+    if (!route.projectId) {
+      if (route.reason === 'project_not_found') {
+        console.warn('[resend-inbound] quarantined: project_not_found', { projectId: route.candidate, emailId });
+        const quarantineId = await quarantineInboundEmail(emailId, full, 'project_not_found', route.candidate);
+        return res.status(200).json({ ok: true, skipped: 'project_not_found', quarantine_id: quarantineId });
+      }
+      console.warn('[resend-inbound] quarantined: no_project_id', { emailId, to: toList, hint: 'Add a project alias, ?project_id=<uuid> to the webhook URL, or the project UUID in the recipient address' });
+      const quarantineId = await quarantineInboundEmail(emailId, full, 'no_project_match', null);
+      return res.status(200).json({ ok: true, skipped: 'no_project_id_in_recipients', quarantine_id: quarantineId });
+    }
+    const projectId = route.projectId;
+
+    const { data: proj } = await supabase.from('projects').select('*').eq('id', projectId).single();
+    if (!proj) {
+      console.warn('[resend-inbound] quarantined: project_not_found', { projectId, emailId });
+      const quarantineId = await quarantineInboundEmail(emailId, full, 'project_not_found', projectId);
+      return res.status(200).json({ ok: true, skipped: 'project_not_found', quarantine_id: quarantineId });
+    }
+    if (projectLifecycleState(proj) !== 'active') {
+      console.warn('[resend-inbound] quarantined: project_not_active', { projectId, emailId, state: projectLifecycleState(proj) });
+      const quarantineId = await quarantineInboundEmail(emailId, full, 'project_not_active', projectId);
+      return res.status(200).json({ ok: true, skipped: 'project_not_active', quarantine_id: quarantineId });
+    }
+
+    const out = await storeReceivedEmail(projectId, emailId, full, req);
+    if (out.status >= 500 && claimed) await releaseWebhookEvent('resend-inbound', eventId);
+    return res.status(out.status).json(out.body);
+  } catch (e) {
+    if (claimed) await releaseWebhookEvent('resend-inbound', eventId).catch(() => {});
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Resend delivery events (email.sent / delivered / delivery_delayed / opened / clicked / bounced / complained / failed)
+ * → delivery_status + delivery_events on the sent project_emails row. Failures are written to the project audit log.
+ */
+app.post('/api/webhooks/resend-events', async (req, res) => {
+  const eventId = webhookEventId(req.headers);
+  let claimed = false;
+  try {
+    if (!verifyResendWebhook(req, res, { requireSecret: true })) return;
+    const event = req.body || {};
+    const entry = deliveryEventEntry(event);
+    if (!entry) return res.status(200).json({ ok: true, ignored: true });
+    const resendId = event.data?.email_id;
+    if (!resendId) return res.status(400).json({ error: 'Missing data.email_id' });
+    if (eventId) {
+      if (!(await claimWebhookEvent('resend-events', eventId))) return res.status(200).json({ ok: true, duplicate: true });
+      claimed = true;
+    }
+
+    const { data: row, error } = await supabase.from('project_emails')
+      .select('id, project_id, to_emails, subject, delivery_status')
+      .eq('resend_email_id', resendId).eq('direction', 'sent').maybeSingle();
+    if (error) {
+      if (claimed) await releaseWebhookEvent('resend-events', eventId);
+      if (String(error.message || '').includes('delivery_')) return res.status(503).json({ error: 'Delivery columns missing. Run migrations/029_email_delivery_status.sql.' });
+      throw error;
+    }
+    if (!row) {
+      // our insert runs after Resend accepts the send, so a fast event can beat it — ask for a retry while it is fresh
+      if (shouldRetryUnmatchedEvent(event)) {
+        if (claimed) await releaseWebhookEvent('resend-events', eventId);
+        return res.status(409).json({ error: 'Email not stored yet', retry: true });
+      }
+      return res.status(200).json({ ok: true, skipped: 'email_not_found' });
+    }
+
+    // appended in SQL under a row lock: concurrent events for one email must not drop each other's history
+    const { data: result, error: upErr } = await supabase.rpc('append_email_delivery_event', {
+      p_email_id: row.id, p_entry: entry, p_max: DELIVERY_HISTORY_MAX
+    });
+    if (upErr) {
+      if (claimed) await releaseWebhookEvent('resend-events', eventId);
+      if (upErr.code === 'PGRST202' || String(upErr.message || '').includes('append_email_delivery_event')) {
+        return res.status(503).json({ error: 'Delivery event function missing. Run migrations/036_email_delivery_event_append.sql.' });
+      }
+      throw upErr;
+    }
+    if (!result?.changed) return res.status(200).json({ ok: true, duplicate: true });
+    if (isDeliveryFailure(entry.status)) {
+      auditLog(row.project_id, null, 'resend', `email_${entry.status}`, 'project_email', row.id, {
+        to: row.to_emails,
+        subject: row.subject,
+        resend_email_id: resendId,
+        detail: entry.detail || null
+      }, req.requestId);
+    }
+    return res.status(200).json({ ok: true, email_id: row.id, delivery_status: result.delivery_status });
+  } catch (e) {
+    if (claimed) await releaseWebhookEvent('resend-events', eventId).catch(() => {});
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+async function inboundQuarantineAdmin(req, res) {
+  const user = await requireAuth(req, res);
+  if (!user) return null;
+  if (String(user.username || '').trim().toLowerCase() !== 'admin') {
+    res.status(403).json({ error: 'Only admin can manage the inbound quarantine' });
+    return null;
+  }
+  return user;
+}
+
+/** Unrouted inbound mail (admin). ?status=open (default) | resolved | all */
+app.get('/api/inbound-quarantine', async (req, res) => {
+  try {
+    if (!(await inboundQuarantineAdmin(req, res))) return;
+    const { limit, offset } = parsePagination(req);
+    const status = String(req.query.status || 'open').toLowerCase();
+    let q = supabase.from('inbound_email_quarantine')
+      .select('id, resend_email_id, reason, candidate_project_id, from_email, to_emails, subject, received_at, resolved_at, resolution, resolved_project_id', { count: 'exact' })
+      .order('received_at', { ascending: false });
+    if (status === 'open') q = q.is('resolved_at', null);
+    else if (status === 'resolved') q = q.not('resolved_at', 'is', null);
+    const { data, error, count } = await q.range(offset, offset + limit - 1);
+    if (error) {
+      if (isMissingTableError(error)) return res.json({ emails: [], total: 0, limit, offset });
+      throw error;
+    }
+    res.json({ emails: data || [], total: count ?? (data || []).length, limit, offset });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+async function loadOpenQuarantinedEmail(res, id) {
+  const { data, error } = await supabase.from('inbound_email_quarantine').select('*').eq('id', id).maybeSingle();
+  if (error && !isMissingTableError(error)) throw error;
+  if (!data) {
+    res.status(404).json({ error: 'Quarantined email not found' });
+    return null;
+  }
+  if (data.resolved_at) {
+    res.status(409).json({ error: `Already ${data.resolution || 'resolved'}` });
+    return null;
+  }
+  return data;
+}
+
+/** Route a quarantined email into a project (stored exactly as if it had been routed on arrival). Body: { project_id } */
+app.post('/api/inbound-quarantine/:id/assign', async (req, res) => {
+  try {
+    const user = await inboundQuarantineAdmin(req, res);
+    if (!user) return;
+    const projectId = String(req.body?.project_id || '').trim().toLowerCase();
+    if (!UUID_IN_TEXT_RE.test(projectId)) return res.status(400).json({ error: 'project_id required' });
+    const row = await loadOpenQuarantinedEmail(res, req.params.id);
+    if (!row) return;
+    const { data: proj } = await supabase.from('projects').select('*').eq('id', projectId).maybeSingle();
+    if (!proj) return res.status(404).json({ error: 'Project not found' });
+    if (projectLifecycleState(proj) !== 'active') return res.status(409).json({ error: 'Project is not active' });
+
+    const out = await storeReceivedEmail(projectId, row.resend_email_id, row.payload || {}, req);
+    if (out.status >= 300) return res.status(out.status).json(out.body);
+    const { error } = await supabase.from('inbound_email_quarantine').update({
+      resolved_at: new Date().toISOString(),
+      resolution: 'assigned',
+      resolved_project_id: projectId,
+      resolved_by_user_id: user.id
+    }).eq('id', row.id);
+    if (error) throw error;
+    auditLog(projectId, user.id, user.username, 'assign', 'inbound_quarantine', row.id, { resend_email_id: row.resend_email_id, reason: row.reason }, req.requestId);
+    res.status(201).json(out.body);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/inbound-quarantine/:id/discard', async (req, res) => {
+  try {
+    const user = await inboundQuarantineAdmin(req, res);
+    if (!user) return;
+    const row = await loadOpenQuarantinedEmail(res, req.params.id);
+    if (!row) return;
+    const { error } = await supabase.from('inbound_email_quarantine').update({
+      resolved_at: new Date().toISOString(),
+      resolution: 'discarded',
+      resolved_by_user_id: user.id
+    }).eq('id', row.id);
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/projects/:projectId/emails', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.read');
+    if (!ctx) return;
+    const { limit, offset } = parsePagination(req);
+    const dir = (req.query.direction || 'all').toLowerCase();
+    const delivery = String(req.query.delivery || '').toLowerCase();
+    let q = supabase.from('project_emails').select('*', { count: 'exact' }).eq('project_id', projectId).order('created_at', { ascending: false });
+    if (dir === 'sent') q = q.eq('direction', 'sent');
+    else if (dir === 'received') q = q.eq('direction', 'received');
+    if (delivery === 'failed') q = q.in('delivery_status', DELIVERY_FAILURE_STATUSES);
+    else if (delivery) q = q.eq('delivery_status', delivery);
+    const { data, error, count } = await q.range(offset, offset + limit - 1);
+    if (error) {
+      if (String(error.message || '').includes('does not exist') || String(error.message || '').includes('relation')) {
+        return res.json({ emails: [], limit, offset, total: 0 });
+      }
+      throw error;
+    }
+    // failures across the whole mailbox, so the UI can flag them even when they are not on this page
+    const { count: failedCount } = await supabase.from('project_emails').select('id', { count: 'exact', head: true })
+      .eq('project_id', projectId).in('delivery_status', DELIVERY_FAILURE_STATUSES);
+    const emails = (data || []).map(e => ({ ...e, delivery_failed: isDeliveryFailure(e.delivery_status) }));
+    res.json({ emails, limit, offset, total: count ?? 0, delivery_failed_count: failedCount ?? 0 });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------- Email templates + scheduled sends ----------
+/**
+ * Template variable values for a project email: project / sender / today, picked experiments (by experiment_id),
+ * picked milestones (or the open ones), request variables as vars.<key>.
+ * @returns {Promise<{ ok: true, vars: object } | { ok: false, status: number, body: object }>}
+ */
+async function loadEmailTemplateVariables(projectId, project, user, opts) {
+  let experiments = [];
+  if (opts.experiment_ids?.length) {
+    const { data, error } = await supabase.from('lab_experiments').select('experiment_id').eq('project_id', projectId).in('experiment_id', opts.experiment_ids);
+    if (error) throw error;
+    const found = new Set((data || []).map(e => e.experiment_id));
+    const invalid = opts.experiment_ids.filter(id => !found.has(id));
+    if (invalid.length) return { ok: false, status: 400, body: { error: 'Unknown experiment_ids', invalid_ids: invalid } };
+    experiments = opts.experiment_ids.map(id => ({ experiment_id: id }));
+  }
+  let milestoneQuery = supabase.from('milestones').select('id, title, due_date, completed_at').eq('project_id', projectId);
+  milestoneQuery = opts.milestone_ids?.length ? milestoneQuery.in('id', opts.milestone_ids) : milestoneQuery.is('completed_at', null).limit(50);
+  const { data: milestones, error: msErr } = await milestoneQuery;
+  if (msErr) throw msErr;
+  if (opts.milestone_ids?.length) {
+    const found = new Set((milestones || []).map(m => m.id));
+    const invalid = opts.milestone_ids.filter(id => !found.has(id));
+    if (invalid.length) return { ok: false, status: 400, body: { error: 'Unknown milestone_ids', invalid_ids: invalid } };
+  }
+  return {
+    ok: true,
+    vars: buildEmailTemplateVariables({ project, sender: user, experiments, milestones: milestones || [], custom: opts.variables })
+  };
+}
+
+/** Render subject / text / html; unknown {{variables}} → 400 with missing. */
+async function renderProjectEmail(projectId, project, user, content, opts) {
+  const loaded = await loadEmailTemplateVariables(projectId, project, user, opts);
+  if (!loaded.ok) return loaded;
+  const out = renderEmailTemplate(content, loaded.vars);
+  if (out.missing.length) return { ok: false, status: 400, body: { error: 'Unknown template variables', missing: out.missing } };
+  return { ok: true, subject: out.subject, text: out.text, html: out.html };
+}
+
+/**
+ * Content of a send request: free text as-is, or (template_id) the template's subject / body overridden by request fields, rendered.
+ * @returns {Promise<{ ok: true, subject?: string, text?: string|null, html?: string|null, template?: object } | { ok: false, status: number, body: object }>}
+ */
+async function resolveProjectEmailContent(projectId, project, user, data) {
+  if (!data.template_id) return { ok: true, subject: data.subject, text: data.text, html: data.html };
+  const { data: tpl, error } = await supabase.from('project_email_templates').select('*').eq('id', data.template_id).eq('project_id', projectId).maybeSingle();
+  if (error && !isMissingTableError(error)) throw error;
+  if (!tpl) return { ok: false, status: 404, body: { error: 'Email template not found' } };
+  const content = { subject: data.subject || tpl.subject, text: data.text ?? tpl.body_text, html: data.html ?? tpl.body_html };
+  const out = await renderProjectEmail(projectId, project, user, content, data);
+  return out.ok ? { ...out, template: tpl, raw: content } : out;
+}
+
+app.get('/api/projects/:projectId/email-templates', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'emails.read');
+    if (!ctx) return;
+    const { data, error } = await supabase.from('project_email_templates').select('*').eq('project_id', req.params.projectId).order('name');
+    if (error) {
+      if (isMissingTableError(error)) return res.json({ templates: [] });
+      throw error;
+    }
+    res.json({ templates: data || [] });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/projects/:projectId/email-templates', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.send');
+    if (!ctx) return;
+    const parsed = emailTemplateSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'Validation failed', issues: parsed.error.flatten() });
+    if (!parsed.data.body_text && !parsed.data.body_html) return res.status(400).json({ error: 'Template body required (body_text or body_html).' });
+    const { data, error } = await supabase.from('project_email_templates').insert({
+      ...parsed.data,
+      project_id: projectId,
+      created_by_user_id: ctx.user.id
+    }).select().single();
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ error: 'A template with this name already exists' });
+      if (isMissingTableError(error)) return res.status(503).json({ error: 'project_email_templates table missing. Run migrations/028_email_templates_scheduled.sql.' });
+      throw error;
+    }
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'create', 'email_template', data.id, { name: data.name }, req.requestId);
+    res.status(201).json(data);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.patch('/api/projects/:projectId/email-templates/:templateId', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.send');
+    if (!ctx) return;
+    const parsed = emailTemplateSchema.partial().safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'Validation failed', issues: parsed.error.flatten() });
+    const { data: existing } = await supabase.from('project_email_templates').select('*').eq('id', req.params.templateId).eq('project_id', projectId).maybeSingle();
+    if (!existing) return res.status(404).json({ error: 'Email template not found' });
+    const merged = { ...existing, ...parsed.data };
+    if (!merged.body_text && !merged.body_html) return res.status(400).json({ error: 'Template body required (body_text or body_html).' });
+    const { data, error } = await supabase.from('project_email_templates')
+      .update({ ...parsed.data, updated_at: new Date().toISOString() })
+      .eq('id', existing.id).eq('project_id', projectId).select().single();
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ error: 'A template with this name already exists' });
+      throw error;
+    }
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'update', 'email_template', data.id, { name: data.name }, req.requestId);
+    res.json(data);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/projects/:projectId/email-templates/:templateId', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.send');
+    if (!ctx) return;
+    const { data, error } = await supabase.from('project_email_templates').delete().eq('id', req.params.templateId).eq('project_id', projectId).select('id');
+    if (error) throw error;
+    if (!data?.length) return res.status(404).json({ error: 'Email template not found' });
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'delete', 'email_template', req.params.templateId, null, req.requestId);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Rendered subject / body without sending. Body: { variables?, experiment_ids?, milestone_ids? } */
+app.post('/api/projects/:projectId/email-templates/:templateId/preview', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.read');
+    if (!ctx) return;
+    const parsed = z.object(emailTemplateContextFields).safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'Validation failed', issues: parsed.error.flatten() });
+    const out = await resolveProjectEmailContent(projectId, ctx.project, ctx.user, { ...parsed.data, template_id: req.params.templateId });
+    if (!out.ok) return res.status(out.status).json(out.body);
+    res.json({ subject: out.subject, text: out.text, html: out.html });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Queue an email for send_at. Template content is validated now and rendered again at dispatch (fresh milestone dates etc.).
+ * Body: emails/send fields (no inline_attachments) + send_at (ISO).
+ */
+app.post('/api/projects/:projectId/emails/schedule', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.send');
+    if (!ctx) return;
+    const parsed = emailScheduleSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'Validation failed', issues: parsed.error.flatten() });
+    const when = validateSendAt(parsed.data.send_at);
+    if (!when.ok) return res.status(400).json({ error: when.error });
+    const content = await resolveProjectEmailContent(projectId, ctx.project, ctx.user, parsed.data);
+    if (!content.ok) return res.status(content.status).json(content.body);
+    if (!content.subject) return res.status(400).json({ error: 'subject required (or template_id).' });
+    if (!content.text && !content.html) return res.status(400).json({ error: 'Email body required (text or html).' });
+    const templated = !!parsed.data.template_id;
+    const stored = templated ? content.raw : content;
+    const { to } = parsed.data;
+    const { data, error } = await supabase.from('scheduled_project_emails').insert({
+      project_id: projectId,
+      to_emails: Array.isArray(to) ? to : [to],
+      subject: stored.subject,
+      body_text: stored.text || null,
+      body_html: stored.html || null,
+      templated,
+      template_id: parsed.data.template_id || null,
+      variables: parsed.data.variables || {},
+      experiment_ids: parsed.data.experiment_ids || [],
+      milestone_ids: parsed.data.milestone_ids || [],
+      attachment_file_ids: parsed.data.attachment_file_ids || [],
+      send_at: when.sendAt,
+      created_by_user_id: ctx.user.id,
+      created_by_username: ctx.user.username || null
+    }).select().single();
+    if (error) {
+      if (isMissingTableError(error)) return res.status(503).json({ error: 'scheduled_project_emails table missing. Run migrations/028_email_templates_scheduled.sql.' });
+      throw error;
+    }
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'create', 'scheduled_email', data.id, { send_at: data.send_at, subject: content.subject }, req.requestId);
+    res.status(201).json(data);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Query: status (pending | sending | sent | failed | cancelled), limit, offset. Soonest first. */
+app.get('/api/projects/:projectId/emails/scheduled', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.read');
+    if (!ctx) return;
+    const { limit, offset } = parsePagination(req);
+    const status = String(req.query.status || '').toLowerCase();
+    if (status && !SCHEDULED_EMAIL_STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of: ${SCHEDULED_EMAIL_STATUSES.join(', ')}` });
+    let q = supabase.from('scheduled_project_emails').select('*', { count: 'exact' }).eq('project_id', projectId).order('send_at', { ascending: true });
+    if (status) q = q.eq('status', status);
+    const { data, error, count } = await q.range(offset, offset + limit - 1);
+    if (error) {
+      if (isMissingTableError(error)) return res.json({ scheduled: [], limit, offset, total: 0 });
+      throw error;
+    }
+    res.json({ scheduled: data || [], limit, offset, total: count ?? 0 });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Change send_at (status must still be pending). Body: { send_at } */
+app.patch('/api/projects/:projectId/emails/scheduled/:scheduledId', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.send');
+    if (!ctx) return;
+    const when = validateSendAt(req.body?.send_at);
+    if (!when.ok) return res.status(400).json({ error: when.error });
+    const { data, error } = await supabase.from('scheduled_project_emails')
+      .update({ send_at: when.sendAt, attempts: 0, last_error: null, updated_at: new Date().toISOString() })
+      .eq('id', req.params.scheduledId).eq('project_id', projectId).eq('status', 'pending')
+      .select();
+    if (error) throw error;
+    if (!data?.length) return scheduledEmailNotPending(res, projectId, req.params.scheduledId);
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'update', 'scheduled_email', data[0].id, { send_at: when.sendAt }, req.requestId);
+    res.json(data[0]);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/projects/:projectId/emails/scheduled/:scheduledId/cancel', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.send');
+    if (!ctx) return;
+    const now = new Date().toISOString();
+    const { data, error } = await supabase.from('scheduled_project_emails')
+      .update({ status: 'cancelled', cancelled_at: now, updated_at: now })
+      .eq('id', req.params.scheduledId).eq('project_id', projectId).eq('status', 'pending')
+      .select();
+    if (error) throw error;
+    if (!data?.length) return scheduledEmailNotPending(res, projectId, req.params.scheduledId);
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'cancel', 'scheduled_email', data[0].id, null, req.requestId);
+    res.json(data[0]);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** 404 when the row does not exist, else 409 (already sending / sent / failed / cancelled). */
+async function scheduledEmailNotPending(res, projectId, scheduledId) {
+  const { data } = await supabase.from('scheduled_project_emails').select('status').eq('id', scheduledId).eq('project_id', projectId).maybeSingle();
+  if (!data) return res.status(404).json({ error: 'Scheduled email not found' });
+  return res.status(409).json({ error: `Scheduled email is ${data.status}`, status: data.status });
+}
+
+/** A dispatch that crashed between claim and result leaves the row in sending; after this long it is failed (never re-sent blindly). */
+const SCHEDULED_EMAIL_STALE_SENDING_MS = 15 * 60 * 1000;
+
+/** One queued email → Resend (via sendProjectEmail, as its creator). Result feeds scheduledDispatchUpdate. */
+async function dispatchScheduledEmail(row, req) {
+  const { data: project } = await supabase.from('projects').select('*').eq('id', row.project_id).maybeSingle();
+  if (!project || projectLifecycleState(project) !== 'active') return { ok: false, permanent: true, error: 'Project is not active' };
+  const user = { id: row.created_by_user_id, username: row.created_by_username };
+  // the creator may have been removed or demoted since scheduling; the owners hear about it instead
+  const access = await getProjectAccess(row.project_id, user.id, user.username);
+  if (!access.canAccess || !roleHasPermission(access.role, 'emails.send')) {
+    return { ok: false, permanent: true, senderRevoked: true, error: 'Creator no longer has emails.send in this project' };
+  }
+  let content = { subject: row.subject, text: row.body_text, html: row.body_html };
+  if (row.templated) {
+    const out = await renderProjectEmail(row.project_id, project, user, content, {
+      variables: row.variables,
+      experiment_ids: row.experiment_ids,
+      milestone_ids: row.milestone_ids
+    });
+    if (!out.ok) return { ok: false, permanent: true, error: [out.body.error, ...(out.body.missing || out.body.invalid_ids || [])].join(': ') };
+    content = out;
+  }
+  try {
+    const sent = await sendProjectEmail(row.project_id, user, {
+      to: row.to_emails,
+      subject: content.subject,
+      text: content.text,
+      html: content.html,
+      attachIds: row.attachment_file_ids
+    }, req);
+    if (sent.status >= 300) return { ok: false, permanent: sent.status < 500, error: sent.body.error || `HTTP ${sent.status}` };
+    return { ok: true, resendId: sent.body.id, emailId: sent.body.email?.id || null };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
+
+/** Send due scheduled emails (pending, send_at ≤ now). Each row is claimed pending → sending first, so overlapping runs never double-send. */
+async function dispatchScheduledEmails(req, limit = 25) {
+  if (!emailTransport.configured) return { due: 0, sent: 0, retried: 0, failed: 0, skipped: 'email transport not configured' };
+  const now = Date.now();
+  const stale = await supabase.from('scheduled_project_emails')
+    .update({ status: 'failed', last_error: 'Dispatch interrupted', updated_at: new Date(now).toISOString() })
+    .eq('status', 'sending').lt('updated_at', new Date(now - SCHEDULED_EMAIL_STALE_SENDING_MS).toISOString());
+  if (stale.error && isMissingTableError(stale.error)) return { due: 0, sent: 0, retried: 0, failed: 0 };
+  const { data: due, error } = await supabase.from('scheduled_project_emails').select('*')
+    .eq('status', 'pending').lte('send_at', new Date(now).toISOString())
+    .order('send_at', { ascending: true }).limit(limit);
+  if (error) throw error;
+  const summary = { due: (due || []).length, sent: 0, retried: 0, failed: 0 };
+  for (const row of due || []) {
+    const { data: claimed } = await supabase.from('scheduled_project_emails')
+      .update({ status: 'sending', updated_at: new Date().toISOString() })
+      .eq('id', row.id).eq('status', 'pending').select('id');
+    if (!claimed?.length) continue;
+    const result = await dispatchScheduledEmail(row, req);
+    const update = scheduledDispatchUpdate(row, result);
+    const { error: upErr } = await supabase.from('scheduled_project_emails').update(update).eq('id', row.id);
+    if (upErr) console.warn('[scheduled-emails] status update failed', row.id, upErr.message);
+    if (update.status === 'sent') summary.sent++;
+    else if (update.status === 'pending') summary.retried++;
+    else {
+      summary.failed++;
+      const { data: project } = await supabase.from('projects').select('name').eq('id', row.project_id).maybeSingle();
+      const recipients = result.senderRevoked ? await projectOwnerIds(row.project_id) : [row.created_by_user_id];
+      notifyUsers(recipients, {
+        projectId: row.project_id,
+        type: 'scheduled_email_failed',
+        entityType: 'scheduled_email',
+        entityId: row.id,
+        ...scheduledEmailFailedNotificationText({ projectName: project?.name, subject: row.subject, error: update.last_error })
+      });
+    }
+  }
+  return summary;
+}
+
+app.get('/api/cron/scheduled-emails', async (req, res) => {
+  try {
+    if (!requireCronSecret(req, res)) return;
+    res.json(await dispatchScheduledEmails(req));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Conversations, most recent activity first (project_email_threads view). Query: limit, offset. */
+app.get('/api/projects/:projectId/emails/threads', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.read');
+    if (!ctx) return;
+    const { limit, offset } = parsePagination(req);
+    const { data: threads, error, count } = await supabase.from('project_email_threads')
+      .select('thread_id, last_message_at', { count: 'exact' })
+      .eq('project_id', projectId)
+      .order('last_message_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) {
+      if (String(error.message || '').includes('does not exist') || String(error.message || '').includes('relation')) {
+        return res.status(503).json({ error: 'Email threads not available. Run migrations/024_project_email_threads.sql.' });
+      }
+      throw error;
+    }
+    const ids = (threads || []).map(t => t.thread_id);
+    const { data: emails, error: mErr } = ids.length
+      ? await supabase.from('project_emails')
+        .select('id, thread_id, direction, from_email, to_emails, subject, body_text, attachments, created_at')
+        .eq('project_id', projectId)
+        .in('thread_id', ids)
+      : { data: [] };
+    if (mErr) throw mErr;
+    const byThread = new Map(ids.map(id => [id, []]));
+    for (const e of emails || []) byThread.get(e.thread_id)?.push(e);
+    res.json({ threads: ids.map(id => summarizeThread(byThread.get(id))), limit, offset, total: count ?? 0 });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** One conversation, oldest first (full rows). */
+app.get('/api/projects/:projectId/emails/threads/:threadId', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.read');
+    if (!ctx) return;
+    const { data, error } = await supabase.from('project_emails')
+      .select('*')
+      .eq('project_id', projectId)
+      .eq('thread_id', req.params.threadId)
+      .order('created_at', { ascending: true });
+    if (error) {
+      if (String(error.message || '').includes('thread_id')) {
+        return res.status(503).json({ error: 'Email threads not available. Run migrations/024_project_email_threads.sql.' });
+      }
+      throw error;
+    }
+    if (!data?.length) return res.status(404).json({ error: 'Thread not found' });
+    res.json({ thread: summarizeThread(data), emails: data });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/projects/:projectId/emails/:emailId', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.read');
+    if (!ctx) return;
+    const { data, error } = await supabase.from('project_emails').select('*').eq('id', req.params.emailId).eq('project_id', projectId).single();
+    if (error || !data) return res.status(404).json({ error: 'Email not found' });
+    res.json(data);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+function projectAliasAddress(alias) {
+  return RESEND_REPLY_DOMAIN && !RESEND_REPLY_DOMAIN.includes('resend.dev') ? `${alias}@${RESEND_REPLY_DOMAIN}` : null;
+}
+
+async function listProjectAliases(projectId) {
+  const { data, error } = await supabase.from('project_email_aliases').select('alias, created_at, created_by_user_id')
+    .eq('project_id', projectId).order('created_at', { ascending: true });
+  if (error) {
+    if (isMissingTableError(error)) return [];
+    throw error;
+  }
+  return (data || []).map(a => ({ ...a, address: projectAliasAddress(a.alias) }));
+}
+
+/** Alias owned by any project (aliases are global: one inbound address → one project). */
+async function findAliasOwner(alias) {
+  const { data } = await supabase.from('project_email_aliases').select('project_id').eq('alias', alias).maybeSingle();
+  return data?.project_id || null;
+}
+
+app.get('/api/projects/:projectId/email-aliases', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'emails.read');
+    if (!ctx) return;
+    res.json({ aliases: await listProjectAliases(req.params.projectId), max: PROJECT_ALIASES_MAX });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Body: { alias } – e.g. "acrylic-2026" (a full address is accepted; only the local part is kept). */
+app.post('/api/projects/:projectId/email-aliases', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'project.update');
+    if (!ctx) return;
+    const norm = normalizeProjectAlias(req.body?.alias);
+    if (!norm.ok) return res.status(400).json({ error: norm.error });
+    const existing = await listProjectAliases(projectId);
+    if (existing.length >= PROJECT_ALIASES_MAX) return res.status(400).json({ error: `At most ${PROJECT_ALIASES_MAX} aliases per project` });
+    if (await findAliasOwner(norm.alias)) return res.status(409).json({ error: 'Alias already in use' });
+    const { data, error } = await supabase.from('project_email_aliases')
+      .insert({ alias: norm.alias, project_id: projectId, created_by_user_id: ctx.user.id })
+      .select('alias, created_at, created_by_user_id').single();
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ error: 'Alias already in use' });
+      if (isMissingTableError(error)) return res.status(503).json({ error: 'project_email_aliases table missing. Run migrations/027_inbound_aliases_quarantine.sql.' });
+      throw error;
+    }
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'create', 'project_email_alias', norm.alias, null, req.requestId);
+    res.status(201).json({ ...data, address: projectAliasAddress(data.alias) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Rename an alias. Body: { alias } */
+app.patch('/api/projects/:projectId/email-aliases/:alias', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'project.update');
+    if (!ctx) return;
+    const current = String(req.params.alias || '').toLowerCase();
+    if ((await findAliasOwner(current)) !== projectId) return res.status(404).json({ error: 'Alias not found' });
+    const norm = normalizeProjectAlias(req.body?.alias);
+    if (!norm.ok) return res.status(400).json({ error: norm.error });
+    if (norm.alias !== current && (await findAliasOwner(norm.alias))) return res.status(409).json({ error: 'Alias already in use' });
+    const { data, error } = await supabase.from('project_email_aliases').update({ alias: norm.alias })
+      .eq('alias', current).eq('project_id', projectId)
+      .select('alias, created_at, created_by_user_id').single();
+    if (error) {
+      if (error.code === '23505') return res.status(409).json({ error: 'Alias already in use' });
+      throw error;
+    }
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'update', 'project_email_alias', norm.alias, { previous: current }, req.requestId);
+    res.json({ ...data, address: projectAliasAddress(data.alias) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/projects/:projectId/email-aliases/:alias', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'project.update');
+    if (!ctx) return;
+    const alias = String(req.params.alias || '').toLowerCase();
+    const { data, error } = await supabase.from('project_email_aliases').delete().eq('alias', alias).eq('project_id', projectId).select('alias');
+    if (error) throw error;
+    if (!data?.length) return res.status(404).json({ error: 'Alias not found' });
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'delete', 'project_email_alias', alias, null, req.requestId);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Help frontend show correct Resend Inbound + Reply-To (no secrets). */
+app.get('/api/projects/:projectId/emails/inbound-config', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.read');
+    if (!ctx) return;
+    const replyTo = replyToAddressForProject(projectId);
+    const aliases = await listProjectAliases(projectId);
+    const host = PUBLIC_API_BASE || '(set PUBLIC_API_BASE_URL to your public API, e.g. https://api.example.com)';
+    const webhookTemplate = `${host}/api/webhooks/resend-inbound?secret=YOUR_SECRET&project_id=${projectId}`;
+    res.json({
+      project_id: projectId,
+      reply_to_address: replyTo,
+      alias_addresses: aliases.map(a => a.address).filter(Boolean),
+      reply_domain: RESEND_REPLY_DOMAIN || null,
+      webhook_url_template: webhookTemplate,
+      events_webhook_url: `${host}/api/webhooks/resend-events`,
+      secret_configured: !!RESEND_INBOUND_WEBHOOK_SECRET,
+      signing_secret_configured: !!RESEND_WEBHOOK_SIGNING_SECRET,
+      email_transport: emailTransport.name,
+      email_transport_configured: emailTransport.configured,
+      inbound_supported: emailTransport.inbound
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/projects/:projectId/emails/send', limiterEmail, async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.send');
+    if (!ctx) return;
+    if (!emailTransport.configured) {
+      return res.status(503).json({ error: EMAIL_NOT_CONFIGURED });
+    }
+    const parsed = emailSendSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'Validation failed', issues: parsed.error.flatten() });
+    const { to, attachment_file_ids: attachIds, inline_attachments: inlineAtt } = parsed.data;
+    const content = await resolveProjectEmailContent(projectId, ctx.project, ctx.user, parsed.data);
+    if (!content.ok) return res.status(content.status).json(content.body);
+    const { subject, text, html } = content;
+    if (!subject) return res.status(400).json({ error: 'subject required (or template_id).' });
+    if (!text && !html) return res.status(400).json({ error: 'Email body required (text or html).' });
+    const toArr = Array.isArray(to) ? to : [to];
+    const out = await sendProjectEmail(projectId, ctx.user, { to: toArr, subject, text, html, attachIds, inlineAtt }, req);
+    res.status(out.status).json(out.body);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Reply in thread: In-Reply-To / References from the stored email, Re: subject, recipients = the other side (reply_all adds the rest). */
+app.post('/api/projects/:projectId/emails/:emailId/reply', limiterEmail, async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'emails.send');
+    if (!ctx) return;
+    if (!emailTransport.configured) {
+      return res.status(503).json({ error: EMAIL_NOT_CONFIGURED });
+    }
+    const parsed = emailReplySchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'Validation failed', issues: parsed.error.flatten() });
+    const { reply_all: replyAll, text, html, attachment_file_ids: attachIds, inline_attachments: inlineAtt } = parsed.data;
+    if (!text && !html) return res.status(400).json({ error: 'Email body required (text or html).' });
+    const { data: parent } = await supabase.from('project_emails').select('*').eq('id', req.params.emailId).eq('project_id', projectId).maybeSingle();
+    if (!parent) return res.status(404).json({ error: 'Email not found' });
+    const to = replyRecipients(parent, {
+      replyAll: !!replyAll,
+      ownAddresses: [RESEND_FROM_EMAIL, replyToAddressForProject(projectId)],
+      parseEmail: parseEmailOnly
+    });
+    if (!to.length) return res.status(400).json({ error: 'No recipient to reply to' });
+    const out = await sendProjectEmail(projectId, ctx.user, { to, subject: replySubject(parent.subject), text, html, attachIds, inlineAtt, parent }, req);
+    res.status(out.status).json(out.body);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------- Tasks ----------
+const TASK_ASSIGNEES_MISSING = 'Task assignees / comments not available. Run migrations/030_task_assignees_comments.sql.';
+
+/** task_id → assignees (empty when migrations/030 is not applied). */
+async function loadTaskAssignees(taskIds) {
+  if (!taskIds.length) return new Map();
+  const { data, error } = await supabase.from('task_assignees').select('task_id, user_id, username, created_at').in('task_id', taskIds).order('created_at', { ascending: true });
+  if (error && !isMissingTableError(error)) throw error;
+  return groupAssignees(data || []);
+}
+
+/** task_id → number of visible comments. */
+async function loadTaskCommentCounts(taskIds) {
+  const out = new Map();
+  if (!taskIds.length) return out;
+  const { data, error } = await supabase.from('task_comments').select('task_id').in('task_id', taskIds).is('deleted_at', null);
+  if (error && !isMissingTableError(error)) throw error;
+  for (const r of data || []) out.set(r.task_id, (out.get(r.task_id) || 0) + 1);
+  return out;
+}
+
+/** task_id → number of subtasks. */
+async function loadSubtaskCounts(taskIds) {
+  const out = new Map();
+  if (!taskIds.length) return out;
+  const { data, error } = await supabase.from('tasks').select('parent_task_id').in('parent_task_id', taskIds);
+  if (error && !isMissingTableError(error)) throw error;
+  for (const r of data || []) out.set(r.parent_task_id, (out.get(r.parent_task_id) || 0) + 1);
+  return out;
+}
+
+/** Task rows as returned by the API: + assignees, comment_count, subtask_count. */
+async function decorateTasks(tasks) {
+  const ids = tasks.map(t => t.id);
+  const [assignees, comments, subtasks] = await Promise.all([loadTaskAssignees(ids), loadTaskCommentCounts(ids), loadSubtaskCounts(ids)]);
+  return tasks.map(t => ({ ...t, assignees: assignees.get(t.id) || [], comment_count: comments.get(t.id) || 0, subtask_count: subtasks.get(t.id) || 0 }));
+}
+
+const TASK_DEPENDENCIES_MISSING = 'Subtasks / task dependencies not available. Run migrations/032_task_dependencies.sql.';
+
+/** Dependency rows of a project ([] before migrations/032). */
+async function loadTaskDependencies(projectId) {
+  return selectAllRows('task_dependencies', q => q.eq('project_id', projectId));
+}
+
+/** Edges for cycle checks: dependencies + subtask → parent. */
+async function loadTaskGraphEdges(projectId) {
+  const [deps, tasks] = await Promise.all([
+    loadTaskDependencies(projectId),
+    selectAllRows('tasks', q => q.eq('project_id', projectId).not('parent_task_id', 'is', null))
+  ]);
+  return [...deps.map(d => [d.predecessor_id, d.successor_id]), ...subtaskEdges(tasks)];
+}
+
+/** Predecessor tasks (id, title, status, due_date) of a task. */
+async function loadTaskPredecessors(task) {
+  const { data: deps, error } = await supabase.from('task_dependencies').select('predecessor_id').eq('successor_id', task.id);
+  if (error) {
+    if (isMissingTableError(error)) return [];
+    throw error;
+  }
+  const ids = (deps || []).map(d => d.predecessor_id);
+  if (!ids.length) return [];
+  const { data } = await supabase.from('tasks').select('id, title, status, due_date').in('id', ids);
+  return data || [];
+}
+
+/**
+ * parent_task_id from a request → validated parent id (null = top level), or sends 400 and returns undefined.
+ * Subtasks are one level deep: the parent must be a top-level task of the project, and a task with subtasks cannot become one.
+ */
+async function validTaskParentId(res, projectId, parentId, task = null) {
+  if (parentId === null) return null;
+  if (task && parentId === task.id) {
+    res.status(400).json({ error: 'A task cannot be its own parent' });
+    return undefined;
+  }
+  const parent = await loadProjectTask(projectId, parentId);
+  if (!parent) {
+    res.status(400).json({ error: 'parent_task_id must be a task of this project' });
+    return undefined;
+  }
+  if (parent.parent_task_id) {
+    res.status(400).json({ error: 'Subtasks are one level deep: the parent is itself a subtask' });
+    return undefined;
+  }
+  if (task) {
+    const { count } = await supabase.from('tasks').select('id', { count: 'exact', head: true }).eq('parent_task_id', task.id);
+    if (count) {
+      res.status(400).json({ error: 'A task with subtasks cannot become a subtask' });
+      return undefined;
+    }
+    const cycle = findDependencyCycle(await loadTaskGraphEdges(projectId), task.id, parentId);
+    if (cycle) {
+      res.status(409).json({ error: 'Parent would create a dependency cycle', cycle });
+      return undefined;
+    }
+  }
+  return parentId;
+}
+
+/** Insert / update a task row; before migrations/032 (no completed_at column) the write is retried without completed_at. */
+async function writeTaskRow(write, row) {
+  const out = await write(row);
+  if (out.error && 'completed_at' in row && String(out.error.message || '').includes('completed_at')) {
+    const { completed_at: _completedAt, ...rest } = row;
+    return write(rest);
+  }
+  return out;
+}
+
+/** completed_at for a status change: set when entering a done status, cleared when leaving one. undefined = unchanged. */
+function taskCompletedAtUpdate(workflow, fromStatus, toStatus) {
+  const wasDone = fromStatus != null && taskStatusCategory(workflow, fromStatus) === 'done';
+  const isDone = taskStatusCategory(workflow, toStatus) === 'done';
+  if (isDone && !wasDone) return new Date().toISOString();
+  if (!isDone && wasDone) return null;
+  return undefined;
+}
+
+const TASK_MILESTONES_MISSING = 'Task milestones not available. Run migrations/033_task_milestones.sql.';
+
+/** milestone_id from a request → validated id (null = none), or sends 400 and returns undefined. */
+async function validTaskMilestoneId(res, projectId, milestoneId) {
+  if (milestoneId === null) return null;
+  const { data } = await supabase.from('milestones').select('id').eq('id', milestoneId).eq('project_id', projectId).maybeSingle();
+  if (!data) {
+    res.status(400).json({ error: 'milestone_id must be a milestone of this project' });
+    return undefined;
+  }
+  return milestoneId;
+}
+
+/** milestone_id → linked tasks (empty before migrations/033). */
+async function loadMilestoneTasks(milestoneIds) {
+  const out = new Map(milestoneIds.map(id => [id, []]));
+  if (!milestoneIds.length) return out;
+  for (let i = 0; i < milestoneIds.length; i += 200) {
+    const rows = await selectAllRows('tasks', q => q.in('milestone_id', milestoneIds.slice(i, i + 200)).order('created_at', { ascending: true }));
+    for (const t of rows) out.get(t.milestone_id)?.push(t);
+  }
+  return out;
+}
+
+/** Milestone rows as returned by the API: + progress (lib/milestoneProgress.js). */
+async function decorateMilestones(milestones, workflow) {
+  const tasks = await loadMilestoneTasks(milestones.map(m => m.id));
+  return milestones.map(m => ({ ...m, auto_complete: !!m.auto_complete, progress: milestoneProgress(m, tasks.get(m.id) || [], workflow) }));
+}
+
+/**
+ * After tasks of these milestones changed: complete / reopen the auto_complete ones (audited as auto_complete / auto_reopen).
+ * Best effort — a failure here never fails the task write.
+ */
+async function syncMilestoneCompletion(project, milestoneIds, actor, requestId) {
+  const ids = [...new Set(milestoneIds.filter(Boolean))];
+  if (!ids.length) return;
+  try {
+    const { data: milestones, error } = await supabase.from('milestones').select('*').eq('project_id', project.id).in('id', ids);
+    if (error) throw error;
+    const auto = (milestones || []).filter(m => m.auto_complete);
+    if (!auto.length) return;
+    const workflow = taskWorkflowFor(project);
+    const tasks = await loadMilestoneTasks(auto.map(m => m.id));
+    for (const m of auto) {
+      const completedAt = milestoneAutoCompletion(m, milestoneProgress(m, tasks.get(m.id) || [], workflow));
+      if (completedAt === undefined) continue;
+      const { error: upErr } = await supabase.from('milestones').update({ completed_at: completedAt, updated_at: new Date().toISOString() }).eq('id', m.id);
+      if (upErr) throw upErr;
+      auditLog(project.id, actor.id, actor.username, completedAt ? 'auto_complete' : 'auto_reopen', 'milestone', m.id, { title: m.title, completed_at: completedAt }, requestId);
+    }
+  } catch (e) {
+    console.warn('syncMilestoneCompletion failed:', e.message);
+  }
+}
+
+const TASK_RECURRENCE_MISSING = 'Recurring tasks not available. Run migrations/034_task_recurrence_reminders.sql.';
+
+/** recurrence_rule from a request → canonical rule (null = not recurring), or sends 400 and returns undefined. */
+function validTaskRecurrenceRule(res, raw, dueDate) {
+  if (raw === null || raw === '') return null;
+  const norm = normalizeRecurrenceRule(raw, dueDate);
+  if (!norm.ok) {
+    res.status(400).json({ error: norm.error });
+    return undefined;
+  }
+  return norm.rule;
+}
+
+/**
+ * A recurring task entered a done status → its next instance: same title, description, priority, assignees and rule,
+ * the workflow's initial status, due date from lib/taskRecurrence.js. Subtasks, dependencies and milestone are not copied.
+ * At most one instance per task (unique recurrence_source_id), so done → reopen → done does not spawn twice.
+ * @returns {Promise<object|null>} the new task, or null (series over, already spawned, or the insert failed)
+ */
+async function spawnNextTaskInstance(project, task, actor, requestId) {
+  const next = nextRecurrence(task.recurrence_rule, {
+    dueDate: task.due_date,
+    completedOn: String(task.completed_at || new Date().toISOString()).slice(0, 10),
+    seq: task.recurrence_seq || 1
+  });
+  if (!next) return null;
+  try {
+    const { data, error } = await supabase.from('tasks').insert({
+      project_id: project.id,
+      title: task.title,
+      description: task.description || null,
+      priority: task.priority || 'medium',
+      status: taskWorkflowFor(project).initial,
+      due_date: next.due_date,
+      recurrence_rule: task.recurrence_rule,
+      recurrence_seq: next.seq,
+      recurrence_source_id: task.id
+    }).select().single();
+    if (error) {
+      if (error.code === '23505') return null;
+      throw error;
+    }
+    const { data: assignees } = await supabase.from('task_assignees').select('user_id, username').eq('task_id', task.id);
+    if (assignees?.length) {
+      const { error: aErr } = await supabase.from('task_assignees').insert(assignees.map(a => ({
+        task_id: data.id,
+        project_id: project.id,
+        user_id: a.user_id,
+        username: a.username,
+        assigned_by_user_id: actor.id
+      })));
+      if (aErr) console.warn('spawnNextTaskInstance assignees failed:', aErr.message);
+    }
+    auditLog(project.id, actor.id, actor.username, 'create', 'task', data.id, { title: data.title, recurrence_source_id: task.id, due_date: data.due_date }, requestId);
+    return data;
+  } catch (e) {
+    console.warn('spawnNextTaskInstance failed:', task.id, e.message);
+    return null;
+  }
+}
+
+async function loadProjectTask(projectId, taskId) {
+  const { data } = await supabase.from('tasks').select('*').eq('id', taskId).eq('project_id', projectId).maybeSingle();
+  return data || null;
+}
+
+/** Parsed assignee_ids that are project members, or sends 400 and returns null. undefined in → undefined out (not changing). */
+async function validTaskAssigneeIds(res, projectId, raw) {
+  if (raw === undefined) return undefined;
+  const norm = normalizeAssigneeIds(raw);
+  if (!norm.ok) {
+    res.status(400).json({ error: norm.error });
+    return null;
+  }
+  if (!norm.ids.length) return norm.ids;
+  const { data } = await supabase.from('project_members').select('user_id').eq('project_id', projectId).in('user_id', norm.ids);
+  const members = new Set((data || []).map(r => r.user_id));
+  const invalid = norm.ids.filter(id => !members.has(id));
+  if (invalid.length) {
+    res.status(400).json({ error: 'Assignees must be members of this project', invalid_ids: invalid });
+    return null;
+  }
+  return norm.ids;
+}
+
+/**
+ * Replace a task's assignee set. New assignees (except the actor) get a task_assigned notification.
+ * @returns {Promise<{ added: number[], removed: number[] }>}
+ */
+async function setTaskAssignees(project, task, ids, actor) {
+  const { data: cur, error: curErr } = await supabase.from('task_assignees').select('user_id').eq('task_id', task.id);
+  if (curErr) throw curErr;
+  const { added, removed } = diffAssignees((cur || []).map(r => r.user_id), ids);
+  if (removed.length) {
+    const { error } = await supabase.from('task_assignees').delete().eq('task_id', task.id).in('user_id', removed);
+    if (error) throw error;
+  }
+  if (added.length) {
+    const { data: cache } = await supabase.from('user_cache').select('user_id, username').in('user_id', added);
+    const names = new Map((cache || []).map(c => [c.user_id, c.username]));
+    const { error } = await supabase.from('task_assignees').insert(added.map(userId => ({
+      task_id: task.id,
+      project_id: project.id,
+      user_id: userId,
+      username: names.get(userId) || null,
+      assigned_by_user_id: actor.id
+    })));
+    if (error) throw error;
+    const text = taskAssignedNotificationText({ projectName: project.name, taskTitle: task.title, assignerName: actor.username, dueDate: task.due_date });
+    notifyUsers(added.filter(id => id !== actor.id), { projectId: project.id, type: 'task_assigned', entityType: 'task', entityId: task.id, data: { task_id: task.id }, ...text });
+  }
+  return { added, removed };
+}
+
+/**
+ * Query: assignee=me|<user_id> (only tasks with that assignee), parent=none|<task_id> (top level / subtasks of one task),
+ * milestone=none|<milestone_id>, limit, offset. Each task has assignees, comment_count and subtask_count.
+ */
+app.get('/api/projects/:projectId/tasks', async (req, res) => {
+  try {
+    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    if (!ctx) return;
+    const { limit, offset } = parsePagination(req);
+    let onlyIds = null;
+    if (req.query.assignee) {
+      const assigneeId = req.query.assignee === 'me' ? ctx.user.id : parseInt(req.query.assignee, 10);
+      if (!Number.isInteger(assigneeId)) return res.status(400).json({ error: 'assignee must be "me" or a user id' });
+      const { data: rows, error: aErr } = await supabase.from('task_assignees').select('task_id').eq('project_id', req.params.projectId).eq('user_id', assigneeId);
+      if (aErr && !isMissingTableError(aErr)) throw aErr;
+      onlyIds = (rows || []).map(r => r.task_id);
+      if (!onlyIds.length) return res.json({ tasks: [], limit, offset, total: 0 });
+    }
+    const scoped = (q) => {
+      q = q.eq('project_id', req.params.projectId);
+      if (onlyIds) q = q.in('id', onlyIds);
+      if (req.query.parent === 'none') q = q.is('parent_task_id', null);
+      else if (req.query.parent) q = q.eq('parent_task_id', String(req.query.parent));
+      if (req.query.milestone === 'none') q = q.is('milestone_id', null);
+      else if (req.query.milestone) q = q.eq('milestone_id', String(req.query.milestone));
+      return q;
+    };
+    const { count } = await scoped(supabase.from('tasks').select('*', { count: 'exact', head: true }));
+    const { data, error } = await scoped(supabase.from('tasks').select('*')).order('created_at', { ascending: false }).range(offset, offset + limit - 1);
+    if (error) throw error;
+    res.json({ tasks: await decorateTasks(data || []), limit, offset, total: count ?? 0 });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.get('/api/projects/:projectId/tasks/:taskId', async (req, res) => {
+  try {
+    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    if (!ctx) return;
+    const task = await loadProjectTask(req.params.projectId, req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const [out] = await decorateTasks([task]);
+    const { data: subtasks, error: subErr } = await supabase.from('tasks').select('*').eq('parent_task_id', task.id).order('created_at', { ascending: true });
+    if (subErr && !isMissingTableError(subErr)) throw subErr;
+    const predecessors = await loadTaskPredecessors(task);
+    res.json({ ...out, subtasks: subtasks || [], predecessors, blocked_by: openPredecessors(taskWorkflowFor(ctx.project), predecessors) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Body: { title, description?, status?, priority?, due_date?, assignee_ids?: user ids of project members, parent_task_id?, milestone_id?,
+ * recurrence_rule? (lib/taskRecurrence.js, e.g. "FREQ=WEEKLY;BYDAY=MO") }
+ */
+app.post('/api/projects/:projectId/tasks', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'tasks.write');
+    if (!ctx) return;
+    const parsed = taskCreateSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'Validation failed', issues: parsed.error.flatten() });
+    const { title, description, status, priority, due_date } = parsed.data;
+    const assigneeIds = await validTaskAssigneeIds(res, req.params.projectId, parsed.data.assignee_ids);
+    if (assigneeIds === null) return;
+    const parentId = parsed.data.parent_task_id ? await validTaskParentId(res, req.params.projectId, parsed.data.parent_task_id) : null;
+    if (parentId === undefined) return;
+    const milestoneId = parsed.data.milestone_id ? await validTaskMilestoneId(res, req.params.projectId, parsed.data.milestone_id) : null;
+    if (milestoneId === undefined) return;
+    const recurrenceRule = parsed.data.recurrence_rule ? validTaskRecurrenceRule(res, parsed.data.recurrence_rule, due_date) : null;
+    if (recurrenceRule === undefined) return;
+    const workflow = taskWorkflowFor(ctx.project);
+    const validStatus = (status && isTaskStatusInWorkflow(workflow, status)) ? status : workflow.initial;
+    const completedAt = taskCompletedAtUpdate(workflow, null, validStatus);
+    const { data, error } = await writeTaskRow(row => supabase.from('tasks').insert(row).select().single(), {
+      project_id: req.params.projectId,
+      title: title.trim(),
+      ...(description ? { description } : {}),
+      ...(parentId ? { parent_task_id: parentId } : {}),
+      ...(milestoneId ? { milestone_id: milestoneId } : {}),
+      ...(recurrenceRule ? { recurrence_rule: recurrenceRule } : {}),
+      ...(completedAt ? { completed_at: completedAt } : {}),
+      status: validStatus,
+      priority: priority || 'medium',
+      due_date: due_date || null
+    });
+    if (error) {
+      if (description && String(error.message || '').includes('description')) return res.status(503).json({ error: TASK_ASSIGNEES_MISSING });
+      if (String(error.message || '').includes('parent_task_id')) return res.status(503).json({ error: TASK_DEPENDENCIES_MISSING });
+      if (String(error.message || '').includes('milestone_id')) return res.status(503).json({ error: TASK_MILESTONES_MISSING });
+      if (String(error.message || '').includes('recurrence_rule')) return res.status(503).json({ error: TASK_RECURRENCE_MISSING });
+      throw error;
+    }
+    let assigned = { added: [] };
+    if (assigneeIds?.length) {
+      try {
+        assigned = await setTaskAssignees(ctx.project, data, assigneeIds, ctx.user);
+      } catch (e) {
+        await supabase.from('tasks').delete().eq('id', data.id);
+        if (isMissingTableError(e)) return res.status(503).json({ error: TASK_ASSIGNEES_MISSING });
+        throw e;
+      }
+    }
+    auditLog(req.params.projectId, ctx.user.id, ctx.user.username, 'create', 'task', data.id, {
+      title: data.title,
+      ...(assigned.added.length ? { assignee_ids: assigned.added } : {}),
+      ...(parentId ? { parent_task_id: parentId } : {}),
+      ...(milestoneId ? { milestone_id: milestoneId } : {}),
+      ...(recurrenceRule ? { recurrence_rule: recurrenceRule } : {})
+    }, req.requestId);
+    await syncMilestoneCompletion(ctx.project, [milestoneId], ctx.user, req.requestId);
+    // created directly in a done status: the series continues just as if it had been completed later
+    const nextInstance = data.recurrence_rule && taskEntersDoneStatus(workflow, null, data.status)
+      ? await spawnNextTaskInstance(ctx.project, data, ctx.user, req.requestId)
+      : null;
+    const [out] = await decorateTasks([data]);
+    res.status(201).json(nextInstance ? { ...out, next_instance: nextInstance } : out);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Body: any of { title, description, status, priority, due_date, assignee_ids, parent_task_id, milestone_id, recurrence_rule } —
+ * assignee_ids replaces the whole set, recurrence_rule null stops the series.
+ * Starting a task (into a started status, see isStartedTaskStatus) is refused while a predecessor is still open.
+ * Status / milestone changes re-check auto_complete on the milestones involved. Completing a recurring task creates
+ * its next instance (returned as next_instance).
+ */
+app.patch('/api/projects/:projectId/tasks/:taskId', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'tasks.write');
+    if (!ctx) return;
+    const parsed = taskPatchSchema.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: 'Validation failed', issues: parsed.error.flatten() });
+    const { status, title, description, priority, due_date } = parsed.data || {};
+    const assigneeIds = await validTaskAssigneeIds(res, req.params.projectId, parsed.data?.assignee_ids);
+    if (assigneeIds === null) return;
+    const workflow = taskWorkflowFor(ctx.project);
+    const parentChange = parsed.data?.parent_task_id;
+    const milestoneChange = parsed.data?.milestone_id;
+    const recurrenceChange = parsed.data?.recurrence_rule;
+    let current = null;
+    if (status !== undefined || parentChange !== undefined || milestoneChange !== undefined || recurrenceChange !== undefined) {
+      current = await loadProjectTask(req.params.projectId, req.params.taskId);
+      if (!current) return res.status(404).json({ error: 'Task not found' });
+    }
+    let parentId;
+    if (parentChange !== undefined && parentChange !== (current.parent_task_id || null)) {
+      parentId = await validTaskParentId(res, req.params.projectId, parentChange, current);
+      if (parentId === undefined) return;
+    }
+    let milestoneId;
+    if (milestoneChange !== undefined && milestoneChange !== (current.milestone_id || null)) {
+      milestoneId = await validTaskMilestoneId(res, req.params.projectId, milestoneChange);
+      if (milestoneId === undefined) return;
+    }
+    let recurrenceRule;
+    if (recurrenceChange !== undefined) {
+      recurrenceRule = validTaskRecurrenceRule(res, recurrenceChange, due_date !== undefined ? due_date : current.due_date);
+      if (recurrenceRule === undefined) return;
+    }
+    if (status !== undefined) {
+      if (!isAllowedTaskTransition(workflow, current.status, status)) {
+        return res.status(409).json({
+          error: `Invalid status transition: ${current.status} → ${status}`,
+          invalid_transition: true,
+          from: current.status,
+          to: status,
+          allowed: isTaskStatusInWorkflow(workflow, current.status) ? workflow.transitions[current.status] || [] : null
+        });
+      }
+      if (isStartedTaskStatus(workflow, status) && !isStartedTaskStatus(workflow, current.status)) {
+        const blockedBy = openPredecessors(workflow, await loadTaskPredecessors(current));
+        if (blockedBy.length) {
+          return res.status(409).json({ error: 'Task is blocked by unfinished predecessors', blocked: true, from: current.status, to: status, blocked_by: blockedBy });
+        }
+      }
+    }
+    const updates = { updated_at: new Date().toISOString() };
+    if (title !== undefined) updates.title = title.trim();
+    if (description !== undefined) updates.description = description || null;
+    if (status !== undefined) {
+      updates.status = status;
+      const completedAt = taskCompletedAtUpdate(workflow, current.status, status);
+      if (completedAt !== undefined) updates.completed_at = completedAt;
+    }
+    if (parentId !== undefined) updates.parent_task_id = parentId;
+    if (milestoneId !== undefined) updates.milestone_id = milestoneId;
+    if (recurrenceRule !== undefined) updates.recurrence_rule = recurrenceRule;
+    if (priority !== undefined) updates.priority = priority;
+    if (due_date !== undefined) updates.due_date = due_date || null;
+    const { data, error } = await writeTaskRow(row => supabase.from('tasks').update(row).eq('id', req.params.taskId).eq('project_id', req.params.projectId).select().single(), updates);
+    if (error) {
+      if (description !== undefined && String(error.message || '').includes('description')) return res.status(503).json({ error: TASK_ASSIGNEES_MISSING });
+      if (String(error.message || '').includes('parent_task_id')) return res.status(503).json({ error: TASK_DEPENDENCIES_MISSING });
+      if (String(error.message || '').includes('milestone_id')) return res.status(503).json({ error: TASK_MILESTONES_MISSING });
+      if (String(error.message || '').includes('recurrence_rule')) return res.status(503).json({ error: TASK_RECURRENCE_MISSING });
+      throw error;
     }
-    if (!buf.length) throw new Error(`Empty attachment "${fname}".`);
-    if (buf.length > EMAIL_INLINE_ONE_MAX_BYTES) {
-      throw new Error(`Attachment "${fname}" is too large (max 15 MB per file).`);
+    let assigned = null;
+    if (assigneeIds !== undefined) {
+      try {
+        assigned = await setTaskAssignees(ctx.project, data, assigneeIds, ctx.user);
+      } catch (e) {
+        if (isMissingTableError(e)) return res.status(503).json({ error: TASK_ASSIGNEES_MISSING });
+        throw e;
+      }
     }
-    total += buf.length;
-    if (total > EMAIL_ATTACH_MAX_TOTAL_BYTES) {
-      throw new Error('Attachments exceed maximum total size (24 MB).');
+    const details = status !== undefined ? { before: { status: current?.status }, after: { status: data.status } } : {};
+    if (assigned && (assigned.added.length || assigned.removed.length)) details.assignees = assigned;
+    if (description !== undefined) details.description_changed = true;
+    if (parentId !== undefined) details.parent_task_id = { before: current.parent_task_id || null, after: parentId };
+    if (milestoneId !== undefined) details.milestone_id = { before: current.milestone_id || null, after: milestoneId };
+    if (recurrenceRule !== undefined) details.recurrence_rule = { before: current.recurrence_rule || null, after: recurrenceRule };
+    auditLog(req.params.projectId, ctx.user.id, ctx.user.username, 'update', 'task', data.id, Object.keys(details).length ? details : { title: data.title }, req.requestId);
+    if (status !== undefined || milestoneId !== undefined) {
+      await syncMilestoneCompletion(ctx.project, [current.milestone_id, data.milestone_id], ctx.user, req.requestId);
     }
-    resendAttachments.push({
-      filename: fname,
-      content: buf.toString('base64'),
-      content_type: guessMimeFromFilename(fname)
-    });
-    attachmentMeta.push({ filename: fname, source: 'computer' });
+    // decided from the status change itself: completed_at is not written when migrations/032 is missing
+    const nextInstance = status !== undefined && data.recurrence_rule && taskEntersDoneStatus(workflow, current.status, data.status)
+      ? await spawnNextTaskInstance(ctx.project, data, ctx.user, req.requestId)
+      : null;
+    const [out] = await decorateTasks([data]);
+    res.json(nextInstance ? { ...out, next_instance: nextInstance } : out);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
   }
-  return total;
-}
-const emailAttachImportSchema = z.object({
-  attachment_id: z.string().min(8),
-  destination: z.enum(['project_files', 'lab'])
 });
 
-/** Resend Inbound: after email.received, fetch full body and store under matched project (UUID in To address). */
-app.post('/api/webhooks/resend-inbound', async (req, res) => {
+app.delete('/api/projects/:projectId/tasks/:taskId', async (req, res) => {
   try {
-    if (RESEND_INBOUND_WEBHOOK_SECRET) {
-      const q = req.query.secret;
-      const auth = req.headers.authorization || '';
-      const bearer = auth.startsWith('Bearer ') ? auth.slice(7) : '';
-      if (q !== RESEND_INBOUND_WEBHOOK_SECRET && bearer !== RESEND_INBOUND_WEBHOOK_SECRET) {
-        return res.status(401).json({ error: 'Invalid webhook secret' });
-      }
-    }
-    const event = req.body || {};
-    if (event.type !== 'email.received') return res.status(200).json({ ok: true, ignored: true });
-    const emailId = event.data?.email_id;
-    if (!emailId || !RESEND_API_KEY) return res.status(400).json({ error: 'Missing email_id or RESEND_API_KEY' });
-    console.info('[resend-inbound] email.received', emailId, 'project_id query =', req.query.project_id || '(none)');
-
-    const r = await fetch(`https://api.resend.com/emails/receiving/${emailId}`, {
-      headers: { Authorization: `Bearer ${RESEND_API_KEY}` }
-    });
-    const full = await r.json().catch(() => ({}));
-    if (!r.ok) {
-      return res.status(502).json({ error: full.message || 'Resend receiving API error', details: full });
-    }
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'tasks.write');
+    if (!ctx) return;
+    const task = await loadProjectTask(req.params.projectId, req.params.taskId);
+    const { error } = await supabase.from('tasks').delete().eq('id', req.params.taskId).eq('project_id', req.params.projectId);
+    if (error) throw error;
+    auditLog(req.params.projectId, ctx.user.id, ctx.user.username, 'delete', 'task', req.params.taskId, null, req.requestId);
+    await syncMilestoneCompletion(ctx.project, [task?.milestone_id], ctx.user, req.requestId);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const toList = Array.isArray(full.to) ? full.to : [];
-    const projectId = extractProjectIdFromInboundPayload(full, req.query);
-    if (!projectId) {
-      console.warn('[resend-inbound] skipped: no_project_id', { emailId, to: toList, hint: 'Add ?project_id=<uuid> to webhook URL or put project UUID in recipient address' });
-      return res.status(200).json({ ok: true, skipped: 'no_project_id_in_recipients' });
-    }
+// ---------- Task dependencies (finish-to-start) + schedule / critical path (lib/taskDependencies.js) ----------
 
-    const { data: proj } = await supabase.from('projects').select('id').eq('id', projectId).single();
-    if (!proj) {
-      console.warn('[resend-inbound] skipped: project_not_found', { projectId, emailId });
-      return res.status(200).json({ ok: true, skipped: 'project_not_found' });
-    }
-
-    const fromEmail = parseEmailOnly(String(full.from || '')) || String(full.from || '');
-    const subject = String(full.subject || '');
-    const bodyText = full.text != null ? String(full.text) : null;
-    const bodyHtml = full.html != null ? String(full.html) : null;
-    const attachments = Array.isArray(full.attachments)
-      ? full.attachments.map(a => {
-        const id = a.id || a.attachment_id || a.attachmentId;
-        return {
-          id,
-          attachment_id: id,
-          filename: a.filename,
-          content_type: a.content_type,
-          content_disposition: a.content_disposition,
-          content_id: a.content_id
-        };
-      })
-      : [];
+app.get('/api/projects/:projectId/tasks/:taskId/dependencies', async (req, res) => {
+  try {
+    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    if (!ctx) return;
+    const task = await loadProjectTask(req.params.projectId, req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const predecessors = await loadTaskPredecessors(task);
+    const { data: deps, error } = await supabase.from('task_dependencies').select('successor_id').eq('predecessor_id', task.id);
+    if (error && !isMissingTableError(error)) throw error;
+    const succIds = (deps || []).map(d => d.successor_id);
+    const { data: successors } = succIds.length ? await supabase.from('tasks').select('id, title, status, due_date').in('id', succIds) : { data: [] };
+    res.json({ predecessors, successors: successors || [], blocked_by: openPredecessors(taskWorkflowFor(ctx.project), predecessors) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
 
-    const insertPayload = {
+/** Body: { predecessor_id } — the task cannot start until the predecessor is done (or cancelled). Loops are refused with 409. */
+app.post('/api/projects/:projectId/tasks/:taskId/dependencies', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'tasks.write');
+    if (!ctx) return;
+    const predecessorId = req.body?.predecessor_id ? String(req.body.predecessor_id) : '';
+    if (!predecessorId) return res.status(400).json({ error: 'predecessor_id is required' });
+    const task = await loadProjectTask(projectId, req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const predecessor = await loadProjectTask(projectId, predecessorId);
+    if (!predecessor) return res.status(400).json({ error: 'predecessor_id must be a task of this project' });
+    const existing = await loadTaskPredecessors(task);
+    if (existing.some(p => p.id === predecessor.id)) return res.json({ predecessor_id: predecessor.id, successor_id: task.id, existing: true });
+    if (existing.length >= TASK_DEPENDENCIES_MAX) return res.status(400).json({ error: `At most ${TASK_DEPENDENCIES_MAX} predecessors per task` });
+    const cycle = findDependencyCycle(await loadTaskGraphEdges(projectId), predecessor.id, task.id);
+    if (cycle) return res.status(409).json({ error: 'Dependency would create a cycle', cycle });
+    const { data: row, error } = await supabase.from('task_dependencies').insert({
       project_id: projectId,
-      direction: 'received',
-      from_email: fromEmail,
-      to_emails: toList,
-      subject,
-      body_text: bodyText,
-      body_html: bodyHtml,
-      resend_email_id: emailId,
-      sent_by_user_id: null,
-      sent_by_username: null,
-      attachments
-    };
-    const { error: insErr } = await supabase.from('project_emails').insert(insertPayload);
-    if (insErr) {
-      if (String(insErr.message || '').includes('duplicate') || insErr.code === '23505') {
-        return res.status(200).json({ ok: true, duplicate: true });
-      }
-      if (String(insErr.message || '').includes('does not exist') || String(insErr.message || '').includes('relation')) {
-        return res.status(503).json({ error: 'project_emails table missing. Run supabase_schema.sql (project_emails).' });
-      }
-      throw insErr;
+      predecessor_id: predecessor.id,
+      successor_id: task.id,
+      created_by_user_id: ctx.user.id
+    }).select().single();
+    if (error) {
+      if (isMissingTableError(error)) return res.status(503).json({ error: TASK_DEPENDENCIES_MISSING });
+      throw error;
     }
-    auditLog(projectId, null, 'inbound', 'create', 'project_email', emailId, { subject, from: fromEmail }, req.requestId);
-    return res.status(201).json({ ok: true, project_id: projectId });
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'create', 'task_dependency', row.id, { predecessor_id: predecessor.id, successor_id: task.id }, req.requestId);
+    res.status(201).json(row);
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    res.status(500).json({ error: e.message });
   }
 });
 
-app.get('/api/projects/:projectId/emails', async (req, res) => {
+app.delete('/api/projects/:projectId/tasks/:taskId/dependencies/:predecessorId', async (req, res) => {
   try {
     const projectId = req.params.projectId;
-    const ctx = await requireProjectMember(req, res, projectId);
+    const ctx = await requireProjectPermission(req, res, projectId, 'tasks.write');
     if (!ctx) return;
-    const { limit, offset } = parsePagination(req);
-    const dir = (req.query.direction || 'all').toLowerCase();
-    let q = supabase.from('project_emails').select('*', { count: 'exact' }).eq('project_id', projectId).order('created_at', { ascending: false });
-    if (dir === 'sent') q = q.eq('direction', 'sent');
-    else if (dir === 'received') q = q.eq('direction', 'received');
-    const { data, error, count } = await q.range(offset, offset + limit - 1);
+    const { data, error } = await supabase.from('task_dependencies')
+      .delete()
+      .eq('project_id', projectId)
+      .eq('successor_id', req.params.taskId)
+      .eq('predecessor_id', req.params.predecessorId)
+      .select('id');
+    if (error && !isMissingTableError(error)) throw error;
+    if (!data?.length) return res.status(404).json({ error: 'Dependency not found' });
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'delete', 'task_dependency', data[0].id, { predecessor_id: req.params.predecessorId, successor_id: req.params.taskId }, req.requestId);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * Projected finish per task and for the project from due dates + dependencies (subtasks count as predecessors of their parent),
+ * slack in days and the critical path (zero-slack chain ending at the latest open task). See computeTaskSchedule.
+ */
+app.get('/api/projects/:projectId/task-schedule', async (req, res) => {
+  try {
+    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    if (!ctx) return;
+    const [tasks, dependencies] = await Promise.all([
+      selectAllRows('tasks', q => q.eq('project_id', req.params.projectId)),
+      loadTaskDependencies(req.params.projectId)
+    ]);
+    const workflow = taskWorkflowFor(ctx.project);
+    const schedule = computeTaskSchedule({ tasks, dependencies, workflow });
+    if (!schedule.ok) return res.status(409).json({ error: schedule.error });
+    const { ok: _ok, ...out } = schedule;
+    res.json({ ...out, undated: tasks.filter(t => !t.due_date && taskStatusCategory(workflow, t.status) === 'open').length });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ---------- Task reminders (cron, lib/taskReminders.js) ----------
+
+/**
+ * Due-soon reminders to assignees (once per due date, tasks.reminder_sent_for) and one overdue digest per project and day
+ * to its owners (projects.overdue_digest_sent_on). Both go through notifyUsers, so email follows each user's email_mode.
+ * Rows are claimed before notifying, so overlapping runs do not send twice.
+ */
+async function dispatchTaskReminders(now = new Date()) {
+  const today = now.toISOString().slice(0, 10);
+  const summary = { today, due_soon: 0, reminded: 0, overdue_projects: 0, digests: 0 };
+  const tasks = await selectAllRows('tasks', q => q.is('completed_at', null).not('due_date', 'is', null).lte('due_date', addDaysToDate(today, TASK_REMINDER_DAYS_BEFORE)));
+  const projectIds = [...new Set(tasks.map(t => t.project_id))];
+  const projects = new Map();
+  for (let i = 0; i < projectIds.length; i += 200) {
+    for (const p of await selectAllRows('projects', q => q.in('id', projectIds.slice(i, i + 200)))) projects.set(p.id, p);
+  }
+  const { dueSoon, overdue } = planTaskReminders({ tasks, projects, today, daysBefore: TASK_REMINDER_DAYS_BEFORE });
+  summary.due_soon = dueSoon.length;
+  summary.overdue_projects = overdue.size;
+  const assignees = await loadTaskAssignees([...dueSoon, ...[...overdue.values()].flat()].map(t => t.id));
+
+  for (const t of dueSoon) {
+    const userIds = (assignees.get(t.id) || []).map(a => a.user_id);
+    if (!userIds.length) continue;
+    const due = String(t.due_date).slice(0, 10);
+    const { data: claimed, error } = await supabase.from('tasks').update({ reminder_sent_for: due })
+      .eq('id', t.id).or(`reminder_sent_for.is.null,reminder_sent_for.neq.${due}`).select('id');
     if (error) {
-      if (String(error.message || '').includes('does not exist') || String(error.message || '').includes('relation')) {
-        return res.json({ emails: [], limit, offset, total: 0 });
-      }
+      if (String(error.message || '').includes('reminder_sent_for')) return { ...summary, skipped: TASK_RECURRENCE_MISSING };
+      throw error;
+    }
+    if (!claimed?.length) continue;
+    const project = projects.get(t.project_id);
+    await notifyUsers(userIds, {
+      projectId: t.project_id,
+      type: 'task_due_soon',
+      entityType: 'task',
+      entityId: t.id,
+      data: { task_id: t.id, due_date: due },
+      ...taskDueSoonNotificationText({ projectName: project.name, taskTitle: t.title, dueDate: due, today })
+    });
+    summary.reminded++;
+  }
+
+  for (const [projectId, list] of overdue) {
+    const { data: claimed, error } = await supabase.from('projects').update({ overdue_digest_sent_on: today })
+      .eq('id', projectId).or(`overdue_digest_sent_on.is.null,overdue_digest_sent_on.neq.${today}`).select('id');
+    if (error) {
+      if (String(error.message || '').includes('overdue_digest_sent_on')) return { ...summary, skipped: TASK_RECURRENCE_MISSING };
       throw error;
     }
-    res.json({ emails: data || [], limit, offset, total: count ?? 0 });
+    if (!claimed?.length) continue;
+    const owners = await projectOwnerIds(projectId);
+    await notifyUsers(owners, {
+      projectId,
+      type: 'tasks_overdue',
+      entityType: 'project',
+      entityId: projectId,
+      data: { task_ids: list.map(t => t.id) },
+      ...tasksOverdueDigestNotificationText({
+        projectName: projects.get(projectId).name,
+        tasks: list.map(t => ({ title: t.title, due_date: t.due_date, assignees: (assignees.get(t.id) || []).map(a => a.username || String(a.user_id)) }))
+      })
+    });
+    summary.digests++;
+  }
+  return summary;
+}
+
+app.get('/api/cron/task-reminders', async (req, res) => {
+  try {
+    if (!requireCronSecret(req, res)) return;
+    res.json(await dispatchTaskReminders());
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.get('/api/projects/:projectId/emails/:emailId', async (req, res) => {
+// ---------- Task workflow (per-project statuses + transitions, lib/taskWorkflow.js) ----------
+
+/** status → number of tasks in the project. */
+async function taskStatusCounts(projectId) {
+  const rows = await selectAllRows('tasks', q => q.eq('project_id', projectId));
+  const counts = {};
+  for (const r of rows) counts[r.status] = (counts[r.status] || 0) + 1;
+  return counts;
+}
+
+app.get('/api/projects/:projectId/task-workflow', async (req, res) => {
   try {
-    const projectId = req.params.projectId;
-    const ctx = await requireProjectMember(req, res, projectId);
+    const ctx = await requireProjectMember(req, res, req.params.projectId);
     if (!ctx) return;
-    const { data, error } = await supabase.from('project_emails').select('*').eq('id', req.params.emailId).eq('project_id', projectId).single();
-    if (error || !data) return res.status(404).json({ error: 'Email not found' });
-    res.json(data);
+    const workflow = taskWorkflowFor(ctx.project);
+    const counts = await taskStatusCounts(req.params.projectId);
+    res.json({ workflow, is_default: workflow === DEFAULT_TASK_WORKFLOW, status_counts: counts, outside_workflow: statusesOutsideWorkflow(workflow, counts) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-/** Help frontend show correct Resend Inbound + Reply-To (no secrets). */
-app.get('/api/projects/:projectId/emails/inbound-config', async (req, res) => {
+/**
+ * Body: { statuses: [{ key, label?, category?: open|done|cancelled }], transitions: { from: [to] }, initial? } — owner only.
+ * Tasks in a status the new workflow drops keep it (listed in outside_workflow) and may move to any workflow status.
+ */
+app.put('/api/projects/:projectId/task-workflow', async (req, res) => {
   try {
     const projectId = req.params.projectId;
-    const ctx = await requireProjectMember(req, res, projectId);
+    const ctx = await requireProjectPermission(req, res, projectId, 'project.update');
     if (!ctx) return;
-    const replyTo = replyToAddressForProject(projectId);
-    const host = PUBLIC_API_BASE || '(set PUBLIC_API_BASE_URL to your public API, e.g. https://api.example.com)';
-    const webhookTemplate = `${host}/api/webhooks/resend-inbound?secret=YOUR_SECRET&project_id=${projectId}`;
-    res.json({
-      project_id: projectId,
-      reply_to_address: replyTo,
-      reply_domain: RESEND_REPLY_DOMAIN || null,
-      webhook_url_template: webhookTemplate,
-      secret_configured: !!RESEND_INBOUND_WEBHOOK_SECRET
-    });
+    const norm = normalizeTaskWorkflow(req.body);
+    if (!norm.ok) return res.status(400).json({ error: norm.error });
+    const before = taskWorkflowFor(ctx.project);
+    const { error } = await supabase.from('projects').update({ task_workflow: norm.workflow, updated_at: new Date().toISOString() }).eq('id', projectId);
+    if (error) {
+      if (String(error.message || '').includes('task_workflow')) return res.status(503).json({ error: 'Task workflows not available. Run migrations/031_task_workflows.sql.' });
+      throw error;
+    }
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'update', 'task_workflow', projectId, {
+      before: { statuses: before.statuses.map(s => s.key) },
+      after: { statuses: norm.workflow.statuses.map(s => s.key) }
+    }, req.requestId);
+    const counts = await taskStatusCounts(projectId);
+    res.json({ workflow: norm.workflow, is_default: false, status_counts: counts, outside_workflow: statusesOutsideWorkflow(norm.workflow, counts) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post('/api/projects/:projectId/emails/send', limiterEmail, async (req, res) => {
+/** Back to DEFAULT_TASK_WORKFLOW. */
+app.delete('/api/projects/:projectId/task-workflow', async (req, res) => {
   try {
     const projectId = req.params.projectId;
-    const ctx = await requireProjectMember(req, res, projectId);
+    const ctx = await requireProjectPermission(req, res, projectId, 'project.update');
     if (!ctx) return;
-    if (!RESEND_API_KEY) {
-      return res.status(503).json({ error: 'Email sending is not configured. Set RESEND_API_KEY on the server.' });
-    }
-    const parsed = emailSendSchema.safeParse(req.body || {});
-    if (!parsed.success) return res.status(400).json({ error: 'Validation failed', issues: parsed.error.flatten() });
-    const { to, subject, text, html, attachment_file_ids: attachIds, inline_attachments: inlineAtt } = parsed.data;
-    if (!text && !html) return res.status(400).json({ error: 'Email body required (text or html).' });
-    const toArr = Array.isArray(to) ? to : [to];
-    const payload = { from: RESEND_FROM_EMAIL, to: toArr, subject };
-    if (text) payload.text = text;
-    if (html) payload.html = html;
-    const replyTo = replyToAddressForProject(projectId);
-    if (replyTo) payload.reply_to = [replyTo];
-    let attachmentMeta = [];
-    const resendAttachments = [];
-    let bytesUsed = 0;
-    if (attachIds && attachIds.length > 0) {
-      try {
-        const out = await projectFilesToResendAttachments(projectId.trim(), attachIds);
-        attachmentMeta = out.meta;
-        bytesUsed = out.totalBytes || 0;
-        resendAttachments.push(...out.attachments);
-      } catch (e) {
-        return res.status(400).json({ error: e.message || 'Failed to load attachments' });
-      }
-    }
-    if (inlineAtt && inlineAtt.length > 0) {
-      try {
-        bytesUsed = appendInlineAttachmentsForResend(inlineAtt, resendAttachments, attachmentMeta, bytesUsed);
-      } catch (e) {
-        return res.status(400).json({ error: e.message || 'Invalid attachments' });
-      }
-    }
-    if (resendAttachments.length) payload.attachments = resendAttachments;
-    const r = await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: { Authorization: `Bearer ${RESEND_API_KEY}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-    const data = await r.json().catch(() => ({}));
-    if (!r.ok) {
-      const msg = data.message || data.error || (typeof data === 'string' ? data : 'Resend error');
-      return res.status(r.status >= 500 ? 502 : 400).json({ error: typeof msg === 'string' ? msg : 'Resend error', details: data });
-    }
-    const resendId = data.id || null;
-    const { data: row, error: insErr } = await supabase.from('project_emails').insert({
-      project_id: projectId,
-      direction: 'sent',
-      from_email: RESEND_FROM_EMAIL,
-      to_emails: toArr,
-      subject,
-      body_text: text || null,
-      body_html: html || null,
-      resend_email_id: resendId,
-      sent_by_user_id: ctx.user.id,
-      sent_by_username: ctx.user.username || null,
-      attachments: attachmentMeta.length ? attachmentMeta : []
-    }).select().single();
-    if (insErr) {
-      if (!String(insErr.message || '').includes('does not exist') && !String(insErr.message || '').includes('relation')) {
-        console.error('project_emails insert failed:', insErr);
-      }
+    if (ctx.project.task_workflow) {
+      const { error } = await supabase.from('projects').update({ task_workflow: null, updated_at: new Date().toISOString() }).eq('id', projectId);
+      if (error) throw error;
+      auditLog(projectId, ctx.user.id, ctx.user.username, 'reset', 'task_workflow', projectId, null, req.requestId);
     }
-    auditLog(projectId, ctx.user.id, ctx.user.username, 'create', 'email_send', resendId, { to: toArr, subject }, req.requestId);
-    res.json({ success: true, id: resendId, email: row || null });
+    const counts = await taskStatusCounts(projectId);
+    res.json({ workflow: DEFAULT_TASK_WORKFLOW, is_default: true, status_counts: counts, outside_workflow: statusesOutsideWorkflow(DEFAULT_TASK_WORKFLOW, counts) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-// ---------- Tasks ----------
-app.get('/api/projects/:projectId/tasks', async (req, res) => {
+// ---------- Task comments ----------
+
+/**
+ * Notify a new comment's task assignees and @mentioned members (never the author).
+ * previousBody (edit) → only members newly mentioned are notified.
+ * @returns {Promise<{ user_id: number, username: string }[]>} resolved mentions
+ */
+async function notifyTaskComment(project, task, author, comment, previousBody = null) {
+  try {
+    const before = new Set(extractMentions(previousBody));
+    const names = extractMentions(comment.body).filter(n => !before.has(n));
+    const targets = new Set();
+    if (previousBody == null) for (const a of (await loadTaskAssignees([task.id])).get(task.id) || []) targets.add(a.user_id);
+    let mentions = [];
+    if (names.length) {
+      const { data: members } = await supabase.from('project_members').select('user_id').eq('project_id', project.id);
+      const memberIds = (members || []).map(m => m.user_id);
+      const { data: cache } = memberIds.length ? await supabase.from('user_cache').select('user_id, username').in('user_id', memberIds) : { data: [] };
+      mentions = (cache || [])
+        .filter(c => c.user_id !== author.id && names.includes(String(c.username || '').toLowerCase()))
+        .map(c => ({ user_id: c.user_id, username: c.username }));
+      for (const m of mentions) targets.add(m.user_id);
+    }
+    targets.delete(author.id);
+    if (targets.size) {
+      const text = taskCommentNotificationText({ projectName: project.name, taskTitle: task.title, authorName: author.username, body: comment.body });
+      notifyUsers([...targets], {
+        projectId: project.id,
+        type: 'task_comment',
+        entityType: 'task_comment',
+        entityId: comment.id,
+        data: { task_id: task.id, comment_id: comment.id, author_username: author.username || null },
+        ...text
+      });
+    }
+    return mentions;
+  } catch (e) {
+    console.warn('task comment notify failed:', e.message);
+    return [];
+  }
+}
+
+async function loadTaskComment(task, commentId) {
+  const { data } = await supabase.from('task_comments').select('*').eq('id', commentId).eq('task_id', task.id).maybeSingle();
+  return data || null;
+}
+
+/** Oldest first. Query: limit, offset. */
+app.get('/api/projects/:projectId/tasks/:taskId/comments', async (req, res) => {
   try {
     const ctx = await requireProjectMember(req, res, req.params.projectId);
     if (!ctx) return;
+    const task = await loadProjectTask(req.params.projectId, req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
     const { limit, offset } = parsePagination(req);
-    const { count } = await supabase.from('tasks').select('*', { count: 'exact', head: true }).eq('project_id', req.params.projectId);
-    const { data, error } = await supabase.from('tasks').select('*').eq('project_id', req.params.projectId).order('created_at', { ascending: false }).range(offset, offset + limit - 1);
-    if (error) throw error;
-    res.json({ tasks: data || [], limit, offset, total: count ?? 0 });
+    const { data, error, count } = await supabase.from('task_comments')
+      .select('*', { count: 'exact' })
+      .eq('task_id', task.id)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+    if (error) {
+      if (isMissingTableError(error)) return res.json({ comments: [], limit, offset, total: 0 });
+      throw error;
+    }
+    res.json({ comments: (data || []).map(presentTaskComment), limit, offset, total: count ?? 0 });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post('/api/projects/:projectId/tasks', async (req, res) => {
+/** Body: { body } — @username mentions notify those members; assignees are notified too. */
+app.post('/api/projects/:projectId/tasks/:taskId/comments', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'tasks.comment');
     if (!ctx) return;
-    const parsed = taskCreateSchema.safeParse(req.body || {});
-    if (!parsed.success) return res.status(400).json({ error: 'Validation failed', issues: parsed.error.flatten() });
-    const { title, status, priority, due_date } = parsed.data;
-    const validStatus = (status && ALLOWED_TASK_STATUSES.includes(status)) ? status : 'todo';
-    const { data, error } = await supabase.from('tasks').insert({
-      project_id: req.params.projectId,
-      title: title.trim(),
-      status: validStatus,
-      priority: priority || 'medium',
-      due_date: due_date || null
+    const { user } = ctx;
+    const body = (req.body && req.body.body) ? String(req.body.body).trim() : '';
+    if (!body) return res.status(400).json({ error: 'body is required' });
+    if (body.length > TASK_COMMENT_MAX_LENGTH) return res.status(400).json({ error: `body must be at most ${TASK_COMMENT_MAX_LENGTH} characters` });
+    const task = await loadProjectTask(projectId, req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    await upsertUserCache(user.id, user.username, user.email);
+    const { data: row, error } = await supabase.from('task_comments').insert({
+      task_id: task.id,
+      project_id: projectId,
+      user_id: user.id,
+      username: user.username || 'User',
+      body
     }).select().single();
-    if (error) throw error;
-    auditLog(req.params.projectId, ctx.user.id, ctx.user.username, 'create', 'task', data.id, { title: data.title }, req.requestId);
-    res.status(201).json(data);
+    if (error) {
+      if (isMissingTableError(error)) return res.status(503).json({ error: TASK_ASSIGNEES_MISSING });
+      throw error;
+    }
+    auditLog(projectId, user.id, user.username, 'create', 'task_comment', row.id, { task_id: task.id }, req.requestId);
+    const mentions = await notifyTaskComment(ctx.project, task, user, row);
+    res.status(201).json({ ...presentTaskComment(row), mentions });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.patch('/api/projects/:projectId/tasks/:taskId', async (req, res) => {
+/** Body: { body } — author only. */
+app.patch('/api/projects/:projectId/tasks/:taskId/comments/:commentId', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'tasks.comment');
     if (!ctx) return;
-    const parsed = taskPatchSchema.safeParse(req.body || {});
-    if (!parsed.success) return res.status(400).json({ error: 'Validation failed', issues: parsed.error.flatten() });
-    const { status, title, priority, due_date } = parsed.data || {};
-    let current = null;
-    if (status !== undefined) {
-      const { data: cur } = await supabase.from('tasks').select('status').eq('id', req.params.taskId).eq('project_id', req.params.projectId).single();
-      current = cur;
-      if (current && !isAllowedTaskStatusTransition(current.status, status)) {
-        return res.status(409).json({ error: `Invalid status transition: ${current.status} → ${status}`, invalid_transition: true, from: current.status, to: status });
-      }
-    }
-    const updates = {};
-    if (title !== undefined) updates.title = title.trim();
-    if (status !== undefined) updates.status = status;
-    if (priority !== undefined) updates.priority = priority;
-    if (due_date !== undefined) updates.due_date = due_date || null;
-    const { data, error } = await supabase.from('tasks').update(updates).eq('id', req.params.taskId).eq('project_id', req.params.projectId).select().single();
+    const { user } = ctx;
+    const body = (req.body && req.body.body) ? String(req.body.body).trim() : '';
+    if (!body) return res.status(400).json({ error: 'body is required' });
+    if (body.length > TASK_COMMENT_MAX_LENGTH) return res.status(400).json({ error: `body must be at most ${TASK_COMMENT_MAX_LENGTH} characters` });
+    const task = await loadProjectTask(projectId, req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const comment = await loadTaskComment(task, req.params.commentId);
+    if (!comment || comment.deleted_at) return res.status(404).json({ error: 'Comment not found' });
+    if (comment.user_id !== user.id) return res.status(403).json({ error: 'Only the author can edit a comment' });
+    if (comment.body === body) return res.json(presentTaskComment(comment));
+    const { data: row, error } = await supabase.from('task_comments').update({ body, edited_at: new Date().toISOString() }).eq('id', comment.id).select().single();
     if (error) throw error;
-    const details = status !== undefined ? { before: { status: current?.status }, after: { status: data.status } } : {};
-    auditLog(req.params.projectId, ctx.user.id, ctx.user.username, 'update', 'task', data.id, Object.keys(details).length ? details : { title: data.title }, req.requestId);
-    res.json(data);
+    auditLog(projectId, user.id, user.username, 'update', 'task_comment', comment.id, { task_id: task.id, before: { body: comment.body }, after: { body } }, req.requestId);
+    const mentions = await notifyTaskComment(ctx.project, task, user, row, comment.body);
+    res.json({ ...presentTaskComment(row), mentions });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.delete('/api/projects/:projectId/tasks/:taskId', async (req, res) => {
+/** Soft delete: author or project owner. */
+app.delete('/api/projects/:projectId/tasks/:taskId/comments/:commentId', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'tasks.comment');
     if (!ctx) return;
-    const { error } = await supabase.from('tasks').delete().eq('id', req.params.taskId).eq('project_id', req.params.projectId);
+    const { user, access } = ctx;
+    const task = await loadProjectTask(projectId, req.params.taskId);
+    if (!task) return res.status(404).json({ error: 'Task not found' });
+    const comment = await loadTaskComment(task, req.params.commentId);
+    if (!comment || comment.deleted_at) return res.status(404).json({ error: 'Comment not found' });
+    if (comment.user_id !== user.id && access.role !== 'owner') return res.status(403).json({ error: 'Only the author or a project owner can delete a comment' });
+    const { error } = await supabase.from('task_comments').update({ deleted_at: new Date().toISOString(), deleted_by_user_id: user.id }).eq('id', comment.id);
     if (error) throw error;
-    auditLog(req.params.projectId, ctx.user.id, ctx.user.username, 'delete', 'task', req.params.taskId, null, req.requestId);
+    auditLog(projectId, user.id, user.username, 'delete', 'task_comment', comment.id, { task_id: task.id, author_user_id: comment.user_id, by_owner: comment.user_id !== user.id }, req.requestId);
     res.json({ success: true });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+/**
+ * Open tasks assigned to the caller across the projects they are a member of (deleted projects skipped, archived flagged).
+ * Soonest due first. Query: project_id?, limit, offset.
+ */
+app.get('/api/my/tasks', async (req, res) => {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+    const { limit, offset } = parsePagination(req);
+    const { data: memberships, error: memErr } = await supabase.from('project_members').select('project_id').eq('user_id', user.id);
+    if (memErr) throw memErr;
+    const projectIds = new Set((memberships || []).map(m => m.project_id));
+    if (req.query.project_id) for (const id of [...projectIds]) if (id !== String(req.query.project_id)) projectIds.delete(id);
+    if (!projectIds.size) return res.json({ tasks: [], limit, offset, total: 0, overdue: 0 });
+    const { data: rows, error } = await supabase.from('task_assignees')
+      .select('task_id, tasks(*, projects(*))')
+      .eq('user_id', user.id);
+    if (error) {
+      if (isMissingTableError(error)) return res.json({ tasks: [], limit, offset, total: 0, overdue: 0 });
+      throw error;
+    }
+    const open = sortMyTasks((rows || [])
+      .map(r => r.tasks)
+      .filter(t => t && projectIds.has(t.project_id) && !t.projects?.deleted_at && taskStatusCategory(taskWorkflowFor(t.projects), t.status) === 'open')
+      .map(({ projects: p, ...t }) => ({ ...t, project_name: p?.name ?? null, project_archived: !!p?.archived_at })));
+    const today = new Date().toISOString().slice(0, 10);
+    res.json({
+      tasks: await decorateTasks(open.slice(offset, offset + limit)),
+      limit,
+      offset,
+      total: open.length,
+      overdue: open.filter(t => t.due_date && t.due_date < today).length
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 app.get('/api/projects/:projectId/audit', async (req, res) => {
   try {
     const ctx = await requireProjectMember(req, res, req.params.projectId);
@@ -1203,54 +5018,103 @@ app.get('/api/projects/:projectId/audit', async (req, res) => {
 });
 
 // ---------- Milestones ----------
+const MILESTONE_AUTO_COMPLETE_MISSING = 'Milestone auto-complete not available. Run migrations/033_task_milestones.sql.';
+
+/**
+ * Each milestone has progress: task counts per status category, percent done, late_tasks (open tasks due after the
+ * milestone) and at_risk. Query: at_risk=1 → only milestones with late tasks; at risk is computed from the tasks, so
+ * that filter loads every milestone of the project and pages after filtering. total counts what the filter matched.
+ */
 app.get('/api/projects/:projectId/milestones', async (req, res) => {
   try {
     const ctx = await requireProjectMember(req, res, req.params.projectId);
     if (!ctx) return;
     const { limit, offset } = parsePagination(req);
-    const { data, error } = await supabase.from('milestones').select('*').eq('project_id', req.params.projectId).order('due_date', { ascending: true }).range(offset, offset + limit - 1);
+    const workflow = taskWorkflowFor(ctx.project);
+    if (req.query.at_risk === '1' || req.query.at_risk === 'true') {
+      const all = await selectAllRows('milestones', q => q.eq('project_id', req.params.projectId).order('due_date', { ascending: true }));
+      const atRisk = (await decorateMilestones(all, workflow)).filter(m => m.progress.at_risk);
+      return res.json({ milestones: atRisk.slice(offset, offset + limit), limit, offset, total: atRisk.length });
+    }
+    const { data, error, count } = await supabase.from('milestones').select('*', { count: 'exact' }).eq('project_id', req.params.projectId).order('due_date', { ascending: true }).range(offset, offset + limit - 1);
     if (error) throw error;
-    res.json({ milestones: data || [], limit, offset });
+    res.json({ milestones: await decorateMilestones(data || [], workflow), limit, offset, total: count ?? 0 });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post('/api/projects/:projectId/milestones', async (req, res) => {
+/** One milestone with progress and its linked tasks. */
+app.get('/api/projects/:projectId/milestones/:milestoneId', async (req, res) => {
   try {
     const ctx = await requireProjectMember(req, res, req.params.projectId);
     if (!ctx) return;
-    const { title, due_date, description } = req.body || {};
+    const { data, error } = await supabase.from('milestones').select('*').eq('id', req.params.milestoneId).eq('project_id', req.params.projectId).maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Milestone not found' });
+    const [out] = await decorateMilestones([data], taskWorkflowFor(ctx.project));
+    const tasks = (await loadMilestoneTasks([data.id])).get(data.id);
+    res.json({ ...out, tasks: await decorateTasks(tasks) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** Body: { title, due_date?, description?, auto_complete? } — auto_complete: completed_at follows the linked tasks. */
+app.post('/api/projects/:projectId/milestones', async (req, res) => {
+  try {
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'content.write');
+    if (!ctx) return;
+    const { title, due_date, description, auto_complete } = req.body || {};
     if (!title || !title.trim()) return res.status(400).json({ error: 'title is required' });
+    if (auto_complete !== undefined && typeof auto_complete !== 'boolean') return res.status(400).json({ error: 'auto_complete must be a boolean' });
     const { data, error } = await supabase.from('milestones').insert({
       project_id: req.params.projectId,
       title: title.trim(),
       due_date: due_date || null,
       description: (description || '').trim() || null,
-      completed_at: null
+      completed_at: null,
+      ...(auto_complete ? { auto_complete: true } : {})
     }).select().single();
-    if (error) throw error;
+    if (error) {
+      if (String(error.message || '').includes('auto_complete')) return res.status(503).json({ error: MILESTONE_AUTO_COMPLETE_MISSING });
+      throw error;
+    }
     auditLog(req.params.projectId, ctx.user.id, ctx.user.username, 'create', 'milestone', data.id, { title: data.title }, req.requestId);
-    res.status(201).json(data);
+    const [out] = await decorateMilestones([data], taskWorkflowFor(ctx.project));
+    res.status(201).json(out);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 });
 
+/** Body: any of { title, due_date, description, completed_at, auto_complete } — turning auto_complete on applies it right away. */
 app.patch('/api/projects/:projectId/milestones/:milestoneId', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'content.write');
     if (!ctx) return;
-    const { title, due_date, description, completed_at } = req.body || {};
+    const { title, due_date, description, completed_at, auto_complete } = req.body || {};
+    if (auto_complete !== undefined && typeof auto_complete !== 'boolean') return res.status(400).json({ error: 'auto_complete must be a boolean' });
     const updates = {};
     if (title !== undefined) updates.title = title.trim();
     if (due_date !== undefined) updates.due_date = due_date || null;
     if (description !== undefined) updates.description = description.trim() || null;
     if (completed_at !== undefined) updates.completed_at = completed_at || null;
+    if (auto_complete !== undefined) updates.auto_complete = auto_complete;
     const { data, error } = await supabase.from('milestones').update(updates).eq('id', req.params.milestoneId).eq('project_id', req.params.projectId).select().single();
-    if (error) throw error;
+    if (error) {
+      if (auto_complete !== undefined && String(error.message || '').includes('auto_complete')) return res.status(503).json({ error: MILESTONE_AUTO_COMPLETE_MISSING });
+      throw error;
+    }
     auditLog(req.params.projectId, ctx.user.id, ctx.user.username, 'update', 'milestone', data.id, null, req.requestId);
-    res.json(data);
+    let row = data;
+    if (auto_complete === true) {
+      await syncMilestoneCompletion(ctx.project, [data.id], ctx.user, req.requestId);
+      const { data: fresh } = await supabase.from('milestones').select('*').eq('id', data.id).maybeSingle();
+      if (fresh) row = fresh;
+    }
+    const [out] = await decorateMilestones([row], taskWorkflowFor(ctx.project));
+    res.json(out);
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
@@ -1258,7 +5122,7 @@ app.patch('/api/projects/:projectId/milestones/:milestoneId', async (req, res) =
 
 app.delete('/api/projects/:projectId/milestones/:milestoneId', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'content.write');
     if (!ctx) return;
     const { error } = await supabase.from('milestones').delete().eq('id', req.params.milestoneId).eq('project_id', req.params.projectId);
     if (error) throw error;
@@ -1285,7 +5149,7 @@ app.get('/api/projects/:projectId/documents', async (req, res) => {
 
 app.post('/api/projects/:projectId/documents', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'content.write');
     if (!ctx) return;
     const { title, content } = req.body || {};
     if (!title || !title.trim()) return res.status(400).json({ error: 'title is required' });
@@ -1304,7 +5168,7 @@ app.post('/api/projects/:projectId/documents', async (req, res) => {
 
 app.patch('/api/projects/:projectId/documents/:docId', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'content.write');
     if (!ctx) return;
     const { title, content } = req.body || {};
     const updates = { updated_at: new Date().toISOString() };
@@ -1321,7 +5185,7 @@ app.patch('/api/projects/:projectId/documents/:docId', async (req, res) => {
 
 app.delete('/api/projects/:projectId/documents/:docId', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'content.write');
     if (!ctx) return;
     const { error } = await supabase.from('documents').delete().eq('id', req.params.docId).eq('project_id', req.params.projectId);
     if (error) throw error;
@@ -1348,7 +5212,7 @@ app.get('/api/projects/:projectId/notes', async (req, res) => {
 
 app.post('/api/projects/:projectId/notes', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'content.write');
     if (!ctx) return;
     const { title, body } = req.body || {};
     const { data, error } = await supabase.from('notes').insert({
@@ -1366,7 +5230,7 @@ app.post('/api/projects/:projectId/notes', async (req, res) => {
 
 app.patch('/api/projects/:projectId/notes/:noteId', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'content.write');
     if (!ctx) return;
     const { title, body } = req.body || {};
     const updates = { updated_at: new Date().toISOString() };
@@ -1383,7 +5247,7 @@ app.patch('/api/projects/:projectId/notes/:noteId', async (req, res) => {
 
 app.delete('/api/projects/:projectId/notes/:noteId', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'content.write');
     if (!ctx) return;
     const { error } = await supabase.from('notes').delete().eq('id', req.params.noteId).eq('project_id', req.params.projectId);
     if (error) throw error;
@@ -1395,13 +5259,13 @@ app.delete('/api/projects/:projectId/notes/:noteId', async (req, res) => {
 });
 
 // ---------- Auth (proxy to Matriya – same users table) ----------
-async function upsertUserCache(userId, username) {
+async function upsertUserCache(userId, username, email = null) {
   if (userId == null || !username) return;
   try {
-    await supabase.from('user_cache').upsert(
-      { user_id: userId, username: String(username).trim(), updated_at: new Date().toISOString() },
-      { onConflict: 'user_id' }
-    );
+    const row = { user_id: userId, username: String(username).trim(), updated_at: new Date().toISOString() };
+    // Matriya may or may not return email; keep the cached one when absent (used for notification emails).
+    if (email && String(email).includes('@')) row.email = String(email).trim().toLowerCase();
+    await supabase.from('user_cache').upsert(row, { onConflict: 'user_id' });
   } catch (e) {
     console.warn('user_cache upsert failed:', e.message);
   }
@@ -1413,12 +5277,27 @@ function forwardAuth(method, path, req, res) {
   const headers = { 'Content-Type': 'application/json' };
   if (req.headers.authorization) headers.Authorization = req.headers.authorization;
   const opts = { method, url, headers, timeout: 30000 };
-  if ((method === 'POST' || method === 'PUT') && req.body) opts.data = req.body;
+  // invite_token (project invitation link) is ours, not Matriya's: strip it and redeem after a successful login/signup.
+  let inviteToken = null;
+  if ((method === 'POST' || method === 'PUT') && req.body) {
+    const { invite_token: t, ...rest } = req.body;
+    inviteToken = t ? String(t).trim() : null;
+    opts.data = rest;
+  }
   axios(opts)
     .then(async r => {
       const data = r.data;
       if (r.status === 200 && data && data.user && data.user.id != null && data.user.username) {
-        await upsertUserCache(data.user.id, data.user.username);
+        await upsertUserCache(data.user.id, data.user.username, data.user.email);
+        if (inviteToken) {
+          try {
+            const out = await acceptProjectInvitation(data.user, inviteToken, req.requestId);
+            data.invitation = out.ok ? out : { ok: false, error: out.error };
+          } catch (err) {
+            console.warn('invitation accept after auth failed:', err.message);
+            data.invitation = { ok: false, error: 'Invitation could not be accepted' };
+          }
+        }
       }
       res.status(r.status).json(data);
     })
@@ -1449,7 +5328,7 @@ app.get('/api/auth/me', (req, res) => {
     .then(async r => {
       const data = r.data;
       if (r.status === 200 && data && data.id != null && data.username) {
-        await upsertUserCache(data.id, data.username);
+        await upsertUserCache(data.id, data.username, data.email);
       }
       res.status(r.status).json(data);
     })
@@ -1487,7 +5366,7 @@ async function getProjectAccess(projectId, userId, username = null) {
   if (!userId) return { canAccess: false, role: null, hasPendingRequest: false };
   if (String(username || '').trim().toLowerCase() === 'admin') return { canAccess: true, role: 'owner', hasPendingRequest: false };
   const { data: members } = await supabase.from('project_members').select('role').eq('project_id', projectId).eq('user_id', userId).maybeSingle();
-  if (members) return { canAccess: true, role: members.role, hasPendingRequest: false };
+  if (members) return { canAccess: true, role: normalizeProjectRole(members.role), hasPendingRequest: false };
   const { data: pending } = await supabase.from('project_join_requests').select('id').eq('project_id', projectId).eq('user_id', userId).eq('status', 'pending').maybeSingle();
   return { canAccess: false, role: null, hasPendingRequest: !!pending };
 }
@@ -1496,8 +5375,12 @@ function projectHasMembers(projectId) {
   return supabase.from('project_members').select('id', { count: 'exact', head: true }).eq('project_id', projectId).then(r => (r.count || 0) > 0);
 }
 
+function countProjectOwners(projectId) {
+  return supabase.from('project_members').select('id', { count: 'exact', head: true }).eq('project_id', projectId).eq('role', 'owner').then(r => r.count || 0);
+}
+
 // ---------- RBAC: require project member (returns access or sends 403) ----------
-async function requireProjectMember(req, res, projectId) {
+async function requireProjectMember(req, res, projectId, opts = {}) {
   if (!MATRIYA_BACK_URL) {
     res.status(503).json({ error: 'Auth not configured. Set MATRIYA_BACK_URL in the backend environment (e.g. Vercel).' });
     return null;
@@ -1507,13 +5390,35 @@ async function requireProjectMember(req, res, projectId) {
     res.status(401).json({ error: 'Authentication required' });
     return null;
   }
+  // select('*') so a DB without the archive/soft-delete columns yet still works (everything counts as active).
+  const { data: project } = await supabase.from('projects').select('*').eq('id', projectId).maybeSingle();
+  if (project?.deleted_at && !opts.allowDeleted) {
+    res.status(404).json({ error: 'Project not found' });
+    return null;
+  }
   const hasMembers = await projectHasMembers(projectId);
   const access = hasMembers ? await getProjectAccess(projectId, user.id, user.username) : { canAccess: !!user, role: user ? 'owner' : null };
   if (!access.canAccess) {
     res.status(403).json({ error: 'Not a project member' });
     return null;
   }
-  return { user, access };
+  return { user, access, project: project || { id: projectId } };
+}
+
+// ---------- RBAC: require a permission from the project role matrix (lib/projectPermissions.js) ----------
+async function requireProjectPermission(req, res, projectId, permission, opts = {}) {
+  const ctx = await requireProjectMember(req, res, projectId, opts);
+  if (!ctx) return null;
+  if (!roleHasPermission(ctx.access.role, permission)) {
+    res.status(403).json({ error: 'Insufficient project role', role: ctx.access.role, required_permission: permission });
+    return null;
+  }
+  const state = projectLifecycleState(ctx.project);
+  if (state === 'archived' && !isPermissionAllowedInState(state, permission)) {
+    res.status(409).json({ error: 'Project is archived (read-only)', state });
+    return null;
+  }
+  return ctx;
 }
 
 // ---------- Audit log (actor, entity, action, before/after, request_id) ----------
@@ -1530,22 +5435,6 @@ function auditLog(projectId, userId, username, action, entityType, entityId = nu
   }).then(() => {}).catch(() => {});
 }
 
-// ---------- Task status state machine (allowed transitions) ----------
-// Only three statuses in UI: todo (לביצוע), in_progress (בביצוע), done (הושלם). in_review (בדיקה) removed.
-const TASK_STATUS_TRANSITIONS = {
-  todo: ['in_progress', 'cancelled'],
-  in_progress: ['todo', 'done', 'cancelled'],
-  done: [],
-  cancelled: [],
-  in_review: ['todo', 'in_progress', 'done', 'cancelled'] // legacy: allow moving existing in_review tasks
-};
-const ALLOWED_TASK_STATUSES = ['todo', 'in_progress', 'done'];
-function isAllowedTaskStatusTransition(fromStatus, toStatus) {
-  if (!ALLOWED_TASK_STATUSES.includes(toStatus)) return false;
-  const allowed = TASK_STATUS_TRANSITIONS[fromStatus];
-  return Array.isArray(allowed) && allowed.includes(toStatus);
-}
-
 // ---------- Validation (Zod) for critical payloads ----------
 const RUN_STATUSES = ['draft', 'running', 'completed', 'failed'];
 const RUN_FEATURES_CORE = ['research', 'analysis', 'export', 'report', 'doe', 'integrity'];
@@ -1564,15 +5453,25 @@ const runPatchSchema = z.object({
 });
 const taskCreateSchema = z.object({
   title: z.string().min(1).max(500),
-  status: z.string().optional().default('todo'),
+  description: z.union([z.string().max(TASK_DESCRIPTION_MAX), z.null()]).optional(),
+  status: z.string().optional(),
   priority: z.string().optional().default('medium'),
-  due_date: z.union([z.string(), z.null()]).optional()
+  due_date: z.union([z.string(), z.null()]).optional(),
+  assignee_ids: z.array(z.union([z.number(), z.string()])).optional(),
+  parent_task_id: z.union([z.string().uuid(), z.null()]).optional(),
+  milestone_id: z.union([z.string().uuid(), z.null()]).optional(),
+  recurrence_rule: z.union([z.string().max(200), z.null()]).optional()
 });
 const taskPatchSchema = z.object({
   title: z.string().min(1).max(500).optional(),
+  description: z.union([z.string().max(TASK_DESCRIPTION_MAX), z.null()]).optional(),
   status: z.string().optional(),
   priority: z.string().optional(),
-  due_date: z.union([z.string(), z.null()]).optional()
+  due_date: z.union([z.string(), z.null()]).optional(),
+  assignee_ids: z.array(z.union([z.number(), z.string()])).optional(),
+  parent_task_id: z.union([z.string().uuid(), z.null()]).optional(),
+  milestone_id: z.union([z.string().uuid(), z.null()]).optional(),
+  recurrence_rule: z.union([z.string().max(200), z.null()]).optional()
 });
 
 function validateRunFeatures(core = [], extended = []) {
@@ -1626,7 +5525,7 @@ app.get('/api/projects/:projectId/runs', async (req, res) => {
 
 app.post('/api/projects/:projectId/runs', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'runs.write');
     if (!ctx) return;
     const projectId = req.params.projectId;
     const parsed = runCreateSchema.safeParse(req.body || {});
@@ -1664,7 +5563,7 @@ app.get('/api/projects/:projectId/runs/:runId', async (req, res) => {
 
 app.patch('/api/projects/:projectId/runs/:runId', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'runs.write');
     if (!ctx) return;
     const projectId = req.params.projectId;
     const runId = req.params.runId;
@@ -1865,7 +5764,7 @@ app.get('/api/projects/:projectId/import/log', async (req, res) => {
 
 app.post('/api/projects/:projectId/import/sharepoint-file', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'lab.write');
     if (!ctx) return;
     const projectId = req.params.projectId;
     const body = req.body || {};
@@ -1920,9 +5819,80 @@ app.post('/api/projects/:projectId/import/sharepoint-file', async (req, res) =>
   }
 });
 
+/** Header lookup for experiment sheet rows: exact key first, then case-insensitive. */
+function excelCol(obj, ...keys) {
+  for (const k of keys) {
+    const v = obj[k];
+    if (v !== undefined && v !== null && String(v).trim() !== '') return v;
+    const lower = k.toLowerCase();
+    for (const key of Object.keys(obj)) {
+      if (key.toLowerCase() === lower) return obj[key];
+    }
+  }
+  return null;
+}
+
+/**
+ * Upsert lab_experiments from header-keyed sheet rows ({ row, sheet, rowIndex }); bumps experiment_version on update.
+ * Shared by POST .../import/experiment-excel and the inbound email auto import.
+ * @returns {Promise<{ created: number, updated: number, errCount: number, details: { errors: object[] } }>}
+ */
+async function upsertExperimentsFromExcelRows(projectId, rowsWithMeta, source_file_reference) {
+  let created = 0, updated = 0, errCount = 0;
+  const details = { errors: [] };
+
+  for (let i = 0; i < rowsWithMeta.length; i++) {
+    const { row, sheet, rowIndex } = rowsWithMeta[i];
+    const eid = excelCol(row, 'experiment_id', 'experiment id', 'id');
+    if (!eid) { errCount++; details.errors.push({ sheet, row: rowIndex, reason: 'experiment_id required' }); continue; }
+    let materials = excelCol(row, 'materials', 'material');
+    let percentages = excelCol(row, 'percentages', 'percentage');
+    if (typeof materials === 'string') {
+      try { materials = JSON.parse(materials); } catch (_) { materials = materials.split(/[,;]/).map(s => s.trim()).filter(Boolean); }
+    }
+    if (!Array.isArray(materials) && typeof materials !== 'object') materials = [];
+    if (typeof percentages === 'string') {
+      try { percentages = JSON.parse(percentages); } catch (_) { percentages = {}; }
+    }
+    if (typeof percentages !== 'object' || percentages === null) percentages = {};
+    const outcomeRaw = (excelCol(row, 'experiment_outcome', 'outcome', 'result') || 'success').toString().toLowerCase();
+    const experiment_outcome = EXPERIMENT_OUTCOMES.includes(outcomeRaw) ? outcomeRaw : (outcomeRaw.includes('fail') ? 'failure' : outcomeRaw.includes('part') ? 'partial' : 'success');
+
+    const payload = {
+      project_id: projectId,
+      experiment_id: String(eid),
+      experiment_version: 1,
+      technology_domain: (excelCol(row, 'technology_domain', 'domain', 'technology domain') || 'unknown').toString().trim(),
+      formula: excelCol(row, 'formula', 'formulation') != null ? String(excelCol(row, 'formula', 'formulation')).trim() : null,
+      materials,
+      percentages,
+      results: excelCol(row, 'results', 'result') != null ? String(excelCol(row, 'results', 'result')).trim() : null,
+      experiment_outcome,
+      is_production_formula: /true|1|yes|כן/.test(String(excelCol(row, 'is_production_formula', 'production') || '')),
+      source_file_reference,
+      updated_at: new Date().toISOString()
+    };
+    const meas = measurementsFromExcelRow(row, excelCol);
+    if (meas) payload.measurements = meas;
+
+    const { data: existing } = await supabase.from('lab_experiments').select('id, experiment_version').eq('project_id', projectId).eq('experiment_id', payload.experiment_id).single();
+    if (existing) {
+      payload.experiment_version = (existing.experiment_version || 0) + 1;
+      const { error: upErr } = await supabase.from('lab_experiments').update(payload).eq('project_id', projectId).eq('experiment_id', payload.experiment_id);
+      if (upErr) { errCount++; details.errors.push({ sheet, row: rowIndex, experiment_id: payload.experiment_id, reason: upErr.message }); continue; }
+      updated++;
+    } else {
+      const { error: insErr } = await supabase.from('lab_experiments').insert(payload);
+      if (insErr) { errCount++; details.errors.push({ sheet, row: rowIndex, experiment_id: payload.experiment_id, reason: insErr.message }); continue; }
+      created++;
+    }
+  }
+  return { created, updated, errCount, details };
+}
+
 app.post('/api/projects/:projectId/import/experiment-excel', limiterUpload, upload.single('file'), async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'lab.write');
     if (!ctx) return;
     const projectId = req.params.projectId;
     if (!req.file || !req.file.buffer) return res.status(400).json({ error: 'No file uploaded. Send multipart form with field "file".' });
@@ -1941,68 +5911,8 @@ app.post('/api/projects/:projectId/import/experiment-excel', limiterUpload, uplo
     }
     if (!rowsWithMeta.length) return res.status(201).json({ created: 0, updated: 0, error_count: 0, source_file_reference: req.file.originalname || 'excel' });
 
-    const col = (obj, ...keys) => {
-      for (const k of keys) {
-        const v = obj[k];
-        if (v !== undefined && v !== null && String(v).trim() !== '') return v;
-        const lower = k.toLowerCase();
-        for (const key of Object.keys(obj)) {
-          if (key.toLowerCase() === lower) return obj[key];
-        }
-      }
-      return null;
-    };
-
     const source_file_reference = req.file.originalname || 'experiment-excel';
-    let created = 0, updated = 0, errCount = 0;
-    const details = { errors: [] };
-
-    for (let i = 0; i < rowsWithMeta.length; i++) {
-      const { row, sheet, rowIndex } = rowsWithMeta[i];
-      const eid = col(row, 'experiment_id', 'experiment id', 'id');
-      if (!eid) { errCount++; details.errors.push({ sheet, row: rowIndex, reason: 'experiment_id required' }); continue; }
-      let materials = col(row, 'materials', 'material');
-      let percentages = col(row, 'percentages', 'percentage');
-      if (typeof materials === 'string') {
-        try { materials = JSON.parse(materials); } catch (_) { materials = materials.split(/[,;]/).map(s => s.trim()).filter(Boolean); }
-      }
-      if (!Array.isArray(materials) && typeof materials !== 'object') materials = [];
-      if (typeof percentages === 'string') {
-        try { percentages = JSON.parse(percentages); } catch (_) { percentages = {}; }
-      }
-      if (typeof percentages !== 'object' || percentages === null) percentages = {};
-      const outcomeRaw = (col(row, 'experiment_outcome', 'outcome', 'result') || 'success').toString().toLowerCase();
-      const experiment_outcome = EXPERIMENT_OUTCOMES.includes(outcomeRaw) ? outcomeRaw : (outcomeRaw.includes('fail') ? 'failure' : outcomeRaw.includes('part') ? 'partial' : 'success');
-
-      const payload = {
-        project_id: projectId,
-        experiment_id: String(eid),
-        experiment_version: 1,
-        technology_domain: (col(row, 'technology_domain', 'domain', 'technology domain') || 'unknown').toString().trim(),
-        formula: col(row, 'formula', 'formulation') != null ? String(col(row, 'formula', 'formulation')).trim() : null,
-        materials,
-        percentages,
-        results: col(row, 'results', 'result') != null ? String(col(row, 'results', 'result')).trim() : null,
-        experiment_outcome,
-        is_production_formula: /true|1|yes|כן/.test(String(col(row, 'is_production_formula', 'production') || '')),
-        source_file_reference,
-        updated_at: new Date().toISOString()
-      };
-      const meas = measurementsFromExcelRow(row, col);
-      if (meas) payload.measurements = meas;
-
-      const { data: existing } = await supabase.from('lab_experiments').select('id, experiment_version').eq('project_id', projectId).eq('experiment_id', payload.experiment_id).single();
-      if (existing) {
-        payload.experiment_version = (existing.experiment_version || 0) + 1;
-        const { error: upErr } = await supabase.from('lab_experiments').update(payload).eq('project_id', projectId).eq('experiment_id', payload.experiment_id);
-        if (upErr) { errCount++; details.errors.push({ sheet, row: rowIndex, experiment_id: payload.experiment_id, reason: upErr.message }); continue; }
-        updated++;
-      } else {
-        const { error: insErr } = await supabase.from('lab_experiments').insert(payload);
-        if (insErr) { errCount++; details.errors.push({ sheet, row: rowIndex, experiment_id: payload.experiment_id, reason: insErr.message }); continue; }
-        created++;
-      }
-    }
+    const { created, updated, errCount, details } = await upsertExperimentsFromExcelRows(projectId, rowsWithMeta, source_file_reference);
 
     const { error: logErr } = await supabase.from('import_log').insert({
       project_id: projectId,
@@ -2033,6 +5943,19 @@ app.get('/api/projects/:projectId/experiments', async (req, res) => {
   }
 });
 
+/** Chat messages that reference this experiment (backlinks). :experimentId is lab_experiments.id. */
+app.get('/api/projects/:projectId/experiments/:experimentId/chat-references', async (req, res) => {
+  try {
+    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    if (!ctx) return;
+    const { data: row } = await supabase.from('lab_experiments').select('id').eq('id', req.params.experimentId).eq('project_id', req.params.projectId).maybeSingle();
+    if (!row) return res.status(404).json({ error: 'Experiment not found' });
+    res.json({ messages: await chatMessagesReferencing(req.params.projectId, 'lab_experiment_id', row.id) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 /**
  * Save extracted formulation as a lab experiment (results optional — stored as draft: partial outcome).
  * Inserts/updates lab_experiments and replaces experiment_materials rows.
@@ -2040,7 +5963,7 @@ app.get('/api/projects/:projectId/experiments', async (req, res) => {
  */
 app.post('/api/projects/:projectId/experiments/from-formulation', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'lab.write');
     if (!ctx) return;
     const projectId = req.params.projectId;
     const body = req.body || {};
@@ -2161,7 +6084,7 @@ app.post('/api/projects/:projectId/experiments/from-formulation', async (req, re
 
 app.post('/api/projects/:projectId/experiments/sync-to-matriya', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'lab.write');
     if (!ctx) return;
     const projectId = req.params.projectId;
     if (!MATRIYA_BACK_URL) return res.status(503).json({ error: 'MATRIYA_BACK_URL not set' });
@@ -2208,7 +6131,7 @@ app.get('/api/projects/:projectId/research-sessions', async (req, res) => {
 
 app.post('/api/projects/:projectId/research-sessions', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'lab.write');
     if (!ctx) return;
     const { name } = req.body || {};
     const { data, error } = await supabase.from('research_sessions').insert({
@@ -2236,7 +6159,7 @@ app.get('/api/projects/:projectId/material-library', async (req, res) => {
 
 app.post('/api/projects/:projectId/material-library', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'lab.write');
     if (!ctx) return;
     const { name, role_or_function } = req.body || {};
     const nameStr = name != null ? String(name).trim() : null;
@@ -2741,7 +6664,7 @@ app.get('/api/projects/:projectId/lab/saved-experiments', async (req, res) => {
 
 app.post('/api/projects/:projectId/lab/saved-experiments', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'lab.write');
     if (!ctx) return;
     const { name, content } = req.body || {};
     const projectId = req.params.projectId;
@@ -2761,7 +6684,7 @@ app.post('/api/projects/:projectId/lab/saved-experiments', async (req, res) => {
 
 app.delete('/api/projects/:projectId/lab/saved-experiments/:id', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'lab.write');
     if (!ctx) return;
     const { error } = await supabase
       .from('lab_saved_experiment_contexts')
@@ -3211,9 +7134,9 @@ async function createProjectFileFromBuffer(projectId, ctx, buffer, originalName,
 app.post('/api/projects/:projectId/emails/:storedEmailId/import-attachment', limiterEmail, async (req, res) => {
   try {
     const projectId = req.params.projectId;
-    const ctx = await requireProjectMember(req, res, projectId);
+    const ctx = await requireProjectPermission(req, res, projectId, 'files.upload');
     if (!ctx) return;
-    if (!RESEND_API_KEY) return res.status(503).json({ error: 'RESEND_API_KEY required' });
+    if (!emailTransport.inbound || !emailTransport.configured) return res.status(503).json({ error: 'Inbound email transport required (RESEND_API_KEY or EMAIL_TRANSPORT=file)' });
     const parsed = emailAttachImportSchema.safeParse(req.body || {});
     if (!parsed.success) return res.status(400).json({ error: 'Validation failed', issues: parsed.error.flatten() });
     const { attachment_id, destination } = parsed.data;
@@ -3223,20 +7146,10 @@ app.post('/api/projects/:projectId/emails/:storedEmailId/import-attachment', lim
     if (mailRow.direction !== 'received') return res.status(400).json({ error: 'Only received emails can import Resend attachments' });
     if (!mailRow.resend_email_id) return res.status(400).json({ error: 'Email has no Resend receiving id' });
 
-    const attUrl = `https://api.resend.com/emails/receiving/${encodeURIComponent(mailRow.resend_email_id)}/attachments/${encodeURIComponent(attachment_id)}`;
-    const attMetaR = await fetch(attUrl, { headers: { Authorization: `Bearer ${RESEND_API_KEY}` } });
-    const attMeta = await attMetaR.json().catch(() => ({}));
-    if (!attMetaR.ok) {
-      return res.status(502).json({ error: typeof attMeta.message === 'string' ? attMeta.message : 'Failed to get attachment from Resend', details: attMeta });
-    }
-    const downloadUrl = attMeta.download_url;
-    if (!downloadUrl) return res.status(502).json({ error: 'No download_url from Resend (URLs expire ~1h after receipt)' });
-    const binR = await fetch(downloadUrl);
-    if (!binR.ok) return res.status(502).json({ error: 'Failed to download attachment bytes' });
-    const buf = Buffer.from(await binR.arrayBuffer());
-    const filename = attMeta.filename || 'attachment';
+    const dl = await emailTransport.getReceivedAttachment(mailRow.resend_email_id, attachment_id);
+    if (!dl.ok) return res.status(502).json({ error: dl.error, ...(dl.details ? { details: dl.details } : {}) });
+    const { buf, filename, contentType: ct } = dl;
     const folderLabel = destination === 'lab' ? LAB_EMAIL_IMPORT_FOLDER : null;
-    const ct = attMeta.content_type || attMeta.contentType || 'application/octet-stream';
 
     let labParsed = null;
     if (destination === 'lab') {
@@ -3254,9 +7167,9 @@ app.post('/api/projects/:projectId/emails/:storedEmailId/import-attachment', lim
         if (!assessment.ok) {
           let completion_email_sent = false;
           let email_error = null;
-          if (RESEND_API_KEY && mailRow.from_email) {
+          if (emailTransport.configured && mailRow.from_email) {
             const send = await sendLabImportIncompleteEmail({
-              apiKey: RESEND_API_KEY,
+              transport: emailTransport,
               fromEmail: RESEND_FROM_EMAIL,
               toEmail: mailRow.from_email,
               replyTo: replyToAddressForProject(projectId),
@@ -3316,6 +7229,295 @@ app.post('/api/projects/:projectId/emails/:storedEmailId/import-attachment', lim
   }
 });
 
+// ---------- Lab import rules (auto import of inbound email attachments) ----------
+app.get('/api/projects/:projectId/lab/import-rules', async (req, res) => {
+  try {
+    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    if (!ctx) return;
+    const { data, error } = await supabase.from('lab_import_rules').select('*').eq('project_id', req.params.projectId).order('created_at', { ascending: true });
+    if (error) {
+      if (isMissingTableError(error)) return res.json({ rules: [] });
+      throw error;
+    }
+    res.json({ rules: data || [] });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.post('/api/projects/:projectId/lab/import-rules', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'lab.write');
+    if (!ctx) return;
+    const norm = normalizeLabImportRule(req.body);
+    if (!norm.ok) return res.status(400).json({ error: norm.error });
+    const { data, error } = await supabase.from('lab_import_rules').insert({
+      ...norm.rule,
+      project_id: projectId,
+      created_by_user_id: ctx.user.id
+    }).select().single();
+    if (error) {
+      if (isMissingTableError(error)) return res.status(503).json({ error: 'lab_import_rules table missing. Run migrations/026_lab_import_rules.sql.' });
+      throw error;
+    }
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'create', 'lab_import_rule', data.id, { name: data.name }, req.requestId);
+    res.status(201).json(data);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.patch('/api/projects/:projectId/lab/import-rules/:ruleId', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'lab.write');
+    if (!ctx) return;
+    const { data: existing } = await supabase.from('lab_import_rules').select('*').eq('id', req.params.ruleId).eq('project_id', projectId).maybeSingle();
+    if (!existing) return res.status(404).json({ error: 'Rule not found' });
+    const norm = normalizeLabImportRule(req.body, existing);
+    if (!norm.ok) return res.status(400).json({ error: norm.error });
+    const { data, error } = await supabase.from('lab_import_rules')
+      .update({ ...norm.rule, updated_at: new Date().toISOString() })
+      .eq('id', existing.id).eq('project_id', projectId).select().single();
+    if (error) throw error;
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'update', 'lab_import_rule', data.id, { name: data.name, enabled: data.enabled }, req.requestId);
+    res.json(data);
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/projects/:projectId/lab/import-rules/:ruleId', async (req, res) => {
+  try {
+    const projectId = req.params.projectId;
+    const ctx = await requireProjectPermission(req, res, projectId, 'lab.write');
+    if (!ctx) return;
+    const { data, error } = await supabase.from('lab_import_rules').delete().eq('id', req.params.ruleId).eq('project_id', projectId).select('id');
+    if (error) throw error;
+    if (!data?.length) return res.status(404).json({ error: 'Rule not found' });
+    auditLog(projectId, ctx.user.id, ctx.user.username, 'delete', 'lab_import_rule', req.params.ruleId, null, req.requestId);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+async function insertAutoImportLog(projectId, filename, counts, details) {
+  const { error } = await supabase.from('import_log').insert({
+    project_id: projectId,
+    source_file_reference: filename,
+    source_type: 'email_auto_import',
+    created_count: counts.created || 0,
+    updated_count: counts.updated || 0,
+    error_count: counts.errors || 0,
+    details
+  });
+  if (error) console.warn('import_log insert failed:', error.message);
+}
+
+/** Attachments of a stored received email that enabled lab_import_rules pick ([] without rules / migration). */
+async function selectAutoImportForEmail(projectId, mailRow) {
+  const { data: rules, error: rulesErr } = await supabase.from('lab_import_rules').select('*')
+    .eq('project_id', projectId).eq('enabled', true).order('created_at', { ascending: true });
+  if (rulesErr) {
+    if (!isMissingTableError(rulesErr)) console.warn('[auto-import] rules query failed:', rulesErr.message);
+    return [];
+  }
+  return selectAutoImportAttachments(rules || [], { from: mailRow.from_email, subject: mailRow.subject }, mailRow.attachments);
+}
+
+const LAB_AUTO_IMPORT_STALE_RUNNING_MS = 15 * 60 * 1000;
+const LAB_AUTO_IMPORT_MAX_ATTEMPTS = 3;
+
+/**
+ * Called by the inbound webhook after the email is stored: when a rule matches, mark the email auto_import_status
+ * = pending and start the import in the background, so the webhook replies at once. GET /api/cron/lab-auto-imports
+ * picks up what the background run did not finish. Before migrations/035 the import just runs in the background.
+ * @returns {Promise<{ queued: number } | null>} null when no rule matched
+ */
+async function queueAutoLabImport(projectId, mailRow) {
+  const selected = await selectAutoImportForEmail(projectId, mailRow);
+  if (!selected.length) return null;
+  const { error } = await supabase.from('project_emails')
+    .update({ auto_import_status: 'pending', auto_import_updated_at: new Date().toISOString() })
+    .eq('id', mailRow.id).eq('project_id', projectId);
+  if (error) {
+    if (!String(error.message || '').includes('auto_import')) throw error;
+    setImmediate(() => runAutoLabImport(projectId, mailRow, selected, { requestId: null })
+      .catch(e => console.warn('[auto-import] background run failed', mailRow.id, e.message)));
+    return { queued: selected.length };
+  }
+  setImmediate(() => processQueuedAutoLabImport(mailRow.id).catch(e => console.warn('[auto-import] background run failed', mailRow.id, e.message)));
+  return { queued: selected.length };
+}
+
+/**
+ * Claim one pending email (pending → running) and run its import; a run that throws or leaves failed attachments goes
+ * back to pending until LAB_AUTO_IMPORT_MAX_ATTEMPTS, then failed. Attachments already imported on an earlier attempt are skipped.
+ * @returns {Promise<'done'|'pending'|'failed'|null>} null when another run holds it
+ */
+async function processQueuedAutoLabImport(emailRowId) {
+  const { data: row } = await supabase.from('project_emails').select('*').eq('id', emailRowId).maybeSingle();
+  if (!row || row.auto_import_status !== 'pending') return null;
+  const attempts = (row.auto_import_attempts || 0) + 1;
+  const { data: claimed } = await supabase.from('project_emails')
+    .update({ auto_import_status: 'running', auto_import_attempts: attempts, auto_import_updated_at: new Date().toISOString() })
+    .eq('id', row.id).eq('auto_import_status', 'pending').select('id');
+  if (!claimed?.length) return null;
+  let update;
+  try {
+    const summary = await runAutoLabImport(row.project_id, row, await selectAutoImportForEmail(row.project_id, row), { requestId: null });
+    // runAutoLabImport logs per-attachment errors and resolves; failed attachments are retried like a failed run
+    const status = !summary.failed ? 'done' : attempts >= LAB_AUTO_IMPORT_MAX_ATTEMPTS ? 'failed' : 'pending';
+    if (summary.failed) console.warn('[auto-import] attachments failed', { email_id: row.id, attempts, failed: summary.failed });
+    update = { auto_import_status: status, auto_import_result: summary };
+  } catch (e) {
+    console.warn('[auto-import] run failed', { email_id: row.id, attempts, error: e.message });
+    update = { auto_import_status: attempts >= LAB_AUTO_IMPORT_MAX_ATTEMPTS ? 'failed' : 'pending', auto_import_result: { error: e.message } };
+  }
+  const { error } = await supabase.from('project_emails').update({ ...update, auto_import_updated_at: new Date().toISOString() }).eq('id', row.id);
+  if (error) console.warn('[auto-import] status update failed', row.id, error.message);
+  return update.auto_import_status;
+}
+
+/** Cron: requeue runs that died (running for too long), then process pending emails oldest first. */
+async function dispatchQueuedAutoLabImports(limit = 10) {
+  const staleBefore = new Date(Date.now() - LAB_AUTO_IMPORT_STALE_RUNNING_MS).toISOString();
+  const stale = await supabase.from('project_emails').update({ auto_import_status: 'pending', auto_import_updated_at: new Date().toISOString() })
+    .eq('auto_import_status', 'running').lt('auto_import_updated_at', staleBefore);
+  if (stale.error) {
+    if (isMissingTableError(stale.error)) return { due: 0, done: 0, retried: 0, failed: 0 };
+    throw stale.error;
+  }
+  const { data: due, error } = await supabase.from('project_emails').select('id')
+    .eq('auto_import_status', 'pending').order('auto_import_updated_at', { ascending: true }).limit(limit);
+  if (error) throw error;
+  const summary = { due: (due || []).length, done: 0, retried: 0, failed: 0 };
+  for (const { id } of due || []) {
+    const status = await processQueuedAutoLabImport(id);
+    if (status === 'done') summary.done++;
+    else if (status === 'pending') summary.retried++;
+    else if (status === 'failed') summary.failed++;
+  }
+  return summary;
+}
+
+app.get('/api/cron/lab-auto-imports', async (req, res) => {
+  try {
+    if (!requireCronSecret(req, res)) return;
+    res.json(await dispatchQueuedAutoLabImports());
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/** attachment ids of an email that an earlier auto-import attempt already imported or parked as incomplete. */
+async function autoImportedAttachmentIds(projectId, emailRowId) {
+  const { data, error } = await supabase.from('import_log').select('details')
+    .eq('project_id', projectId).eq('source_type', 'email_auto_import').eq('details->>email_id', emailRowId);
+  if (error) return new Set();
+  return new Set((data || []).filter(r => ['imported', 'pending_incomplete'].includes(r.details?.status)).map(r => r.details.attachment_id));
+}
+
+/**
+ * Auto import of a stored received email (queued by queueAutoLabImport): attachments matching an enabled
+ * lab_import_rules row go through the same steps as POST .../import-attachment (destination=lab), then experiments are
+ * upserted from Excel sheets. One import_log row per attempt (source_type email_auto_import); errors per attachment are
+ * logged and do not stop the others.
+ * @param {string} projectId
+ * @param {object} mailRow - project_emails row (id, resend_email_id, from_email, subject, attachments)
+ * @param {{ attachment: object, rule: object }[]} selected - selectAutoImportForEmail
+ * @param {{ requestId: string|null }} req - audit context
+ * @returns {Promise<{ attempted: number, imported: number, pending: number, failed: number, skipped: number }>}
+ */
+async function runAutoLabImport(projectId, mailRow, selected, req) {
+  const already = await autoImportedAttachmentIds(projectId, mailRow.id);
+  const todo = selected.filter(s => !already.has(s.attachment.id));
+  const summary = { attempted: todo.length, imported: 0, pending: 0, failed: 0, skipped: selected.length - todo.length };
+  const inboundCtx = { user: { id: null, username: 'inbound' } };
+  for (const { attachment, rule } of todo) {
+    const base = { email_id: mailRow.id, rule_id: rule.id, rule_name: rule.name, attachment_id: attachment.id };
+    let filename = attachment.filename || 'attachment';
+    try {
+      const dl = await emailTransport.getReceivedAttachment(mailRow.resend_email_id, attachment.id);
+      if (!dl.ok) {
+        summary.failed++;
+        await insertAutoImportLog(projectId, filename, { errors: 1 }, { ...base, status: 'failed', error: dl.error });
+        continue;
+      }
+      filename = dl.filename || filename;
+      let labParsed = null;
+      try {
+        labParsed = await parseExperimentBufferToText(dl.buf, filename);
+      } catch (_) {
+        labParsed = null;
+      }
+
+      if (isLabEmailStrictValidationEnabled()) {
+        const assessment = assessLabEmailAttachmentImport({
+          text: labParsed?.text ?? '',
+          excelSheets: labParsed?.excelSheets ?? null,
+          filename
+        });
+        if (!assessment.ok) {
+          let completion_email_sent = false;
+          let email_error = null;
+          if (emailTransport.configured && mailRow.from_email) {
+            const send = await sendLabImportIncompleteEmail({
+              transport: emailTransport,
+              fromEmail: RESEND_FROM_EMAIL,
+              toEmail: mailRow.from_email,
+              replyTo: replyToAddressForProject(projectId),
+              missing: assessment.missing,
+              filename
+            });
+            completion_email_sent = send.sent;
+            email_error = send.resendError || null;
+          }
+          const { error: metaErr } = await supabase.from('project_emails').update({
+            lab_import_meta: {
+              status: 'pending_incomplete',
+              missing: assessment.missing,
+              attachment_id: attachment.id,
+              filename,
+              source: 'auto_import',
+              rule_id: rule.id,
+              updated_at: new Date().toISOString(),
+              completion_email_sent
+            }
+          }).eq('id', mailRow.id).eq('project_id', projectId);
+          if (metaErr) console.warn('[auto-import] lab_import_meta update failed:', metaErr.message);
+          summary.pending++;
+          await insertAutoImportLog(projectId, filename, { errors: assessment.missing.length }, {
+            ...base, status: 'pending_incomplete', missing: assessment.missing, completion_email_sent, email_error
+          });
+          continue;
+        }
+      }
+
+      const fileRow = await createProjectFileFromBuffer(projectId, inboundCtx, dl.buf, filename, LAB_EMAIL_IMPORT_FOLDER, req, {
+        contentType: dl.contentType,
+        auditSource: 'email_auto_import',
+        syncReason: 'email/auto-import'
+      });
+      const rows = excelSheetsToRowObjects(labParsed?.excelSheets);
+      const result = rows.length
+        ? await upsertExperimentsFromExcelRows(projectId, rows, filename)
+        : { created: 0, updated: 0, errCount: 0, details: { errors: [] } };
+      summary.imported++;
+      await insertAutoImportLog(projectId, filename, { created: result.created, updated: result.updated, errors: result.errCount }, {
+        ...base, status: 'imported', file_id: fileRow.id, ...(result.details.errors.length ? { errors: result.details.errors } : {})
+      });
+    } catch (e) {
+      summary.failed++;
+      console.warn('[auto-import] attachment failed', { projectId, email_id: mailRow.id, attachment_id: attachment.id, error: e.message });
+      await insertAutoImportLog(projectId, filename, { errors: 1 }, { ...base, status: 'failed', error: e.message });
+    }
+  }
+  return summary;
+}
+
 app.get('/api/projects/:projectId/files', async (req, res) => {
   try {
     const projectId = req.params.projectId;
@@ -3343,7 +7545,7 @@ app.get('/api/projects/:projectId/files', async (req, res) => {
 
 app.post('/api/projects/:projectId/files/pull-sharepoint', limiterSharePoint, async (req, res) => {
   const projectId = req.params.projectId;
-  const ctx = await requireProjectMember(req, res, projectId);
+  const ctx = await requireProjectPermission(req, res, projectId, 'files.upload');
   if (!ctx) return;
   if (!SHAREPOINT_TENANT_ID || !SHAREPOINT_CLIENT_ID || !SHAREPOINT_CLIENT_SECRET) {
     return res.status(503).json({ error: 'SharePoint integration not configured (SHAREPOINT_TENANT_ID, SHAREPOINT_CLIENT_ID, SHAREPOINT_CLIENT_SECRET)' });
@@ -3411,7 +7613,7 @@ app.post('/api/projects/:projectId/files/pull-sharepoint', limiterSharePoint, as
 
 app.post('/api/projects/:projectId/files', limiterUpload, upload.single('file'), async (req, res) => {
   const projectId = req.params.projectId;
-  const ctx = await requireProjectMember(req, res, projectId);
+  const ctx = await requireProjectPermission(req, res, projectId, 'files.upload');
   if (!ctx) return;
   if (!req.file) {
     return res.status(400).json({ error: 'No file provided' });
@@ -3474,7 +7676,7 @@ app.delete('/api/projects/:projectId/files/:fileId', async (req, res) => {
   try {
     const projectId = req.params.projectId;
     const fileId = req.params.fileId;
-    const ctx = await requireProjectMember(req, res, projectId);
+    const ctx = await requireProjectPermission(req, res, projectId, 'files.delete');
     if (!ctx) return;
 
     const { data: row, error: fetchErr } = await supabase
@@ -3542,7 +7744,7 @@ app.delete('/api/projects/:projectId/files/:fileId', async (req, res) => {
 app.post('/api/projects/:projectId/files/repair-storage-from-rag', limiterRag, async (req, res) => {
   try {
     const projectId = req.params.projectId;
-    const ctx = await requireProjectMember(req, res, projectId);
+    const ctx = await requireProjectPermission(req, res, projectId, 'files.upload');
     if (!ctx) return;
     if (!hasLocalRag()) {
       return res.status(503).json({ error: 'RAG not configured – set POSTGRES_URL (or DATABASE_URL) for management vector DB' });
@@ -3820,7 +8022,7 @@ app.get('/api/projects/:projectId/files/upload-to-sharepoint-bucket/config', asy
 // Storage paths are ASCII-only (random ids) because Hebrew is not supported in Supabase Storage; display names (Hebrew/English) are stored in DB and shown in the frontend.
 app.post('/api/projects/:projectId/files/upload-to-sharepoint-bucket/signed-urls', limiterUpload, async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'files.upload');
     if (!ctx) return;
     const folderPath = (req.body?.folderPath != null) ? String(req.body.folderPath).trim() : '';
     const files = req.body?.files;
@@ -3851,7 +8053,7 @@ app.post('/api/projects/:projectId/files/upload-to-sharepoint-bucket/signed-urls
 
 app.post('/api/projects/:projectId/files/upload-to-sharepoint-bucket/invalidate-cache', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'files.upload');
     if (!ctx) return;
     bucketListCache.files = null;
     bucketListCache.filesExpiresAt = 0;
@@ -3884,7 +8086,7 @@ function mergePathDisplayMappings(merged, storagePath, displayName) {
 
 app.post('/api/projects/:projectId/files/upload-to-sharepoint-bucket/update-display-names', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'files.upload');
     if (!ctx) return;
     const projectId = req.params.projectId;
     const mappings = req.body?.mappings;
@@ -3963,7 +8165,7 @@ app.post('/api/projects/:projectId/files/upload-to-sharepoint-bucket', limiterUp
     if (uploadId) sharepointUploadProgressMap.set(uploadId, { file, total, phase });
   };
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'files.upload');
     if (!ctx) return;
     const projectId = req.params.projectId;
     const raw = req.files || {};
@@ -4088,7 +8290,7 @@ app.post('/api/projects/:projectId/files/upload-to-sharepoint-bucket', limiterUp
 /** Register uploaded paths (from direct-to-bucket upload) into project_files and trigger Matriya ingest so they can be asked on. */
 app.post('/api/projects/:projectId/files/register-and-ingest', async (req, res) => {
   try {
-    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    const ctx = await requireProjectPermission(req, res, req.params.projectId, 'files.upload');
     if (!ctx) return;
     const projectId = req.params.projectId;
     const paths = req.body?.paths;
@@ -4242,7 +8444,7 @@ async function projectFilesToResendAttachments(projectId, fileIds) {
 app.post('/api/projects/:projectId/files/from-bucket', async (req, res) => {
   try {
     const projectId = req.params.projectId;
-    const ctx = await requireProjectMember(req, res, projectId);
+    const ctx = await requireProjectPermission(req, res, projectId, 'files.upload');
     if (!ctx) return;
     const path = req.body?.path;
     if (!path || typeof path !== 'string') return res.status(400).json({ error: 'path is required' });
@@ -4277,6 +8479,19 @@ app.post('/api/projects/:projectId/files/from-bucket', async (req, res) => {
   }
 });
 
+/** Chat messages that reference this file (backlinks). */
+app.get('/api/projects/:projectId/files/:fileId/chat-references', async (req, res) => {
+  try {
+    const ctx = await requireProjectMember(req, res, req.params.projectId);
+    if (!ctx) return;
+    const { data: row } = await supabase.from('project_files').select('id').eq('id', req.params.fileId).eq('project_id', req.params.projectId).maybeSingle();
+    if (!row) return res.status(404).json({ error: 'File not found' });
+    res.json({ messages: await chatMessagesReferencing(req.params.projectId, 'project_file_id', row.id) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
 app.get('/api/projects/:projectId/files/:fileId/download', async (req, res) => {
   try {
     const ctx = await requireProjectMember(req, res, req.params.projectId);
@@ -4545,7 +8760,7 @@ app.get('/api/projects/:projectId/gpt-rag/status', limiterRag, async (req, res)
 app.post('/api/projects/:projectId/gpt-rag/sync', limiterRag, async (req, res) => {
   try {
     const projectId = req.params.projectId;
-    const ctx = await requireProjectMember(req, res, projectId);
+    const ctx = await requireProjectPermission(req, res, projectId, 'rag.sync');
     if (!ctx) return;
     if (!OPENAI_API_KEY) return res.status(503).json({ error: 'OPENAI_API_KEY not set on server' });
 
@@ -10,6 +10,22 @@ CREATE TABLE IF NOT EXISTS projects (
   updated_at TIMESTAMPTZ DEFAULT now()
 );
 
+-- Listed in the join-request catalogue (GET /api/projects/catalog)
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS discoverable BOOLEAN NOT NULL DEFAULT true;
+
+-- Task workflow (statuses + transitions); NULL = default todo → in_progress → done (migrations/031_task_workflows.sql)
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS task_workflow JSONB;
+-- Day of the last overdue-task digest to the owners (GET /api/cron/task-reminders, migrations/034_task_recurrence_reminders.sql)
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS overdue_digest_sent_on DATE;
+
+-- Archive (read-only) + soft delete with retention (purged by GET /api/cron/purge-deleted-projects after purge_after)
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS archived_by_user_id INTEGER;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS deleted_by_user_id INTEGER;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS purge_after TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS projects_purge_after_idx ON projects(purge_after) WHERE deleted_at IS NOT NULL;
+
 -- OpenAI File Search (vector store id per project). Run if the column is missing:
 -- ALTER TABLE projects ADD COLUMN IF NOT EXISTS openai_vector_store_id TEXT;
 
@@ -18,14 +34,68 @@ CREATE TABLE IF NOT EXISTS tasks (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
   title TEXT NOT NULL,
-  status TEXT NOT NULL DEFAULT 'todo' CHECK (status IN ('todo', 'in_progress', 'in_review', 'done', 'cancelled')),
+  description TEXT,
+  -- values come from projects.task_workflow (lib/taskWorkflow.js)
+  status TEXT NOT NULL DEFAULT 'todo' CONSTRAINT tasks_status_format_check CHECK (status ~ '^[a-z][a-z0-9_]{0,39}$'),
   priority TEXT NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')),
   due_date DATE,
+  parent_task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+  completed_at TIMESTAMPTZ,
+  -- recurring tasks (lib/taskRecurrence.js): rule, instance number, previous instance (one next instance each)
+  recurrence_rule TEXT,
+  recurrence_seq INTEGER NOT NULL DEFAULT 1,
+  recurrence_source_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+  -- due date the assignees were last reminded about
+  reminder_sent_for DATE,
   created_at TIMESTAMPTZ DEFAULT now(),
   updated_at TIMESTAMPTZ DEFAULT now()
 );
 
 CREATE INDEX IF NOT EXISTS tasks_project_id_idx ON tasks(project_id);
+CREATE INDEX IF NOT EXISTS tasks_parent_task_id_idx ON tasks(parent_task_id) WHERE parent_task_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS tasks_recurrence_source_uidx ON tasks(recurrence_source_id) WHERE recurrence_source_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS tasks_open_due_date_idx ON tasks(due_date) WHERE completed_at IS NULL AND due_date IS NOT NULL;
+
+-- Task assignees (project members) and comment stream (migrations/030_task_assignees_comments.sql)
+CREATE TABLE IF NOT EXISTS task_assignees (
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL,
+  username TEXT,
+  assigned_by_user_id INTEGER,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (task_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS task_assignees_user_idx ON task_assignees(user_id);
+CREATE INDEX IF NOT EXISTS task_assignees_project_user_idx ON task_assignees(project_id, user_id);
+
+CREATE TABLE IF NOT EXISTS task_comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id INTEGER,
+  username TEXT,
+  body TEXT NOT NULL,
+  edited_at TIMESTAMPTZ,
+  deleted_at TIMESTAMPTZ,
+  deleted_by_user_id INTEGER,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS task_comments_task_created_idx ON task_comments(task_id, created_at);
+
+-- Finish-to-start dependencies (migrations/032_task_dependencies.sql)
+CREATE TABLE IF NOT EXISTS task_dependencies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  predecessor_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  successor_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  created_by_user_id INTEGER,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (predecessor_id, successor_id),
+  CHECK (predecessor_id <> successor_id)
+);
+CREATE INDEX IF NOT EXISTS task_dependencies_project_idx ON task_dependencies(project_id);
+CREATE INDEX IF NOT EXISTS task_dependencies_successor_idx ON task_dependencies(successor_id);
 
 -- Milestones (per project)
 CREATE TABLE IF NOT EXISTS milestones (
@@ -35,12 +105,17 @@ CREATE TABLE IF NOT EXISTS milestones (
   description TEXT,
   due_date DATE,
   completed_at TIMESTAMPTZ,
+  auto_complete BOOLEAN NOT NULL DEFAULT false,
   created_at TIMESTAMPTZ DEFAULT now(),
   updated_at TIMESTAMPTZ DEFAULT now()
 );
 
 CREATE INDEX IF NOT EXISTS milestones_project_id_idx ON milestones(project_id);
 
+-- Tasks linked to a milestone (migrations/033_task_milestones.sql; milestones is created after tasks)
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS milestone_id UUID REFERENCES milestones(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS tasks_milestone_id_idx ON tasks(milestone_id) WHERE milestone_id IS NOT NULL;
+
 -- Documents (per project)
 CREATE TABLE IF NOT EXISTS documents (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -109,32 +184,105 @@ CREATE TABLE IF NOT EXISTS sharepoint_pull_requests (
 CREATE TABLE IF NOT EXISTS user_cache (
   user_id INTEGER PRIMARY KEY,
   username TEXT NOT NULL,
+  email TEXT,
   updated_at TIMESTAMPTZ DEFAULT now()
 );
 
--- Project members (who can access a project; creator is owner)
+-- Project members (who can access a project; creator is owner). Role → permissions: lib/projectPermissions.js
 CREATE TABLE IF NOT EXISTS project_members (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
   user_id INTEGER NOT NULL,
-  role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+  role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('owner', 'editor', 'lab_analyst', 'viewer', 'external_reviewer')),
   created_at TIMESTAMPTZ DEFAULT now(),
   UNIQUE(project_id, user_id)
 );
+-- Existing DBs with the old owner/member constraint: run migrations/012_project_member_roles.sql
 CREATE INDEX IF NOT EXISTS project_members_project_id_idx ON project_members(project_id);
 CREATE INDEX IF NOT EXISTS project_members_user_id_idx ON project_members(user_id);
 
+-- Ownership transfer (owner proposes, new owner confirms; co-owners = several role='owner' rows)
+CREATE TABLE IF NOT EXISTS project_ownership_transfers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  from_user_id INTEGER NOT NULL,
+  from_username TEXT,
+  to_user_id INTEGER NOT NULL,
+  to_username TEXT,
+  previous_owner_role TEXT NOT NULL DEFAULT 'editor' CHECK (previous_owner_role IN ('owner', 'editor', 'lab_analyst', 'viewer', 'external_reviewer')),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  responded_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS project_ownership_transfers_project_id_idx ON project_ownership_transfers(project_id);
+CREATE INDEX IF NOT EXISTS project_ownership_transfers_to_user_idx ON project_ownership_transfers(to_user_id) WHERE status = 'pending';
+-- One pending transfer per project
+CREATE UNIQUE INDEX IF NOT EXISTS project_ownership_transfers_pending_uidx ON project_ownership_transfers(project_id) WHERE status = 'pending';
+
+-- Email invitations (hashed single-use token, expires_at; accepted via /api/invitations/accept or invite_token on login/signup)
+CREATE TABLE IF NOT EXISTS project_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('editor', 'lab_analyst', 'viewer', 'external_reviewer')),
+  token_hash TEXT NOT NULL UNIQUE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'revoked', 'expired')),
+  invited_by_user_id INTEGER,
+  invited_by_username TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_by_user_id INTEGER,
+  accepted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS project_invitations_project_id_idx ON project_invitations(project_id, status);
+CREATE INDEX IF NOT EXISTS project_invitations_email_idx ON project_invitations(lower(email)) WHERE status = 'pending';
+
 -- Join requests (user asked to be added to project)
 CREATE TABLE IF NOT EXISTS project_join_requests (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
   user_id INTEGER NOT NULL,
   username TEXT NOT NULL,
-  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'expired')),
+  message TEXT,
+  response_reason TEXT,
+  responded_by_user_id INTEGER,
+  responded_by_username TEXT,
+  responded_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT now()
 );
 CREATE INDEX IF NOT EXISTS project_join_requests_project_id_idx ON project_join_requests(project_id);
 CREATE INDEX IF NOT EXISTS project_join_requests_status_idx ON project_join_requests(project_id, status);
+CREATE INDEX IF NOT EXISTS project_join_requests_user_id_idx ON project_join_requests(user_id, status);
+-- Existing DBs: run migrations/016_join_request_workflow.sql
+
+-- In-app notifications (join requests, chat mentions, …); same text optionally emailed via Resend
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id INTEGER NOT NULL,
+  project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT,
+  entity_type TEXT,
+  entity_id TEXT,
+  data JSONB,
+  read_at TIMESTAMPTZ,
+  emailed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS notifications_user_created_idx ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS notifications_user_unread_idx ON notifications(user_id) WHERE read_at IS NULL;
+
+-- Notification email mode per user: immediate (default) | daily_digest (GET /api/cron/notification-digest) | off
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id INTEGER PRIMARY KEY,
+  email_mode TEXT NOT NULL DEFAULT 'immediate' CHECK (email_mode IN ('immediate', 'daily_digest', 'off')),
+  last_digest_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS notification_preferences_digest_idx ON notification_preferences(email_mode) WHERE email_mode = 'daily_digest';
 
 -- Project chat (any project member can read/write)
 CREATE TABLE IF NOT EXISTS project_chat_messages (
@@ -143,9 +291,42 @@ CREATE TABLE IF NOT EXISTS project_chat_messages (
   user_id INTEGER NOT NULL,
   username TEXT NOT NULL,
   body TEXT NOT NULL,
+  parent_id UUID REFERENCES project_chat_messages(id) ON DELETE SET NULL,
+  edited_at TIMESTAMPTZ,
+  deleted_at TIMESTAMPTZ,
+  deleted_by_user_id INTEGER,
   created_at TIMESTAMPTZ DEFAULT now()
 );
 CREATE INDEX IF NOT EXISTS project_chat_messages_project_id_idx ON project_chat_messages(project_id);
+CREATE INDEX IF NOT EXISTS project_chat_messages_parent_id_idx ON project_chat_messages(parent_id) WHERE parent_id IS NOT NULL;
+-- Chat search: trigram index for ILIKE (Hebrew + English substrings), created_at for ?around= cursors
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS project_chat_messages_body_trgm_idx ON project_chat_messages USING GIN (body gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS project_chat_messages_project_created_idx ON project_chat_messages(project_id, created_at);
+
+-- Chat edit history (previous bodies) and emoji reactions
+CREATE TABLE IF NOT EXISTS project_chat_message_edits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES project_chat_messages(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  previous_body TEXT NOT NULL,
+  edited_by_user_id INTEGER NOT NULL,
+  edited_by_username TEXT,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS project_chat_message_edits_message_id_idx ON project_chat_message_edits(message_id, created_at);
+
+CREATE TABLE IF NOT EXISTS project_chat_reactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES project_chat_messages(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL,
+  username TEXT,
+  emoji TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (message_id, user_id, emoji)
+);
+CREATE INDEX IF NOT EXISTS project_chat_reactions_message_id_idx ON project_chat_reactions(message_id);
 
 -- Per-user "last seen" for project chat (unread badge; survives reload / other devices)
 CREATE TABLE IF NOT EXISTS project_chat_last_read (
@@ -156,6 +337,29 @@ CREATE TABLE IF NOT EXISTS project_chat_last_read (
 );
 CREATE INDEX IF NOT EXISTS project_chat_last_read_user_idx ON project_chat_last_read(user_id);
 
+-- Chat event log for the SSE stream (id = Last-Event-ID): message | message_updated | message_deleted | reaction | read | typing
+CREATE TABLE IF NOT EXISTS project_chat_events (
+  id BIGSERIAL PRIMARY KEY,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  payload JSONB,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS project_chat_events_project_id_idx ON project_chat_events(project_id, id);
+CREATE INDEX IF NOT EXISTS project_chat_events_typing_idx ON project_chat_events(project_id, created_at) WHERE type = 'typing';
+
+-- Last activity per project (GET /api/projects sort): latest of project update, task, file and chat timestamps
+CREATE OR REPLACE VIEW project_last_activity AS
+SELECT
+  p.id AS project_id,
+  GREATEST(
+    p.updated_at,
+    (SELECT max(GREATEST(t.created_at, t.updated_at)) FROM tasks t WHERE t.project_id = p.id),
+    (SELECT max(GREATEST(f.created_at, f.updated_at)) FROM project_files f WHERE f.project_id = p.id),
+    (SELECT max(c.created_at) FROM project_chat_messages c WHERE c.project_id = p.id)
+  ) AS last_activity_at
+FROM projects p;
+
 -- Project emails (sent via Resend + received via inbound webhook)
 CREATE TABLE IF NOT EXISTS project_emails (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -170,10 +374,163 @@ CREATE TABLE IF NOT EXISTS project_emails (
   sent_by_user_id INTEGER,
   sent_by_username TEXT,
   attachments JSONB NOT NULL DEFAULT '[]',
+  message_id TEXT,
+  in_reply_to TEXT,
+  reference_ids JSONB NOT NULL DEFAULT '[]',
+  thread_id UUID,
+  delivery_status TEXT,
+  delivery_events JSONB NOT NULL DEFAULT '[]',
+  delivery_updated_at TIMESTAMPTZ,
+  -- Lab auto import queue (migrations/035_lab_auto_import_queue.sql)
+  auto_import_status TEXT CHECK (auto_import_status IN ('pending', 'running', 'done', 'failed')),
+  auto_import_attempts INTEGER NOT NULL DEFAULT 0,
+  auto_import_result JSONB,
+  auto_import_updated_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT now()
 );
 CREATE INDEX IF NOT EXISTS project_emails_project_id_created_idx ON project_emails(project_id, created_at DESC);
 CREATE UNIQUE INDEX IF NOT EXISTS project_emails_resend_id_uidx ON project_emails (resend_email_id) WHERE resend_email_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS project_emails_thread_idx ON project_emails(project_id, thread_id);
+CREATE INDEX IF NOT EXISTS project_emails_message_id_idx ON project_emails(project_id, message_id) WHERE message_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS project_emails_delivery_failed_idx ON project_emails(project_id)
+  WHERE delivery_status IN ('bounced', 'complained', 'failed');
+CREATE INDEX IF NOT EXISTS project_emails_auto_import_queue_idx ON project_emails(auto_import_updated_at)
+  WHERE auto_import_status IN ('pending', 'running');
+
+-- Delivery event append under a row lock (POST /api/webhooks/resend-events, migrations/036_email_delivery_event_append.sql)
+CREATE OR REPLACE FUNCTION append_email_delivery_event(p_email_id UUID, p_entry JSONB, p_max INTEGER DEFAULT 50)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  cur project_emails%ROWTYPE;
+  new_status TEXT := p_entry->>'status';
+  next_status TEXT;
+  ranks TEXT[] := ARRAY['sent', 'delayed', 'delivered', 'opened', 'clicked'];
+  failures TEXT[] := ARRAY['bounced', 'complained', 'failed'];
+BEGIN
+  SELECT * INTO cur FROM project_emails WHERE id = p_email_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+  IF EXISTS (
+    SELECT 1 FROM jsonb_array_elements(cur.delivery_events) e
+    WHERE e->>'status' = new_status AND e->>'at' = p_entry->>'at'
+  ) THEN
+    RETURN jsonb_build_object('changed', false, 'delivery_status', cur.delivery_status);
+  END IF;
+  next_status := CASE
+    WHEN new_status = ANY (failures) THEN new_status
+    WHEN cur.delivery_status = ANY (failures) THEN cur.delivery_status
+    WHEN COALESCE(array_position(ranks, new_status), 0) > COALESCE(array_position(ranks, cur.delivery_status), 0) THEN new_status
+    ELSE cur.delivery_status
+  END;
+  UPDATE project_emails SET
+    delivery_status = next_status,
+    delivery_events = (
+      SELECT COALESCE(jsonb_agg(h.e ORDER BY h.e->>'at'), '[]'::jsonb)
+      FROM (
+        SELECT e FROM jsonb_array_elements(cur.delivery_events || jsonb_build_array(p_entry)) e
+        ORDER BY e->>'at' DESC
+        LIMIT p_max
+      ) h
+    ),
+    delivery_updated_at = now()
+  WHERE id = p_email_id;
+  RETURN jsonb_build_object('changed', true, 'delivery_status', next_status);
+END;
+$$;
+
+-- Email conversations (thread_id = id of the first email; Message-ID / In-Reply-To / References threading)
+CREATE OR REPLACE VIEW project_email_threads AS
+SELECT
+  project_id,
+  COALESCE(thread_id, id) AS thread_id,
+  count(*) AS message_count,
+  min(created_at) AS first_message_at,
+  max(created_at) AS last_message_at
+FROM project_emails
+GROUP BY project_id, COALESCE(thread_id, id);
+
+-- Processed webhook deliveries (svix-id) → replays are dropped; pruned after a day
+CREATE TABLE IF NOT EXISTS webhook_events (
+  source TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (source, event_id)
+);
+CREATE INDEX IF NOT EXISTS webhook_events_received_at_idx ON webhook_events(received_at);
+
+-- Human-friendly inbound addresses per project (alias@RESEND_REPLY_DOMAIN), resolved before project UUID matching.
+CREATE TABLE IF NOT EXISTS project_email_aliases (
+  alias TEXT PRIMARY KEY CHECK (alias = lower(alias)),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  created_by_user_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS project_email_aliases_project_idx ON project_email_aliases(project_id);
+
+-- Inbound mail that matched no active project (kept for an admin to assign or discard).
+CREATE TABLE IF NOT EXISTS inbound_email_quarantine (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  resend_email_id TEXT NOT NULL UNIQUE,
+  reason TEXT NOT NULL,
+  candidate_project_id UUID,
+  from_email TEXT NOT NULL DEFAULT '',
+  to_emails JSONB NOT NULL DEFAULT '[]',
+  subject TEXT NOT NULL DEFAULT '',
+  payload JSONB NOT NULL DEFAULT '{}',
+  received_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  resolved_at TIMESTAMPTZ,
+  resolution TEXT CHECK (resolution IN ('assigned', 'discarded')),
+  resolved_project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+  resolved_by_user_id INTEGER
+);
+CREATE INDEX IF NOT EXISTS inbound_email_quarantine_open_idx ON inbound_email_quarantine(received_at DESC) WHERE resolved_at IS NULL;
+
+-- Reusable project email templates ({{project.name}}, {{experiment_ids}}, {{next_milestone.due_date}}, {{vars.x}} …).
+CREATE TABLE IF NOT EXISTS project_email_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  body_text TEXT,
+  body_html TEXT,
+  created_by_user_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (project_id, name)
+);
+
+-- Scheduled sends, dispatched by GET /api/cron/scheduled-emails. templated rows keep the raw {{…}} content and are rendered at dispatch.
+CREATE TABLE IF NOT EXISTS scheduled_project_emails (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  to_emails JSONB NOT NULL DEFAULT '[]',
+  subject TEXT NOT NULL,
+  body_text TEXT,
+  body_html TEXT,
+  templated BOOLEAN NOT NULL DEFAULT false,
+  template_id UUID REFERENCES project_email_templates(id) ON DELETE SET NULL,
+  variables JSONB NOT NULL DEFAULT '{}',
+  experiment_ids JSONB NOT NULL DEFAULT '[]',
+  milestone_ids JSONB NOT NULL DEFAULT '[]',
+  attachment_file_ids JSONB NOT NULL DEFAULT '[]',
+  send_at TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  resend_email_id TEXT,
+  sent_email_id UUID,
+  sent_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ,
+  created_by_user_id INTEGER,
+  created_by_username TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS scheduled_project_emails_due_idx ON scheduled_project_emails(send_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS scheduled_project_emails_project_idx ON scheduled_project_emails(project_id, send_at);
 
 -- Existing DBs created before `attachments`: CREATE TABLE IF NOT EXISTS does not add columns — run this always (no-op if column exists).
 ALTER TABLE project_emails ADD COLUMN IF NOT EXISTS attachments JSONB NOT NULL DEFAULT '[]';
@@ -245,6 +602,21 @@ CREATE TABLE IF NOT EXISTS import_log (
 CREATE INDEX IF NOT EXISTS import_log_project_id_idx ON import_log(project_id);
 CREATE INDEX IF NOT EXISTS import_log_created_at_idx ON import_log(created_at DESC);
 
+-- 1b. Lab import rules – which inbound email attachments are imported automatically (import_log source_type email_auto_import)
+CREATE TABLE IF NOT EXISTS lab_import_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  sender_allowlist TEXT[] NOT NULL DEFAULT '{}',
+  subject_pattern TEXT,
+  file_extensions TEXT[] NOT NULL DEFAULT '{}',
+  created_by_user_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS lab_import_rules_project_idx ON lab_import_rules(project_id, created_at);
+
 -- 2. Research Sessions – group experiments into a research run/session
 CREATE TABLE IF NOT EXISTS research_sessions (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -293,6 +665,20 @@ CREATE TABLE IF NOT EXISTS experiment_materials (
 CREATE INDEX IF NOT EXISTS experiment_materials_experiment_id_idx ON experiment_materials(experiment_id);
 CREATE INDEX IF NOT EXISTS experiment_materials_material_id_idx ON experiment_materials(material_id);
 
+-- 3b2. Chat message attachments → project files / lab experiments (backlinks: .../chat-references)
+CREATE TABLE IF NOT EXISTS project_chat_message_links (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES project_chat_messages(id) ON DELETE CASCADE,
+  project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+  project_file_id UUID REFERENCES project_files(id) ON DELETE CASCADE,
+  lab_experiment_id UUID REFERENCES lab_experiments(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CHECK ((project_file_id IS NULL) <> (lab_experiment_id IS NULL))
+);
+CREATE INDEX IF NOT EXISTS project_chat_message_links_message_id_idx ON project_chat_message_links(message_id);
+CREATE INDEX IF NOT EXISTS project_chat_message_links_file_idx ON project_chat_message_links(project_file_id) WHERE project_file_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS project_chat_message_links_experiment_idx ON project_chat_message_links(lab_experiment_id) WHERE lab_experiment_id IS NOT NULL;
+
 -- 3c. Experiment relations (optional: for future knowledge map)
 CREATE TABLE IF NOT EXISTS experiment_relations (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -326,9 +712,22 @@ CREATE TABLE IF NOT EXISTS lab_saved_experiment_contexts (
 );
 CREATE INDEX IF NOT EXISTS lab_saved_experiment_contexts_project_id_idx ON lab_saved_experiment_contexts(project_id);
 
--- If tasks table already existed with old status constraint, run to add 'in_review':
--- ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_status_check;
--- ALTER TABLE tasks ADD CONSTRAINT tasks_status_check CHECK (status IN ('todo', 'in_progress', 'in_review', 'done', 'cancelled'));
+-- Project templates (structure snapshot; seeds POST /api/projects { template_id }). Built by lib/projectTemplates.js
+CREATE TABLE IF NOT EXISTS project_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  description TEXT,
+  shared BOOLEAN NOT NULL DEFAULT false,
+  source_project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+  created_by_user_id INTEGER NOT NULL,
+  created_by_username TEXT,
+  structure JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS project_templates_created_by_idx ON project_templates(created_by_user_id);
+CREATE INDEX IF NOT EXISTS project_templates_shared_idx ON project_templates(shared) WHERE shared;
+
+-- If tasks table already existed with the old fixed status list (tasks_status_check), run migrations/031_task_workflows.sql.
 
 -- ---------- RAG vector store (management-vector) ----------
 -- Requires: CREATE EXTENSION IF NOT EXISTS vector; (run once in Supabase SQL Editor)